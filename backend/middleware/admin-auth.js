@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Constant-time comparison; hashing first evens out the lengths
+const sameToken = (given, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(given).digest(),
+  crypto.createHash('sha256').update(expected).digest()
+);
+
+/**
+ * Guard for the admin API: requests need `Authorization: Bearer <ADMIN_TOKEN>`.
+ * Without ADMIN_TOKEN set the admin API is off altogether.
+ */
+const adminAuth = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_TOKEN to enable it'
+    });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (!match || !sameToken(match[1].trim(), expected)) {
+    res.set('WWW-Authenticate', 'Bearer realm="admin"');
+    return res.status(401).json({
+      error: 'Admin token required'
+    });
+  }
+  next();
+};
+
+module.exports = adminAuth;
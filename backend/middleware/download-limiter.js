@@ -0,0 +1,49 @@
+const rateLimit = require('express-rate-limit');
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Limits for the layer file and tar downloads, each of which runs a docker
+ * save and spools up to the download size limit: a per-IP budget per window,
+ * and a cap on exports running at once across all clients
+ * @param {Object} options - windowMs, max (requests per window and IP) and concurrency
+ * @returns {Array<function>} Middleware; a busy server answers 429 with Retry-After
+ */
+const createDownloadLimiter = ({
+  windowMs = 60 * 60 * 1000,
+  max = parsePositiveInt(process.env.DOWNLOAD_RATE_LIMIT, 30),
+  concurrency = parsePositiveInt(process.env.DOWNLOAD_CONCURRENCY, 2)
+} = {}) => {
+  let running = 0;
+
+  const perClient = rateLimit({
+    windowMs,
+    max,
+    message: {
+      error: 'Too many downloads, please try again later.'
+    }
+  });
+
+  // The slot is held until the response closes, spool sent or client gone
+  const concurrencyLimit = (req, res, next) => {
+    if (running >= concurrency) {
+      res.set('Retry-After', '30');
+      return res.status(429).json({
+        error: 'Too many downloads in progress, please try again later.',
+        concurrency
+      });
+    }
+    running++;
+    res.once('close', () => {
+      running--;
+    });
+    next();
+  };
+
+  return [perClient, concurrencyLimit];
+};
+
+module.exports = { createDownloadLimiter };
@@ -0,0 +1,23 @@
+const rateLimit = require('express-rate-limit');
+
+// GETs that only read job state or image metadata. Every other request counts,
+// the sbom, vulnerabilities and report GETs included: they start inspections.
+const POLLING_PATH_REGEX = /^\/(?:health|active|jobs(?:\/[^/]+)?|.+\/(?:status|platforms))\/?$/;
+
+const isPollingRequest = (req) => req.method === 'GET' && POLLING_PATH_REGEX.test(req.path);
+
+/**
+ * Per-IP budget of inspection requests
+ * @param {Object} options - windowMs and max (requests per window)
+ * @returns {function} express-rate-limit middleware that skips polling requests
+ */
+const createInspectLimiter = ({ windowMs = 60 * 60 * 1000, max = 10 } = {}) => rateLimit({
+  windowMs,
+  max,
+  skip: isPollingRequest,
+  message: {
+    error: 'Too many inspection requests, please try again later.'
+  }
+});
+
+module.exports = { createInspectLimiter, isPollingRequest };
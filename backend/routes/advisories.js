@@ -0,0 +1,118 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs-extra');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const advisoryDb = require('../utils/advisory-db');
+const adminAuth = require('../middleware/admin-auth');
+
+const router = express.Router();
+
+const uploadsDir = path.join(__dirname, '..', 'temp', 'uploads');
+fs.ensureDirSync(uploadsDir);
+
+const parseUploadMaxBytes = () => {
+  const parsed = parseInt(process.env.ADVISORY_UPLOAD_MAX_BYTES, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 512 * 1024 * 1024;
+};
+const UPLOAD_MAX_BYTES = parseUploadMaxBytes();
+
+// The extension tells the importer whether the file is JSON or JSON lines
+const ADVISORY_FILE_REGEX = /\.(json|jsonl|ndjson)$/i;
+
+const uploadMiddleware = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, uploadsDir),
+    filename: (req, file, cb) => cb(null, `advisories-${uuidv4()}${path.extname(file.originalname).toLowerCase()}`)
+  }),
+  limits: { fileSize: UPLOAD_MAX_BYTES }
+}).single('advisories');
+
+/**
+ * GET /api/advisories
+ * What the local advisory database holds: import time, advisory counts per
+ * ecosystem and the recent imports
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await advisoryDb.status();
+    res.json({
+      imported: Boolean(status),
+      ...status
+    });
+  } catch (error) {
+    console.error('Advisory database status error:', error);
+    res.status(500).json({
+      error: 'Failed to read advisory database',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/advisories/import
+ * Import an OSV advisory file (multipart field "advisories": one advisory or
+ * an array as .json, or one per line as .jsonl). ?replace=true drops the
+ * advisories imported before. Needs the admin token, checked before anything
+ * is uploaded: an import can replace the whole database. Directories on the
+ * host are imported with `npm run advisories:import -- <path>`.
+ */
+router.post('/import', adminAuth, (req, res) => {
+  uploadMiddleware(req, res, async (multerError) => {
+    const tempPath = req.file ? req.file.path : null;
+    let status = 200;
+    let payload = null;
+
+    try {
+      if (multerError) {
+        const tooLarge = multerError instanceof multer.MulterError && multerError.code === 'LIMIT_FILE_SIZE';
+        status = tooLarge ? 413 : (multerError instanceof multer.MulterError ? 400 : 500);
+        payload = {
+          error: tooLarge ? 'File too large' : 'Upload failed',
+          message: tooLarge ? `Advisory uploads are limited to ${UPLOAD_MAX_BYTES} bytes` : multerError.message
+        };
+      } else if (!req.file) {
+        status = 400;
+        payload = {
+          error: 'No advisory file uploaded',
+          message: 'Attach an OSV JSON or JSON lines file as multipart field "advisories"'
+        };
+      } else if (!ADVISORY_FILE_REGEX.test(req.file.originalname)) {
+        status = 400;
+        payload = {
+          error: 'Invalid file type',
+          message: 'Advisory files must be .json, .jsonl or .ndjson'
+        };
+      } else {
+        const summary = await advisoryDb.importFrom(tempPath, {
+          replace: req.query.replace === 'true',
+          name: req.file.originalname
+        });
+        payload = {
+          success: true,
+          ...summary
+        };
+      }
+    } catch (error) {
+      console.error('Advisory import error:', error);
+      // A malformed file is the client's; the message names the parse error
+      status = /^Failed to read advisories/.test(error.message) ? 400 : 500;
+      payload = {
+        error: 'Failed to import advisories',
+        message: error.message.replace(tempPath || '', req.file ? req.file.originalname : '')
+      };
+    } finally {
+      if (tempPath) {
+        try {
+          await fs.remove(tempPath);
+        } catch (cleanupError) {
+          console.error(`Failed to remove uploaded advisory file ${tempPath}:`, cleanupError);
+        }
+      }
+    }
+
+    res.status(status).json(payload);
+  });
+});
+
+module.exports = router;
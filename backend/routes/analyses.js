@@ -0,0 +1,101 @@
+const express = require('express');
+const adminAuth = require('../middleware/admin-auth');
+const analysisStore = require('../utils/analysis-store');
+
+const router = express.Router();
+
+/**
+ * GET /api/analyses
+ * List stored analyses, newest first (optional ?imageName= / ?digest= / ?platform= filters)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { imageName, digest, platform } = req.query;
+    const analyses = await analysisStore.list({
+      imageName: typeof imageName === 'string' ? imageName : undefined,
+      digest: typeof digest === 'string' ? digest : undefined,
+      platform: typeof platform === 'string' ? platform : undefined
+    });
+
+    res.json({
+      count: analyses.length,
+      analyses
+    });
+  } catch (error) {
+    console.error('List analyses error:', error);
+    res.status(500).json({
+      error: 'Failed to list analyses',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyses/:id
+ * Fetch one stored analysis with its full result
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!analysisStore.isValidId(id)) {
+      return res.status(400).json({
+        error: 'Invalid analysis id',
+        id
+      });
+    }
+
+    const record = await analysisStore.get(id);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        id
+      });
+    }
+
+    res.json(record);
+  } catch (error) {
+    console.error(`Get analysis error for ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to get analysis',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/analyses/:id
+ * Delete one stored analysis; needs the admin token
+ */
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!analysisStore.isValidId(id)) {
+      return res.status(400).json({
+        error: 'Invalid analysis id',
+        id
+      });
+    }
+
+    const removed = await analysisStore.remove(id);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        id
+      });
+    }
+
+    res.json({
+      success: true,
+      id,
+      message: 'Analysis deleted'
+    });
+  } catch (error) {
+    console.error(`Delete analysis error for ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to delete analysis',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
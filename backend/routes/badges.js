@@ -0,0 +1,88 @@
+const express = require('express');
+const analysisStore = require('../utils/analysis-store');
+const { BADGE_METRICS, metricBadge } = require('../utils/badge');
+const { validateImageName } = require('../utils/image-name');
+const { validatePlatform } = require('../utils/platform');
+
+const router = express.Router();
+
+// Badges of analyzed images change only on re-analysis; an "unknown" badge
+// should turn into a real one as soon as the first analysis is stored
+const BADGE_MAX_AGE_SECONDS = 300;
+
+// "nginx" is stored as inspected, so a bare repository also tries its :latest tag
+const candidateNames = (imageName) => {
+  const lastSegment = imageName.slice(imageName.lastIndexOf('/') + 1);
+  return /[:@]/.test(lastSegment) ? [imageName] : [imageName, `${imageName}:latest`];
+};
+
+/**
+ * GET /api/badges/:imageName.svg (and namespaced variants)
+ * Shields-style SVG badge of the most recent stored analysis of an image:
+ * ?metric=efficiency (the default), size or wasted; ?platform narrows it to
+ * one variant. An image without a stored analysis gets a grey "unknown" badge.
+ */
+router.get(/^\/(.+)\.svg$/, async (req, res) => {
+  const imageName = decodeURIComponent(req.params[0] || '');
+  const metric = req.query.metric || 'efficiency';
+  const { platform } = req.query;
+
+  try {
+    const validation = validateImageName(imageName);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid image name',
+        imageName,
+        message: validation.reason
+      });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(BADGE_METRICS, metric)) {
+      return res.status(400).json({
+        error: 'Invalid badge metric',
+        imageName,
+        message: `metric must be one of: ${Object.keys(BADGE_METRICS).join(', ')}`
+      });
+    }
+
+    if (platform !== undefined) {
+      const platformValidation = validatePlatform(platform);
+      if (!platformValidation.valid) {
+        return res.status(400).json({
+          error: 'Invalid platform',
+          imageName,
+          platform,
+          message: platformValidation.reason
+        });
+      }
+    }
+
+    let record = null;
+    for (const name of candidateNames(imageName)) {
+      [record = null] = await analysisStore.list({ imageName: name, platform });
+      if (record) {
+        break;
+      }
+    }
+
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    // README renderers and other sites embed badges from this origin
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    if (record) {
+      res.set('Cache-Control', `public, max-age=${BADGE_MAX_AGE_SECONDS}`);
+      res.set('Last-Modified', new Date(record.createdAt).toUTCString());
+    } else {
+      res.set('Cache-Control', 'no-cache');
+    }
+    res.send(metricBadge(metric, record));
+  } catch (error) {
+    console.error(`Badge error for ${imageName}:`, error);
+    res.status(500).json({
+      error: 'Failed to render badge',
+      imageName,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -6,17 +6,30 @@ const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const dockerUtils = require('../utils/docker');
 const { validateImageName } = require('../utils/image-name');
+const { reconstructDockerfile } = require('../utils/dockerfile');
+const { extractLayerFile, exportLayerTar } = require('../utils/layer-files');
+const { isCancelled } = require('../utils/cancellation');
+const { createDownloadLimiter } = require('../middleware/download-limiter');
 
 const router = express.Router();
 
 const uploadsDir = path.join(__dirname, '..', 'temp', 'uploads');
 fs.ensureDirSync(uploadsDir);
 
-const parseUploadMaxBytes = () => {
-  const parsed = parseInt(process.env.UPLOAD_MAX_BYTES, 10);
-  return Number.isInteger(parsed) && parsed > 0 ? parsed : 1024 * 1024 * 1024;
+const parseMaxBytes = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
 };
-const UPLOAD_MAX_BYTES = parseUploadMaxBytes();
+const UPLOAD_MAX_BYTES = parseMaxBytes(process.env.UPLOAD_MAX_BYTES, 1024 * 1024 * 1024);
+
+// Files and layers are spooled to disk before they are sent
+const FILE_DOWNLOAD_MAX_BYTES = parseMaxBytes(process.env.FILE_DOWNLOAD_MAX_BYTES, 256 * 1024 * 1024);
+const LAYER_DOWNLOAD_MAX_BYTES = parseMaxBytes(process.env.LAYER_DOWNLOAD_MAX_BYTES, 4 * 1024 * 1024 * 1024);
+
+const IMAGE_ID_REGEX = /^sha256:[a-f0-9]{64}$/;
+
+// Shared by the file and tar downloads: both count toward one budget and cap
+const downloadLimiter = createDownloadLimiter();
 
 const uploadMiddleware = multer({
   storage: multer.diskStorage({
@@ -367,6 +380,240 @@ router.get('/:imageName/history',
   }
 );
 
+/**
+ * GET /api/images/:imageName/dockerfile
+ * Reconstruct an approximate Dockerfile from the image history and config
+ */
+router.get('/:imageName/dockerfile',
+  async (req, res) => {
+    try {
+      const { imageName } = req.params;
+      const decodedImageName = decodeURIComponent(imageName);
+      if (!validateImageName(decodedImageName).valid) {
+        return sendInvalidImageName(res, decodedImageName);
+      }
+
+      console.log(`Reconstructing Dockerfile for image: ${decodedImageName}`);
+
+      // Check if image exists
+      const imageExists = await dockerUtils.imageExists(decodedImageName);
+      if (!imageExists) {
+        return res.status(404).json({
+          error: 'Image not found locally',
+          imageName: decodedImageName
+        });
+      }
+
+      const [history, imageInfo] = await Promise.all([
+        dockerUtils.getImageHistory(decodedImageName),
+        dockerUtils.getImageInfo(decodedImageName)
+      ]);
+      const { instructions, dockerfile } = reconstructDockerfile(history, imageInfo.config);
+
+      res.json({
+        imageName: decodedImageName,
+        instructionCount: instructions.length,
+        instructions,
+        dockerfile,
+        retrievedAt: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error(`Reconstruct Dockerfile error for ${req.params.imageName}:`, error);
+      res.status(500).json({
+        error: 'Failed to reconstruct Dockerfile',
+        imageName: req.params.imageName,
+        message: error.message
+      });
+    }
+  }
+);
+
+const downloadFailureStatus = (error) => {
+  const message = error.message || '';
+  if (isCancelled(error)) {
+    return 409;
+  }
+  if (/download limit/.test(message)) {
+    return 413;
+  }
+  if (/is a directory|is a symbolic link|is a hard link|is not a regular file/.test(message)) {
+    return 422;
+  }
+  if (/not found|no such image/i.test(message)) {
+    return 404;
+  }
+  return 502;
+};
+
+/**
+ * Check a download request and resolve the image it names. Responds (and
+ * returns null) when the name, layer or digest is bad or the image is missing.
+ * ?digest= (the image ID an analysis reported) makes sure the local tag still
+ * holds the analyzed image.
+ * @returns {Promise<Object|null>} imageName, imageInfo and layerIndex
+ */
+const resolveDownload = async (req, res) => {
+  const imageName = decodeURIComponent(req.params.imageName);
+  if (!validateImageName(imageName).valid) {
+    sendInvalidImageName(res, imageName);
+    return null;
+  }
+
+  const layerIndex = Number(req.params.layerIndex);
+  if (!Number.isInteger(layerIndex) || layerIndex < 0) {
+    res.status(400).json({
+      error: 'Invalid layer',
+      imageName,
+      message: 'The layer is its position in the image, counting from 0 at the base'
+    });
+    return null;
+  }
+
+  const { digest } = req.query;
+  if (digest !== undefined && !IMAGE_ID_REGEX.test(digest)) {
+    res.status(400).json({
+      error: 'Invalid digest',
+      imageName,
+      message: 'digest must be an image ID such as sha256:<64 hex characters>'
+    });
+    return null;
+  }
+
+  const imageInfo = await dockerUtils.getImageInfo(imageName).catch(() => null);
+  if (!imageInfo) {
+    res.status(404).json({
+      error: 'Image not found locally',
+      imageName
+    });
+    return null;
+  }
+  if (digest && imageInfo.id !== digest) {
+    res.status(409).json({
+      error: 'Image changed',
+      imageName,
+      message: `Local ${imageName} is now ${imageInfo.id}, not the analyzed ${digest}; re-run the analysis`
+    });
+    return null;
+  }
+
+  return { imageName, imageInfo, layerIndex };
+};
+
+// Stop the export when the client goes away before the download starts
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
+
+// Send a spooled download (range requests included) and remove the spool afterwards
+const sendSpool = (res, spool, fileName) => new Promise((resolve) => {
+  res.attachment(fileName);
+  res.sendFile(spool.path, { headers: { 'Cache-Control': 'no-store' } }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(500).json({ error: 'Failed to send download', message: error.message });
+    }
+    fs.remove(spool.path)
+      .catch((cleanupError) => console.error(`Failed to remove download spool ${spool.path}:`, cleanupError))
+      .then(resolve);
+  });
+});
+
+/**
+ * GET /api/images/:imageName/layers/:layerIndex/file?path=/etc/os-release
+ * Download one file as the image filesystem shows it at a layer (layers count
+ * from 0 at the base): the copy that layer or the nearest one below it wrote.
+ * Served with a content type from the file extension and Range support;
+ * limited to FILE_DOWNLOAD_MAX_BYTES. Rate and concurrency limited with the
+ * layer downloads (429 when exceeded).
+ */
+router.get('/:imageName/layers/:layerIndex/file', downloadLimiter, async (req, res) => {
+  const filePath = typeof req.query.path === 'string' ? req.query.path : '';
+  try {
+    if (!filePath.startsWith('/') || filePath.split('/').includes('..')) {
+      return res.status(400).json({
+        error: 'Invalid path',
+        imageName: decodeURIComponent(req.params.imageName),
+        message: 'path must be an absolute path in the image, such as /etc/os-release'
+      });
+    }
+
+    const target = await resolveDownload(req, res);
+    if (!target) {
+      return;
+    }
+
+    const normalizedPath = path.posix.normalize(filePath).replace(/\/+$/, '') || '/';
+    console.log(`Extracting ${normalizedPath} at layer ${target.layerIndex} from ${target.imageName}`);
+    const spool = await extractLayerFile(target.imageInfo.id, target.layerIndex, normalizedPath, {
+      maxBytes: FILE_DOWNLOAD_MAX_BYTES,
+      signal: abortOnClose(res)
+    });
+
+    // Files come from untrusted images; never let a browser run them on this origin
+    res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.set('X-Layer-Index', String(spool.layerIndex));
+    await sendSpool(res, spool, path.posix.basename(normalizedPath));
+  } catch (error) {
+    console.error(`File download error for ${req.params.imageName}:${filePath}:`, error);
+    if (!res.headersSent) {
+      res.status(downloadFailureStatus(error)).json({
+        error: 'Failed to download file',
+        imageName: decodeURIComponent(req.params.imageName),
+        path: filePath,
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * GET /api/images/:imageName/layers/:layerIndex/tar
+ * Download one layer as an uncompressed tarball (the layer's own changes,
+ * whiteouts included); limited to LAYER_DOWNLOAD_MAX_BYTES. Rate and
+ * concurrency limited with the file downloads (429 when exceeded).
+ */
+router.get('/:imageName/layers/:layerIndex/tar', downloadLimiter, async (req, res) => {
+  try {
+    const target = await resolveDownload(req, res);
+    if (!target) {
+      return;
+    }
+
+    const diffId = (target.imageInfo.rootfs?.Layers || [])[target.layerIndex];
+    if (!diffId) {
+      return res.status(404).json({
+        error: 'Layer not found',
+        imageName: target.imageName,
+        message: `${target.imageName} has ${(target.imageInfo.rootfs?.Layers || []).length} layers`
+      });
+    }
+
+    console.log(`Exporting layer ${target.layerIndex} (${diffId}) of ${target.imageName}`);
+    const spool = await exportLayerTar(target.imageInfo.id, diffId, {
+      maxBytes: LAYER_DOWNLOAD_MAX_BYTES,
+      signal: abortOnClose(res)
+    });
+
+    res.set('X-Layer-Digest', diffId);
+    await sendSpool(res, spool, `${target.imageName.replace(/[^\w.-]+/g, '_')}_layer-${target.layerIndex + 1}.tar`);
+  } catch (error) {
+    console.error(`Layer download error for ${req.params.imageName}:`, error);
+    if (!res.headersSent) {
+      res.status(downloadFailureStatus(error)).json({
+        error: 'Failed to download layer',
+        imageName: decodeURIComponent(req.params.imageName),
+        message: error.message
+      });
+    }
+  }
+});
+
 /**
  * GET /api/images/docker-info
  * Get Docker system information
@@ -1,7 +1,22 @@
 const express = require('express');
 const diveUtils = require('../utils/dive.js');
 const dockerUtils = require('../utils/docker.js');
+const analysisStore = require('../utils/analysis-store');
+const { compareAnalyses } = require('../utils/compare');
+const { evaluateRules, normalizeRules, parseCiConfig } = require('../utils/ci-rules');
+const { adviseImage } = require('../utils/advisor');
+const { scanImageSecrets } = require('../utils/secrets');
+const { buildSbom, SBOM_FORMATS } = require('../utils/sbom');
+const { matchVulnerabilities } = require('../utils/vulnerabilities');
+const { REPORT_FORMATS } = require('../utils/report');
+const { EVALUATION_FORMATS } = require('../utils/evaluation-report');
+const { resolveRegistryImage, analyzeRegistryImage } = require('../utils/registry-analysis');
+const registryCredentials = require('../utils/registry-credentials');
+const jobQueue = require('../utils/job-queue');
+const inspectionEvents = require('../utils/inspection-events');
+const { isCancelled, throwIfCancelled } = require('../utils/cancellation');
 const { validateImageName } = require('../utils/image-name');
+const { formatPlatform, matchesPlatform, validatePlatform } = require('../utils/platform');
 
 const router = express.Router();
 
@@ -16,9 +31,307 @@ const getImageNameFromRequest = (req) => {
   return decodeURIComponent(imageName || '');
 };
 
+// Rules arrive as a raw .dive-ci document, as JSON { config: '<yaml>' }, or as
+// JSON { rules: { ... } }; an empty body means dive's default rules
+const rulesFromRequest = (body) => {
+  if (typeof body === 'string') {
+    return parseCiConfig(body);
+  }
+  if (body && typeof body.config === 'string') {
+    return parseCiConfig(body.config);
+  }
+  if (body && body.rules !== undefined) {
+    return body.rules;
+  }
+  return {};
+};
+
+// ?platform=os/arch[/variant] (or a platform body field); undefined when absent
+const platformFromRequest = (req) => {
+  const platform = req.query.platform !== undefined ? req.query.platform : req.body?.platform;
+  return platform === undefined || platform === '' ? undefined : platform;
+};
+
+// Optional layer scans on top of the dive analysis: ?secrets=true adds the
+// secret scan and ?sbom=true the package catalog (or secrets / sbom: true in the body)
+const scansFromRequest = (req) => ({
+  secrets: req.query.secrets === 'true' || req.body?.secrets === true,
+  sbom: req.query.sbom === 'true' || req.body?.sbom === true
+});
+
+// Where an inspection reads the image: docker pulls it into the local daemon
+// and runs dive; registry streams the layers straight from the registry and
+// keeps nothing. ?source= (or a source body field) picks one per request,
+// INSPECT_SOURCE sets the default.
+const INSPECTION_SOURCES = ['docker', 'registry'];
+
+const sourceFromRequest = (req) => req.query.source || req.body?.source || process.env.INSPECT_SOURCE || 'docker';
+
+// Each platform variant of an image is its own job and its own stored analysis;
+// an inspection with layer scans, or from the registry, is a separate job from
+// a plain one of the same image
+const inspectionKey = (imageName, platform, { secrets = false, sbom = false, source = 'docker' } = {}) => [
+  imageName,
+  platform,
+  secrets && '+secrets',
+  sbom && '+sbom',
+  source === 'registry' && '+registry'
+]
+  .filter(Boolean)
+  .join(' ');
+
+// Local image config (ID = config digest, platform); null when it cannot be
+// read, in which case the analysis simply isn't cached
+const resolveImageInfo = async (imageName) => {
+  try {
+    return await dockerUtils.getImageInfo(imageName);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Make sure an image is available in the local daemon, pulling it (or the
+ * requested platform variant) when it isn't
+ * @param {string} imageName - Validated image reference
+ * @param {Object} options - Optional platform, onProgress callback and AbortSignal
+ * @returns {Promise<Object|null>} Local image info, see resolveImageInfo
+ */
+const prepareLocalImage = async (imageName, { platform, onProgress, signal }) => {
+  // Check if Docker is available
+  const dockerAvailable = await dockerUtils.isDockerAvailable();
+  if (!dockerAvailable) {
+    throw new Error('Docker is not available or not accessible');
+  }
+
+  // Check if dive is available
+  const diveAvailable = await diveUtils.isDiveAvailable();
+  if (!diveAvailable) {
+    throw new Error('Dive tool is not available');
+  }
+
+  // Step 1: Check if image exists locally, if not pull it
+  onProgress({
+    status: 'checking',
+    progress: 10,
+    message: 'Checking if image exists locally...'
+  });
+
+  // The local tag holds a single platform; another variant has to be pulled
+  const imageExists = platform
+    ? matchesPlatform(await resolveImageInfo(imageName), platform)
+    : await dockerUtils.imageExists(imageName);
+  throwIfCancelled(signal);
+
+  if (!imageExists) {
+    onProgress({
+      status: 'pulling',
+      progress: 20,
+      message: platform
+        ? `Pulling the ${platform} variant from registry...`
+        : 'Image not found locally, pulling from registry...'
+    });
+
+    await dockerUtils.pullImage(imageName, (pullUpdate) => {
+      onProgress({
+        status: 'pulling',
+        progress: Math.round(Math.min(20 + (pullUpdate.progress || 0) * 0.4, 60)), // 20-60%
+        message: pullUpdate.message || 'Pulling image...',
+        pull: pullUpdate.pull
+      });
+    }, { signal, platform });
+  }
+
+  const imageInfo = await resolveImageInfo(imageName);
+  if (platform && imageInfo && !matchesPlatform(imageInfo, platform)) {
+    // Another job re-pulled the tag for a different platform in the meantime
+    throw new Error(`Local ${imageName} is no longer the ${platform} variant; retry the inspection`);
+  }
+  return imageInfo;
+};
+
+/**
+ * Produce the analysis of an image, reusing the stored analysis for an
+ * unchanged digest unless refresh is set
+ * @param {string} imageName - Validated image reference
+ * @param {Object} options - refresh flag, optional platform to pull and analyze,
+ *   secrets flag to scan the layers for secrets (analysis.secrets), sbom flag to
+ *   catalog their packages (analysis.sbom), source (docker, or registry to read
+ *   the layers from the registry without the daemon; no layer scans), optional
+ *   onProgress callback and an AbortSignal (signal) that kills the pull, dive
+ *   run, export or layer download when the job is cancelled
+ * @returns {Promise<Object>} analysis, analysisId, digest, platform, cached and completedAt
+ */
+const runInspection = async (imageName, { refresh = false, platform, secrets = false, sbom = false, source = 'docker', onProgress = () => {}, signal } = {}) => {
+  if (source === 'registry' && (secrets || sbom)) {
+    throw new Error('Invalid source: layer scans read the image through the Docker daemon');
+  }
+
+  // Step 1: Get the image, or only its manifest and config from the registry
+  let registryImage = null;
+  let imageInfo;
+  if (source === 'registry') {
+    onProgress({
+      status: 'resolving',
+      progress: 10,
+      message: 'Resolving the image manifest in the registry...'
+    });
+    registryImage = await resolveRegistryImage(imageName, {
+      platform,
+      credentials: registryCredentials.forImage(imageName),
+      signal
+    });
+    imageInfo = registryImage.imageInfo;
+  } else {
+    imageInfo = await prepareLocalImage(imageName, { platform, onProgress, signal });
+  }
+
+  // Step 2: Reuse a stored analysis when the image content is unchanged
+  const digest = imageInfo?.id || null;
+  const resolvedPlatform = formatPlatform(imageInfo) || platform || null;
+  const cached = refresh ? null : await analysisStore.findLatestByDigest(digest);
+  throwIfCancelled(signal);
+
+  let analysis;
+  if (cached) {
+    // Analyses stored before the metadata came from docker inspect lack most of
+    // it, and those stored before the advisor have no advice
+    analysis = {
+      ...cached.analysis,
+      imageName,
+      metadata: diveUtils.buildMetadata(imageInfo),
+      advice: cached.analysis.advice || adviseImage(cached.analysis.layers)
+    };
+    if ((!secrets || analysis.secrets) && (!sbom || analysis.sbom)) {
+      return {
+        analysis,
+        analysisId: cached.id,
+        digest,
+        platform: resolvedPlatform,
+        cached: true,
+        completedAt: cached.createdAt
+      };
+    }
+  } else if (registryImage) {
+    // Step 3: Read the layers from the registry, one blob at a time
+    analysis = await analyzeRegistryImage(imageName, registryImage, {
+      signal,
+      onLayer: ({ index, count }) => onProgress({
+        status: 'downloading',
+        progress: Math.round(20 + (index / count) * 70), // 20-90%
+        message: `Reading layer ${index + 1} of ${count} from the registry...`
+      })
+    });
+    throwIfCancelled(signal);
+  } else {
+    // Step 3: Run dive analysis
+    onProgress({
+      status: 'analyzing',
+      progress: 60,
+      message: 'Starting dive analysis...'
+    });
+
+    // Dive reads the image by ID, so a concurrent pull of another platform can't swap it out
+    analysis = await diveUtils.executeDive(imageName, { signal, imageInfo });
+    throwIfCancelled(signal);
+  }
+
+  // Step 4: Scan every layer for secrets and catalog its packages, reusing the
+  // stored dive analysis (and any scan it already has) if there is one
+  let scanProgress = cached ? 60 : 80;
+  if (secrets && !analysis.secrets) {
+    onProgress({
+      status: 'scanning',
+      progress: scanProgress,
+      message: 'Scanning layers for secrets...'
+    });
+
+    analysis = { ...analysis, secrets: await scanImageSecrets(digest || imageName, { signal }) };
+    throwIfCancelled(signal);
+    scanProgress += 10;
+  }
+
+  if (sbom && !analysis.sbom) {
+    onProgress({
+      status: 'cataloging',
+      progress: scanProgress,
+      message: 'Cataloging packages...'
+    });
+
+    analysis = { ...analysis, sbom: await buildSbom(digest || imageName, { signal }) };
+    throwIfCancelled(signal);
+  }
+
+  onProgress({
+    status: 'analyzing',
+    progress: 95,
+    message: 'Processing analysis results...'
+  });
+
+  let stored = null;
+  if (digest) {
+    try {
+      stored = await analysisStore.save({ imageName, digest, platform: resolvedPlatform, analysis });
+    } catch (storeError) {
+      console.error(`Failed to store analysis for ${imageName}:`, storeError);
+    }
+  }
+
+  return {
+    analysis,
+    analysisId: stored ? stored.id : null,
+    digest,
+    platform: resolvedPlatform,
+    cached: false,
+    completedAt: new Date().toISOString()
+  };
+};
+
+// Responds 400 and returns false for an unknown source, or a registry source
+// asked for layer scans
+const checkSource = (res, imageName, source, { secrets = false, sbom = false } = {}) => {
+  let message = null;
+  if (!INSPECTION_SOURCES.includes(source)) {
+    message = `source must be one of: ${INSPECTION_SOURCES.join(', ')}`;
+  } else if (source === 'registry' && (secrets || sbom)) {
+    message = 'secret scans and package catalogs need source=docker';
+  }
+  if (message) {
+    res.status(400).json({
+      error: 'Invalid source',
+      imageName,
+      source,
+      message
+    });
+    return false;
+  }
+  return true;
+};
+
+// Responds 400 and returns false for a malformed platform; an absent one is fine
+const checkPlatform = (res, imageName, platform) => {
+  if (platform === undefined) {
+    return true;
+  }
+  const validation = validatePlatform(platform);
+  if (!validation.valid) {
+    res.status(400).json({
+      error: 'Invalid platform',
+      imageName,
+      platform,
+      message: validation.reason
+    });
+    return false;
+  }
+  return true;
+};
+
 const failureStatusFor = (error) => {
   const message = error.message || '';
-  if (message.includes('Invalid image name')) {
+  if (isCancelled(error)) {
+    return 409;
+  }
+  if (/Invalid (image name|platform|source|registry host)/.test(message)) {
     return 400;
   }
   if (/not found|no such image|manifest unknown|pull access denied/i.test(message)) {
@@ -27,6 +340,153 @@ const failureStatusFor = (error) => {
   return 502;
 };
 
+/**
+ * Queue an inspection job for an image (or attach to the one already active
+ * for the same image and platform). The job keeps the legacy progress map up
+ * to date and publishes its progress, completion or failure to
+ * inspection-events for WebSocket subscribers.
+ * @param {string} imageName - Validated image reference
+ * @param {Object} options - refresh flag, validated platform and the secrets,
+ *   sbom and source options passed to runInspection
+ * @returns {{ job: Object, attached: boolean }} Job queue entry
+ */
+const startInspectionJob = (imageName, { refresh = false, platform, secrets = false, sbom = false, source = 'docker' } = {}) => {
+  const key = inspectionKey(imageName, platform, { secrets, sbom, source });
+  // Set right after enqueue; the task may start synchronously but publishes
+  // nothing before its first await
+  let jobId = null;
+  const publish = (message) => inspectionEvents.publish({ imageName, platform: platform || null, secrets, sbom, jobId, ...message });
+
+  const entry = jobQueue.enqueue(key, async (updateJob, signal) => {
+    console.log(`Starting inspection for image: ${key}`);
+
+    // Initialize progress tracking
+    inspectionProgress.set(key, {
+      status: 'starting',
+      progress: 0,
+      message: 'Initializing analysis...',
+      startTime: new Date()
+    });
+
+    const progressCallback = (update) => {
+      inspectionProgress.set(key, {
+        ...inspectionProgress.get(key),
+        ...update,
+        lastUpdate: new Date()
+      });
+      updateJob({ phase: update.status, progress: update.progress, message: update.message, pull: update.pull || null });
+      publish({
+        type: 'progress',
+        phase: update.status,
+        progress: update.progress,
+        message: update.message,
+        ...(update.pull && { pull: update.pull })
+      });
+    };
+
+    try {
+      const result = await runInspection(imageName, { refresh, platform, secrets, sbom, source, onProgress: progressCallback, signal });
+
+      inspectionProgress.set(key, {
+        ...inspectionProgress.get(key),
+        status: 'complete',
+        progress: 100,
+        message: result.cached ? 'Loaded stored analysis' : 'Analysis complete!',
+        lastUpdate: new Date()
+      });
+      publish({
+        type: 'complete',
+        progress: 100,
+        message: result.cached ? 'Loaded stored analysis' : 'Analysis complete!',
+        analysisId: result.analysisId,
+        digest: result.digest,
+        cached: result.cached
+      });
+
+      return {
+        success: true,
+        imageName,
+        ...result
+      };
+    } catch (error) {
+      if (isCancelled(error)) {
+        console.log(`Inspection cancelled for image: ${key}`);
+        inspectionProgress.set(key, {
+          status: 'cancelled',
+          progress: 0,
+          message: 'Inspection cancelled by user',
+          cancelTime: new Date()
+        });
+        throw error;
+      }
+
+      console.error(`Inspection error for ${key}:`, error);
+
+      inspectionProgress.set(key, {
+        status: 'error',
+        progress: 0,
+        message: error.message,
+        error: error.message,
+        errorTime: new Date()
+      });
+      publish({ type: 'error', message: error.message, status: failureStatusFor(error) });
+      throw error;
+    } finally {
+      // Clean up progress tracking
+      setTimeout(() => {
+        inspectionProgress.delete(key);
+      }, 300000); // Keep for 5 minutes
+    }
+  }, { imageName, platform: platform || null, secrets, sbom, source });
+
+  if (!entry.attached) {
+    jobId = entry.job.id;
+    // Cancellation can settle a job that never ran, so announce it from the job itself
+    entry.job.done.catch((error) => {
+      if (isCancelled(error)) {
+        publish({ type: 'cancelled', message: 'Inspection cancelled by user' });
+      }
+    });
+    if (entry.job.state === 'queued') {
+      publish({
+        type: 'progress',
+        phase: 'queued',
+        progress: 0,
+        message: entry.job.message,
+        queuePosition: jobQueue.positionOf(entry.job)
+      });
+    }
+  }
+  return entry;
+};
+
+const serializeJob = (job) => ({
+  id: job.id,
+  imageName: job.imageName || job.key,
+  platform: job.platform || null,
+  secrets: Boolean(job.secrets),
+  sbom: Boolean(job.sbom),
+  source: job.source || 'docker',
+  state: job.state,
+  progress: job.progress,
+  // Finer-grained than state while running (checking, pulling, resolving,
+  // downloading, analyzing, scanning, cataloging)
+  phase: job.state === 'running' && job.phase ? job.phase : job.state,
+  message: job.message,
+  queuePosition: jobQueue.positionOf(job),
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  ...(job.state === 'running' && job.pull && { pull: job.pull }),
+  ...(job.state === 'completed' && { result: job.result }),
+  ...((job.state === 'failed' || job.state === 'cancelled') && {
+    error: {
+      message: job.error.message,
+      status: failureStatusFor(job.error)
+    }
+  })
+});
+
 /**
  * GET /api/inspect/health
  * Check if inspection dependencies are available
@@ -43,13 +503,18 @@ router.get('/health', async (req, res) => {
       dependencies: {
         docker: {
           available: dockerAvailable,
-          version: dockerVersion?.Client?.Version || null
+          version: dockerVersion?.Client?.Version || dockerVersion?.Server?.Version || null
         },
         dive: {
           available: diveAvailable
         }
       },
-      activeInspections: inspectionProgress.size
+      activeInspections: inspectionProgress.size,
+      queue: {
+        concurrency: jobQueue.concurrency,
+        running: jobQueue.running,
+        queued: jobQueue.pending.length
+      }
     });
   } catch (error) {
     console.error('Health check error:', error);
@@ -84,6 +549,238 @@ router.get('/active', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/inspect/jobs
+ * List queued, running and recently finished inspection jobs (without results)
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = jobQueue.list().map((job) => {
+      const { result, ...summary } = serializeJob(job);
+      return summary;
+    });
+
+    res.json({
+      count: jobs.length,
+      concurrency: jobQueue.concurrency,
+      jobs
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to list inspection jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/inspect/jobs/:id
+ * State of one inspection job; includes the result once completed
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Inspection job not found',
+        id: req.params.id
+      });
+    }
+
+    res.json(serializeJob(job));
+  } catch (error) {
+    console.error(`Get job error for ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to get inspection job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/inspect/:imageName/platforms (and namespaced variants)
+ * Platform variants an image is published for, to analyze with ?platform=
+ */
+router.get(/^\/(.+?)\/platforms\/?$/, async (req, res) => {
+  const imageName = decodeURIComponent(req.params[0] || '');
+
+  try {
+    const validation = validateImageName(imageName);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid image name',
+        imageName,
+        message: validation.reason
+      });
+    }
+
+    const platforms = await dockerUtils.getImagePlatforms(imageName);
+    res.json({
+      imageName,
+      count: platforms.length,
+      platforms
+    });
+  } catch (error) {
+    console.error(`Platforms error for ${imageName}:`, error);
+    res.status(failureStatusFor(error)).json({
+      error: 'Failed to list image platforms',
+      imageName,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/inspect/:imageName/sbom (and namespaced variants)
+ * Software bill of materials built from the package databases in the image
+ * layers, as CycloneDX 1.5 (?format=cyclonedx, the default) or SPDX 2.3
+ * (?format=spdx) JSON. Runs (or attaches to) an inspection with the package
+ * catalog, reusing a stored one; ?platform and ?refresh work as for POST.
+ */
+router.get(/^\/(.+?)\/sbom\/?$/, async (req, res) => {
+  const imageName = decodeURIComponent(req.params[0] || '');
+  const format = req.query.format || 'cyclonedx';
+
+  try {
+    const validation = validateImageName(imageName);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid image name',
+        imageName,
+        message: validation.reason
+      });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(SBOM_FORMATS, format)) {
+      return res.status(400).json({
+        error: 'Invalid SBOM format',
+        imageName,
+        message: `format must be one of: ${Object.keys(SBOM_FORMATS).join(', ')}`
+      });
+    }
+
+    const platform = platformFromRequest(req);
+    if (!checkPlatform(res, imageName, platform)) {
+      return;
+    }
+
+    const { job } = startInspectionJob(imageName, { refresh: req.query.refresh === 'true', platform, sbom: true });
+    const result = await job.done;
+    const { contentType, extension, render } = SBOM_FORMATS[format];
+    const fileName = `${imageName.replace(/[^\w.-]+/g, '_')}.${extension}`;
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(JSON.stringify(render(result.analysis.sbom, { imageName, digest: result.digest }), null, 2));
+  } catch (error) {
+    console.error(`SBOM error for ${imageName}:`, error);
+    res.status(failureStatusFor(error)).json({
+      error: 'Failed to build SBOM',
+      imageName,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/inspect/:imageName/vulnerabilities (and namespaced variants)
+ * Match the image's packages (see .../sbom) against the advisory database
+ * imported with POST /api/advisories/import. Runs (or attaches to) an
+ * inspection with the package catalog; ?platform and ?refresh work as for POST.
+ */
+router.get(/^\/(.+?)\/vulnerabilities\/?$/, async (req, res) => {
+  const imageName = decodeURIComponent(req.params[0] || '');
+
+  try {
+    const validation = validateImageName(imageName);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid image name',
+        imageName,
+        message: validation.reason
+      });
+    }
+
+    const platform = platformFromRequest(req);
+    if (!checkPlatform(res, imageName, platform)) {
+      return;
+    }
+
+    const { job } = startInspectionJob(imageName, { refresh: req.query.refresh === 'true', platform, sbom: true });
+    const result = await job.done;
+
+    res.json({
+      success: true,
+      imageName,
+      digest: result.digest,
+      platform: result.platform,
+      ...await matchVulnerabilities(result.analysis.sbom)
+    });
+  } catch (error) {
+    console.error(`Vulnerability matching error for ${imageName}:`, error);
+    res.status(failureStatusFor(error)).json({
+      error: 'Failed to match vulnerabilities',
+      imageName,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/inspect/:imageName/report (and namespaced variants)
+ * Downloadable analysis report: the analysis JSON as the API returns it
+ * (?format=json, the default), the layer table as CSV (?format=csv), or a
+ * Markdown (?format=md) or self-contained HTML (?format=html) summary with
+ * the metrics, layers and inefficient files. Runs (or attaches to) an
+ * inspection, reusing a stored one; ?platform, ?source and ?refresh work as for POST.
+ */
+router.get(/^\/(.+?)\/report\/?$/, async (req, res) => {
+  const imageName = decodeURIComponent(req.params[0] || '');
+  const format = req.query.format || 'json';
+
+  try {
+    const validation = validateImageName(imageName);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid image name',
+        imageName,
+        message: validation.reason
+      });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(REPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: 'Invalid report format',
+        imageName,
+        message: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const platform = platformFromRequest(req);
+    const source = sourceFromRequest(req);
+    if (!checkPlatform(res, imageName, platform) || !checkSource(res, imageName, source)) {
+      return;
+    }
+
+    const { job } = startInspectionJob(imageName, { refresh: req.query.refresh === 'true', platform, source });
+    const result = await job.done;
+    const { contentType, extension, render } = REPORT_FORMATS[format];
+    const fileName = `${imageName.replace(/[^\w.-]+/g, '_')}.${extension}`;
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(render(result.analysis, { imageName, digest: result.digest, platform: result.platform }));
+  } catch (error) {
+    console.error(`Report error for ${imageName}:`, error);
+    res.status(failureStatusFor(error)).json({
+      error: 'Failed to build report',
+      imageName,
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/inspect/:imageName/status (and namespaced variants)
  * Get the status of an ongoing inspection (supports namespaced images)
@@ -100,7 +797,10 @@ router.get(/^\/(.+?)\/status\/?$/, async (req, res) => {
     }
 
     const decodedImageName = decodeURIComponent(imageName);
-    const progress = inspectionProgress.get(decodedImageName);
+    const progress = inspectionProgress.get(inspectionKey(decodedImageName, platformFromRequest(req), {
+      ...scansFromRequest(req),
+      source: sourceFromRequest(req)
+    }));
 
     if (!progress) {
       return res.status(404).json({
@@ -123,59 +823,226 @@ router.get(/^\/(.+?)\/status\/?$/, async (req, res) => {
   }
 });
 
+const cancelResponse = (job) => ({
+  success: true,
+  jobId: job.id,
+  imageName: job.imageName || job.key,
+  platform: job.platform || null,
+  state: job.state,
+  message: job.state === 'cancelled' ? 'Inspection cancelled' : 'Inspection cancelling'
+});
+
+/**
+ * DELETE /api/inspect/jobs/:id
+ * Cancel a queued or running inspection job, killing its docker pull or dive process
+ */
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const job = jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'No active inspection job with this id',
+        id: req.params.id
+      });
+    }
+
+    res.json(cancelResponse(job));
+  } catch (error) {
+    console.error(`Cancel job error for ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to cancel inspection',
+      message: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/inspect/:imageName*
- * Cancel an ongoing inspection (supports namespaced images)
+ * Cancel the active inspection of an image (supports namespaced images),
+ * killing its docker pull or dive process
  */
 router.delete('/:imageName*',
   async (req, res) => {
     try {
-      // Reconstruct the full image name from params
-      let imageName = req.params.imageName;
-      if (req.params[0]) {
-        imageName += req.params[0];
-      }
+      const decodedImageName = getImageNameFromRequest(req);
 
-      if (!imageName || imageName.trim().length === 0) {
+      if (!decodedImageName || decodedImageName.trim().length === 0) {
         return res.status(400).json({
           error: 'Image name is required',
           path: req.path
         });
       }
 
-      const decodedImageName = decodeURIComponent(imageName);
-      const progress = inspectionProgress.get(decodedImageName);
+      const activeJob = jobQueue.findActive(inspectionKey(decodedImageName, platformFromRequest(req), {
+        ...scansFromRequest(req),
+        source: sourceFromRequest(req)
+      }));
 
-      if (!progress) {
+      if (!activeJob) {
         return res.status(404).json({
           error: 'No inspection in progress for this image',
           imageName: decodedImageName
         });
       }
 
-      // Remove from progress tracking
-      inspectionProgress.delete(decodedImageName);
-
-      // Notify via WebSocket
-      const inspectionSockets = req.app.get('inspectionSockets');
-      const socket = inspectionSockets.get(decodedImageName);
-      if (socket) {
-        socket.emit('inspection-cancelled', {
-          imageName: decodedImageName,
-          message: 'Inspection cancelled by user'
+      res.json(cancelResponse(jobQueue.cancel(activeJob.id)));
+
+    } catch (error) {
+      console.error(`Cancel inspection error for ${req.path}:`, error);
+      res.status(500).json({
+        error: 'Failed to cancel inspection',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/inspect/compare
+ * Compare two images (or two tags of one image, or two platform variants) layer by layer.
+ * Body: { base: 'app:1.0', target: 'app:1.1', basePlatform?, targetPlatform?, refresh?: boolean }
+ */
+router.post('/compare', async (req, res) => {
+  const { base, target, basePlatform, targetPlatform, refresh } = req.body || {};
+
+  try {
+    for (const [field, imageName] of [['base', base], ['target', target]]) {
+      if (typeof imageName !== 'string' || !imageName.trim()) {
+        return res.status(400).json({
+          error: `Image name is required for ${field}`
         });
       }
 
-      res.json({
+      const validation = validateImageName(imageName);
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Invalid image name',
+          imageName,
+          message: validation.reason
+        });
+      }
+    }
+
+    if (!checkPlatform(res, base, basePlatform || undefined) || !checkPlatform(res, target, targetPlatform || undefined)) {
+      return;
+    }
+
+    console.log(`Comparing images: ${base} -> ${target}`);
+
+    // Both analyses go through the job queue so they count toward the concurrency limit
+    const [baseResult, targetResult] = await Promise.all([
+      startInspectionJob(base, { refresh: refresh === true, platform: basePlatform || undefined }).job.done,
+      startInspectionJob(target, { refresh: refresh === true, platform: targetPlatform || undefined }).job.done
+    ]);
+
+    const summarize = (imageName, result) => ({
+      imageName,
+      digest: result.digest,
+      platform: result.platform || null,
+      analysisId: result.analysisId
+    });
+
+    res.json({
+      success: true,
+      base: summarize(base, baseResult),
+      target: summarize(target, targetResult),
+      comparison: compareAnalyses(baseResult.analysis, targetResult.analysis),
+      completedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Compare error for ${base} -> ${target}:`, error);
+    res.status(failureStatusFor(error)).json({
+      error: 'Failed to compare images',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/inspect/:imageName/evaluate (and namespaced variants)
+ * Check an image against dive's CI rules (lowestEfficiency, highestWastedBytes,
+ * highestUserWastedPercent). Responds 200 when every rule passes and 422 when
+ * any rule fails; the verdict field says the same for clients that ignore status.
+ * ?format=sarif or ?format=junit sends the verdict and the optimization advice
+ * as a SARIF log or JUnit XML download instead, with the same status.
+ */
+router.post(/^\/(.+?)\/evaluate\/?$/,
+  express.text({ type: ['text/*', 'application/yaml', 'application/x-yaml'] }),
+  async (req, res) => {
+    const imageName = decodeURIComponent(req.params[0] || '');
+    const format = req.query.format || 'json';
+
+    try {
+      const validation = validateImageName(imageName);
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Invalid image name',
+          imageName,
+          message: validation.reason
+        });
+      }
+
+      if (format !== 'json' && !Object.prototype.hasOwnProperty.call(EVALUATION_FORMATS, format)) {
+        return res.status(400).json({
+          error: 'Invalid evaluation format',
+          imageName,
+          message: `format must be one of: json, ${Object.keys(EVALUATION_FORMATS).join(', ')}`
+        });
+      }
+
+      let thresholds;
+      try {
+        thresholds = normalizeRules(rulesFromRequest(req.body));
+      } catch (rulesError) {
+        return res.status(400).json({
+          error: 'Invalid CI rules',
+          imageName,
+          message: rulesError.message
+        });
+      }
+
+      const platform = platformFromRequest(req);
+      const source = sourceFromRequest(req);
+      if (!checkPlatform(res, imageName, platform) || !checkSource(res, imageName, source)) {
+        return;
+      }
+
+      const { job } = startInspectionJob(imageName, { refresh: req.query.refresh === 'true', platform, source });
+      const result = await job.done;
+      const evaluation = evaluateRules(result.analysis, thresholds);
+      const status = evaluation.verdict === 'pass' ? 200 : 422;
+
+      if (format !== 'json') {
+        const { contentType, extension, render } = EVALUATION_FORMATS[format];
+        const fileName = `${imageName.replace(/[^\w.-]+/g, '_')}.${extension}`;
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.status(status).send(render(evaluation, result.analysis, {
+          imageName,
+          digest: result.digest,
+          platform: result.platform,
+          completedAt: result.completedAt
+        }));
+      }
+
+      res.status(status).json({
         success: true,
-        imageName: decodedImageName,
-        message: 'Inspection cancelled'
+        imageName,
+        verdict: evaluation.verdict,
+        passed: evaluation.verdict === 'pass',
+        rules: evaluation.rules,
+        metrics: evaluation.metrics,
+        analysisId: result.analysisId,
+        digest: result.digest,
+        platform: result.platform,
+        cached: result.cached,
+        completedAt: result.completedAt
       });
-
     } catch (error) {
-      console.error(`Cancel inspection error for ${req.path}:`, error);
-      res.status(500).json({
-        error: 'Failed to cancel inspection',
+      console.error(`Evaluate error for ${imageName}:`, error);
+      res.status(failureStatusFor(error)).json({
+        error: 'Failed to evaluate image',
+        imageName,
         message: error.message
       });
     }
@@ -184,7 +1051,15 @@ router.delete('/:imageName*',
 
 /**
  * POST /api/inspect/:imageName*
- * Analyze a Docker image using dive (supports images with slashes in names)
+ * Queue an analysis of a Docker image (supports images with slashes in names).
+ * Responds 202 with a job id to poll at GET /api/inspect/jobs/:id; a request
+ * for an image that already has a queued or running job attaches to that job.
+ * A stored analysis for the same image digest is reused unless ?refresh=true.
+ * ?platform=os/arch[/variant] pulls and analyzes that variant of a multi-arch image.
+ * ?secrets=true also scans every layer, deleted files included, for secrets.
+ * ?sbom=true also catalogs the installed packages (see GET .../sbom).
+ * ?source=registry reads the layers straight from the registry instead of
+ * pulling the image into the daemon (no secret scan or package catalog).
  * IMPORTANT: This wildcard route must be LAST to avoid conflicts
  */
 router.post('/:imageName*',
@@ -208,136 +1083,41 @@ router.post('/:imageName*',
         });
       }
 
-      console.log(`Starting inspection for image: ${decodedImageName}`);
-
-      // Get WebSocket connections for real-time updates
-      const io = req.app.get('io');
-      const inspectionSockets = req.app.get('inspectionSockets');
-      const socket = inspectionSockets.get(decodedImageName);
-
-      // Initialize progress tracking
-      inspectionProgress.set(decodedImageName, {
-        status: 'starting',
-        progress: 0,
-        message: 'Initializing analysis...',
-        startTime: new Date()
-      });
-
-      const progressCallback = (update) => {
-        // Update progress tracking
-        inspectionProgress.set(decodedImageName, {
-          ...inspectionProgress.get(decodedImageName),
-          ...update,
-          lastUpdate: new Date()
-        });
-
-        // Send real-time update via WebSocket
-        if (socket) {
-          socket.emit('inspection-update', {
-            imageName: decodedImageName,
-            ...update
-          });
-        }
-      };
-
-      // Check if Docker is available
-      const dockerAvailable = await dockerUtils.isDockerAvailable();
-      if (!dockerAvailable) {
-        throw new Error('Docker is not available or not accessible');
-      }
-
-      // Check if dive is available
-      const diveAvailable = await diveUtils.isDiveAvailable();
-      if (!diveAvailable) {
-        throw new Error('Dive tool is not available');
+      const platform = platformFromRequest(req);
+      if (!checkPlatform(res, decodedImageName, platform)) {
+        return;
       }
-
-      // Step 1: Check if image exists locally, if not pull it
-      progressCallback({
-        status: 'checking',
-        progress: 10,
-        message: 'Checking if image exists locally...'
-      });
-
-      const imageExists = await dockerUtils.imageExists(decodedImageName);
 
-      if (!imageExists) {
-        progressCallback({
-          status: 'pulling',
-          progress: 20,
-          message: 'Image not found locally, pulling from registry...'
-        });
-
-        await dockerUtils.pullImage(decodedImageName, (pullUpdate) => {
-          progressCallback({
-            status: 'pulling',
-            progress: Math.min(20 + (pullUpdate.progress || 0) * 0.4, 60), // 20-60%
-            message: pullUpdate.message || 'Pulling image...'
-          });
-        });
+      const scans = scansFromRequest(req);
+      const source = sourceFromRequest(req);
+      if (!checkSource(res, decodedImageName, source, scans)) {
+        return;
       }
-
-      // Step 2: Run dive analysis
-      progressCallback({
-        status: 'analyzing',
-        progress: 60,
-        message: 'Starting dive analysis...'
-      });
 
-      const analysis = await diveUtils.executeDive(decodedImageName);
-
-      progressCallback({
-        status: 'analyzing',
-        progress: 95,
-        message: 'Processing analysis results...'
-      });
-
-      // Step 3: Complete analysis
-      progressCallback({
-        status: 'complete',
-        progress: 100,
-        message: 'Analysis complete!'
+      const { job, attached } = startInspectionJob(decodedImageName, {
+        refresh: req.query.refresh === 'true',
+        platform,
+        ...scans,
+        source
       });
 
-      // Clean up progress tracking
-      setTimeout(() => {
-        inspectionProgress.delete(decodedImageName);
-      }, 300000); // Keep for 5 minutes
-
-      res.json({
+      const statusUrl = `${req.baseUrl}/jobs/${job.id}`;
+      res.status(202).location(statusUrl).json({
         success: true,
+        jobId: job.id,
         imageName: decodedImageName,
-        analysis,
-        completedAt: new Date().toISOString()
+        platform: platform || null,
+        ...scans,
+        source,
+        state: job.state,
+        attached,
+        statusUrl
       });
 
     } catch (error) {
       console.error(`Inspection error for ${req.params.imageName}:`, error);
-
-      const decodedImageName = getImageNameFromRequest(req);
-
-      // Update progress with error
-      inspectionProgress.set(decodedImageName, {
-        status: 'error',
-        progress: 0,
-        message: error.message,
-        error: error.message,
-        errorTime: new Date()
-      });
-
-      // Send error via WebSocket
-      const inspectionSockets = req.app.get('inspectionSockets');
-      const socket = inspectionSockets.get(decodedImageName);
-      if (socket) {
-        socket.emit('inspection-error', {
-          imageName: decodedImageName,
-          error: error.message
-        });
-      }
-
-      res.status(failureStatusFor(error)).json({
-        error: 'Failed to inspect image',
-        imageName: decodedImageName,
+      res.status(500).json({
+        error: 'Failed to queue inspection',
         message: error.message
       });
     }
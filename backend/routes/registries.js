@@ -0,0 +1,181 @@
+const express = require('express');
+const adminAuth = require('../middleware/admin-auth');
+const registryCredentials = require('../utils/registry-credentials');
+const { RegistryClient } = require('../utils/registry');
+
+const router = express.Router();
+
+router.use(adminAuth);
+
+// Store errors by message: the store being off, or input it refuses
+const errorStatusFor = (error) => {
+  const message = error.message || '';
+  if (/credential store disabled/.test(message)) {
+    return 503;
+  }
+  if (/^Invalid (registry|credentials|docker config)/.test(message)) {
+    return 400;
+  }
+  return 500;
+};
+
+const sendError = (res, error, label) => {
+  const status = errorStatusFor(error);
+  if (status === 500) {
+    console.error(`${label}:`, error);
+  }
+  res.status(status).json({
+    error: status === 500 ? label : error.message.split(':')[0],
+    message: error.message
+  });
+};
+
+// The secret may be sent as password or token
+const secretFrom = (body) => (body && (body.password || body.token)) || undefined;
+
+/**
+ * GET /api/admin/registries
+ * Registries with stored credentials: username, timestamps and the last test
+ * result; never the secrets
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      enabled: registryCredentials.isEnabled(),
+      registries: registryCredentials.list()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list registry credentials');
+  }
+});
+
+/**
+ * POST /api/admin/registries/import
+ * Import the auths entries of a docker config.json fragment
+ * ({ "auths": { "<registry>": { "auth": "<base64 user:password>" } } }).
+ * Entries using identity tokens or credential helpers are reported as skipped.
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const { imported, skipped } = await registryCredentials.importDockerConfig(req.body);
+    res.json({
+      success: imported.length > 0,
+      imported,
+      skipped
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to import registry credentials');
+  }
+});
+
+/**
+ * PUT /api/admin/registries/:registry
+ * Store the credentials of a registry host (e.g. ghcr.io, registry.internal:5000
+ * or docker.io): { username, password } or { username, token }. Replaces any
+ * stored before; 201 when the registry is new.
+ */
+router.put('/:registry', async (req, res) => {
+  try {
+    const { created, registry } = await registryCredentials.set(req.params.registry, {
+      username: req.body && req.body.username,
+      password: secretFrom(req.body)
+    });
+    res.status(created ? 201 : 200).json({
+      success: true,
+      registry
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to store registry credentials');
+  }
+});
+
+/**
+ * POST /api/admin/registries/:registry/rotate
+ * Replace the password or token ({ password } or { token }, optionally a new
+ * username) of stored credentials
+ */
+router.post('/:registry/rotate', async (req, res) => {
+  try {
+    const registry = await registryCredentials.rotate(req.params.registry, {
+      username: req.body && req.body.username,
+      password: secretFrom(req.body)
+    });
+    if (!registry) {
+      return res.status(404).json({
+        error: 'Registry credentials not found',
+        registry: req.params.registry
+      });
+    }
+    res.json({
+      success: true,
+      registry
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to rotate registry credentials');
+  }
+});
+
+/**
+ * POST /api/admin/registries/:registry/test
+ * Log in to the registry with the stored credentials, as docker login does,
+ * and record the outcome. A refused login answers 200 with ok: false.
+ */
+router.post('/:registry/test', async (req, res) => {
+  try {
+    registryCredentials.assertEnabled();
+    const credentials = registryCredentials.get(req.params.registry);
+    if (!credentials) {
+      return res.status(404).json({
+        error: 'Registry credentials not found',
+        registry: req.params.registry
+      });
+    }
+
+    let result;
+    try {
+      const client = new RegistryClient(null, { registry: credentials.registry, credentials });
+      const { authenticated } = await client.checkLogin();
+      result = {
+        ok: true,
+        message: authenticated
+          ? `Logged in to ${credentials.registry} as ${credentials.username}`
+          : `${credentials.registry} allows anonymous access; the credentials were not checked`
+      };
+    } catch (error) {
+      result = { ok: false, message: error.message };
+    }
+
+    const registry = await registryCredentials.recordTest(credentials.registry, result);
+    res.json({
+      ...result,
+      registry
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to test registry credentials');
+  }
+});
+
+/**
+ * DELETE /api/admin/registries/:registry
+ * Delete the stored credentials of a registry
+ */
+router.delete('/:registry', async (req, res) => {
+  try {
+    const removed = await registryCredentials.remove(req.params.registry);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Registry credentials not found',
+        registry: req.params.registry
+      });
+    }
+    res.json({
+      success: true,
+      registry: req.params.registry,
+      message: 'Registry credentials deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete registry credentials');
+  }
+});
+
+module.exports = router;
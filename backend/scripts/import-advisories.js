@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Import OSV advisories into the local advisory database used for vulnerability matching.
+// Usage: node scripts/import-advisories.js <file-or-directory> [--replace]
+//   <file-or-directory>  An OSV JSON file (one advisory or an array), a .jsonl
+//                        file, or a directory of them such as an extracted
+//                        https://osv-vulnerabilities.storage.googleapis.com/<ecosystem>/all.zip
+//   --replace            Drop previously imported advisories first
+// The database lives in ADVISORY_DB_DIR (default backend/temp/advisories).
+
+const path = require('path');
+require('dotenv').config();
+const advisoryDb = require('../utils/advisory-db');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const source = args.find((arg) => !arg.startsWith('--'));
+  if (!source) {
+    console.error('Usage: node scripts/import-advisories.js <file-or-directory> [--replace]');
+    process.exit(2);
+  }
+
+  const summary = await advisoryDb.importFrom(path.resolve(source), { replace: args.includes('--replace') });
+  console.log(`Imported ${summary.imported} advisories (${summary.withdrawn} withdrawn, ${summary.skipped} skipped) for ${summary.ecosystems.join(', ') || 'no ecosystems'}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
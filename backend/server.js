@@ -10,6 +10,9 @@ const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs');
 const { attachTerminalServer } = require('./ws/terminal');
+const { attachInspectionServer } = require('./ws/inspect');
+const inspectionEvents = require('./utils/inspection-events');
+const { validateImageName } = require('./utils/image-name');
 const dockerUtils = require('./utils/docker');
 require('dotenv').config();
 
@@ -33,9 +36,14 @@ const killAllPTYs = () => {
 const searchRoutes = require('./routes/search');
 const inspectRoutes = require('./routes/inspect');
 const imagesRoutes = require('./routes/images');
+const analysesRoutes = require('./routes/analyses');
+const advisoriesRoutes = require('./routes/advisories');
+const badgesRoutes = require('./routes/badges');
+const registriesRoutes = require('./routes/registries');
 
 // Import middleware
 const corsMiddleware = require('./middleware/cors');
+const { createInspectLimiter } = require('./middleware/inspect-limiter');
 
 const app = express();
 const server = http.createServer(app);
@@ -84,14 +92,8 @@ if (process.env.NODE_ENV === 'production') {
 
 // Disabled inspection rate limiting for development
 if (process.env.NODE_ENV === 'production') {
-  const inspectLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 10, // limit each IP to 10 inspections per hour
-    message: {
-      error: 'Too many inspection requests, please try again later.'
-    }
-  });
-  app.use('/api/inspect', inspectLimiter);
+  // 10 inspections per IP and hour; nginx strips /api, so both mounts count
+  app.use(['/inspect', '/api/inspect'], createInspectLimiter());
 }
 
 // CORS middleware - DISABLED FOR DEV SPEED
@@ -145,43 +147,65 @@ if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
 
-// Store WebSocket connections for real-time updates
-const inspectionSockets = new Map();
+// socket.io clients get the same inspection messages as /ws/inspect, under
+// the event names the API has always used
+const SOCKET_EVENTS = {
+  progress: 'inspection-update',
+  complete: 'inspection-complete',
+  error: 'inspection-error',
+  cancelled: 'inspection-cancelled'
+};
+const inspectionRoom = (imageName) => `inspect:${imageName}`;
 
 // WebSocket connection handling
 io.on('connection', (socket) => {
   console.log('WebSocket client connected:', socket.id);
 
   socket.on('subscribe', (data) => {
-    const { imageName } = data;
-    if (imageName) {
-      inspectionSockets.set(imageName, socket);
+    const imageName = data && data.imageName;
+    if (typeof imageName === 'string' && validateImageName(imageName).valid) {
+      socket.join(inspectionRoom(imageName));
       console.log(`Subscribed to inspection updates for: ${imageName}`);
+      const current = inspectionEvents.current(imageName);
+      if (current) {
+        socket.emit(SOCKET_EVENTS.progress, current);
+      }
+    }
+  });
+
+  socket.on('unsubscribe', (data) => {
+    if (data && typeof data.imageName === 'string') {
+      socket.leave(inspectionRoom(data.imageName));
     }
   });
 
   socket.on('disconnect', () => {
+    // socket.io drops the socket from its rooms on its own
     console.log('WebSocket client disconnected:', socket.id);
-    // Remove socket from all subscriptions
-    for (const [imageName, s] of inspectionSockets.entries()) {
-      if (s.id === socket.id) {
-        inspectionSockets.delete(imageName);
-      }
-    }
   });
 });
 
+inspectionEvents.on('message', (message) => {
+  io.to(inspectionRoom(message.imageName)).emit(SOCKET_EVENTS[message.type], message);
+});
+
 // Raw WebSocket bridge for interactive dive terminal sessions
 attachTerminalServer(server, { activePTYs });
 
+// Raw WebSocket feed of inspection progress
+attachInspectionServer(server);
+
 // Make io available to routes
 app.set('io', io);
-app.set('inspectionSockets', inspectionSockets);
 
 // API routes - mount without /api prefix since nginx strips it
 app.use('/search', searchRoutes);
 app.use('/inspect', inspectRoutes);
 app.use('/images', imagesRoutes);
+app.use('/analyses', analysesRoutes);
+app.use('/advisories', advisoriesRoutes);
+app.use('/badges', badgesRoutes);
+app.use('/admin/registries', registriesRoutes);
 
 const buildHealthResponse = async () => {
   let dockerAvailable = false;
@@ -230,6 +254,10 @@ app.get('/health', async (req, res) => {
 app.use('/api/search', searchRoutes);
 app.use('/api/inspect', inspectRoutes);
 app.use('/api/images', imagesRoutes);
+app.use('/api/analyses', analysesRoutes);
+app.use('/api/advisories', advisoriesRoutes);
+app.use('/api/badges', badgesRoutes);
+app.use('/api/admin/registries', registriesRoutes);
 
 // Add /api/health back for backward compatibility (tests expect this)
 app.get('/api/health', async (req, res) => {
@@ -274,7 +302,9 @@ if (process.env.NODE_ENV === 'production') {
         images: '/api/images/local',
         pull: '/api/images/pull',
         upload: '/api/images/upload',
-        terminal: '/ws/terminal?image=<imageName>'
+        analyses: '/api/analyses',
+        terminal: '/ws/terminal?image=<imageName>',
+        inspectProgress: '/ws/inspect'
       }
     });
   });
@@ -0,0 +1,128 @@
+const { adviseImage, replayLayers } = require('../utils/advisor');
+
+const file = (path, size, status = 'added') => ({ path, type: 'file', size, status });
+const dir = (path, status = 'added') => ({ path, type: 'dir', size: 0, status });
+
+const layer = (index, command, files = [], size = 0) => ({ id: `sha256:${index}`, index, command, size, files });
+
+const byRule = (advice, rule) => advice.findings.filter((finding) => finding.rule === rule);
+
+describe('Dockerfile optimization advisor', () => {
+  test('replayLayers tracks surviving files and files a later layer deletes', () => {
+    const { final, deleted } = replayLayers([
+      layer(0, 'ADD rootfs /', [dir('/tmp'), file('/tmp/build/a.o', 10), file('/tmp/build/b.o', 20), file('/bin/sh', 5)]),
+      layer(1, 'RUN rm -rf /tmp/build', [file('/tmp/build', 0, 'removed')])
+    ]);
+
+    expect(final).toEqual([{ path: '/bin/sh', size: 5, layer: 0 }]);
+    expect(deleted).toEqual([
+      { path: '/tmp/build/a.o', size: 10, layer: 0, removedBy: 1 },
+      { path: '/tmp/build/b.o', size: 20, layer: 0, removedBy: 1 }
+    ]);
+  });
+
+  test('flags package manager caches left in the final image', () => {
+    const advice = adviseImage([
+      layer(0, 'RUN /bin/sh -c apt-get update && apt-get install -y curl # buildkit', [
+        file('/var/lib/apt/lists/deb.debian.org_dists_bookworm_InRelease', 150000),
+        file('/var/lib/apt/lists/deb.debian.org_dists_bookworm_main_binary-amd64_Packages.lz4', 9000000),
+        file('/usr/bin/curl', 250000)
+      ]),
+      layer(1, 'RUN /bin/sh -c pip install flask # buildkit', [file('/root/.cache/pip/http/a/b/c', 4000000)])
+    ]);
+
+    expect(byRule(advice, 'package-cache')).toEqual([
+      expect.objectContaining({
+        title: 'apt cache left in the image',
+        layerIndex: 0,
+        layerId: 'sha256:0',
+        command: 'RUN /bin/sh -c apt-get update && apt-get install -y curl # buildkit',
+        estimatedSavings: 9150000,
+        savings: 'image',
+        fileCount: 2,
+        paths: [
+          '/var/lib/apt/lists/deb.debian.org_dists_bookworm_main_binary-amd64_Packages.lz4',
+          '/var/lib/apt/lists/deb.debian.org_dists_bookworm_InRelease'
+        ],
+        fix: expect.stringContaining('rm -rf /var/lib/apt/lists/*')
+      }),
+      expect.objectContaining({ title: 'pip cache left in the image', layerIndex: 1, estimatedSavings: 4000000 })
+    ]);
+    expect(advice.totalSavings).toBe(13150000);
+  });
+
+  test('flags files added in one layer and deleted in a later one', () => {
+    const advice = adviseImage([
+      layer(0, 'COPY app.tar.gz /tmp/ # buildkit', [dir('/tmp'), file('/tmp/app.tar.gz', 30000000)]),
+      layer(1, 'RUN /bin/sh -c tar xzf /tmp/app.tar.gz -C /opt # buildkit', [file('/opt/app', 60000000)]),
+      layer(2, 'RUN /bin/sh -c rm /tmp/app.tar.gz # buildkit', [file('/tmp/app.tar.gz', 30000000, 'removed')])
+    ]);
+
+    expect(byRule(advice, 'deleted-later')).toEqual([
+      expect.objectContaining({
+        title: 'Files deleted by layer #3 still ship in layer #1',
+        layerIndex: 0,
+        estimatedSavings: 30000000,
+        paths: ['/tmp/app.tar.gz'],
+        removedBy: expect.objectContaining({ layerIndex: 2, command: 'RUN /bin/sh -c rm /tmp/app.tar.gz # buildkit' }),
+        fix: expect.stringContaining('same RUN instruction')
+      })
+    ]);
+  });
+
+  test('flags COPY . . placed before a dependency install', () => {
+    const advice = adviseImage([
+      layer(0, 'WORKDIR /app'),
+      layer(1, 'COPY . . # buildkit', [file('/app/package.json', 800)], 800),
+      layer(2, 'RUN /bin/sh -c npm ci --omit=dev # buildkit', [file('/app/node_modules/x/index.js', 52000000)], 52000000)
+    ]);
+
+    expect(byRule(advice, 'copy-before-install')).toEqual([
+      expect.objectContaining({
+        layerIndex: 1,
+        estimatedSavings: 52000000,
+        savings: 'rebuild',
+        install: expect.objectContaining({ layerIndex: 2 }),
+        fix: expect.stringContaining('COPY package*.json ./')
+      })
+    ]);
+    // Rebuild savings don't shrink the image
+    expect(advice.totalSavings).toBe(0);
+  });
+
+  test('manifests copied before the install are fine', () => {
+    const advice = adviseImage([
+      layer(0, 'COPY package.json package-lock.json ./ # buildkit'),
+      layer(1, 'RUN /bin/sh -c npm ci # buildkit'),
+      layer(2, 'COPY . . # buildkit')
+    ]);
+
+    expect(byRule(advice, 'copy-before-install')).toEqual([]);
+  });
+
+  test('flags build toolchains left in the final image', () => {
+    const advice = adviseImage([
+      layer(0, 'RUN /bin/sh -c apt-get install -y build-essential # buildkit', [
+        file('/usr/bin/x86_64-linux-gnu-gcc-12', 900000),
+        file('/usr/lib/gcc/x86_64-linux-gnu/12/cc1', 30000000),
+        file('/usr/bin/gcc', 0)
+      ]),
+      layer(1, 'COPY /usr/local/go /usr/local/go # buildkit', [file('/usr/local/go/src/fmt/print.go', 100)])
+    ]);
+
+    expect(byRule(advice, 'build-toolchain')).toEqual([
+      expect.objectContaining({
+        title: 'GCC build toolchain in the final image',
+        layerIndex: 0,
+        estimatedSavings: 30900000,
+        fileCount: 3,
+        fix: expect.stringContaining('COPY --from=builder')
+      })
+    ]);
+  });
+
+  test('a clean image gets no findings', () => {
+    expect(adviseImage([layer(0, 'ADD rootfs /', [file('/bin/busybox', 900000)])])).toEqual({ findings: [], totalSavings: 0 });
+    expect(adviseImage([])).toEqual({ findings: [], totalSavings: 0 });
+  });
+});
@@ -0,0 +1,98 @@
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs-extra');
+const path = require('path');
+const { advisories } = require('./osv-fixture');
+
+const advisoriesRoutes = require('../routes/advisories');
+
+const app = express();
+app.use(express.json());
+app.use('/advisories', advisoriesRoutes);
+
+const uploadsDir = path.join(__dirname, '..', 'temp', 'uploads');
+const uploadedAdvisoryFiles = async () => (await fs.readdir(uploadsDir)).filter((name) => name.startsWith('advisories-'));
+
+const ADMIN = 'Bearer admin-secret';
+
+describe('Advisory routes', () => {
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'admin-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  test('POST /import needs the admin token and stores no upload without it', async () => {
+    await request(app)
+      .post('/advisories/import?replace=true')
+      .attach('advisories', Buffer.from(JSON.stringify(advisories)), 'osv-all.json')
+      .expect(401);
+
+    delete process.env.ADMIN_TOKEN;
+    await request(app)
+      .post('/advisories/import?replace=true')
+      .set('Authorization', ADMIN)
+      .attach('advisories', Buffer.from(JSON.stringify(advisories)), 'osv-all.json')
+      .expect(503);
+
+    expect(await uploadedAdvisoryFiles()).toEqual([]);
+    const status = await request(app).get('/advisories').expect(200);
+    expect(status.body).toEqual({ imported: false });
+  });
+
+  test('GET / reports an empty database before the first import', async () => {
+    const response = await request(app).get('/advisories').expect(200);
+
+    expect(response.body).toEqual({ imported: false });
+  });
+
+  test('POST /import imports an uploaded OSV file and removes the upload', async () => {
+    const response = await request(app)
+      .post('/advisories/import?replace=true')
+      .set('Authorization', ADMIN)
+      .attach('advisories', Buffer.from(JSON.stringify(advisories)), 'osv-all.json')
+      .expect(200);
+
+    expect(response.body).toMatchObject({ success: true, source: 'osv-all.json', imported: 7, withdrawn: 0 });
+    expect(await uploadedAdvisoryFiles()).toEqual([]);
+
+    const status = await request(app).get('/advisories').expect(200);
+    expect(status.body).toMatchObject({ imported: true, advisoryCount: 7, ecosystems: { Debian: 2, npm: 2 } });
+  });
+
+  test('POST /import accepts JSON lines', async () => {
+    const lines = advisories.slice(0, 2).map((advisory) => JSON.stringify(advisory)).join('\n');
+
+    const response = await request(app)
+      .post('/advisories/import?replace=true')
+      .set('Authorization', ADMIN)
+      .attach('advisories', Buffer.from(lines), 'debian.jsonl')
+      .expect(200);
+
+    expect(response.body).toMatchObject({ imported: 2, ecosystems: ['Debian'] });
+  });
+
+  test('POST /import rejects missing files, other file types and malformed advisories', async () => {
+    const missing = await request(app).post('/advisories/import').set('Authorization', ADMIN).expect(400);
+    expect(missing.body.error).toBe('No advisory file uploaded');
+
+    const type = await request(app)
+      .post('/advisories/import')
+      .set('Authorization', ADMIN)
+      .attach('advisories', Buffer.from('id,package'), 'advisories.csv')
+      .expect(400);
+    expect(type.body.error).toBe('Invalid file type');
+
+    const malformed = await request(app)
+      .post('/advisories/import')
+      .set('Authorization', ADMIN)
+      .attach('advisories', Buffer.from('{ "id": '), 'broken.json')
+      .expect(400);
+    expect(malformed.body.error).toBe('Failed to import advisories');
+    // The message names the uploaded file, not the path it was saved under
+    expect(malformed.body.message).toMatch(/^Failed to read advisories from broken\.json: /);
+    expect(await uploadedAdvisoryFiles()).toEqual([]);
+  });
+});
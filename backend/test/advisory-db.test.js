@@ -0,0 +1,126 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { advisories, osvAdvisory, CRITICAL_VECTOR } = require('./osv-fixture');
+
+describe('Advisory database', () => {
+  let dbDir;
+  let sourceDir;
+  let advisoryDb;
+
+  beforeEach(async () => {
+    dbDir = await fs.mkdtemp(path.join(os.tmpdir(), 'advisory-db-test-'));
+    sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'advisory-source-test-'));
+    process.env.ADVISORY_DB_DIR = dbDir;
+    jest.isolateModules(() => {
+      advisoryDb = require('../utils/advisory-db');
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dbDir);
+    await fs.remove(sourceDir);
+  });
+
+  const writeDump = async (records) => {
+    // An extracted OSV dump holds one file per advisory, possibly in subdirectories
+    await Promise.all(records.map((record, index) => fs.outputJson(path.join(sourceDir, index % 2 ? 'nested' : '', `${record.id}.json`), record)));
+  };
+
+  test('is empty before the first import', async () => {
+    expect(await advisoryDb.status()).toBeNull();
+    expect(await advisoryDb.advisoriesFor('npm', 'express')).toEqual([]);
+  });
+
+  test('imports a directory of OSV files and indexes them by ecosystem and package', async () => {
+    await writeDump(advisories);
+
+    const summary = await advisoryDb.importFrom(sourceDir);
+
+    expect(summary).toMatchObject({
+      source: sourceDir,
+      imported: 7,
+      withdrawn: 0,
+      skipped: 0,
+      ecosystems: ['Alpine', 'Debian', 'Go', 'PyPI', 'npm']
+    });
+    expect(await advisoryDb.status()).toMatchObject({
+      advisoryCount: 7,
+      ecosystems: { Debian: 2, npm: 2, PyPI: 1, Go: 1, Alpine: 1 }
+    });
+    expect((await advisoryDb.advisoriesFor('Debian', 'glibc')).map((advisory) => advisory.id)).toEqual(['DSA-0001-1', 'DSA-0002-1']);
+    // PyPI names are normalized on both sides
+    expect(await advisoryDb.advisoriesFor('PyPI', 'requests')).toHaveLength(1);
+  });
+
+  test('derives severity from CVSS v3 vectors or the database rating', async () => {
+    await writeDump(advisories);
+    await advisoryDb.importFrom(sourceDir);
+
+    const [glibc] = await advisoryDb.advisoriesFor('Debian', 'glibc');
+    const express = await advisoryDb.advisoriesFor('npm', 'express');
+    const [stdlib] = await advisoryDb.advisoriesFor('Go', 'stdlib');
+
+    expect(glibc).toMatchObject({ severity: 'critical', score: 9.8, aliases: ['CVE-2026-0001'], references: ['https://osv.dev/vulnerability/DSA-0001-1'] });
+    expect(express.map((advisory) => [advisory.severity, advisory.score])).toEqual([['medium', null], ['high', null]]);
+    expect(stdlib).toMatchObject({ severity: 'medium', score: 5.9 });
+  });
+
+  test('survives a reload from disk', async () => {
+    await writeDump(advisories);
+    await advisoryDb.importFrom(sourceDir);
+
+    let reloaded;
+    jest.isolateModules(() => {
+      reloaded = require('../utils/advisory-db');
+    });
+
+    expect(await reloaded.advisoriesFor('npm', 'express')).toHaveLength(2);
+    expect((await reloaded.status()).advisoryCount).toBe(7);
+  });
+
+  test('later imports update advisories by id and drop withdrawn ones', async () => {
+    await writeDump(advisories);
+    await advisoryDb.importFrom(sourceDir);
+
+    const updates = path.join(sourceDir, 'updates.jsonl');
+    await fs.writeFile(updates, [
+      osvAdvisory({ id: 'GHSA-aaaa-bbbb-cccc', ecosystem: 'npm', name: 'express', events: [{ introduced: '4.0.0' }, { fixed: '4.20.0' }], severity: CRITICAL_VECTOR }),
+      osvAdvisory({ id: 'GHSA-dddd-eeee-ffff', ecosystem: 'npm', name: 'express', withdrawn: '2026-02-01T00:00:00Z' }),
+      { not: 'an advisory' }
+    ].map((record) => JSON.stringify(record)).join('\n'));
+
+    const summary = await advisoryDb.importFrom(updates);
+
+    expect(summary).toMatchObject({ imported: 1, withdrawn: 1, skipped: 1, ecosystems: ['npm'] });
+    expect(await advisoryDb.advisoriesFor('npm', 'express')).toEqual([
+      expect.objectContaining({ id: 'GHSA-aaaa-bbbb-cccc', severity: 'critical' })
+    ]);
+    expect((await advisoryDb.status()).imports).toHaveLength(2);
+  });
+
+  test('replace drops everything imported before', async () => {
+    await writeDump(advisories);
+    await advisoryDb.importFrom(sourceDir);
+    const single = path.join(os.tmpdir(), `advisory-array-${process.pid}.json`);
+    await fs.writeJson(single, [advisories[2]]);
+
+    try {
+      await advisoryDb.importFrom(single, { replace: true, name: 'express.json' });
+    } finally {
+      await fs.remove(single);
+    }
+
+    expect(await advisoryDb.status()).toMatchObject({ advisoryCount: 1, ecosystems: { npm: 1 }, imports: [{ source: 'express.json' }] });
+    expect(await advisoryDb.advisoriesFor('Debian', 'glibc')).toEqual([]);
+  });
+
+  test('a malformed file fails the import without changing the database', async () => {
+    await writeDump(advisories);
+    await advisoryDb.importFrom(sourceDir);
+    await fs.writeFile(path.join(sourceDir, 'zz-broken.json'), '{ "id": ');
+
+    await expect(advisoryDb.importFrom(sourceDir, { replace: true })).rejects.toThrow(/^Failed to read advisories from .*zz-broken\.json/);
+    expect((await advisoryDb.status()).advisoryCount).toBe(7);
+  });
+});
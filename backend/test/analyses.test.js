@@ -0,0 +1,77 @@
+const express = require('express');
+const request = require('supertest');
+const analysisStore = require('../utils/analysis-store');
+
+jest.mock('../utils/analysis-store', () => ({
+  isValidId: jest.fn(),
+  list: jest.fn(),
+  get: jest.fn(),
+  remove: jest.fn()
+}));
+
+const analysesRoutes = require('../routes/analyses');
+
+const app = express();
+app.use(express.json());
+app.use('/analyses', analysesRoutes);
+
+const id = '0b5c6a4e-8d6f-4d55-9d3c-2f0f4b1b7a11';
+const ADMIN = 'Bearer admin-secret';
+
+describe('Analyses routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analysisStore.isValidId.mockImplementation((value) => value === id);
+    process.env.ADMIN_TOKEN = 'admin-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  test('lists stored analyses with filters', async () => {
+    analysisStore.list.mockResolvedValue([{ id, imageName: 'nginx:latest' }]);
+
+    const response = await request(app)
+      .get('/analyses?imageName=nginx%3Alatest')
+      .expect(200);
+
+    expect(analysisStore.list).toHaveBeenCalledWith({ imageName: 'nginx:latest', digest: undefined });
+    expect(response.body).toEqual({ count: 1, analyses: [{ id, imageName: 'nginx:latest' }] });
+  });
+
+  test('fetches one analysis by id', async () => {
+    analysisStore.get.mockResolvedValue({ id, analysis: { layers: [] } });
+
+    const response = await request(app).get(`/analyses/${id}`).expect(200);
+
+    expect(response.body.analysis).toEqual({ layers: [] });
+  });
+
+  test('returns 404 for unknown and 400 for malformed ids', async () => {
+    analysisStore.get.mockResolvedValue(null);
+
+    await request(app).get(`/analyses/${id}`).expect(404);
+    await request(app).get('/analyses/not-an-id').expect(400);
+    expect(analysisStore.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('deletes an analysis', async () => {
+    analysisStore.remove.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await request(app).delete(`/analyses/${id}`).set('Authorization', ADMIN).expect(200);
+    await request(app).delete(`/analyses/${id}`).set('Authorization', ADMIN).expect(404);
+    await request(app).delete('/analyses/not-an-id').set('Authorization', ADMIN).expect(400);
+  });
+
+  test('deleting needs the admin token and is off without ADMIN_TOKEN', async () => {
+    await request(app).delete(`/analyses/${id}`).expect(401);
+    const wrong = await request(app).delete(`/analyses/${id}`).set('Authorization', 'Bearer guess').expect(401);
+    expect(wrong.headers['www-authenticate']).toContain('Bearer');
+
+    delete process.env.ADMIN_TOKEN;
+    const disabled = await request(app).delete(`/analyses/${id}`).set('Authorization', ADMIN).expect(503);
+    expect(disabled.body.error).toBe('Admin API disabled');
+    expect(analysisStore.remove).not.toHaveBeenCalled();
+  });
+});
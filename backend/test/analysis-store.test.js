@@ -0,0 +1,102 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const sampleAnalysis = (efficiency = 90) => ({
+  imageName: 'nginx:latest',
+  analysis: { totalLayers: 3, totalSize: 1000, wastedSpace: 100, efficiency },
+  layers: []
+});
+
+describe('Analysis store', () => {
+  let storeDir;
+  let analysisStore;
+
+  beforeEach(async () => {
+    storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-store-test-'));
+    process.env.ANALYSIS_STORE_DIR = storeDir;
+    process.env.ANALYSIS_STORE_MAX = '2';
+    jest.isolateModules(() => {
+      analysisStore = require('../utils/analysis-store');
+    });
+  });
+
+  afterEach(async () => {
+    delete process.env.ANALYSIS_STORE_MAX;
+    await fs.remove(storeDir);
+  });
+
+  test('saves, lists and fetches analyses by id and digest', async () => {
+    const summary = await analysisStore.save({
+      imageName: 'nginx:latest',
+      digest: 'sha256:aaa',
+      analysis: sampleAnalysis()
+    });
+
+    expect(summary).toMatchObject({
+      imageName: 'nginx:latest',
+      digest: 'sha256:aaa',
+      totalLayers: 3,
+      efficiency: 90
+    });
+    expect(analysisStore.isValidId(summary.id)).toBe(true);
+
+    await expect(analysisStore.list()).resolves.toEqual([summary]);
+    await expect(analysisStore.list({ digest: 'sha256:other' })).resolves.toEqual([]);
+
+    const record = await analysisStore.get(summary.id);
+    expect(record.analysis).toEqual(sampleAnalysis());
+
+    const latest = await analysisStore.findLatestByDigest('sha256:aaa');
+    expect(latest.id).toBe(summary.id);
+  });
+
+  test('records the platform and filters by it', async () => {
+    const amd64 = await analysisStore.save({ imageName: 'app:1', digest: 'sha256:amd', platform: 'linux/amd64', analysis: sampleAnalysis() });
+    const arm64 = await analysisStore.save({ imageName: 'app:1', digest: 'sha256:arm', platform: 'linux/arm64/v8', analysis: sampleAnalysis() });
+
+    expect(amd64.platform).toBe('linux/amd64');
+    await expect(analysisStore.list({ imageName: 'app:1', platform: 'linux/arm64/v8' })).resolves.toEqual([arm64]);
+  });
+
+  test('persists across store instances', async () => {
+    const summary = await analysisStore.save({
+      imageName: 'redis:7',
+      digest: 'sha256:bbb',
+      analysis: sampleAnalysis()
+    });
+
+    let reloaded;
+    jest.isolateModules(() => {
+      reloaded = require('../utils/analysis-store');
+    });
+
+    await expect(reloaded.list({ imageName: 'redis:7' })).resolves.toEqual([summary]);
+  });
+
+  test('newest analysis for a digest wins and old records are evicted', async () => {
+    const first = await analysisStore.save({ imageName: 'a', digest: 'sha256:d', analysis: sampleAnalysis(10) });
+    const second = await analysisStore.save({ imageName: 'a', digest: 'sha256:d', analysis: sampleAnalysis(20) });
+    const third = await analysisStore.save({ imageName: 'b', digest: 'sha256:e', analysis: sampleAnalysis(30) });
+
+    const ids = (await analysisStore.list()).map((record) => record.id);
+    expect(ids).toEqual([third.id, second.id]);
+    expect(await fs.pathExists(path.join(storeDir, `${first.id}.json`))).toBe(false);
+    await expect(analysisStore.get(first.id)).resolves.toBeNull();
+
+    const latest = await analysisStore.findLatestByDigest('sha256:d');
+    expect(latest.analysis.analysis.efficiency).toBe(20);
+  });
+
+  test('removes analyses and ignores malformed ids', async () => {
+    const summary = await analysisStore.save({ imageName: 'a', digest: 'sha256:d', analysis: sampleAnalysis() });
+
+    await expect(analysisStore.remove('../index')).resolves.toBe(false);
+    await expect(analysisStore.get('../index')).resolves.toBeNull();
+
+    await expect(analysisStore.remove(summary.id)).resolves.toBe(true);
+    await expect(analysisStore.remove(summary.id)).resolves.toBe(false);
+    await expect(analysisStore.list()).resolves.toEqual([]);
+    expect(await fs.pathExists(path.join(storeDir, `${summary.id}.json`))).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+const { efficiencyColor, metricBadge, renderBadge } = require('../utils/badge');
+
+describe('Badges', () => {
+  test('efficiency colors follow the inspect page bands', () => {
+    expect(efficiencyColor(100)).toBe('green');
+    expect(efficiencyColor(90)).toBe('green');
+    expect(efficiencyColor(89.9)).toBe('yellow');
+    expect(efficiencyColor(70)).toBe('yellow');
+    expect(efficiencyColor(69.9)).toBe('red');
+  });
+
+  test('renders a two-part badge sized to its text, with the text escaped', () => {
+    const svg = renderBadge('a&b', '<1>', 'green');
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="\d+" height="20" role="img" aria-label="a&amp;b: &lt;1&gt;">/);
+    expect(svg).toContain('<title>a&amp;b: &lt;1&gt;</title>');
+    expect(svg).toContain('fill="#4c1"');
+    expect(svg).not.toContain('<1>');
+    expect(Number(renderBadge('efficiency', '100%', 'green').match(/width="(\d+)"/)[1]))
+      .toBeGreaterThan(Number(renderBadge('efficiency', '9%', 'green').match(/width="(\d+)"/)[1]));
+  });
+
+  test('metric badges read the stored analysis summary', () => {
+    const record = { efficiency: 75.25, totalSize: 123456789, wastedSpace: 2500000 };
+
+    expect(metricBadge('efficiency', record)).toContain('aria-label="efficiency: 75.3%"');
+    expect(metricBadge('efficiency', record)).toContain('fill="#dfb317"');
+    expect(metricBadge('size', record)).toContain('aria-label="image size: 123.5MB"');
+    expect(metricBadge('size', record)).toContain('fill="#007ec6"');
+    expect(metricBadge('wasted', { ...record, efficiency: 50 })).toContain('aria-label="wasted: 2.5MB"');
+    expect(metricBadge('wasted', { ...record, efficiency: 50 })).toContain('fill="#e05d44"');
+  });
+
+  test('without an analysis the badge is grey and says unknown', () => {
+    const svg = metricBadge('size', null);
+
+    expect(svg).toContain('aria-label="image size: unknown"');
+    expect(svg).toContain('fill="#9f9f9f"');
+  });
+});
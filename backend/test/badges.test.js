@@ -0,0 +1,98 @@
+const express = require('express');
+const request = require('supertest');
+const analysisStore = require('../utils/analysis-store');
+
+jest.mock('../utils/analysis-store', () => ({
+  list: jest.fn()
+}));
+
+const badgesRoutes = require('../routes/badges');
+
+const app = express();
+app.use('/badges', badgesRoutes);
+
+const record = {
+  id: '0b5c6a4e-8d6f-4d55-9d3c-2f0f4b1b7a11',
+  imageName: 'myorg/app:1.0',
+  createdAt: '2026-01-02T03:04:05.000Z',
+  totalSize: 50000000,
+  wastedSpace: 1000000,
+  efficiency: 96.4
+};
+
+// supertest leaves image/* bodies unparsed; read the SVG as text
+const getBadge = (path) => request(app).get(path).buffer(true).parse((res, callback) => {
+  res.setEncoding('utf8');
+  let text = '';
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text));
+});
+
+describe('Badges routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analysisStore.list.mockResolvedValue([]);
+  });
+
+  test('renders the efficiency of the latest stored analysis with cache headers', async () => {
+    analysisStore.list.mockResolvedValue([record]);
+
+    const response = await getBadge('/badges/myorg/app%3A1.0.svg').expect(200);
+
+    expect(analysisStore.list).toHaveBeenCalledWith({ imageName: 'myorg/app:1.0', platform: undefined });
+    expect(response.headers['content-type']).toBe('image/svg+xml; charset=utf-8');
+    expect(response.headers['cache-control']).toBe('public, max-age=300');
+    expect(response.headers['last-modified']).toBe('Fri, 02 Jan 2026 03:04:05 GMT');
+    expect(response.headers['cross-origin-resource-policy']).toBe('cross-origin');
+    expect(response.body).toContain('aria-label="efficiency: 96.4%"');
+    expect(response.body).toContain('fill="#4c1"');
+  });
+
+  test('answers a revalidation with 304', async () => {
+    analysisStore.list.mockResolvedValue([record]);
+
+    await request(app)
+      .get('/badges/myorg/app:1.0.svg')
+      .set('If-Modified-Since', 'Fri, 02 Jan 2026 03:04:05 GMT')
+      .expect(304);
+  });
+
+  test('renders the size and wasted metrics for a platform', async () => {
+    analysisStore.list.mockResolvedValue([record]);
+
+    const size = await getBadge('/badges/myorg/app:1.0.svg?metric=size&platform=linux/arm64').expect(200);
+    expect(size.body).toContain('aria-label="image size: 50MB"');
+    expect(analysisStore.list).toHaveBeenCalledWith({ imageName: 'myorg/app:1.0', platform: 'linux/arm64' });
+
+    const wasted = await getBadge('/badges/myorg/app:1.0.svg?metric=wasted').expect(200);
+    expect(wasted.body).toContain('aria-label="wasted: 1MB"');
+  });
+
+  test('a bare repository falls back to its latest tag', async () => {
+    analysisStore.list.mockImplementation(async ({ imageName }) => (imageName === 'nginx:latest' ? [record] : []));
+
+    const response = await getBadge('/badges/nginx.svg').expect(200);
+
+    expect(analysisStore.list).toHaveBeenCalledTimes(2);
+    expect(response.body).toContain('efficiency: 96.4%');
+  });
+
+  test('serves an uncached "unknown" badge when nothing was analyzed', async () => {
+    const response = await getBadge('/badges/nginx%3A1.25.svg').expect(200);
+
+    expect(analysisStore.list).toHaveBeenCalledTimes(1);
+    expect(response.headers['cache-control']).toBe('no-cache');
+    expect(response.headers['last-modified']).toBeUndefined();
+    expect(response.body).toContain('aria-label="efficiency: unknown"');
+  });
+
+  test('rejects bad image names, metrics and platforms', async () => {
+    await request(app).get('/badges/nginx%3B%20rm.svg').expect(400);
+
+    const metric = await request(app).get('/badges/nginx.svg?metric=layers').expect(400);
+    expect(metric.body).toMatchObject({ error: 'Invalid badge metric', message: 'metric must be one of: efficiency, size, wasted' });
+
+    await request(app).get('/badges/nginx.svg?platform=linux').expect(400);
+    expect(analysisStore.list).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+const { evaluateRules, normalizeRules, parseByteSize, parseCiConfig } = require('../utils/ci-rules');
+
+const result = ({ efficiency = 95, totalSize = 2000, wastedSpace = 100, baseLayerSize = 1000 } = {}) => ({
+  analysis: { efficiency, totalSize, wastedSpace },
+  layers: [{ size: baseLayerSize }, { size: totalSize - baseLayerSize }]
+});
+
+describe('CI rules parsing', () => {
+  test('reads the rules mapping from a .dive-ci document', () => {
+    const config = [
+      '# dive CI configuration',
+      'rules:',
+      '  # ratio between 0-1',
+      '  lowestEfficiency: 0.95',
+      '  highestWastedBytes: "20MB"',
+      '  highestUserWastedPercent: disabled # off for now',
+      ''
+    ].join('\n');
+
+    expect(parseCiConfig(config)).toEqual({
+      lowestEfficiency: '0.95',
+      highestWastedBytes: '20MB',
+      highestUserWastedPercent: 'disabled'
+    });
+  });
+
+  test('rejects lines that are not key/value pairs', () => {
+    expect(() => parseCiConfig('rules:\n  - lowestEfficiency')).toThrow('cannot parse line 2');
+  });
+
+  test('parses byte sizes with SI and IEC units', () => {
+    expect(parseByteSize('20MB')).toBe(20000000);
+    expect(parseByteSize('1.5 KiB')).toBe(1536);
+    expect(parseByteSize('512')).toBe(512);
+    expect(parseByteSize(2048)).toBe(2048);
+    expect(() => parseByteSize('lots')).toThrow('not a byte size');
+  });
+
+  test('fills in dive defaults and converts thresholds', () => {
+    expect(normalizeRules({})).toEqual({
+      lowestEfficiency: 0.9,
+      highestWastedBytes: null,
+      highestUserWastedPercent: 0.1
+    });
+    expect(normalizeRules({ lowestEfficiency: '0.8', highestWastedBytes: '1KB' })).toMatchObject({
+      lowestEfficiency: 0.8,
+      highestWastedBytes: 1000
+    });
+  });
+
+  test('rejects unknown rules and out-of-range ratios', () => {
+    expect(() => normalizeRules({ lowestEfficiencyy: 0.9 })).toThrow('unknown rule lowestEfficiencyy');
+    expect(() => normalizeRules({ highestUserWastedPercent: 20 })).toThrow('between 0 and 1');
+    expect(() => normalizeRules(['lowestEfficiency'])).toThrow('expected a mapping');
+  });
+});
+
+describe('CI rules evaluation', () => {
+  test('passes when every enabled rule is satisfied', () => {
+    const evaluation = evaluateRules(result(), normalizeRules({}));
+
+    expect(evaluation.verdict).toBe('pass');
+    expect(evaluation.metrics).toEqual({ efficiency: 0.95, wastedBytes: 100, userWastedPercent: 0.1 });
+    expect(evaluation.rules.map((rule) => [rule.name, rule.status])).toEqual([
+      ['lowestEfficiency', 'pass'],
+      ['highestWastedBytes', 'skip'],
+      ['highestUserWastedPercent', 'pass']
+    ]);
+  });
+
+  test('fails each rule with the measured value and threshold', () => {
+    const evaluation = evaluateRules(
+      result({ efficiency: 80, wastedSpace: 500 }),
+      normalizeRules({ highestWastedBytes: '400B' })
+    );
+
+    expect(evaluation.verdict).toBe('fail');
+    expect(evaluation.rules).toEqual([
+      expect.objectContaining({ name: 'lowestEfficiency', status: 'fail', threshold: 0.9, actual: 0.8 }),
+      expect.objectContaining({ name: 'highestWastedBytes', status: 'fail', threshold: 400, actual: 500 }),
+      expect.objectContaining({ name: 'highestUserWastedPercent', status: 'fail', threshold: 0.1, actual: 0.5 })
+    ]);
+  });
+
+  test('an image made only of its base layer has no user waste', () => {
+    const evaluation = evaluateRules(result({ totalSize: 1000, baseLayerSize: 1000 }), normalizeRules({}));
+
+    expect(evaluation.metrics.userWastedPercent).toBe(0);
+  });
+});
@@ -0,0 +1,161 @@
+const { alignLayers, compareAnalyses, diffFiles, flattenFilesystem } = require('../utils/compare');
+
+const file = (path, overrides = {}) => ({
+  path,
+  type: 'file',
+  size: 100,
+  mode: '-rw-r--r--',
+  uid: 0,
+  gid: 0,
+  linkName: '',
+  status: 'added',
+  ...overrides
+});
+
+const layer = (index, id, command, files = [], overrides = {}) => ({
+  index,
+  id,
+  command,
+  size: files.reduce((total, entry) => total + (entry.status === 'removed' ? 0 : entry.size), 0),
+  wasted_size: 0,
+  file_count: files.length,
+  files,
+  ...overrides
+});
+
+const analysis = (imageName, layers, totals = {}) => ({
+  imageName,
+  analysis: {
+    totalLayers: layers.length,
+    totalSize: layers.reduce((total, entry) => total + entry.size, 0),
+    wastedSpace: 0,
+    efficiency: 100,
+    ...totals
+  },
+  layers
+});
+
+describe('Layer alignment', () => {
+  test('pairs layers by digest or command and keeps insertions in place', () => {
+    const base = [
+      layer(0, 'sha256:base', 'FROM alpine'),
+      layer(1, 'sha256:deps', 'RUN apk add curl'),
+      layer(2, 'sha256:app-1', 'COPY . /app')
+    ];
+    const target = [
+      layer(0, 'sha256:base', 'FROM alpine'),
+      layer(1, 'sha256:deps', 'RUN apk add curl'),
+      layer(2, 'sha256:tools', 'RUN apk add git'),
+      layer(3, 'sha256:app-2', 'COPY  . /app')
+    ];
+
+    const pairs = alignLayers(base, target).map(([before, after]) => [before?.index ?? null, after?.index ?? null]);
+
+    expect(pairs).toEqual([[0, 0], [1, 1], [null, 2], [2, 3]]);
+  });
+
+  test('unmatched trailing layers are reported on their own side', () => {
+    const pairs = alignLayers(
+      [layer(0, 'a', 'FROM a'), layer(1, 'b', 'RUN b')],
+      [layer(0, 'a', 'FROM a')]
+    );
+
+    expect(pairs[1][0].id).toBe('b');
+    expect(pairs[1][1]).toBeNull();
+  });
+});
+
+describe('File diffs', () => {
+  test('classifies added, removed and modified paths by largest change', () => {
+    const diff = diffFiles(
+      new Map([['/a', file('/a', { size: 10 })], ['/b', file('/b', { size: 500 })], ['/same', file('/same')]]),
+      new Map([['/a', file('/a', { size: 40 })], ['/c', file('/c', { size: 200 })], ['/same', file('/same')]])
+    );
+
+    expect(diff).toMatchObject({ added: 1, removed: 1, modified: 1, sizeDelta: 30 - 500 + 200, truncated: false });
+    expect(diff.entries.map((entry) => [entry.path, entry.change])).toEqual([
+      ['/b', 'removed'],
+      ['/c', 'added'],
+      ['/a', 'modified']
+    ]);
+  });
+
+  test('permission changes count as modifications', () => {
+    const diff = diffFiles(
+      new Map([['/run.sh', file('/run.sh')]]),
+      new Map([['/run.sh', file('/run.sh', { mode: '-rwxr-xr-x' })]])
+    );
+
+    expect(diff.entries).toEqual([
+      { path: '/run.sh', change: 'modified', baseSize: 100, targetSize: 100, sizeDelta: 0 }
+    ]);
+  });
+
+  test('caps the returned entries but keeps full counts', () => {
+    const target = new Map(Array.from({ length: 250 }, (_, i) => [`/f${i}`, file(`/f${i}`)]));
+    const diff = diffFiles(new Map(), target);
+
+    expect(diff.added).toBe(250);
+    expect(diff.entries).toHaveLength(200);
+    expect(diff.truncated).toBe(true);
+  });
+
+  test('flattening applies removals and directory removals', () => {
+    const filesystem = flattenFilesystem([
+      layer(0, 'a', 'ADD', [file('/tmp', { type: 'dir', size: 0 }), file('/tmp/x'), file('/keep')]),
+      layer(1, 'b', 'RUN rm -rf /tmp', [file('/tmp', { type: 'dir', size: 0, status: 'removed' })])
+    ]);
+
+    expect([...filesystem.keys()]).toEqual(['/keep']);
+  });
+});
+
+describe('Image comparison', () => {
+  const base = analysis('app:1.0', [
+    layer(0, 'sha256:base', 'FROM alpine', [file('/bin/sh', { size: 1000 })]),
+    layer(1, 'sha256:app-1', 'COPY . /app', [file('/app/main.js', { size: 300 })], { wasted_size: 50 })
+  ], { wastedSpace: 50, efficiency: 96.2 });
+
+  const target = analysis('app:1.1', [
+    layer(0, 'sha256:base', 'FROM alpine', [file('/bin/sh', { size: 1000 })]),
+    layer(1, 'sha256:app-2', 'COPY . /app', [file('/app/main.js', { size: 450 }), file('/app/extra.js', { size: 50 })]),
+    layer(2, 'sha256:tmp', 'RUN rm /app/extra.js', [file('/app/extra.js', { size: 0, status: 'removed' })])
+  ], { wastedSpace: 50, efficiency: 96.7 });
+
+  test('reports summary deltas and layer statuses', () => {
+    const result = compareAnalyses(base, target);
+
+    expect(result.base).toMatchObject({ imageName: 'app:1.0', totalSize: 1300 });
+    expect(result.summary).toEqual({
+      sizeDelta: 200,
+      wastedDelta: 0,
+      efficiencyDelta: 0.5,
+      layerDelta: 1,
+      sharedLayers: 1,
+      changedLayers: 1,
+      addedLayers: 1,
+      removedLayers: 0
+    });
+    expect(result.layers.map((row) => row.status)).toEqual(['shared', 'changed', 'added']);
+  });
+
+  test('diffs files inside changed layers but not shared ones', () => {
+    const [shared, changed] = compareAnalyses(base, target).layers;
+
+    expect(shared.files).toBeNull();
+    expect(changed).toMatchObject({
+      base: { index: 1, id: 'sha256:app-1', size: 300 },
+      target: { index: 1, id: 'sha256:app-2', size: 500 },
+      sizeDelta: 200,
+      wastedDelta: -50,
+      files: { added: 1, modified: 1, removed: 0 }
+    });
+  });
+
+  test('reports file deltas on the final filesystem', () => {
+    const { files } = compareAnalyses(base, target);
+
+    expect(files).toMatchObject({ added: 0, removed: 0, modified: 1, sizeDelta: 150 });
+    expect(files.entries[0]).toMatchObject({ path: '/app/main.js', baseSize: 300, targetSize: 450 });
+  });
+});
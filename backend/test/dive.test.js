@@ -35,3 +35,224 @@ describe('Dive Utils input validation', () => {
     expect(childProcess.exec).not.toHaveBeenCalled();
   });
 });
+
+describe('Dive JSON parsing', () => {
+  test('parseJSONOutput returns per-layer file records from fileList', () => {
+    const result = diveUtils.parseJSONOutput({
+      layer: [
+        {
+          index: 0,
+          digestId: 'sha256:base',
+          sizeBytes: 300,
+          command: '#(nop) ADD file:abc in /',
+          fileList: [
+            { path: 'etc', typeFlag: 53, isDir: true, size: 0, fileMode: 0o755, uid: 0, gid: 0, linkName: '' },
+            { path: 'etc/motd', typeFlag: 48, isDir: false, size: 300, fileMode: 0o644, uid: 0, gid: 0, linkName: '' }
+          ]
+        },
+        {
+          index: 1,
+          digestId: 'sha256:top',
+          sizeBytes: 0,
+          command: 'RUN rm /etc/motd',
+          fileList: [
+            { path: 'etc/.wh.motd', typeFlag: 48, isDir: false, size: 0, fileMode: 0, uid: 0, gid: 0, linkName: '' }
+          ]
+        }
+      ],
+      image: {
+        sizeBytes: 300,
+        inefficientBytes: 300,
+        efficiencyScore: 0.5,
+        fileReference: [{ file: '/etc/motd', count: 2, sizeBytes: 300 }]
+      }
+    }, 'alpine:latest');
+
+    expect(result.layers[0].file_count).toBe(2);
+    expect(result.layers[0].files[1]).toEqual({
+      path: '/etc/motd',
+      type: 'file',
+      size: 300,
+      mode: '-rw-r--r--',
+      uid: 0,
+      gid: 0,
+      linkName: '',
+      status: 'added'
+    });
+    expect(result.layers[1].files).toEqual([
+      expect.objectContaining({ path: '/etc/motd', size: 300, status: 'removed' })
+    ]);
+  });
+
+  test('parseJSONOutput derives per-layer waste and efficiency from fileReference', () => {
+    const result = diveUtils.parseJSONOutput({
+      layer: [
+        {
+          digestId: 'sha256:a',
+          sizeBytes: 1000,
+          command: 'RUN apt-get update',
+          fileList: [
+            { path: 'var/lib/apt/lists/pkgs', typeFlag: 48, size: 250, fileMode: 0o644 },
+            { path: 'usr/bin/curl', typeFlag: 48, size: 750, fileMode: 0o755 }
+          ]
+        },
+        {
+          digestId: 'sha256:b',
+          sizeBytes: 0,
+          command: 'RUN rm -rf /var/lib/apt/lists/*',
+          fileList: [{ path: 'var/lib/apt/lists/.wh.pkgs', typeFlag: 48, size: 0, fileMode: 0 }]
+        }
+      ],
+      image: {
+        sizeBytes: 1000,
+        inefficientBytes: 250,
+        efficiencyScore: 0.75,
+        fileReference: [{ file: '/var/lib/apt/lists/pkgs', count: 2, sizeBytes: 250 }]
+      }
+    }, 'debian:bookworm');
+
+    expect(result.layers[0].wasted_size).toBe(250);
+    expect(result.layers[0].efficiency).toBe(75);
+    expect(result.layers[1].wasted_size).toBe(0);
+    expect(result.layers[1].efficiency).toBe(100);
+    expect(result.inefficientFiles).toEqual([
+      {
+        path: '/var/lib/apt/lists/pkgs',
+        count: 2,
+        totalBytes: 250,
+        wastedBytes: 250,
+        layers: [
+          { index: 0, status: 'added' },
+          { index: 1, status: 'removed' }
+        ]
+      }
+    ]);
+  });
+
+  test('parseJSONOutput takes image ID, date and platform from the image config', () => {
+    const imageInfo = {
+      id: 'sha256:' + 'c'.repeat(64),
+      created: '2024-05-01T00:00:00Z',
+      os: 'linux',
+      architecture: 'arm',
+      variant: 'v7'
+    };
+
+    const withInfo = diveUtils.parseJSONOutput({ layer: [], image: {} }, 'app:1', imageInfo);
+    const withoutInfo = diveUtils.parseJSONOutput({ layer: [], image: {} }, 'app:1');
+
+    expect(withInfo.metadata).toMatchObject({
+      imageId: imageInfo.id,
+      created: '2024-05-01T00:00:00Z',
+      architecture: 'arm',
+      os: 'linux',
+      variant: 'v7',
+      platform: 'linux/arm/v7'
+    });
+    expect(withoutInfo.metadata).toMatchObject({ imageId: null, created: null, architecture: null, os: null, platform: null });
+    expect(withInfo.advice).toEqual({ findings: [], totalSavings: 0 });
+  });
+
+  test('buildMetadata maps the docker inspect config and rootfs', () => {
+    const metadata = diveUtils.buildMetadata({
+      id: 'sha256:' + 'c'.repeat(64),
+      repoTags: ['app:1'],
+      repoDigests: ['app@sha256:' + 'd'.repeat(64)],
+      created: '2024-05-01T00:00:00Z',
+      author: 'ops@example.com',
+      os: 'linux',
+      architecture: 'amd64',
+      config: {
+        User: 'node',
+        WorkingDir: '/app',
+        Entrypoint: ['docker-entrypoint.sh'],
+        Cmd: ['node', 'server.js'],
+        Env: ['NODE_ENV=production'],
+        ExposedPorts: { '8080/tcp': {}, '443/tcp': {} },
+        Labels: { maintainer: 'ops' },
+        Healthcheck: { Test: ['CMD', 'curl', '-f', 'http://localhost'], Interval: 30e9, Timeout: 5e9, Retries: 3 }
+      },
+      rootfs: { Type: 'layers', Layers: ['sha256:l1', 'sha256:l2'] }
+    });
+
+    expect(metadata).toMatchObject({
+      repoTags: ['app:1'],
+      repoDigests: ['app@sha256:' + 'd'.repeat(64)],
+      author: 'ops@example.com',
+      platform: 'linux/amd64',
+      config: {
+        user: 'node',
+        workingDir: '/app',
+        entrypoint: ['docker-entrypoint.sh'],
+        cmd: ['node', 'server.js'],
+        env: ['NODE_ENV=production'],
+        exposedPorts: ['443/tcp', '8080/tcp'],
+        labels: { maintainer: 'ops' },
+        healthcheck: { test: ['CMD', 'curl', '-f', 'http://localhost'], interval: 30, timeout: 5, startPeriod: null, retries: 3 }
+      },
+      rootfs: { type: 'layers', layers: ['sha256:l1', 'sha256:l2'] }
+    });
+    expect(diveUtils.buildMetadata(null).config).toEqual({
+      user: null,
+      workingDir: null,
+      entrypoint: null,
+      cmd: null,
+      env: [],
+      exposedPorts: [],
+      labels: {},
+      healthcheck: null
+    });
+  });
+
+  test('buildInefficientFiles sorts by wasted bytes and keeps the surviving copy out', () => {
+    const files = diveUtils.buildInefficientFiles([
+      {
+        path: '/small',
+        count: 2,
+        sizeBytes: 20,
+        touches: [{ layerIndex: 0, status: 'added', size: 10 }, { layerIndex: 1, status: 'modified', size: 10 }]
+      },
+      {
+        path: '/big',
+        count: 2,
+        sizeBytes: 900,
+        touches: [{ layerIndex: 0, status: 'added', size: 800 }, { layerIndex: 2, status: 'modified', size: 100 }]
+      },
+      { path: '/unmatched', count: 2, sizeBytes: 50, touches: [] }
+    ]);
+
+    expect(files.map((file) => [file.path, file.wastedBytes])).toEqual([
+      ['/big', 800],
+      ['/unmatched', 50],
+      ['/small', 10]
+    ]);
+  });
+});
+
+describe('Dive cancellation', () => {
+  const EventEmitter = require('events');
+  const fs = require('fs-extra');
+
+  test('aborting kills dive and removes its partial JSON output', async () => {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = jest.fn(() => {
+      setImmediate(() => child.emit('close', null));
+    });
+    childProcess.spawn.mockReturnValue(child);
+    const controller = new AbortController();
+
+    const run = diveUtils.executeDiveSync('nginx:latest', { signal: controller.signal });
+    const [, args] = childProcess.spawn.mock.calls[0];
+    const jsonFile = args[1];
+    expect(jsonFile).toMatch(/^\/tmp\/dive-output-[0-9a-f-]{36}\.json$/);
+    await fs.writeFile(jsonFile, '{"layer": [');
+
+    controller.abort();
+
+    await expect(run).rejects.toThrow('Inspection cancelled');
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM');
+    await expect(fs.pathExists(jsonFile)).resolves.toBe(false);
+  });
+});
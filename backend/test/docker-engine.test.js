@@ -0,0 +1,202 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const dockerEngine = require('../utils/docker-engine');
+
+describe('DockerEngine endpoint and reference handling', () => {
+  test('resolves DOCKER_HOST to connection options', () => {
+    expect(dockerEngine.resolveEndpoint(undefined)).toEqual({ socketPath: '/var/run/docker.sock' });
+    expect(dockerEngine.resolveEndpoint('unix:///tmp/docker.sock')).toEqual({ socketPath: '/tmp/docker.sock' });
+    expect(dockerEngine.resolveEndpoint('tcp://10.0.0.5:2375')).toEqual({ host: '10.0.0.5', port: '2375' });
+    expect(dockerEngine.resolveEndpoint('ssh://user@host')).toBeNull();
+  });
+
+  test('makes the implicit latest tag explicit', () => {
+    expect(dockerEngine.splitReference('nginx')).toEqual({ fromImage: 'nginx', tag: 'latest' });
+    expect(dockerEngine.splitReference('localhost:5000/team/app')).toEqual({ fromImage: 'localhost:5000/team/app', tag: 'latest' });
+    expect(dockerEngine.splitReference('redis:7-alpine')).toEqual({ fromImage: 'redis', tag: '7-alpine' });
+    expect(dockerEngine.splitReference('alpine@sha256:abc')).toEqual({ fromImage: 'alpine', tag: 'sha256:abc' });
+  });
+});
+
+describe('DockerEngine against a fake daemon socket', () => {
+  let tmpDir;
+  let server;
+  let handler;
+  let originalEndpoint;
+
+  beforeAll((done) => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-engine-test-'));
+    const socketPath = path.join(tmpDir, 'docker.sock');
+    server = http.createServer((req, res) => handler(req, res));
+    server.listen(socketPath, () => {
+      originalEndpoint = dockerEngine.endpoint;
+      dockerEngine.endpoint = { socketPath };
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    dockerEngine.endpoint = originalEndpoint;
+    server.close(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  test('is configured when the socket exists', () => {
+    expect(dockerEngine.isConfigured()).toBe(true);
+  });
+
+  test('streams progress messages split across chunks', async () => {
+    let requestedUrl;
+    handler = (req, res) => {
+      requestedUrl = req.url;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('{"status":"Pulling fs layer","id":"layer1"}\n{"status":"Downl');
+      res.write('oading","id":"layer1","progressDetail":{"current":5,"total":10}}\n');
+      res.end('{"status":"Status: Downloaded newer image for nginx:latest"}\n');
+    };
+    const messages = [];
+
+    const result = await dockerEngine.pullImage('nginx', (message) => messages.push(message));
+
+    expect(requestedUrl).toBe('/images/create?fromImage=nginx&tag=latest');
+    expect(messages.map((message) => message.status)).toEqual([
+      'Pulling fs layer',
+      'Downloading',
+      'Status: Downloaded newer image for nginx:latest'
+    ]);
+    expect(result).toEqual({ success: true, imageName: 'nginx', output: 'Status: Downloaded newer image for nginx:latest' });
+  });
+
+  test('rejects with the daemon message for HTTP and in-stream errors', async () => {
+    handler = (req, res) => {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end('{"message":"pull access denied for nope, repository does not exist"}');
+    };
+    await expect(dockerEngine.pullImage('nope', jest.fn())).rejects.toThrow('pull access denied for nope');
+
+    handler = (req, res) => {
+      res.writeHead(200);
+      res.end('{"status":"Pulling fs layer","id":"layer1"}\n{"errorDetail":{"message":"manifest unknown"},"error":"manifest unknown"}\n');
+    };
+    await expect(dockerEngine.pullImage('nginx:gone', jest.fn())).rejects.toThrow('manifest unknown');
+  });
+
+  test('sends registry auth as X-Registry-Auth', async () => {
+    let registryAuth;
+    handler = (req, res) => {
+      registryAuth = req.headers['x-registry-auth'];
+      res.writeHead(200);
+      res.end('{"status":"Status: Image is up to date for ghcr.io/octo/app:1"}\n');
+    };
+
+    await dockerEngine.pullImage('ghcr.io/octo/app:1', jest.fn(), { auth: 'eyJ1c2VybmFtZSI6Im9jdG8ifQ' });
+
+    expect(registryAuth).toBe('eyJ1c2VybmFtZSI6Im9jdG8ifQ');
+  });
+
+  test('aborting the signal disconnects and rejects as cancelled', async () => {
+    handler = (req, res) => {
+      res.writeHead(200);
+      res.write('{"status":"Pulling fs layer","id":"layer1"}\n');
+    };
+    const controller = new AbortController();
+
+    const pull = dockerEngine.pullImage('nginx', () => controller.abort(), { signal: controller.signal });
+
+    await expect(pull).rejects.toThrow('Inspection cancelled');
+  });
+
+  test('decodes JSON endpoints and keeps slashes in image paths', async () => {
+    const requests = [];
+    handler = (req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      if (req.url === '/images/json') {
+        res.end(JSON.stringify([{ Id: 'sha256:1', RepoTags: ['nginx:latest'], Created: 1700000000, Size: 187654321 }]));
+      } else if (req.url.endsWith('/history')) {
+        res.end(JSON.stringify([{ Id: 'sha256:1', Created: 1700000000, CreatedBy: '/bin/sh -c true', Size: 12 }]));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"message":"No such image: ghcr.io/org/app:1"}');
+      }
+    };
+
+    expect(await dockerEngine.listImages()).toEqual([
+      { Id: 'sha256:1', RepoTags: ['nginx:latest'], Created: 1700000000, Size: 187654321 }
+    ]);
+    expect(await dockerEngine.imageHistory('ghcr.io/org/app:1')).toHaveLength(1);
+    expect(await dockerEngine.inspectImage('ghcr.io/org/app:1')).toBeNull();
+    await expect(dockerEngine.removeImage('ghcr.io/org/app:1')).rejects.toMatchObject({
+      message: 'No such image: ghcr.io/org/app:1',
+      statusCode: 404
+    });
+    expect(requests).toEqual([
+      'GET /images/json',
+      'GET /images/ghcr.io/org/app%3A1/history',
+      'GET /images/ghcr.io/org/app%3A1/json',
+      'DELETE /images/ghcr.io/org/app%3A1'
+    ]);
+  });
+
+  test('loadImage uploads the archive and returns the loaded output', async () => {
+    const archive = path.join(tmpDir, 'image.tar');
+    fs.writeFileSync(archive, 'tar bytes');
+    let uploaded = '';
+    handler = (req, res) => {
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        uploaded += chunk;
+      });
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.write('{"status":"Loading layer","id":"abc","progressDetail":{"current":1,"total":2}}\n');
+        res.end('{"stream":"Loaded image: myapp:1.0\\n"}\n');
+      });
+    };
+    const messages = [];
+
+    const output = await dockerEngine.loadImage(archive, (message) => messages.push(message));
+
+    expect(uploaded).toBe('tar bytes');
+    expect(output).toBe('Loaded image: myapp:1.0\n');
+    expect(messages).toHaveLength(2);
+  });
+
+  test('saveImage returns the archive stream and rejects with the daemon message', async () => {
+    let requestedUrl;
+    handler = (req, res) => {
+      requestedUrl = req.url;
+      if (req.url.startsWith('/images/missing')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"message":"reference does not exist"}');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/x-tar' });
+      res.end('tar bytes');
+    };
+
+    const res = await dockerEngine.saveImage('ghcr.io/org/app:1');
+    let body = '';
+    for await (const chunk of res) {
+      body += chunk;
+    }
+
+    expect(requestedUrl).toBe('/images/ghcr.io/org/app%3A1/get');
+    expect(body).toBe('tar bytes');
+    await expect(dockerEngine.saveImage('missing:1')).rejects.toThrow('reference does not exist');
+  });
+
+  test('an unreachable socket rejects with the connection error code', async () => {
+    const endpoint = dockerEngine.endpoint;
+    dockerEngine.endpoint = { socketPath: path.join(tmpDir, 'missing.sock') };
+    try {
+      expect(dockerEngine.isConfigured()).toBe(false);
+      await expect(dockerEngine.ping()).rejects.toMatchObject({ code: 'ENOENT' });
+    } finally {
+      dockerEngine.endpoint = endpoint;
+    }
+  });
+});
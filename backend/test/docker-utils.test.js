@@ -11,7 +11,23 @@ jest.mock('node-pty', () => ({
   spawn: jest.fn()
 }));
 
+// test/setup.js pins DOCKER_API_MODE=cli; Engine API tests switch apiMode
+jest.mock('../utils/docker-engine', () => ({
+  isConfigured: jest.fn(() => false),
+  pullImage: jest.fn(),
+  listImages: jest.fn(),
+  inspectImage: jest.fn(),
+  imageHistory: jest.fn(),
+  removeImage: jest.fn(),
+  loadImage: jest.fn(),
+  saveImage: jest.fn(),
+  ping: jest.fn(),
+  version: jest.fn(),
+  distributionInspect: jest.fn()
+}));
+
 const dockerUtils = require('../utils/docker');
+const dockerEngine = require('../utils/docker-engine');
 
 const mockExecFileSuccess = (stdout = '', stderr = '') => {
   childProcess.execFile.mockImplementation((file, args, callback) => {
@@ -33,25 +49,55 @@ describe('Docker utils subprocess hardening', () => {
   });
 
   test('getImageInfo uses execFile argv array for valid images', async () => {
-    mockExecFileSuccess(JSON.stringify([{ Id: 'sha256:1', Config: {}, RootFS: {} }]));
+    mockExecFileSuccess(JSON.stringify([{ Id: 'sha256:1', RepoDigests: ['nginx@sha256:2'], Author: 'ops', Config: {}, RootFS: {} }]));
 
-    await dockerUtils.getImageInfo('nginx:latest');
+    const info = await dockerUtils.getImageInfo('nginx:latest');
 
     expect(childProcess.execFile).toHaveBeenCalledWith('docker', ['inspect', 'nginx:latest'], expect.any(Function));
     expect(childProcess.exec).not.toHaveBeenCalled();
+    expect(info).toMatchObject({ id: 'sha256:1', repoTags: [], repoDigests: ['nginx@sha256:2'], author: 'ops' });
   });
 
   test('getImageHistory uses execFile argv array for valid images', async () => {
-    mockExecFileSuccess('layer|RUN echo ok|1B|now\n');
+    mockExecFileSuccess('{"ID":"layer","CreatedBy":"/bin/sh -c echo a|b","Size":"1024","CreatedAt":"2024-01-01T00:00:00Z"}\n');
 
-    await dockerUtils.getImageHistory('nginx:latest');
+    const history = await dockerUtils.getImageHistory('nginx:latest');
 
     expect(childProcess.execFile).toHaveBeenCalledWith(
       'docker',
-      ['history', 'nginx:latest', '--format', '{{.ID}}|{{.CreatedBy}}|{{.Size}}|{{.CreatedAt}}', '--no-trunc'],
+      ['history', 'nginx:latest', '--format', '{{json .}}', '--no-trunc', '--human=false'],
       expect.any(Function)
     );
     expect(childProcess.exec).not.toHaveBeenCalled();
+    expect(history).toEqual([
+      { id: 'layer', command: 'RUN echo a|b', size: 1024, created: '2024-01-01T00:00:00Z', index: 0 }
+    ]);
+  });
+
+  test('listImages reads byte sizes from docker image inspect', async () => {
+    childProcess.execFile.mockImplementation((file, args, callback) => {
+      if (args[0] === 'images') {
+        callback(null, 'sha256:aaa\nsha256:aaa\nsha256:bbb\n', '');
+      } else {
+        callback(null, JSON.stringify([
+          { Id: 'sha256:aaa', RepoTags: ['nginx:latest', 'nginx:1.25'], Created: '2024-02-01T00:00:00Z', Size: 187654321 },
+          { Id: 'sha256:bbbbbbbbbbbbbbbb', RepoTags: [], Created: '2024-01-01T00:00:00Z', Size: 5 }
+        ]), '');
+      }
+    });
+
+    const images = await dockerUtils.listImages();
+
+    expect(childProcess.execFile).toHaveBeenCalledWith(
+      'docker',
+      ['image', 'inspect', 'sha256:aaa', 'sha256:bbb'],
+      expect.any(Function)
+    );
+    expect(images).toEqual([
+      { name: 'nginx:latest', id: 'sha256:aaa', created: '2024-02-01T00:00:00Z', size: 187654321, repository: 'nginx', tag: 'latest' },
+      { name: 'nginx:1.25', id: 'sha256:aaa', created: '2024-02-01T00:00:00Z', size: 187654321, repository: 'nginx', tag: '1.25' },
+      { name: 'bbbbbbbbbbbb', id: 'sha256:bbbbbbbbbbbbbbbb', created: '2024-01-01T00:00:00Z', size: 5, repository: '<none>', tag: '<none>' }
+    ]);
   });
 
   test('loadImage uses execFile argv array with the given file path', async () => {
@@ -90,6 +136,47 @@ describe('Docker utils subprocess hardening', () => {
     );
   });
 
+  test('pullImage passes a requested platform to docker pull', async () => {
+    await dockerUtils.pullImage('nginx:latest', null, { platform: 'linux/arm64' });
+
+    expect(childProcess.execFile).toHaveBeenCalledWith(
+      'docker',
+      ['pull', '--platform', 'linux/arm64', 'nginx:latest'],
+      expect.any(Function)
+    );
+    await expect(dockerUtils.pullImage('nginx:latest', null, { platform: '--all' })).rejects.toThrow('Invalid platform');
+  });
+
+  test('getImagePlatforms lists manifest list platforms without attestations', async () => {
+    mockExecFileSuccess(JSON.stringify({
+      manifests: [
+        { platform: { os: 'linux', architecture: 'amd64' } },
+        { platform: { os: 'linux', architecture: 'arm', variant: 'v7' } },
+        { platform: { os: 'linux', architecture: 'arm64', variant: 'v8' } },
+        { platform: { os: 'unknown', architecture: 'unknown' } }
+      ]
+    }));
+
+    await expect(dockerUtils.getImagePlatforms('nginx:latest')).resolves.toEqual([
+      'linux/amd64',
+      'linux/arm/v7',
+      'linux/arm64/v8'
+    ]);
+    expect(childProcess.execFile).toHaveBeenCalledWith('docker', ['manifest', 'inspect', 'nginx:latest'], expect.any(Function));
+  });
+
+  test('getImagePlatforms falls back to the local image for unpublished images', async () => {
+    childProcess.execFile.mockImplementation((file, args, callback) => {
+      if (args[0] === 'manifest') {
+        callback(new Error('no such manifest: myapp:dev'), '', '');
+      } else {
+        callback(null, JSON.stringify([{ Id: 'sha256:1', Os: 'linux', Architecture: 'arm64', Variant: 'v8' }]), '');
+      }
+    });
+
+    await expect(dockerUtils.getImagePlatforms('myapp:dev')).resolves.toEqual(['linux/arm64/v8']);
+  });
+
   test.each(['alpine;id', 'alpine && id', '$(id)', '`id`', '--help', 'name with spaces', 'name\nother'])(
     'rejects invalid image %j before subprocess',
     async (imageName) => {
@@ -106,3 +193,451 @@ describe('Docker utils subprocess hardening', () => {
     }
   );
 });
+
+describe('Docker pull cancellation', () => {
+  const EventEmitter = require('events');
+
+  const fakeChild = () => {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = jest.fn(() => {
+      setImmediate(() => child.emit('close', null));
+    });
+    return child;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('aborting the signal kills docker pull and rejects as cancelled', async () => {
+    const child = fakeChild();
+    childProcess.spawn.mockReturnValue(child);
+    const controller = new AbortController();
+
+    const pull = dockerUtils.pullImage('nginx:latest', null, { signal: controller.signal });
+    child.stdout.emit('data', Buffer.from('latest: Pulling from library/nginx\n'));
+    controller.abort();
+
+    await expect(pull).rejects.toThrow('Inspection cancelled');
+    expect(childProcess.spawn).toHaveBeenCalledWith('docker', ['pull', 'nginx:latest']);
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM');
+  });
+
+  test('a finished pull ignores a later abort', async () => {
+    const child = fakeChild();
+    childProcess.spawn.mockReturnValue(child);
+    const controller = new AbortController();
+
+    const pull = dockerUtils.pullImage('nginx:latest', jest.fn(), { signal: controller.signal });
+    child.emit('close', 0);
+    await expect(pull).resolves.toMatchObject({ success: true });
+
+    controller.abort();
+    expect(child.kill).not.toHaveBeenCalled();
+  });
+});
+
+describe('Docker pull progress', () => {
+  const EventEmitter = require('events');
+
+  const fakeChild = () => {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = jest.fn();
+    return child;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerEngine.isConfigured.mockReturnValue(false);
+    dockerUtils.apiMode = 'auto';
+  });
+
+  afterEach(() => {
+    dockerUtils.apiMode = 'cli';
+  });
+
+  test('CLI output is parsed into per-layer state, including lines split across chunks', async () => {
+    const child = fakeChild();
+    childProcess.spawn.mockReturnValue(child);
+    const updates = [];
+
+    const pull = dockerUtils.pullImage('nginx:latest', (update) => updates.push(update));
+    child.stdout.emit('data', Buffer.from('latest: Pulling from library/nginx\naaaaaaaaaaaa: Pulling fs layer\nbbbbbbbbbbbb: Pull'));
+    child.stdout.emit('data', Buffer.from('ing fs layer\naaaaaaaaaaaa: Pull complete\n'));
+    child.stdout.emit('data', Buffer.from('bbbbbbbbbbbb: Already exists\nDigest: sha256:abc\n'));
+    child.emit('close', 0);
+    await pull;
+
+    const last = updates[updates.length - 1];
+    expect(last).toMatchObject({ type: 'progress', progress: 100, message: 'Pulling layers: 2/2 complete' });
+    expect(last.pull.layers).toEqual([
+      expect.objectContaining({ id: 'aaaaaaaaaaaa', state: 'done' }),
+      expect.objectContaining({ id: 'bbbbbbbbbbbb', state: 'done' })
+    ]);
+    expect(updates[0].pull.layers[0].state).toBe('waiting');
+  });
+
+  test('Engine API messages give byte-weighted progress without spawning the CLI', async () => {
+    dockerEngine.isConfigured.mockReturnValue(true);
+    dockerEngine.pullImage.mockImplementation(async (imageName, onMessage) => {
+      onMessage({ status: 'Pulling from library/nginx', id: 'latest' });
+      onMessage({ status: 'Pulling fs layer', id: 'small' });
+      onMessage({ status: 'Pulling fs layer', id: 'large' });
+      onMessage({ status: 'Pull complete', id: 'small', progressDetail: {} });
+      onMessage({ status: 'Downloading', id: 'large', progressDetail: { current: 50, total: 100 } });
+      return { success: true, imageName };
+    });
+    const updates = [];
+
+    await dockerUtils.pullImage('nginx:latest', (update) => updates.push(update));
+
+    const last = updates[updates.length - 1];
+    expect(childProcess.spawn).not.toHaveBeenCalled();
+    expect(last.pull).toMatchObject({ layerCount: 2, done: 1, downloading: 1, totalBytes: 100, downloadedBytes: 50 });
+    expect(last.pull.layers.find((layer) => layer.id === 'large')).toEqual({ id: 'large', state: 'downloading', current: 50, total: 100 });
+    // "small" has no size yet and weighs like the average known layer: (1 + 0.5 * 0.75) / 2
+    expect(last.progress).toBe(68.8);
+  });
+
+  test('Engine API credential failures fall back to the CLI', async () => {
+    dockerEngine.isConfigured.mockReturnValue(true);
+    dockerEngine.pullImage.mockRejectedValue(new Error('unauthorized: authentication required'));
+    const child = fakeChild();
+    childProcess.spawn.mockReturnValue(child);
+
+    const pull = dockerUtils.pullImage('myorg/private:1', jest.fn());
+    await new Promise((resolve) => setImmediate(resolve));
+    child.emit('close', 0);
+
+    await expect(pull).resolves.toMatchObject({ success: true });
+    expect(childProcess.spawn).toHaveBeenCalledWith('docker', ['pull', 'myorg/private:1']);
+  });
+
+  test('other Engine API failures are reported without a CLI retry', async () => {
+    dockerEngine.isConfigured.mockReturnValue(true);
+    dockerEngine.pullImage.mockRejectedValue(new Error('manifest unknown'));
+
+    await expect(dockerUtils.pullImage('nginx:nope', jest.fn())).rejects.toThrow('manifest unknown');
+    expect(childProcess.spawn).not.toHaveBeenCalled();
+  });
+});
+
+describe('Docker pulls with stored registry credentials', () => {
+  const EventEmitter = require('events');
+  const fs = require('fs-extra');
+  const path = require('path');
+  const registryCredentials = require('../utils/registry-credentials');
+
+  const fakeChild = () => {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = jest.fn();
+    return child;
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    dockerEngine.isConfigured.mockReturnValue(false);
+    process.env.REGISTRY_CREDENTIALS_KEY = '12'.repeat(32);
+    await registryCredentials.set('ghcr.io', { username: 'octo', password: 'ghp_secret' });
+  });
+
+  afterEach(async () => {
+    dockerUtils.apiMode = 'cli';
+    delete process.env.REGISTRY_CREDENTIALS_KEY;
+    registryCredentials.data = null;
+    await fs.remove(path.join(process.env.REGISTRY_CREDENTIALS_DIR, 'registries.json'));
+  });
+
+  test('the CLI pulls with a throwaway docker config removed afterwards', async () => {
+    const child = fakeChild();
+    let dockerConfig;
+    childProcess.spawn.mockImplementation((file, args, { env }) => {
+      dockerConfig = env.DOCKER_CONFIG;
+      setImmediate(() => child.emit('close', 0));
+      return child;
+    });
+
+    await expect(dockerUtils.pullImage('ghcr.io/octo/app:1')).resolves.toMatchObject({ success: true });
+
+    expect(childProcess.spawn).toHaveBeenCalledWith('docker', ['pull', 'ghcr.io/octo/app:1'], expect.any(Object));
+    expect(childProcess.execFile).not.toHaveBeenCalled();
+    expect(await fs.pathExists(dockerConfig)).toBe(false);
+  });
+
+  test('the docker config holds only the registry credentials', async () => {
+    const child = fakeChild();
+    let config;
+    childProcess.spawn.mockImplementation((file, args, { env }) => {
+      config = fs.readJsonSync(path.join(env.DOCKER_CONFIG, 'config.json'));
+      setImmediate(() => child.emit('close', 1));
+      return child;
+    });
+
+    await expect(dockerUtils.pullImage('ghcr.io/octo/app:1', jest.fn())).rejects.toThrow('Docker pull failed');
+    expect(config).toEqual({ auths: { 'ghcr.io': { auth: Buffer.from('octo:ghp_secret').toString('base64') } } });
+  });
+
+  test('the CLI inherits no secrets from the backend environment', async () => {
+    const child = fakeChild();
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    childProcess.spawn.mockImplementation(() => {
+      setImmediate(() => child.emit('close', 0));
+      return child;
+    });
+
+    try {
+      await dockerUtils.pullImage('ghcr.io/octo/app:1');
+    } finally {
+      delete process.env.ADMIN_TOKEN;
+    }
+
+    const { env } = childProcess.spawn.mock.calls[0][2];
+    expect(env).toMatchObject({ PATH: process.env.PATH, DOCKER_CONFIG: expect.any(String) });
+    expect(env).not.toHaveProperty('REGISTRY_CREDENTIALS_KEY');
+    expect(env).not.toHaveProperty('ADMIN_TOKEN');
+    expect(env).not.toHaveProperty('REGISTRY_CREDENTIALS_DIR');
+  });
+
+  test('other registries pull without them', async () => {
+    mockExecFileSuccess('');
+
+    await dockerUtils.pullImage('quay.io/org/app:1');
+
+    expect(childProcess.execFile).toHaveBeenCalledWith('docker', ['pull', 'quay.io/org/app:1'], expect.any(Function));
+  });
+
+  test('Engine API pulls send them as X-Registry-Auth', async () => {
+    dockerUtils.apiMode = 'engine';
+    dockerEngine.pullImage.mockResolvedValue({ success: true });
+
+    await dockerUtils.pullImage('ghcr.io/octo/app:1');
+
+    const { auth } = dockerEngine.pullImage.mock.calls[0][2];
+    expect(JSON.parse(Buffer.from(auth, 'base64url').toString('utf8'))).toEqual({
+      username: 'octo',
+      password: 'ghp_secret',
+      serveraddress: 'ghcr.io'
+    });
+  });
+});
+
+describe('Docker Engine API mode', () => {
+  const unreachable = () => Object.assign(new Error('connect ECONNREFUSED /var/run/docker.sock'), { code: 'ECONNREFUSED' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockExecFileSuccess('[]');
+    dockerEngine.isConfigured.mockReturnValue(true);
+    dockerUtils.apiMode = 'auto';
+  });
+
+  afterEach(() => {
+    dockerUtils.apiMode = 'cli';
+  });
+
+  test('listImages maps image summaries without spawning the CLI', async () => {
+    dockerEngine.listImages.mockResolvedValue([
+      { Id: 'sha256:old', RepoTags: ['redis:7'], Created: 1700000000, Size: 1000 },
+      { Id: 'sha256:new', RepoTags: ['myorg/app:1'], Created: 1710000000, Size: 2000 }
+    ]);
+
+    const images = await dockerUtils.listImages();
+
+    expect(childProcess.execFile).not.toHaveBeenCalled();
+    expect(images).toEqual([
+      { name: 'myorg/app:1', id: 'sha256:new', created: '2024-03-09T16:00:00.000Z', size: 2000, repository: 'myorg/app', tag: '1' },
+      { name: 'redis:7', id: 'sha256:old', created: '2023-11-14T22:13:20.000Z', size: 1000, repository: 'redis', tag: '7' }
+    ]);
+  });
+
+  test('getImageHistory converts unix timestamps and cleans commands', async () => {
+    dockerEngine.imageHistory.mockResolvedValue([
+      { Id: 'sha256:top', Created: 1700000000, CreatedBy: '/bin/sh -c #(nop)  CMD ["nginx"]', Size: 0 },
+      { Id: '<missing>', Created: 1690000000, CreatedBy: '/bin/sh -c apt-get update', Size: 4096 }
+    ]);
+
+    const history = await dockerUtils.getImageHistory('nginx:latest');
+
+    expect(history).toEqual([
+      { id: 'sha256:top', command: 'CMD ["nginx"]', size: 0, created: '2023-11-14T22:13:20.000Z', index: 0 },
+      { id: '<missing>', command: 'RUN apt-get update', size: 4096, created: '2023-07-22T04:26:40.000Z', index: 1 }
+    ]);
+  });
+
+  test('imageExists and getImageInfo handle a missing image', async () => {
+    dockerEngine.inspectImage.mockResolvedValue(null);
+
+    await expect(dockerUtils.imageExists('nginx:latest')).resolves.toBe(false);
+    await expect(dockerUtils.getImageInfo('nginx:latest')).rejects.toThrow('No such image: nginx:latest');
+    expect(childProcess.execFile).not.toHaveBeenCalled();
+  });
+
+  test('loadImage streams per-layer progress and parses the loaded refs', async () => {
+    dockerEngine.loadImage.mockImplementation(async (filePath, onMessage) => {
+      onMessage({ status: 'Loading layer', id: 'abcdef1234567890', progressDetail: { current: 25, total: 100 } });
+      onMessage({ stream: 'Loaded image: myapp:1.0\n' });
+      return 'Loaded image: myapp:1.0\n';
+    });
+    const updates = [];
+
+    const result = await dockerUtils.loadImage('/tmp/x.tar', (update) => updates.push(update));
+
+    expect(dockerEngine.loadImage).toHaveBeenCalledWith('/tmp/x.tar', expect.any(Function));
+    expect(updates).toEqual([
+      { type: 'progress', message: 'Loading layer abcdef123456', progress: 25, layer: 'abcdef1234567890' }
+    ]);
+    expect(result).toMatchObject({ success: true, loadedImages: ['myapp:1.0'], loadedImageIds: [] });
+  });
+
+  test('pulls and lists platforms through the Engine API', async () => {
+    dockerEngine.pullImage.mockResolvedValue({ success: true });
+    dockerEngine.distributionInspect.mockResolvedValue({
+      Platforms: [{ os: 'linux', architecture: 'amd64' }, { os: 'linux', architecture: 'arm64', variant: 'v8' }]
+    });
+
+    await dockerUtils.pullImage('nginx:latest', null, { platform: 'linux/arm64' });
+    const platforms = await dockerUtils.getImagePlatforms('nginx:latest');
+
+    expect(dockerEngine.pullImage).toHaveBeenCalledWith('nginx:latest', expect.any(Function), { signal: undefined, platform: 'linux/arm64' });
+    expect(platforms).toEqual(['linux/amd64', 'linux/arm64/v8']);
+    expect(childProcess.execFile).not.toHaveBeenCalled();
+  });
+
+  test('auto mode falls back to the CLI when the socket is unreachable', async () => {
+    dockerEngine.removeImage.mockRejectedValue(unreachable());
+    mockExecFileSuccess('Untagged: nginx:latest\n');
+
+    const result = await dockerUtils.removeImage('nginx:latest');
+
+    expect(childProcess.execFile).toHaveBeenCalledWith('docker', ['rmi', 'nginx:latest'], expect.any(Function));
+    expect(result.output).toBe('Untagged: nginx:latest\n');
+  });
+
+  test('engine mode never falls back to the CLI', async () => {
+    dockerUtils.apiMode = 'engine';
+    dockerEngine.isConfigured.mockReturnValue(false);
+    dockerEngine.removeImage.mockRejectedValue(unreachable());
+
+    await expect(dockerUtils.removeImage('nginx:latest')).rejects.toThrow('ECONNREFUSED');
+    expect(childProcess.execFile).not.toHaveBeenCalled();
+  });
+
+  test('daemon errors are not retried with the CLI', async () => {
+    dockerEngine.removeImage.mockRejectedValue(
+      Object.assign(new Error('conflict: unable to remove repository reference'), { statusCode: 409 })
+    );
+
+    await expect(dockerUtils.removeImage('nginx:latest')).rejects.toThrow('conflict');
+    expect(childProcess.execFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('Docker image export', () => {
+  const EventEmitter = require('events');
+  const { PassThrough, Readable, Writable } = require('stream');
+
+  const collector = () => {
+    const chunks = [];
+    const destination = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+    return { destination, text: () => Buffer.concat(chunks).toString() };
+  };
+
+  const fakeSave = () => {
+    const child = new EventEmitter();
+    child.stdout = new PassThrough();
+    child.stderr = new EventEmitter();
+    child.kill = jest.fn(() => {
+      child.stdout.end();
+      setImmediate(() => child.emit('close', null));
+    });
+    return child;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    dockerUtils.apiMode = 'cli';
+  });
+
+  test('streams docker save output into the destination', async () => {
+    const child = fakeSave();
+    childProcess.spawn.mockReturnValue(child);
+    const { destination, text } = collector();
+
+    const save = dockerUtils.saveImage('nginx:latest', destination);
+    child.stdout.end('archive bytes');
+    setImmediate(() => child.emit('close', 0));
+    await save;
+
+    expect(childProcess.spawn).toHaveBeenCalledWith('docker', ['save', 'nginx:latest']);
+    expect(text()).toBe('archive bytes');
+  });
+
+  test('accepts an image ID, which pins one platform of a tag', async () => {
+    const child = fakeSave();
+    childProcess.spawn.mockReturnValue(child);
+    const imageId = `sha256:${'a'.repeat(64)}`;
+
+    const save = dockerUtils.saveImage(imageId, collector().destination);
+    child.stdout.end();
+    setImmediate(() => child.emit('close', 0));
+    await save;
+
+    expect(childProcess.spawn).toHaveBeenCalledWith('docker', ['save', imageId]);
+  });
+
+  test('reports a failed docker save with its stderr', async () => {
+    const child = fakeSave();
+    childProcess.spawn.mockReturnValue(child);
+
+    const save = dockerUtils.saveImage('nginx:latest', collector().destination);
+    child.stderr.emit('data', Buffer.from('Error response from daemon: reference does not exist'));
+    child.stdout.end();
+    setImmediate(() => child.emit('close', 1));
+
+    await expect(save).rejects.toThrow('Failed to save image: Docker save failed with code 1: Error response from daemon: reference does not exist');
+  });
+
+  test('aborting the signal kills docker save and rejects as cancelled', async () => {
+    const child = fakeSave();
+    childProcess.spawn.mockReturnValue(child);
+    const controller = new AbortController();
+
+    const save = dockerUtils.saveImage('nginx:latest', collector().destination, { signal: controller.signal });
+    controller.abort();
+
+    await expect(save).rejects.toThrow('Inspection cancelled');
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM');
+  });
+
+  test('uses the Engine API export when the socket is available', async () => {
+    dockerUtils.apiMode = 'auto';
+    dockerEngine.isConfigured.mockReturnValue(true);
+    dockerEngine.saveImage.mockResolvedValue(Readable.from([Buffer.from('engine archive')]));
+    const { destination, text } = collector();
+
+    await dockerUtils.saveImage('nginx:latest', destination);
+
+    expect(dockerEngine.saveImage).toHaveBeenCalledWith('nginx:latest', { signal: undefined });
+    expect(childProcess.spawn).not.toHaveBeenCalled();
+    expect(text()).toBe('engine archive');
+  });
+
+  test('rejects invalid image names before exporting', async () => {
+    await expect(dockerUtils.saveImage('--output=/etc/passwd', collector().destination)).rejects.toThrow('Invalid image name');
+    expect(childProcess.spawn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+const { humanSize, parseRun, parseHistoryCommand, reconstructDockerfile } = require('../utils/dockerfile');
+
+describe('Dockerfile reconstruction', () => {
+  test('humanSize matches docker history sizes', () => {
+    expect(humanSize(0)).toBe('0B');
+    expect(humanSize(999)).toBe('999B');
+    expect(humanSize(77830000)).toBe('77.83MB');
+    expect(humanSize(1500000000)).toBe('1.5GB');
+  });
+
+  test('classic #(nop) metadata instructions become Dockerfile syntax', () => {
+    expect(parseHistoryCommand('CMD ["nginx" "-g" "daemon off;"]').text).toBe('CMD ["nginx", "-g", "daemon off;"]');
+    expect(parseHistoryCommand('ADD file:5d68d27cc15a in / ').text).toBe('ADD file:5d68d27cc15a /');
+    expect(parseHistoryCommand('COPY dir:0a1b2c in /app ').text).toBe('COPY dir:0a1b2c /app');
+    expect(parseHistoryCommand('EXPOSE map[80/tcp:{} 443/tcp:{}]').text).toBe('EXPOSE 80/tcp 443/tcp');
+    expect(parseHistoryCommand('ENV NGINX_VERSION=1.25.3').text).toBe('ENV NGINX_VERSION=1.25.3');
+    expect(parseHistoryCommand('').text).toBe('# (no instruction recorded for this layer)');
+  });
+
+  test('HEALTHCHECK settings are turned back into flags', () => {
+    const command = 'HEALTHCHECK &{["CMD-SHELL" "curl -f http://localhost/ || exit 1"] "30s" "3s" "0s" "0s" \'\\x03\'}';
+
+    expect(parseHistoryCommand(command).text).toBe(
+      'HEALTHCHECK --interval=30s --timeout=3s --retries=3 CMD curl -f http://localhost/ || exit 1'
+    );
+    expect(parseHistoryCommand('HEALTHCHECK &{["NONE"] "0s" "0s" "0s" "0s" \'\\x00\'}').text).toBe('HEALTHCHECK NONE');
+  });
+
+  test('RUN keeps --mount flags and drops the build-arg prefix and shell', () => {
+    expect(parseRun('--mount=type=cache,target=/root/.npm |1 NODE_ENV=production /bin/sh -c npm ci')).toEqual({
+      flags: ['--mount=type=cache,target=/root/.npm'],
+      buildArgs: ['NODE_ENV=production'],
+      script: 'npm ci'
+    });
+    expect(parseHistoryCommand('RUN |2 A=1 B=2 /bin/bash -o pipefail -c make # buildkit')).toEqual({
+      keyword: 'RUN',
+      text: 'RUN make',
+      buildArgs: ['A=1', 'B=2']
+    });
+    // The classic builder leaves build-arg RUNs without the RUN keyword
+    expect(parseHistoryCommand('|1 VERSION=2 /bin/sh -c echo $VERSION').text).toBe('RUN echo $VERSION');
+    expect(parseHistoryCommand('RUN ./publish.sh -c release').text).toBe('RUN ./publish.sh -c release');
+  });
+
+  test('multi-line scripts are written as heredocs', () => {
+    expect(parseHistoryCommand('RUN /bin/sh -c set -eux\napk add curl # buildkit').text).toBe('RUN <<EOF\nset -eux\napk add curl\nEOF');
+    expect(parseHistoryCommand('RUN /bin/sh -c cat <<EOT > /etc/motd\nhello\nEOT # buildkit').text).toBe(
+      'RUN cat <<EOT > /etc/motd\nhello\nEOT'
+    );
+  });
+
+  test('reconstructDockerfile orders history oldest first and annotates layer sizes', () => {
+    const { instructions, dockerfile } = reconstructDockerfile([
+      { id: 'sha256:3', command: 'CMD ["node" "server.js"]', size: 0, created: '2024-01-03T00:00:00Z' },
+      { id: '<missing>', command: 'RUN |1 NODE_ENV=production /bin/sh -c npm ci # buildkit', size: 52340000 },
+      { id: '<missing>', command: 'ADD file:5d68d27cc15a in / ', size: 77830000 }
+    ]);
+
+    expect(instructions.map((instruction) => instruction.instruction)).toEqual(['ADD', 'ARG', 'RUN', 'CMD']);
+    expect(instructions[3]).toMatchObject({ layerId: 'sha256:3', source: 'history' });
+    expect(instructions[2].layerId).toBeNull();
+    expect(dockerfile).toBe([
+      '# Reconstructed from image history; build context files and multi-stage sources are not recoverable',
+      'FROM scratch',
+      '',
+      '# 77.83MB',
+      'ADD file:5d68d27cc15a /',
+      '',
+      'ARG NODE_ENV=production',
+      '',
+      '# 52.34MB',
+      'RUN npm ci',
+      '',
+      'CMD ["node", "server.js"]',
+      ''
+    ].join('\n'));
+  });
+
+  test('config settings missing from the history are appended', () => {
+    const { instructions, dockerfile } = reconstructDockerfile(
+      [
+        { id: 'sha256:2', command: 'ENV APP_HOME /srv', size: 0 },
+        { id: 'sha256:1', command: 'COPY --from=build /out /app # buildkit', size: 100 }
+      ],
+      {
+        Env: ['PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin', 'APP_HOME=/srv', 'GREETING=hello world'],
+        Labels: { 'org.opencontainers.image.source': 'https://example.com/app' },
+        User: 'app',
+        Entrypoint: ['/app/run']
+      }
+    );
+
+    expect(instructions.filter((instruction) => instruction.source === 'config').map((instruction) => instruction.text)).toEqual([
+      'ENV GREETING="hello world"',
+      'LABEL org.opencontainers.image.source=https://example.com/app',
+      'USER app',
+      'ENTRYPOINT ["/app/run"]'
+    ]);
+    expect(dockerfile).toContain('# FROM <base image not recorded in history>');
+    expect(dockerfile).toContain('# From the image config (not in the history)\nENV GREETING="hello world"');
+  });
+});
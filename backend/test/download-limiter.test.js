@@ -0,0 +1,59 @@
+const express = require('express');
+const request = require('supertest');
+const { createDownloadLimiter } = require('../middleware/download-limiter');
+
+// A stand-in for the download routes that holds each response until released
+const limitedApp = (options) => {
+  const app = express();
+  const held = [];
+  const limiter = createDownloadLimiter(options);
+  app.get('/images/:imageName/layers/:layerIndex/:kind', limiter, (req, res) => {
+    held.push(() => res.json({ ok: true }));
+  });
+  return { app, held };
+};
+
+const waitFor = async (condition) => {
+  while (!condition()) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+describe('Download limits', () => {
+  test('runs at most `concurrency` exports at once and frees slots when they end', async () => {
+    const { app, held } = limitedApp({ concurrency: 2 });
+
+    const first = request(app).get('/images/nginx/layers/0/tar').then((res) => res);
+    const second = request(app).get('/images/nginx/layers/1/file?path=/etc/os-release').then((res) => res);
+    await waitFor(() => held.length === 2);
+
+    const busy = await request(app).get('/images/nginx/layers/2/tar').expect(429);
+    expect(busy.body).toEqual({ error: 'Too many downloads in progress, please try again later.', concurrency: 2 });
+    expect(busy.headers['retry-after']).toBe('30');
+
+    held.shift()();
+    expect((await first).status).toBe(200);
+
+    const third = request(app).get('/images/nginx/layers/2/tar').then((res) => res);
+    await waitFor(() => held.length === 2);
+    held.splice(0).forEach((release) => release());
+    expect((await second).status).toBe(200);
+    expect((await third).status).toBe(200);
+  });
+
+  test('counts file and tar downloads against one per-client budget', async () => {
+    const { app, held } = limitedApp({ max: 2 });
+    const download = (path) => {
+      const pending = request(app).get(path).then((res) => res);
+      return waitFor(() => held.length > 0).then(() => {
+        held.shift()();
+        return pending;
+      });
+    };
+
+    expect((await download('/images/nginx/layers/0/tar')).status).toBe(200);
+    expect((await download('/images/nginx/layers/0/file?path=/etc/hosts')).status).toBe(200);
+    const limited = await request(app).get('/images/nginx/layers/1/tar').expect(429);
+    expect(limited.body.error).toBe('Too many downloads, please try again later.');
+  });
+});
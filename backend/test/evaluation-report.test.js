@@ -0,0 +1,89 @@
+const { toSarif, toJunit, EVALUATION_FORMATS } = require('../utils/evaluation-report');
+const { evaluateRules, normalizeRules } = require('../utils/ci-rules');
+
+const analysis = {
+  analysis: { totalLayers: 2, totalSize: 10000000, wastedSpace: 4000000, efficiency: 60 },
+  layers: [
+    { id: 'sha256:base', index: 0, command: 'ADD rootfs.tar /', size: 2000000 },
+    { id: 'sha256:apt', index: 1, command: 'RUN apt-get update && apt-get install -y curl', size: 8000000 }
+  ],
+  inefficientFiles: [
+    { path: '/var/lib/apt/lists/deb & <main>', count: 2, totalBytes: 8000000, wastedBytes: 4000000, layers: [{ index: 0, status: 'added' }, { index: 1, status: 'modified' }] }
+  ],
+  advice: {
+    findings: [{
+      rule: 'package-cache',
+      title: 'apt cache left in the image',
+      layerIndex: 1,
+      layerId: 'sha256:apt',
+      command: 'RUN apt-get update && apt-get install -y curl',
+      estimatedSavings: 4000000,
+      savings: 'image',
+      fileCount: 1,
+      paths: ['/var/lib/apt/lists/deb & <main>'],
+      fix: 'End the RUN with `&& rm -rf /var/lib/apt/lists/*`'
+    }],
+    totalSavings: 4000000
+  }
+};
+
+const context = { imageName: 'myorg/app:1.0', digest: 'sha256:digest', platform: 'linux/amd64', completedAt: '2026-01-02T03:04:05.000Z' };
+
+describe('Evaluation reports', () => {
+  const evaluation = evaluateRules(analysis, normalizeRules({ highestWastedBytes: 'disabled' }));
+
+  test('SARIF has an error per failed CI rule at the wasteful files and a warning per advice finding', () => {
+    const sarif = toSarif(evaluation, analysis, context);
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual([
+      'lowestEfficiency', 'highestWastedBytes', 'highestUserWastedPercent',
+      'package-cache', 'deleted-later', 'copy-before-install', 'build-toolchain'
+    ]);
+    expect(run.results.map((result) => [result.ruleId, result.ruleIndex, result.level])).toEqual([
+      ['lowestEfficiency', 0, 'error'],
+      ['highestUserWastedPercent', 2, 'error'],
+      ['package-cache', 3, 'warning']
+    ]);
+    expect(run.results[0].locations).toEqual([{
+      physicalLocation: { artifactLocation: { uri: 'var/lib/apt/lists/deb%20&%20%3Cmain%3E', uriBaseId: 'IMAGEROOT' } },
+      logicalLocations: [
+        { name: 'layer #1', fullyQualifiedName: 'sha256:base', kind: 'module', properties: { layerIndex: 0, command: 'ADD rootfs.tar /' } },
+        { name: 'layer #2', fullyQualifiedName: 'sha256:apt', kind: 'module', properties: { layerIndex: 1, command: 'RUN apt-get update && apt-get install -y curl' } }
+      ]
+    }]);
+    expect(run.results[2].message.text).toBe('apt cache left in the image (layer #2, about 4MB of image size). End the RUN with `&& rm -rf /var/lib/apt/lists/*`');
+    expect(run.results[2].locations[0].logicalLocations).toEqual([expect.objectContaining({ name: 'layer #2', fullyQualifiedName: 'sha256:apt' })]);
+    expect(run.properties).toMatchObject({ imageName: 'myorg/app:1.0', digest: 'sha256:digest', verdict: 'fail' });
+  });
+
+  test('a finding without example paths is located at its layer only', () => {
+    const copyFinding = { rule: 'copy-before-install', title: 'Whole build context copied', layerIndex: 0, layerId: 'sha256:base', command: 'COPY . .', estimatedSavings: 5000, savings: 'rebuild', paths: [], fix: 'Copy the manifests first' };
+    const sarif = toSarif(evaluateRules(analysis, normalizeRules({ lowestEfficiency: 'disabled', highestUserWastedPercent: 'disabled' })), { ...analysis, advice: { findings: [copyFinding] } }, context);
+
+    expect(sarif.runs[0].results).toEqual([expect.objectContaining({
+      ruleId: 'copy-before-install',
+      locations: [{ logicalLocations: [expect.objectContaining({ name: 'layer #1' })] }]
+    })]);
+  });
+
+  test('JUnit has a testcase per rule, skipped when disabled and failing with the findings', () => {
+    const xml = toJunit(evaluation, analysis, context);
+
+    expect(xml).toMatch(/^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="docker-dive-web-ui myorg\/app:1\.0" tests="7" failures="3" errors="0" skipped="1">/);
+    expect(xml).toContain('<testsuite name="dive-ci" tests="3" failures="2" errors="0" skipped="1" timestamp="2026-01-02T03:04:05.000Z">');
+    expect(xml).toContain('<property name="digest" value="sha256:digest"/>');
+    expect(xml).toContain('<failure message="image efficiency 0.6 must be at least 0.9" type="lowestEfficiency">');
+    expect(xml).toContain('<testcase classname="myorg/app:1.0" name="highestWastedBytes">\n      <skipped message="rule disabled"/>');
+    expect(xml).toContain('<testsuite name="best-practices" tests="4" failures="1" errors="0" skipped="0"');
+    expect(xml).toContain('<failure message="1 finding: Package manager caches left in the image" type="package-cache">apt cache left in the image (layer #2, about 4MB of image size). End the RUN with `&amp;&amp; rm -rf /var/lib/apt/lists/*`\n  /var/lib/apt/lists/deb &amp; &lt;main&gt;</failure>');
+    expect(xml).toContain('<testcase classname="myorg/app:1.0" name="build-toolchain"/>');
+  });
+
+  test('formats name their content type and extension', () => {
+    expect(EVALUATION_FORMATS.sarif).toMatchObject({ contentType: 'application/sarif+json', extension: 'sarif' });
+    expect(JSON.parse(EVALUATION_FORMATS.sarif.render(evaluation, analysis, context)).version).toBe('2.1.0');
+    expect(EVALUATION_FORMATS.junit.extension).toBe('junit.xml');
+  });
+});
@@ -0,0 +1,163 @@
+const { PathTree, attributeWastedBytes, buildLayerFileTrees, formatMode, normalizePath } = require('../utils/file-tree');
+
+const entry = (path, overrides = {}) => ({
+  path,
+  typeFlag: 48,
+  linkName: '',
+  size: 100,
+  fileMode: 0o644,
+  uid: 0,
+  gid: 0,
+  isDir: false,
+  ...overrides
+});
+
+const dir = (path, overrides = {}) => entry(path, { typeFlag: 53, isDir: true, size: 0, fileMode: 0o755, ...overrides });
+
+describe('Layer file tree construction', () => {
+  test('normalizes dive paths to absolute paths', () => {
+    expect(normalizePath('etc/passwd')).toBe('/etc/passwd');
+    expect(normalizePath('./etc/')).toBe('/etc');
+    expect(normalizePath('/')).toBe('');
+  });
+
+  test('formats permission bits like ls -l', () => {
+    expect(formatMode('file', 0o755)).toBe('-rwxr-xr-x');
+    expect(formatMode('dir', 0o700)).toBe('drwx------');
+    expect(formatMode('symlink', 0o777)).toBe('lrwxrwxrwx');
+  });
+
+  test('marks first appearances as added with full file attributes', () => {
+    const [layer] = buildLayerFileTrees([[
+      dir('etc'),
+      entry('etc/hosts', { size: 42, uid: 1000, gid: 1000 }),
+      entry('bin/sh', { typeFlag: 50, linkName: '/bin/busybox', size: 0, fileMode: 0o777 }),
+      { path: '' }
+    ]]);
+
+    expect(layer.map((file) => file.path)).toEqual(['/bin/sh', '/etc', '/etc/hosts']);
+    expect(layer[2]).toEqual({
+      path: '/etc/hosts',
+      type: 'file',
+      size: 42,
+      mode: '-rw-r--r--',
+      uid: 1000,
+      gid: 1000,
+      linkName: '',
+      status: 'added'
+    });
+    expect(layer[0]).toMatchObject({ type: 'symlink', linkName: '/bin/busybox', status: 'added' });
+    expect(layer[1]).toMatchObject({ type: 'dir', size: 0, status: 'added' });
+  });
+
+  test('tracks modified, unmodified and removed entries across layers', () => {
+    const [, upper] = buildLayerFileTrees([
+      [dir('app'), entry('app/config.json', { size: 10 }), entry('app/secret.key', { size: 64 })],
+      [dir('app'), entry('app/config.json', { size: 12 }), entry('app/.wh.secret.key', { size: 0 })]
+    ]);
+
+    expect(upper).toEqual([
+      expect.objectContaining({ path: '/app', status: 'unmodified' }),
+      expect.objectContaining({ path: '/app/config.json', size: 12, status: 'modified' }),
+      expect.objectContaining({ path: '/app/secret.key', size: 64, status: 'removed' })
+    ]);
+  });
+
+  test('directory attribute changes count as modifications', () => {
+    const [, upper] = buildLayerFileTrees([
+      [dir('data')],
+      [dir('data', { uid: 999 })]
+    ]);
+
+    expect(upper[0].status).toBe('modified');
+  });
+
+  test('opaque whiteouts hide lower contents so re-created files are added', () => {
+    const [, , top] = buildLayerFileTrees([
+      [dir('cache'), entry('cache/a')],
+      [dir('cache'), entry('cache/.wh..wh..opq', { size: 0 })],
+      [entry('cache/a')]
+    ]);
+
+    expect(top).toEqual([expect.objectContaining({ path: '/cache/a', status: 'added' })]);
+  });
+
+  test('removing a directory removes its descendants from later comparisons', () => {
+    const [, , top] = buildLayerFileTrees([
+      [dir('tmp'), dir('tmp/build'), entry('tmp/build/out.o')],
+      [entry('tmp/.wh.build', { size: 0 })],
+      [entry('tmp/build/out.o')]
+    ]);
+
+    expect(top[0].status).toBe('added');
+  });
+});
+
+describe('PathTree', () => {
+  const under = (tree, dirPath) => {
+    const paths = [];
+    tree.forEachUnder(dirPath, (value, path) => paths.push(path));
+    return paths.sort();
+  };
+
+  test('finds and removes subtrees, parents listed or not', () => {
+    const tree = new PathTree();
+    ['/usr', '/usr/lib/libc.so', '/usr/lib/apt/methods', '/usr/libexec', '/var/cache/apt/pkg.bin']
+      .forEach((path) => tree.set(path, path.length));
+
+    expect(under(tree, '/usr')).toEqual(['/usr/lib/apt/methods', '/usr/lib/libc.so', '/usr/libexec']);
+    expect(under(tree, '/var')).toEqual(['/var/cache/apt/pkg.bin']);
+
+    tree.remove('/usr/lib');
+    expect(under(tree, '/usr')).toEqual(['/usr/libexec']);
+
+    tree.remove('/usr', { keepSelf: true });
+    expect(tree.has('/usr')).toBe(true);
+    expect(under(tree, '/usr')).toEqual([]);
+
+    tree.set('/usr/lib/libc.so', 1);
+    expect(under(tree, '')).toEqual(['/usr', '/usr/lib/libc.so', '/var/cache/apt/pkg.bin']);
+  });
+
+  test('handles clean-up layers deleting thousands of paths', () => {
+    const files = Array.from({ length: 20000 }, (_, i) => entry(`var/lib/apt/lists/part${i % 50}/file${i}`));
+    const whiteouts = Array.from({ length: 20000 }, (_, i) => entry(`var/lib/apt/lists/part${i % 50}/.wh.file${i}`, { size: 0 }));
+
+    const [, cleanup] = buildLayerFileTrees([files, whiteouts]);
+
+    expect(cleanup).toHaveLength(20000);
+    expect(cleanup.every((record) => record.status === 'removed' && record.size === 100)).toBe(true);
+  });
+});
+
+describe('Wasted byte attribution', () => {
+  const layerFiles = buildLayerFileTrees([
+    [entry('var/lib/apt/lists/main', { size: 5000 }), entry('app/bundle.js', { size: 300 })],
+    [entry('app/bundle.js', { size: 400 })],
+    [entry('var/lib/apt/lists/.wh.main', { size: 0 }), entry('app/bundle.js', { size: 500 })]
+  ]);
+
+  test('charges overwritten and deleted copies to the layers holding them', () => {
+    const { wastedByLayer, references } = attributeWastedBytes([
+      { file: '/var/lib/apt/lists/main', count: 2, sizeBytes: 5000 },
+      { file: 'app/bundle.js', count: 3, sizeBytes: 1200 }
+    ], layerFiles);
+
+    // layer 0 holds the deleted apt list and the first bundle copy
+    expect(wastedByLayer).toEqual([5300, 400, 0]);
+    expect(references[0]).toEqual({
+      path: '/var/lib/apt/lists/main',
+      count: 2,
+      sizeBytes: 5000,
+      touches: [
+        { layerIndex: 0, status: 'added', size: 5000 },
+        { layerIndex: 2, status: 'removed', size: 0 }
+      ]
+    });
+    expect(references[1].touches.map((touch) => touch.layerIndex)).toEqual([0, 1, 2]);
+  });
+
+  test('tolerates a missing fileReference list', () => {
+    expect(attributeWastedBytes(undefined, layerFiles).wastedByLayer).toEqual([0, 0, 0]);
+  });
+});
@@ -1,4 +1,4 @@
-const { validateImageName, assertValidImageName } = require('../utils/image-name');
+const { validateImageName, assertValidImageName, parseImageReference } = require('../utils/image-name');
 
 const digest = 'a'.repeat(64);
 
@@ -37,3 +37,21 @@ describe('Docker image name validation', () => {
     expect(() => assertValidImageName(imageName)).toThrow('Invalid image name');
   });
 });
+
+describe('parseImageReference', () => {
+  const digest = `sha256:${'b'.repeat(64)}`;
+
+  test.each([
+    ['nginx', { registry: 'docker.io', repository: 'library/nginx', tag: 'latest', digest: null, reference: 'latest' }],
+    ['bitnami/redis:7.2', { registry: 'docker.io', repository: 'bitnami/redis', tag: '7.2', digest: null, reference: '7.2' }],
+    ['localhost:5000/team/app:1.0', { registry: 'localhost:5000', repository: 'team/app', tag: '1.0', digest: null, reference: '1.0' }],
+    [`ghcr.io/owner/repo@${digest}`, { registry: 'ghcr.io', repository: 'owner/repo', tag: null, digest, reference: digest }],
+    [`alpine:3.19@${digest}`, { registry: 'docker.io', repository: 'library/alpine', tag: '3.19', digest, reference: digest }]
+  ])('splits %s', (imageName, expected) => {
+    expect(parseImageReference(imageName)).toEqual(expected);
+  });
+
+  test('rejects an invalid reference', () => {
+    expect(() => parseImageReference('Nginx')).toThrow('Invalid image name');
+  });
+});
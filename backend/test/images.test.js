@@ -13,6 +13,7 @@ jest.mock('node-pty', () => ({
 }));
 
 const imagesRoutes = require('../routes/images');
+const dockerUtils = require('../utils/docker');
 
 const app = express();
 app.use(express.json());
@@ -82,3 +83,137 @@ describe('Images routes destructive cleanup hardening', () => {
     expect(childProcess.spawn).not.toHaveBeenCalled();
   });
 });
+
+describe('Images routes Dockerfile reconstruction', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reconstructs the Dockerfile from history and config', async () => {
+    jest.spyOn(dockerUtils, 'imageExists').mockResolvedValue(true);
+    jest.spyOn(dockerUtils, 'getImageHistory').mockResolvedValue([
+      { id: 'sha256:2', command: 'RUN /bin/sh -c apk add curl # buildkit', size: 2500000, created: '2024-01-02T00:00:00Z', index: 0 },
+      { id: '<missing>', command: 'ADD alpine-minirootfs.tar.gz / # buildkit', size: 7800000, created: '2024-01-01T00:00:00Z', index: 1 }
+    ]);
+    jest.spyOn(dockerUtils, 'getImageInfo').mockResolvedValue({ id: 'sha256:2', config: { Cmd: ['/bin/sh'] } });
+
+    const response = await request(app)
+      .get(`/images/${encodeURIComponent('alpine:curl')}/dockerfile`)
+      .expect(200);
+
+    expect(response.body.instructions.map((instruction) => instruction.text)).toEqual([
+      'ADD alpine-minirootfs.tar.gz /',
+      'RUN apk add curl',
+      'CMD ["/bin/sh"]'
+    ]);
+    expect(response.body.instructions[1]).toMatchObject({ instruction: 'RUN', size: 2500000, layerId: 'sha256:2' });
+    expect(response.body.dockerfile).toContain('FROM scratch\n\n# 7.8MB\nADD alpine-minirootfs.tar.gz /');
+  });
+
+  test('returns 404 for an image that is not local', async () => {
+    jest.spyOn(dockerUtils, 'imageExists').mockResolvedValue(false);
+    const history = jest.spyOn(dockerUtils, 'getImageHistory');
+
+    await request(app)
+      .get('/images/nginx%3Alatest/dockerfile')
+      .expect(404);
+
+    expect(history).not.toHaveBeenCalled();
+  });
+});
+
+describe('Images routes layer downloads', () => {
+  const crypto = require('crypto');
+  const { Readable } = require('stream');
+  const { pipeline } = require('stream/promises');
+  const { tarArchive } = require('./tar-fixture');
+
+  const IMAGE_ID = `sha256:${'a'.repeat(64)}`;
+  const layer = tarArchive([
+    { name: 'etc/app.json', content: '{"debug":true}\n' },
+    { name: 'etc/app/', type: 'dir' }
+  ]);
+  const diffId = `sha256:${crypto.createHash('sha256').update(layer).digest('hex')}`;
+  const archive = tarArchive([
+    { name: 'l1/layer.tar', content: layer },
+    { name: 'manifest.json', content: JSON.stringify([{ Layers: ['l1/layer.tar'] }]) }
+  ]);
+
+  // Keep the body as bytes whatever the content type
+  const rawBody = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(dockerUtils, 'getImageInfo').mockResolvedValue({ id: IMAGE_ID, rootfs: { Type: 'layers', Layers: [diffId] } });
+    jest.spyOn(dockerUtils, 'saveImage').mockImplementation((imageName, destination) => pipeline(Readable.from([archive]), destination));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('serves a file with its content type as an attachment, exported by image ID', async () => {
+    const response = await request(app)
+      .get(`/images/myorg%2Fapp%3A1/layers/0/file?path=/etc/app.json&digest=${IMAGE_ID}`)
+      .expect(200);
+
+    expect(dockerUtils.saveImage).toHaveBeenCalledWith(IMAGE_ID, expect.anything(), expect.anything());
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="app.json"');
+    expect(response.headers['content-security-policy']).toBe("default-src 'none'; sandbox");
+    expect(response.headers['x-layer-index']).toBe('0');
+    expect(response.text).toBe('{"debug":true}\n');
+  });
+
+  test('answers range requests so large files can be previewed', async () => {
+    const response = await request(app)
+      .get('/images/app%3A1/layers/0/file?path=/etc/app.json')
+      .set('Range', 'bytes=0-5')
+      .buffer(true)
+      .parse(rawBody)
+      .expect(206);
+
+    expect(response.body.toString()).toBe('{"debu');
+    expect(response.headers['content-range']).toBe('bytes 0-5/15');
+  });
+
+  test('rejects bad paths, layers and digests before exporting anything', async () => {
+    await request(app).get('/images/app%3A1/layers/0/file?path=etc/app.json').expect(400);
+    await request(app).get('/images/app%3A1/layers/0/file?path=/etc/../../x').expect(400);
+    await request(app).get('/images/app%3A1/layers/-1/file?path=/etc/app.json').expect(400);
+    await request(app).get('/images/app%3A1/layers/0/file?path=/etc/app.json&digest=latest').expect(400);
+    await request(app).get('/images/app%3A1%3B%20rm/layers/0/tar').expect(400);
+
+    const changed = await request(app).get(`/images/app%3A1/layers/0/tar?digest=sha256:${'b'.repeat(64)}`).expect(409);
+    expect(changed.body.error).toBe('Image changed');
+    expect(dockerUtils.saveImage).not.toHaveBeenCalled();
+  });
+
+  test('maps missing files and images to 404 and directories to 422', async () => {
+    const missing = await request(app).get('/images/app%3A1/layers/0/file?path=/etc/nope').expect(404);
+    expect(missing.body).toMatchObject({ error: 'Failed to download file', path: '/etc/nope', message: '/etc/nope not found at layer #1' });
+
+    await request(app).get('/images/app%3A1/layers/0/file?path=/etc/app/').expect(422);
+
+    dockerUtils.getImageInfo.mockResolvedValue(null);
+    await request(app).get('/images/app%3A1/layers/0/file?path=/etc/app.json').expect(404);
+  });
+
+  test('serves a layer as an uncompressed tarball', async () => {
+    const response = await request(app)
+      .get('/images/myorg%2Fapp%3A1/layers/0/tar')
+      .buffer(true)
+      .parse(rawBody)
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/x-tar');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="myorg_app_1_layer-1.tar"');
+    expect(response.headers['x-layer-digest']).toBe(diffId);
+    expect(response.body.equals(layer)).toBe(true);
+
+    await request(app).get('/images/app%3A1/layers/3/tar').expect(404);
+  });
+});
@@ -0,0 +1,56 @@
+const express = require('express');
+const request = require('supertest');
+const { createInspectLimiter } = require('../middleware/inspect-limiter');
+
+// A limiter of two requests in front of a stand-in for the inspect routes
+const limitedApp = () => {
+  const app = express();
+  app.use('/inspect', createInspectLimiter({ max: 2 }));
+  app.use('/inspect', (req, res) => res.json({ ok: true }));
+  return app;
+};
+
+describe('Inspection rate limit', () => {
+  test('polling job state, status and platforms never counts', async () => {
+    const app = limitedApp();
+
+    for (const path of ['/inspect/jobs', '/inspect/jobs/abc', '/inspect/active', '/inspect/health', '/inspect/team/app:1/status', '/inspect/nginx/platforms']) {
+      await request(app).get(path).expect(200);
+      await request(app).get(path).expect(200);
+      await request(app).get(path).expect(200);
+    }
+  });
+
+  test('POSTs starting inspections count', async () => {
+    const app = limitedApp();
+
+    await request(app).post('/inspect/nginx').expect(200);
+    await request(app).post('/inspect/nginx/evaluate').expect(200);
+    await request(app).post('/inspect/nginx').expect(429);
+  });
+
+  test('SBOM GETs start inspections and count', async () => {
+    const app = limitedApp();
+
+    await request(app).get('/inspect/nginx/sbom').expect(200);
+    await request(app).get('/inspect/nginx/sbom?refresh=true').expect(200);
+    const limited = await request(app).get('/inspect/team/app:1/sbom').expect(429);
+    expect(limited.body.error).toBe('Too many inspection requests, please try again later.');
+  });
+
+  test('vulnerability GETs start SBOM inspections and count', async () => {
+    const app = limitedApp();
+
+    await request(app).get('/inspect/nginx/vulnerabilities').expect(200);
+    await request(app).post('/inspect/nginx').expect(200);
+    await request(app).get('/inspect/nginx/vulnerabilities?severity=high').expect(429);
+  });
+
+  test('report GETs start inspections and count', async () => {
+    const app = limitedApp();
+
+    await request(app).get('/inspect/nginx/report').expect(200);
+    await request(app).get('/inspect/team/app:1/report?format=csv').expect(200);
+    await request(app).get('/inspect/nginx/report?format=html&refresh=true').expect(429);
+  });
+});
@@ -0,0 +1,145 @@
+const WebSocket = require('ws');
+const inspectionEvents = require('../utils/inspection-events');
+
+jest.mock('child_process', () => ({
+  exec: jest.fn(),
+  execFile: jest.fn(),
+  spawn: jest.fn()
+}));
+
+jest.mock('node-pty', () => ({
+  spawn: jest.fn()
+}));
+
+jest.setTimeout(15000);
+
+let server;
+let baseUrl;
+let serverModule;
+
+// Buffer frames from creation so the 'subscribed' reply can't race the listener
+const connect = () =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}/ws/inspect`);
+    ws.inbox = [];
+    ws.inboxWaiters = [];
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString('utf8'));
+      const waiter = ws.inboxWaiters.shift();
+      if (waiter) {
+        waiter(message);
+      } else {
+        ws.inbox.push(message);
+      }
+    });
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+
+const nextMessage = (ws) =>
+  new Promise((resolve) => {
+    if (ws.inbox.length > 0) {
+      resolve(ws.inbox.shift());
+      return;
+    }
+    ws.inboxWaiters.push(resolve);
+  });
+
+const subscribe = async (ws, imageName) => {
+  ws.send(JSON.stringify({ type: 'subscribe', imageName }));
+  return nextMessage(ws);
+};
+
+beforeAll((done) => {
+  serverModule = require('../server');
+  server = serverModule.server;
+  server.listen(0, () => {
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  serverModule.io.close();
+  if (server && server.listening) {
+    server.close(done);
+  } else {
+    done();
+  }
+});
+
+afterEach(() => {
+  inspectionEvents.latest.clear();
+});
+
+describe('inspection progress WebSocket', () => {
+  test('every subscriber of an image receives its progress and completion', async () => {
+    const first = await connect();
+    const second = await connect();
+    const other = await connect();
+
+    expect(await subscribe(first, 'nginx:latest')).toEqual({ type: 'subscribed', imageName: 'nginx:latest', current: null });
+    await subscribe(second, 'nginx:latest');
+    await subscribe(other, 'redis:7');
+
+    inspectionEvents.publish({ type: 'progress', imageName: 'nginx:latest', jobId: 'job-1', phase: 'pulling', progress: 30, message: 'Pulling...' });
+    inspectionEvents.publish({ type: 'complete', imageName: 'nginx:latest', jobId: 'job-1', progress: 100, analysisId: 'a1', cached: false });
+
+    for (const ws of [first, second]) {
+      expect(await nextMessage(ws)).toMatchObject({ type: 'progress', jobId: 'job-1', phase: 'pulling', progress: 30 });
+      expect(await nextMessage(ws)).toMatchObject({ type: 'complete', jobId: 'job-1', analysisId: 'a1' });
+    }
+
+    // A message for another image arrives first only if nothing leaked through
+    inspectionEvents.publish({ type: 'progress', imageName: 'redis:7', jobId: 'job-2', phase: 'checking', progress: 10 });
+    expect(await nextMessage(other)).toMatchObject({ type: 'progress', imageName: 'redis:7', jobId: 'job-2' });
+
+    [first, second, other].forEach((ws) => ws.close());
+  });
+
+  test('a late subscriber starts from the latest progress of the active inspection', async () => {
+    inspectionEvents.publish({ type: 'progress', imageName: 'alpine:3', jobId: 'job-3', phase: 'analyzing', progress: 60 });
+
+    const ws = await connect();
+    const reply = await subscribe(ws, 'alpine:3');
+
+    expect(reply.type).toBe('subscribed');
+    expect(reply.current).toMatchObject({ type: 'progress', jobId: 'job-3', phase: 'analyzing', progress: 60 });
+
+    inspectionEvents.publish({ type: 'error', imageName: 'alpine:3', jobId: 'job-3', message: 'boom', status: 502 });
+    expect(await nextMessage(ws)).toMatchObject({ type: 'error', message: 'boom', status: 502 });
+    expect(inspectionEvents.current('alpine:3')).toBeNull();
+
+    ws.close();
+  });
+
+  test('unsubscribe stops delivery', async () => {
+    const ws = await connect();
+    await subscribe(ws, 'nginx:latest');
+
+    ws.send(JSON.stringify({ type: 'unsubscribe', imageName: 'nginx:latest' }));
+    expect(await nextMessage(ws)).toEqual({ type: 'unsubscribed', imageName: 'nginx:latest' });
+
+    inspectionEvents.publish({ type: 'progress', imageName: 'nginx:latest', jobId: 'job-4', progress: 10 });
+    await subscribe(ws, 'redis:7');
+    inspectionEvents.publish({ type: 'progress', imageName: 'redis:7', jobId: 'job-5', progress: 10 });
+
+    expect(await nextMessage(ws)).toMatchObject({ imageName: 'redis:7', jobId: 'job-5' });
+    ws.close();
+  });
+
+  test('invalid image names and malformed frames get an error reply', async () => {
+    const ws = await connect();
+
+    ws.send('not json');
+    expect(await nextMessage(ws)).toEqual({ type: 'error', message: 'Messages must be JSON' });
+
+    ws.send(JSON.stringify({ type: 'subscribe', imageName: '--privileged' }));
+    expect(await nextMessage(ws)).toMatchObject({ type: 'error', message: expect.stringContaining('Invalid image name') });
+
+    ws.send(JSON.stringify({ type: 'watch', imageName: 'nginx' }));
+    expect(await nextMessage(ws)).toMatchObject({ type: 'error', message: 'Unknown message type: watch' });
+
+    ws.close();
+  });
+});
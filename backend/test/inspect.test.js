@@ -5,6 +5,12 @@ const pty = require('node-pty');
 const dockerUtils = require('../utils/docker.js');
 const diveUtils = require('../utils/dive.js');
 const catUtils = require('../utils/cat.js');
+const analysisStore = require('../utils/analysis-store');
+const jobQueue = require('../utils/job-queue');
+const inspectionEvents = require('../utils/inspection-events');
+const { scanImageSecrets } = require('../utils/secrets');
+const { buildSbom } = require('../utils/sbom');
+const { resolveRegistryImage, analyzeRegistryImage } = require('../utils/registry-analysis');
 
 jest.mock('child_process', () => ({
   exec: jest.fn(),
@@ -20,26 +26,55 @@ jest.mock('../utils/docker.js', () => ({
   isDockerAvailable: jest.fn(),
   getDockerVersion: jest.fn(),
   imageExists: jest.fn(),
-  pullImage: jest.fn()
+  pullImage: jest.fn(),
+  getImageInfo: jest.fn(),
+  getImagePlatforms: jest.fn()
 }));
 
 jest.mock('../utils/dive.js', () => ({
   isDiveAvailable: jest.fn(),
-  executeDive: jest.fn()
+  executeDive: jest.fn(),
+  buildMetadata: jest.fn()
 }));
 
 jest.mock('../utils/cat.js', () => ({
   generateCatResults: jest.fn()
 }));
 
+jest.mock('../utils/analysis-store', () => ({
+  findLatestByDigest: jest.fn(),
+  save: jest.fn()
+}));
+
+jest.mock('../utils/secrets', () => ({
+  scanImageSecrets: jest.fn()
+}));
+
+jest.mock('../utils/sbom', () => ({
+  ...jest.requireActual('../utils/sbom'),
+  buildSbom: jest.fn()
+}));
+
+jest.mock('../utils/registry-analysis', () => ({
+  resolveRegistryImage: jest.fn(),
+  analyzeRegistryImage: jest.fn()
+}));
+
 const inspectRoutes = require('../routes/inspect');
 
 const app = express();
 app.use(express.json());
-app.set('inspectionSockets', new Map());
 app.set('io', { emit: jest.fn() });
 app.use('/inspect', inspectRoutes);
 
+// Queue an inspection, wait for it and return the finished job as the API reports it
+const runInspectionJob = async (path) => {
+  const queued = await request(app).post(path).expect(202);
+  await jobQueue.get(queued.body.jobId).done.catch(() => {});
+  const response = await request(app).get(`/inspect/jobs/${queued.body.jobId}`).expect(200);
+  return response.body;
+};
+
 describe('Inspect route fail-closed behavior', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -49,6 +84,9 @@ describe('Inspect route fail-closed behavior', () => {
     diveUtils.isDiveAvailable.mockResolvedValue(true);
     diveUtils.executeDive.mockResolvedValue({ layers: [], analysis: { totalLayers: 0 } });
     catUtils.generateCatResults.mockResolvedValue({ results: [], cat_stats: {} });
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:digest' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
   });
 
   test('invalid image name returns 400 without cat fallback or subprocess', async () => {
@@ -65,16 +103,979 @@ describe('Inspect route fail-closed behavior', () => {
     expect(pty.spawn).not.toHaveBeenCalled();
   });
 
-  test('dive failure returns 502 with no fabricated cat analysis', async () => {
+  test('dive failure fails the job with 502 and no fabricated cat analysis', async () => {
     diveUtils.executeDive.mockRejectedValue(new Error('Dive exploded'));
 
+    const job = await runInspectionJob('/inspect/nginx%3Alatest');
+
+    expect(job.state).toBe('failed');
+    expect(job.result).toBeUndefined();
+    expect(job.error.status).toBe(502);
+    expect(job.error.message).toContain('Dive exploded');
+    expect(catUtils.generateCatResults).not.toHaveBeenCalled();
+  });
+});
+
+describe('Inspect route analysis store', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    diveUtils.executeDive.mockResolvedValue({ imageName: 'nginx:latest', layers: [], analysis: { totalLayers: 0 } });
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:digest' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+  });
+
+  test('stores a fresh analysis under the image digest', async () => {
+    const job = await runInspectionJob('/inspect/nginx%3Alatest');
+
+    expect(analysisStore.save).toHaveBeenCalledWith({
+      imageName: 'nginx:latest',
+      digest: 'sha256:digest',
+      platform: null,
+      analysis: expect.objectContaining({ layers: [] })
+    });
+    expect(job.result).toMatchObject({ analysisId: 'stored-id', digest: 'sha256:digest', cached: false });
+  });
+
+  test('returns a stored analysis for an unchanged digest without running dive', async () => {
+    analysisStore.findLatestByDigest.mockResolvedValue({
+      id: 'stored-id',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      analysis: { imageName: 'nginx:1.27', layers: [{ id: 'l1' }], analysis: { totalLayers: 1 } }
+    });
+
+    diveUtils.buildMetadata.mockReturnValue({ imageId: 'sha256:digest', author: 'ops' });
+
+    const job = await runInspectionJob('/inspect/nginx%3Alatest');
+
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+    expect(analysisStore.findLatestByDigest).toHaveBeenCalledWith('sha256:digest');
+    expect(diveUtils.buildMetadata).toHaveBeenCalledWith({ id: 'sha256:digest' });
+    expect(job.result).toMatchObject({
+      cached: true,
+      analysisId: 'stored-id',
+      completedAt: '2026-01-01T00:00:00.000Z',
+      analysis: {
+        imageName: 'nginx:latest',
+        layers: [{ id: 'l1' }],
+        metadata: { imageId: 'sha256:digest', author: 'ops' }
+      }
+    });
+  });
+
+  test('refresh=true reruns dive even when a stored analysis exists', async () => {
+    analysisStore.findLatestByDigest.mockResolvedValue({ id: 'old', analysis: {} });
+
+    await runInspectionJob('/inspect/nginx%3Alatest?refresh=true');
+
+    expect(diveUtils.executeDive).toHaveBeenCalledWith('nginx:latest', expect.any(Object));
+    expect(analysisStore.findLatestByDigest).not.toHaveBeenCalled();
+  });
+
+  test('an unreadable digest skips the store but still analyzes', async () => {
+    dockerUtils.getImageInfo.mockRejectedValue(new Error('inspect failed'));
+
+    const job = await runInspectionJob('/inspect/nginx%3Alatest');
+
+    expect(analysisStore.save).not.toHaveBeenCalled();
+    expect(job.result).toMatchObject({ analysisId: null, digest: null });
+  });
+});
+
+describe('Inspect compare route', () => {
+  const analysisFor = (imageName, size) => ({
+    imageName,
+    analysis: { totalLayers: 1, totalSize: size, wastedSpace: 0, efficiency: 100 },
+    layers: [{ index: 0, id: `sha256:${imageName}`, command: 'COPY . /app', size, wasted_size: 0, files: [] }]
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    diveUtils.executeDive.mockImplementation(async (imageName) =>
+      analysisFor(imageName, imageName === 'app:1.0' ? 1000 : 1500));
+    dockerUtils.getImageInfo.mockImplementation(async (imageName) => ({ id: `sha256:${imageName}` }));
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+  });
+
+  test('analyzes both images and returns their deltas', async () => {
+    const response = await request(app)
+      .post('/inspect/compare')
+      .send({ base: 'app:1.0', target: 'app:1.1' })
+      .expect(200);
+
+    expect(diveUtils.executeDive).toHaveBeenNthCalledWith(1, 'app:1.0', expect.any(Object));
+    expect(diveUtils.executeDive).toHaveBeenNthCalledWith(2, 'app:1.1', expect.any(Object));
+    expect(response.body.base).toMatchObject({ imageName: 'app:1.0', digest: 'sha256:app:1.0' });
+    expect(response.body.comparison.summary).toMatchObject({ sizeDelta: 500, changedLayers: 1 });
+    expect(response.body.comparison.layers[0]).toMatchObject({ status: 'changed', sizeDelta: 500 });
+  });
+
+  test('reuses stored analyses for unchanged digests', async () => {
+    analysisStore.findLatestByDigest.mockImplementation(async (digest) => ({
+      id: 'stored',
+      analysis: analysisFor(digest.replace('sha256:', ''), 1000)
+    }));
+
+    const response = await request(app)
+      .post('/inspect/compare')
+      .send({ base: 'app:1.0', target: 'app:1.1' })
+      .expect(200);
+
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+    expect(response.body.comparison.summary.sizeDelta).toBe(0);
+  });
+
+  test('rejects missing or invalid image references', async () => {
+    await request(app).post('/inspect/compare').send({ base: 'app:1.0' }).expect(400);
+
+    const response = await request(app)
+      .post('/inspect/compare')
+      .send({ base: 'app:1.0', target: 'bad;name' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid image name');
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+  });
+
+  test('maps analysis failures like a single inspection', async () => {
+    diveUtils.executeDive.mockRejectedValue(new Error('Dive execution failed: boom'));
+
     const response = await request(app)
-      .post('/inspect/nginx%3Alatest')
+      .post('/inspect/compare')
+      .send({ base: 'app:1.0', target: 'app:1.1' })
       .expect(502);
 
-    expect(response.body.success).not.toBe(true);
-    expect(response.body.analysis).toBeUndefined();
-    expect(response.body.message).toContain('Dive exploded');
-    expect(catUtils.generateCatResults).not.toHaveBeenCalled();
+    expect(response.body.error).toBe('Failed to compare images');
+  });
+});
+
+describe('Inspect evaluate route', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    diveUtils.executeDive.mockResolvedValue({
+      imageName: 'myorg/app:1.0',
+      analysis: { totalLayers: 2, totalSize: 2000, wastedSpace: 100, efficiency: 95 },
+      layers: [{ size: 1000 }, { size: 1000 }]
+    });
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:digest' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+  });
+
+  test('passes with dive default rules and an empty body', async () => {
+    const response = await request(app)
+      .post('/inspect/myorg/app%3A1.0/evaluate')
+      .expect(200);
+
+    expect(diveUtils.executeDive).toHaveBeenCalledWith('myorg/app:1.0', expect.any(Object));
+    expect(response.body).toMatchObject({
+      verdict: 'pass',
+      passed: true,
+      imageName: 'myorg/app:1.0',
+      metrics: { efficiency: 0.95, wastedBytes: 100, userWastedPercent: 0.1 }
+    });
+    expect(response.body.rules).toHaveLength(3);
+  });
+
+  test('accepts a raw .dive-ci document and returns 422 on failure', async () => {
+    const response = await request(app)
+      .post('/inspect/myorg/app%3A1.0/evaluate')
+      .set('Content-Type', 'application/x-yaml')
+      .send('rules:\n  lowestEfficiency: 0.99\n  highestWastedBytes: 50B\n')
+      .expect(422);
+
+    expect(response.body.verdict).toBe('fail');
+    expect(response.body.rules.filter((rule) => rule.status === 'fail').map((rule) => rule.name))
+      .toEqual(['lowestEfficiency', 'highestWastedBytes']);
+  });
+
+  test('accepts JSON rules', async () => {
+    const response = await request(app)
+      .post('/inspect/myorg/app%3A1.0/evaluate')
+      .send({ rules: { lowestEfficiency: 'disabled', highestUserWastedPercent: 0.05 } })
+      .expect(422);
+
+    expect(response.body.rules.map((rule) => rule.status)).toEqual(['skip', 'skip', 'fail']);
+  });
+
+  test('rejects invalid rules before analyzing', async () => {
+    const response = await request(app)
+      .post('/inspect/myorg/app%3A1.0/evaluate')
+      .send({ rules: { lowestEfficiency: 2 } })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid CI rules');
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+  });
+
+  test('reports analysis failures with the inspect status mapping', async () => {
+    dockerUtils.imageExists.mockResolvedValue(false);
+    dockerUtils.pullImage.mockRejectedValue(new Error('manifest unknown'));
+
+    const response = await request(app)
+      .post('/inspect/myorg/app%3A1.0/evaluate')
+      .expect(404);
+
+    expect(response.body.error).toBe('Failed to evaluate image');
+  });
+
+  test('?format=sarif downloads the failed rules as SARIF with the same status', async () => {
+    const response = await request(app)
+      .post('/inspect/myorg/app%3A1.0/evaluate?format=sarif')
+      .send({ rules: { lowestEfficiency: 0.99 } })
+      .expect(422);
+
+    expect(response.headers['content-type']).toMatch(/^application\/sarif\+json/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="myorg_app_1.0.sarif"');
+    const sarif = JSON.parse(response.text);
+    expect(sarif).toMatchObject({ version: '2.1.0', runs: [{ properties: { imageName: 'myorg/app:1.0', verdict: 'fail', digest: 'sha256:digest' } }] });
+    expect(sarif.runs[0].results).toEqual([expect.objectContaining({ ruleId: 'lowestEfficiency', level: 'error' })]);
+  });
+
+  test('?format=junit downloads a testcase per rule', async () => {
+    const response = await request(app)
+      .post('/inspect/myorg/app%3A1.0/evaluate?format=junit')
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/xml; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="myorg_app_1.0.junit.xml"');
+    expect(response.text).toContain('<testsuite name="dive-ci" tests="3" failures="0" errors="0" skipped="1"');
+    expect(response.text).toContain('<testcase classname="myorg/app:1.0" name="lowestEfficiency"/>');
+  });
+
+  test('rejects unknown formats before analyzing', async () => {
+    const response = await request(app)
+      .post('/inspect/myorg/app%3A1.0/evaluate?format=tap')
+      .expect(400);
+
+    expect(response.body).toMatchObject({ error: 'Invalid evaluation format', message: 'format must be one of: json, sarif, junit' });
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+  });
+});
+
+describe('Inspect job queue routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:digest' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+  });
+
+  test('POST queues a job and answers 202 with where to poll', async () => {
+    diveUtils.executeDive.mockResolvedValue({ layers: [], analysis: { totalLayers: 0 } });
+
+    const response = await request(app)
+      .post('/inspect/redis%3A7')
+      .expect(202);
+
+    expect(response.body).toMatchObject({ success: true, imageName: 'redis:7', attached: false });
+    expect(response.headers.location).toBe(`/inspect/jobs/${response.body.jobId}`);
+
+    await jobQueue.get(response.body.jobId).done;
+    const job = await request(app).get(response.headers.location).expect(200);
+    expect(job.body).toMatchObject({ state: 'completed', progress: 100, imageName: 'redis:7' });
+    expect(job.body.result.analysis).toEqual({ layers: [], analysis: { totalLayers: 0 } });
+  });
+
+  test('duplicate requests attach to the running job instead of starting another dive', async () => {
+    let finishDive;
+    diveUtils.executeDive.mockReturnValue(new Promise((resolve) => {
+      finishDive = resolve;
+    }));
+
+    const first = await request(app).post('/inspect/postgres%3A16').expect(202);
+    const second = await request(app).post('/inspect/postgres%3A16').expect(202);
+
+    expect(second.body).toMatchObject({ jobId: first.body.jobId, attached: true });
+
+    await new Promise((resolve) => setImmediate(resolve));
+    finishDive({ layers: [] });
+    await jobQueue.get(first.body.jobId).done;
+    expect(diveUtils.executeDive).toHaveBeenCalledTimes(1);
+  });
+
+  test('publishes phase progress and completion for WebSocket subscribers', async () => {
+    diveUtils.executeDive.mockResolvedValue({ layers: [] });
+    const messages = [];
+    const collect = (message) => messages.push(message);
+    inspectionEvents.on('message', collect);
+
+    try {
+      const job = await runInspectionJob('/inspect/busybox%3A1');
+      const own = messages.filter((message) => message.jobId === job.id);
+
+      expect(own.map((message) => message.phase || message.type)).toEqual(
+        ['checking', 'analyzing', 'analyzing', 'complete']
+      );
+      expect(own[own.length - 1]).toMatchObject({
+        type: 'complete',
+        imageName: 'busybox:1',
+        progress: 100,
+        analysisId: 'stored-id',
+        cached: false
+      });
+      expect(job.phase).toBe('completed');
+      expect(inspectionEvents.current('busybox:1')).toBeNull();
+    } finally {
+      inspectionEvents.off('message', collect);
+    }
+  });
+
+  test('exposes per-layer pull progress on the job and to subscribers while pulling', async () => {
+    const pull = {
+      percent: 50,
+      totalBytes: 200,
+      downloadedBytes: 100,
+      layerCount: 2,
+      waiting: 0,
+      downloading: 1,
+      extracting: 0,
+      done: 1,
+      layers: [
+        { id: 'layer1', state: 'done', current: 100, total: 100 },
+        { id: 'layer2', state: 'downloading', current: 0, total: 100 }
+      ]
+    };
+    let finishPull;
+    dockerUtils.imageExists.mockResolvedValue(false);
+    dockerUtils.pullImage.mockImplementation((imageName, onPull) => {
+      onPull({ progress: 50, message: 'Pulling layers: 1/2 complete, 1 downloading', pull });
+      return new Promise((resolve) => {
+        finishPull = resolve;
+      });
+    });
+    diveUtils.executeDive.mockResolvedValue({ layers: [] });
+    const messages = [];
+    const collect = (message) => messages.push(message);
+    inspectionEvents.on('message', collect);
+
+    try {
+      const queued = await request(app).post('/inspect/busybox%3A3').expect(202);
+      while (!finishPull) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      const running = await request(app).get(`/inspect/jobs/${queued.body.jobId}`).expect(200);
+      expect(running.body).toMatchObject({ phase: 'pulling', progress: 40, pull });
+      expect(messages.find((message) => message.pull)).toMatchObject({
+        type: 'progress',
+        phase: 'pulling',
+        progress: 40,
+        message: 'Pulling layers: 1/2 complete, 1 downloading',
+        pull
+      });
+
+      finishPull({ success: true });
+      await jobQueue.get(queued.body.jobId).done;
+      const finished = await request(app).get(`/inspect/jobs/${queued.body.jobId}`).expect(200);
+      expect(finished.body.pull).toBeUndefined();
+    } finally {
+      inspectionEvents.off('message', collect);
+    }
+  });
+
+  test('publishes failures with the HTTP status the job reports', async () => {
+    diveUtils.executeDive.mockRejectedValue(new Error('dive exploded'));
+    const messages = [];
+    const collect = (message) => messages.push(message);
+    inspectionEvents.on('message', collect);
+
+    try {
+      const job = await runInspectionJob('/inspect/busybox%3A2');
+      expect(messages.find((message) => message.jobId === job.id && message.type === 'error'))
+        .toMatchObject({ message: 'dive exploded', status: 502 });
+    } finally {
+      inspectionEvents.off('message', collect);
+    }
+  });
+
+  test('lists jobs and returns 404 for unknown ids', async () => {
+    const list = await request(app).get('/inspect/jobs').expect(200);
+    expect(list.body.concurrency).toBe(jobQueue.concurrency);
+    expect(list.body.jobs.every((job) => job.result === undefined)).toBe(true);
+
+    await request(app).get('/inspect/jobs/does-not-exist').expect(404);
+  });
+});
+
+describe('Inspect cancellation routes', () => {
+  // dive mock that behaves like a killed child: it only settles when aborted
+  const diveUntilAborted = (imageName, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Inspection cancelled')));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    diveUtils.executeDive.mockImplementation(diveUntilAborted);
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:digest' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+  });
+
+  const waitForDive = async () => {
+    while (diveUtils.executeDive.mock.calls.length === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  };
+
+  test('DELETE by image name cancels the running job and its dive', async () => {
+    const queued = await request(app).post('/inspect/myorg/app%3A2').expect(202);
+    await waitForDive();
+
+    const response = await request(app).delete('/inspect/myorg/app%3A2').expect(200);
+    expect(response.body).toMatchObject({ success: true, jobId: queued.body.jobId });
+
+    await jobQueue.get(queued.body.jobId).done.catch(() => {});
+    const job = await request(app).get(`/inspect/jobs/${queued.body.jobId}`).expect(200);
+    expect(job.body).toMatchObject({ state: 'cancelled', error: { status: 409, message: 'Inspection cancelled' } });
+    expect(diveUtils.executeDive.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(analysisStore.save).not.toHaveBeenCalled();
+  });
+
+  test('cancellation is published to WebSocket subscribers', async () => {
+    const messages = [];
+    const collect = (message) => messages.push(message);
+    inspectionEvents.on('message', collect);
+
+    try {
+      const queued = await request(app).post('/inspect/myorg/app%3A4').expect(202);
+      await waitForDive();
+      await request(app).delete(`/inspect/jobs/${queued.body.jobId}`).expect(200);
+      await jobQueue.get(queued.body.jobId).done.catch(() => {});
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(messages.filter((message) => message.jobId === queued.body.jobId).pop())
+        .toMatchObject({ type: 'cancelled', imageName: 'myorg/app:4' });
+    } finally {
+      inspectionEvents.off('message', collect);
+    }
+  });
+
+  test('a waiting evaluate request gets a 409 cancelled response', async () => {
+    const pending = request(app).post('/inspect/myorg/app%3A3/evaluate').then((response) => response);
+    await waitForDive();
+
+    const job = jobQueue.findActive('myorg/app:3');
+    await request(app).delete(`/inspect/jobs/${job.id}`).expect(200);
+
+    const response = await pending;
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Inspection cancelled');
+  });
+
+  test('cancelling without an active inspection returns 404', async () => {
+    await request(app).delete('/inspect/nginx%3Aidle').expect(404);
+    await request(app).delete('/inspect/jobs/unknown-id').expect(404);
+  });
+});
+
+describe('Inspect platform selection', () => {
+  const variants = {
+    'linux/amd64': { id: 'sha256:amd64', os: 'linux', architecture: 'amd64' },
+    'linux/arm64': { id: 'sha256:arm64', os: 'linux', architecture: 'arm64', variant: 'v8' }
+  };
+  let localPlatform;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localPlatform = 'linux/amd64';
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    dockerUtils.getImageInfo.mockImplementation(async () => variants[localPlatform]);
+    dockerUtils.pullImage.mockImplementation(async (imageName, onPull, { platform }) => {
+      localPlatform = platform;
+      return { success: true };
+    });
+    diveUtils.executeDive.mockResolvedValue({ layers: [], analysis: { totalLayers: 0 } });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+  });
+
+  test('pulls a variant the local tag does not hold and analyzes it by image ID', async () => {
+    const job = await runInspectionJob('/inspect/myorg/app%3A1?platform=linux/arm64');
+
+    expect(dockerUtils.pullImage).toHaveBeenCalledWith('myorg/app:1', expect.any(Function), expect.objectContaining({ platform: 'linux/arm64' }));
+    expect(diveUtils.executeDive).toHaveBeenCalledWith('myorg/app:1', expect.objectContaining({ imageInfo: variants['linux/arm64'] }));
+    expect(analysisStore.save).toHaveBeenCalledWith(expect.objectContaining({ digest: 'sha256:arm64', platform: 'linux/arm64/v8' }));
+    expect(job).toMatchObject({
+      state: 'completed',
+      imageName: 'myorg/app:1',
+      platform: 'linux/arm64',
+      result: { digest: 'sha256:arm64', platform: 'linux/arm64/v8' }
+    });
+  });
+
+  test('the local variant is used without pulling', async () => {
+    await runInspectionJob('/inspect/myorg/app%3A1?platform=linux/amd64');
+
+    expect(dockerUtils.pullImage).not.toHaveBeenCalled();
+    expect(dockerUtils.imageExists).not.toHaveBeenCalled();
+  });
+
+  test('each platform of an image is its own job', async () => {
+    let release;
+    diveUtils.executeDive.mockReturnValue(new Promise((resolve) => {
+      release = () => resolve({ layers: [] });
+    }));
+
+    const amd64 = await request(app).post('/inspect/myorg/app%3A2?platform=linux/amd64').expect(202);
+    const arm64 = await request(app).post('/inspect/myorg/app%3A2').send({ platform: 'linux/arm64' }).expect(202);
+    const again = await request(app).post('/inspect/myorg/app%3A2?platform=linux/amd64').expect(202);
+
+    expect(arm64.body).toMatchObject({ attached: false, platform: 'linux/arm64' });
+    expect(arm64.body.jobId).not.toBe(amd64.body.jobId);
+    expect(again.body).toMatchObject({ attached: true, jobId: amd64.body.jobId });
+
+    while (!release) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    release();
+    await Promise.all([amd64, arm64].map((queued) => jobQueue.get(queued.body.jobId).done.catch(() => {})));
+  });
+
+  test('a malformed platform is rejected before queueing', async () => {
+    const response = await request(app).post('/inspect/nginx%3Alatest?platform=linux;amd64').expect(400);
+
+    expect(response.body).toMatchObject({ error: 'Invalid platform', platform: 'linux;amd64' });
+    expect(dockerUtils.isDockerAvailable).not.toHaveBeenCalled();
+  });
+
+  test('GET platforms lists the published variants', async () => {
+    dockerUtils.getImagePlatforms.mockResolvedValue(['linux/amd64', 'linux/arm64/v8']);
+
+    const response = await request(app).get('/inspect/myorg/app%3A1/platforms').expect(200);
+
+    expect(dockerUtils.getImagePlatforms).toHaveBeenCalledWith('myorg/app:1');
+    expect(response.body).toEqual({ imageName: 'myorg/app:1', count: 2, platforms: ['linux/amd64', 'linux/arm64/v8'] });
+  });
+});
+
+describe('Inspect secret scan', () => {
+  const scan = { scannedLayers: 1, scannedFiles: 3, findings: [{ rule: 'private-key', layerIndex: 0, path: '/root/.ssh/id_rsa' }], skippedLayers: [] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    diveUtils.executeDive.mockResolvedValue({ layers: [], analysis: { totalLayers: 0 } });
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:digest' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+    scanImageSecrets.mockResolvedValue(scan);
+  });
+
+  test('?secrets=true scans the analyzed image by ID and attaches the findings', async () => {
+    const job = await runInspectionJob('/inspect/nginx%3Alatest?secrets=true');
+
+    expect(scanImageSecrets).toHaveBeenCalledWith('sha256:digest', expect.objectContaining({ signal: expect.anything() }));
+    expect(analysisStore.save).toHaveBeenCalledWith(expect.objectContaining({
+      analysis: expect.objectContaining({ secrets: scan })
+    }));
+    expect(job).toMatchObject({ state: 'completed', secrets: true, result: { analysis: { secrets: scan }, cached: false } });
+  });
+
+  test('plain inspections do not scan', async () => {
+    const job = await runInspectionJob('/inspect/nginx%3Alatest');
+
+    expect(scanImageSecrets).not.toHaveBeenCalled();
+    expect(job.secrets).toBe(false);
+  });
+
+  test('a stored analysis without a scan only runs the scan', async () => {
+    analysisStore.findLatestByDigest.mockResolvedValue({
+      id: 'old-id',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      analysis: { layers: [], advice: { findings: [], totalSavings: 0 }, analysis: { totalLayers: 0 } }
+    });
+
+    const job = await runInspectionJob('/inspect/nginx%3Alatest?secrets=true');
+
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+    expect(scanImageSecrets).toHaveBeenCalled();
+    expect(job.result).toMatchObject({ analysisId: 'stored-id', cached: false, analysis: { secrets: scan } });
+  });
+
+  test('a stored analysis that has a scan is reused', async () => {
+    analysisStore.findLatestByDigest.mockResolvedValue({
+      id: 'old-id',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      analysis: { layers: [], advice: { findings: [], totalSavings: 0 }, secrets: scan }
+    });
+
+    const job = await runInspectionJob('/inspect/nginx%3Alatest?secrets=true');
+
+    expect(scanImageSecrets).not.toHaveBeenCalled();
+    expect(job.result).toMatchObject({ analysisId: 'old-id', cached: true, analysis: { secrets: scan } });
+  });
+
+  test('a scan is its own job next to a plain inspection of the same image', async () => {
+    let release;
+    diveUtils.executeDive.mockReturnValue(new Promise((resolve) => {
+      release = () => resolve({ layers: [] });
+    }));
+
+    const plain = await request(app).post('/inspect/nginx%3A1.27').expect(202);
+    const scanning = await request(app).post('/inspect/nginx%3A1.27').send({ secrets: true }).expect(202);
+
+    expect(scanning.body).toMatchObject({ attached: false, secrets: true });
+    expect(scanning.body.jobId).not.toBe(plain.body.jobId);
+
+    await request(app).delete('/inspect/nginx%3A1.27?secrets=true').expect(200);
+    while (!release) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    release();
+    await Promise.all([plain, scanning].map((queued) => jobQueue.get(queued.body.jobId).done.catch(() => {})));
+    expect(jobQueue.get(scanning.body.jobId).state).toBe('cancelled');
+    expect(jobQueue.get(plain.body.jobId).state).toBe('completed');
+  });
+
+  test('a failed scan fails the job', async () => {
+    scanImageSecrets.mockRejectedValue(new Error('Failed to save image: Docker save failed with code 1'));
+
+    const job = await runInspectionJob('/inspect/nginx%3Alatest?secrets=true');
+
+    expect(job.state).toBe('failed');
+    expect(job.error).toMatchObject({ status: 502, message: expect.stringContaining('Docker save failed') });
+  });
+});
+
+describe('Inspect SBOM', () => {
+  const sbom = {
+    generatedAt: '2026-01-02T03:04:05.000Z',
+    distro: { id: 'debian', versionId: '12', prettyName: null },
+    packageCount: 1,
+    totalSize: 300,
+    packages: [{ name: 'curl', version: '7.88.1-10', type: 'deb', purl: 'pkg:deb/debian/curl@7.88.1-10', licenses: [], source: '/var/lib/dpkg/status', layerIndex: 1, size: 300 }],
+    sources: [],
+    scannedLayers: 2,
+    skippedLayers: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    diveUtils.executeDive.mockResolvedValue({ layers: [], analysis: { totalLayers: 0 } });
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:digest' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+    buildSbom.mockResolvedValue(sbom);
+  });
+
+  test('?sbom=true catalogs the analyzed image by ID and attaches the packages', async () => {
+    const job = await runInspectionJob('/inspect/nginx%3Alatest?sbom=true');
+
+    expect(buildSbom).toHaveBeenCalledWith('sha256:digest', expect.objectContaining({ signal: expect.anything() }));
+    expect(scanImageSecrets).not.toHaveBeenCalled();
+    expect(job).toMatchObject({ state: 'completed', sbom: true, secrets: false, result: { analysis: { sbom } } });
+  });
+
+  test('a stored analysis with a secret scan only adds the catalog', async () => {
+    analysisStore.findLatestByDigest.mockResolvedValue({
+      id: 'old-id',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      analysis: { layers: [], advice: { findings: [], totalSavings: 0 }, secrets: { findings: [] } }
+    });
+
+    const job = await runInspectionJob('/inspect/nginx%3Alatest?secrets=true&sbom=true');
+
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+    expect(scanImageSecrets).not.toHaveBeenCalled();
+    expect(buildSbom).toHaveBeenCalled();
+    expect(job.result).toMatchObject({ cached: false, analysis: { secrets: { findings: [] }, sbom } });
+  });
+
+  test('GET .../sbom serves CycloneDX by default as a download', async () => {
+    const response = await request(app).get('/inspect/library/nginx%3Alatest/sbom').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/vnd\.cyclonedx\+json/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="library_nginx_latest.cdx.json"');
+    const bom = JSON.parse(response.text);
+    expect(bom).toMatchObject({
+      bomFormat: 'CycloneDX',
+      metadata: { component: { name: 'library/nginx:latest', version: 'sha256:digest' } },
+      components: [{ name: 'curl', purl: 'pkg:deb/debian/curl@7.88.1-10' }]
+    });
+  });
+
+  test('GET .../sbom?format=spdx serves SPDX JSON for the requested platform', async () => {
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:arm', os: 'linux', architecture: 'arm64' });
+
+    const response = await request(app).get('/inspect/nginx%3Alatest/sbom?format=spdx&platform=linux/arm64').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/spdx\+json/);
+    expect(JSON.parse(response.text)).toMatchObject({ spdxVersion: 'SPDX-2.3', packages: [{ versionInfo: 'sha256:arm' }, { name: 'curl' }] });
+    expect(buildSbom).toHaveBeenCalledWith('sha256:arm', expect.anything());
+  });
+
+  test('GET .../sbom rejects unknown formats and image names', async () => {
+    const format = await request(app).get('/inspect/nginx%3Alatest/sbom?format=xml').expect(400);
+    expect(format.body).toMatchObject({ error: 'Invalid SBOM format', message: 'format must be one of: cyclonedx, spdx' });
+
+    await request(app).get('/inspect/nginx%3Alatest%3B%20rm/sbom').expect(400);
+    expect(buildSbom).not.toHaveBeenCalled();
+  });
+
+  test('GET .../sbom reports a failed catalog', async () => {
+    buildSbom.mockRejectedValue(new Error('Failed to save image: Docker save failed with code 1'));
+
+    const response = await request(app).get('/inspect/nginx%3A1.0/sbom').expect(502);
+
+    expect(response.body).toMatchObject({ error: 'Failed to build SBOM', imageName: 'nginx:1.0' });
+  });
+});
+
+describe('Inspect vulnerabilities', () => {
+  const advisoryDb = require('../utils/advisory-db');
+  const fs = require('fs-extra');
+  const path = require('path');
+  const { osvAdvisory } = require('./osv-fixture');
+
+  const sbom = {
+    distro: { id: 'debian', versionId: '12', prettyName: null },
+    packageCount: 1,
+    totalSize: 300,
+    packages: [{ name: 'curl', version: '7.88.1-10', type: 'deb', purl: 'pkg:deb/debian/curl@7.88.1-10', sourcePackage: null, epoch: null, layerIndex: 1, size: 300 }],
+    skippedLayers: []
+  };
+
+  beforeAll(async () => {
+    const file = path.join(process.env.ADVISORY_DB_DIR, 'curl.json');
+    await fs.outputJson(file, [osvAdvisory({
+      id: 'DSA-5587-1',
+      ecosystem: 'Debian:12',
+      name: 'curl',
+      events: [{ introduced: '0' }, { fixed: '7.88.1-10+deb12u5' }]
+    })]);
+    await advisoryDb.importFrom(file, { replace: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    diveUtils.executeDive.mockResolvedValue({ layers: [], analysis: { totalLayers: 0 } });
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:vulnerable' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+    buildSbom.mockResolvedValue(sbom);
+  });
+
+  test('GET .../vulnerabilities catalogs the image and matches it against the local database', async () => {
+    const response = await request(app).get('/inspect/debian%3A12/vulnerabilities').expect(200);
+
+    expect(buildSbom).toHaveBeenCalledWith('sha256:vulnerable', expect.anything());
+    expect(response.body).toMatchObject({
+      success: true,
+      imageName: 'debian:12',
+      digest: 'sha256:vulnerable',
+      database: { advisoryCount: 1 },
+      scannedPackages: 1,
+      summary: { critical: 0, high: 0, medium: 0, low: 0, unknown: 1 },
+      findings: [{
+        id: 'DSA-5587-1',
+        severity: 'unknown',
+        fixedVersion: '7.88.1-10+deb12u5',
+        package: { name: 'curl', version: '7.88.1-10', layerIndex: 1 }
+      }]
+    });
+  });
+
+  test('GET .../vulnerabilities rejects bad image names and reports failed catalogs', async () => {
+    await request(app).get('/inspect/debian%3B%20rm/vulnerabilities').expect(400);
+    expect(buildSbom).not.toHaveBeenCalled();
+
+    buildSbom.mockRejectedValue(new Error('Failed to save image: Docker save failed with code 1'));
+    const response = await request(app).get('/inspect/debian%3A11/vulnerabilities').expect(502);
+    expect(response.body).toMatchObject({ error: 'Failed to match vulnerabilities', imageName: 'debian:11' });
+  });
+});
+
+describe('Inspect reports', () => {
+  const analysis = {
+    imageName: 'web:1.0',
+    analysis: { totalLayers: 1, totalSize: 5000, wastedSpace: 0, efficiency: 100, userDataInImage: 5000 },
+    layers: [{ id: 'sha256:layer', index: 0, command: 'ADD rootfs.tar /', size: 5000, wasted_size: 0, file_count: 2, change_type: 'add', size_percentage: 100, efficiency: 100, files: [] }],
+    inefficientFiles: [],
+    advice: { findings: [], totalSavings: 0 }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerUtils.isDockerAvailable.mockResolvedValue(true);
+    dockerUtils.imageExists.mockResolvedValue(true);
+    diveUtils.isDiveAvailable.mockResolvedValue(true);
+    diveUtils.executeDive.mockResolvedValue(analysis);
+    dockerUtils.getImageInfo.mockResolvedValue({ id: 'sha256:report' });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+  });
+
+  test('GET .../report serves the analysis JSON by default as a download', async () => {
+    const response = await request(app).get('/inspect/library/web%3A1.0/report').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="library_web_1.0.report.json"');
+    expect(response.body).toEqual(analysis);
+    expect(buildSbom).not.toHaveBeenCalled();
+    expect(scanImageSecrets).not.toHaveBeenCalled();
+  });
+
+  test('GET .../report?format=html serves a standalone page of a stored analysis', async () => {
+    analysisStore.findLatestByDigest.mockResolvedValue({ id: 'old-id', createdAt: '2026-01-01T00:00:00.000Z', analysis });
+    diveUtils.buildMetadata.mockReturnValue({ imageId: 'sha256:report' });
+
+    const response = await request(app).get('/inspect/web%3A1.0/report?format=html').expect(200);
+
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+    expect(response.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="web_1.0.report.html"');
+    expect(response.text).toContain('<h1>Image analysis: web:1.0</h1>');
+    expect(response.text).toContain('Image ID: sha256:report');
+  });
+
+  test('GET .../report?format=csv and ?format=md serve the layer table and summary', async () => {
+    const csv = await request(app).get('/inspect/web%3A1.0/report?format=csv').expect(200);
+    expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(csv.text.split('\r\n')[1]).toBe('1,sha256:layer,ADD rootfs.tar /,5000,100,0,2,add,100,');
+
+    const markdown = await request(app).get('/inspect/web%3A1.0/report?format=md').expect(200);
+    expect(markdown.headers['content-disposition']).toBe('attachment; filename="web_1.0.report.md"');
+    expect(markdown.text).toContain('| 1 | ADD rootfs.tar / | 5kB | 0B | 2 | 100% |');
+  });
+
+  test('GET .../report rejects unknown formats and image names, and reports failed inspections', async () => {
+    const format = await request(app).get('/inspect/web%3A1.0/report?format=pdf').expect(400);
+    expect(format.body).toMatchObject({ error: 'Invalid report format', message: 'format must be one of: json, csv, md, html' });
+
+    await request(app).get('/inspect/web%3A1.0%3B%20rm/report').expect(400);
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+
+    diveUtils.executeDive.mockRejectedValue(new Error('Dive analysis failed: exit code 1'));
+    const response = await request(app).get('/inspect/web%3A2.0/report').expect(502);
+    expect(response.body).toMatchObject({ error: 'Failed to build report', imageName: 'web:2.0' });
+  });
+});
+
+describe('Inspect from the registry', () => {
+  const analysis = { layers: [], analysis: { totalLayers: 0 }, metadata: { imageId: 'sha256:config' } };
+  const registryImage = {
+    manifest: { layers: [] },
+    imageInfo: { id: 'sha256:config', os: 'linux', architecture: 'arm64', variant: 'v8' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.INSPECT_SOURCE;
+    resolveRegistryImage.mockResolvedValue(registryImage);
+    analyzeRegistryImage.mockImplementation(async (imageName, image, { onLayer }) => {
+      onLayer({ index: 0, count: 1, digest: 'sha256:layer', size: 10 });
+      return analysis;
+    });
+    analysisStore.findLatestByDigest.mockResolvedValue(null);
+    analysisStore.save.mockResolvedValue({ id: 'stored-id' });
+  });
+
+  test('?source=registry analyzes the registry image without the daemon and stores it by config digest', async () => {
+    const job = await runInspectionJob('/inspect/registry.example.com/team/app%3A1.0?source=registry&platform=linux/arm64');
+
+    expect(job).toMatchObject({ state: 'completed', source: 'registry', platform: 'linux/arm64' });
+    expect(job.result).toMatchObject({ analysis, digest: 'sha256:config', platform: 'linux/arm64/v8', cached: false });
+    expect(resolveRegistryImage).toHaveBeenCalledWith('registry.example.com/team/app:1.0', expect.objectContaining({ platform: 'linux/arm64' }));
+    expect(analyzeRegistryImage).toHaveBeenCalledWith('registry.example.com/team/app:1.0', registryImage, expect.any(Object));
+    expect(analysisStore.save).toHaveBeenCalledWith({
+      imageName: 'registry.example.com/team/app:1.0',
+      digest: 'sha256:config',
+      platform: 'linux/arm64/v8',
+      analysis
+    });
+    expect(dockerUtils.isDockerAvailable).not.toHaveBeenCalled();
+    expect(dockerUtils.pullImage).not.toHaveBeenCalled();
+    expect(diveUtils.executeDive).not.toHaveBeenCalled();
+  });
+
+  test('reads private registries with their stored credentials', async () => {
+    const registryCredentials = require('../utils/registry-credentials');
+    process.env.REGISTRY_CREDENTIALS_KEY = '34'.repeat(32);
+    try {
+      await registryCredentials.set('registry.example.com', { username: 'ci', password: 'secret' });
+
+      await runInspectionJob('/inspect/registry.example.com/team/app%3A3.0?source=registry');
+
+      expect(resolveRegistryImage).toHaveBeenCalledWith('registry.example.com/team/app:3.0', expect.objectContaining({
+        credentials: { registry: 'registry.example.com', username: 'ci', password: 'secret' }
+      }));
+    } finally {
+      delete process.env.REGISTRY_CREDENTIALS_KEY;
+      await registryCredentials.remove('registry.example.com');
+    }
+  });
+
+  test('reuses a stored analysis of the same config digest without downloading layers', async () => {
+    analysisStore.findLatestByDigest.mockResolvedValue({ id: 'old-id', createdAt: '2026-01-01T00:00:00.000Z', analysis });
+    diveUtils.buildMetadata.mockReturnValue({ imageId: 'sha256:config' });
+
+    const job = await runInspectionJob('/inspect/team/app%3A1.0?source=registry');
+
+    expect(job.result).toMatchObject({ analysisId: 'old-id', cached: true });
+    expect(analysisStore.findLatestByDigest).toHaveBeenCalledWith('sha256:config');
+    expect(analyzeRegistryImage).not.toHaveBeenCalled();
+  });
+
+  test('INSPECT_SOURCE=registry makes it the default, and a registry job is separate from a docker one', async () => {
+    process.env.INSPECT_SOURCE = 'registry';
+    try {
+      const queued = await request(app).post('/inspect/team/app%3A2.0').expect(202);
+      expect(queued.body.source).toBe('registry');
+      await jobQueue.get(queued.body.jobId).done;
+
+      expect(resolveRegistryImage).toHaveBeenCalledTimes(1);
+    } finally {
+      delete process.env.INSPECT_SOURCE;
+    }
+
+    const status = await request(app).get('/inspect/team/app%3A2.0/status?source=registry').expect(200);
+    expect(status.body).toMatchObject({ status: 'complete', progress: 100 });
+    await request(app).get('/inspect/team/app%3A2.0/status').expect(404);
+  });
+
+  test('rejects unknown sources and layer scans from the registry', async () => {
+    const unknown = await request(app).post('/inspect/team/app%3A1.0?source=oci').expect(400);
+    expect(unknown.body).toMatchObject({ error: 'Invalid source', message: 'source must be one of: docker, registry' });
+
+    const scans = await request(app).post('/inspect/team/app%3A1.0?source=registry&secrets=true').expect(400);
+    expect(scans.body).toMatchObject({ error: 'Invalid source', message: 'secret scans and package catalogs need source=docker' });
+
+    await request(app).get('/inspect/team/app%3A1.0/report?source=daemon').expect(400);
+    expect(resolveRegistryImage).not.toHaveBeenCalled();
+  });
+
+  test('registry failures map onto the same statuses as pulls', async () => {
+    resolveRegistryImage.mockRejectedValue(new Error('manifest unknown: 9.9 not found in docker.io/team/app'));
+    const missing = await request(app).get('/inspect/team/app%3A9.9/report?source=registry').expect(404);
+    expect(missing.body.message).toBe('manifest unknown: 9.9 not found in docker.io/team/app');
+
+    resolveRegistryImage.mockRejectedValue(new Error('Registry returned HTTP 500 for latest of docker.io/team/app'));
+    await request(app).get('/inspect/team/app/report?source=registry').expect(502);
   });
 });
@@ -0,0 +1,176 @@
+describe('Inspection job queue', () => {
+  let jobQueue;
+
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  beforeEach(() => {
+    process.env.INSPECT_CONCURRENCY = '1';
+    jest.isolateModules(() => {
+      jobQueue = require('../utils/job-queue');
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.INSPECT_CONCURRENCY;
+  });
+
+  test('runs no more jobs at once than the concurrency limit', async () => {
+    const first = deferred();
+    const second = deferred();
+    const task = jest.fn()
+      .mockReturnValueOnce(first.promise)
+      .mockReturnValueOnce(second.promise);
+
+    const { job: a } = jobQueue.enqueue('nginx:latest', task);
+    const { job: b } = jobQueue.enqueue('redis:7', task);
+
+    expect(a.state).toBe('running');
+    expect(b.state).toBe('queued');
+    expect(jobQueue.positionOf(b)).toBe(1);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    first.resolve({ ok: 'a' });
+    await expect(a.done).resolves.toEqual({ ok: 'a' });
+    expect(a).toMatchObject({ state: 'completed', progress: 100, result: { ok: 'a' } });
+    expect(b.state).toBe('running');
+    expect(jobQueue.positionOf(b)).toBe(0);
+
+    second.resolve({ ok: 'b' });
+    await b.done;
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps at most INSPECT_JOB_RETENTION_MAX finished jobs', async () => {
+    process.env.INSPECT_JOB_RETENTION_MAX = '2';
+    jest.isolateModules(() => {
+      jobQueue = require('../utils/job-queue');
+    });
+    delete process.env.INSPECT_JOB_RETENTION_MAX;
+
+    const running = deferred();
+    const { job: active } = jobQueue.enqueue('busybox:1', () => running.promise);
+    const jobs = [];
+    for (const key of ['a', 'b', 'c']) {
+      const { job } = jobQueue.enqueue(key, async () => ({ files: [key] }));
+      jobs.push(job);
+    }
+    running.resolve({});
+    await Promise.all([active.done, ...jobs.map((job) => job.done)]);
+
+    expect(jobQueue.list().map((job) => job.key)).toEqual(['b', 'c']);
+    expect(jobQueue.get(active.id)).toBeNull();
+  });
+
+  test('attaches duplicate keys to the active job until it finishes', async () => {
+    const work = deferred();
+    const task = jest.fn(() => work.promise);
+
+    const first = jobQueue.enqueue('nginx:latest', task);
+    const duplicate = jobQueue.enqueue('nginx:latest', task);
+
+    expect(duplicate).toEqual({ job: first.job, attached: true });
+
+    work.resolve('done');
+    await first.job.done;
+
+    const next = jobQueue.enqueue('nginx:latest', jest.fn().mockResolvedValue('again'));
+    expect(next.attached).toBe(false);
+    expect(next.job.id).not.toBe(first.job.id);
+    await next.job.done;
+  });
+
+  test('records failures and progress updates', async () => {
+    const pull = deferred();
+    const { job } = jobQueue.enqueue('broken:1', async (update) => {
+      update({ progress: 40, message: 'Pulling...' });
+      await pull.promise;
+    });
+
+    expect(job).toMatchObject({ state: 'running', progress: 40, message: 'Pulling...' });
+    pull.reject(new Error('pull access denied'));
+
+    await expect(job.done).rejects.toThrow('pull access denied');
+    expect(job).toMatchObject({ state: 'failed', message: 'pull access denied' });
+    expect(job.finishedAt).not.toBeNull();
+    expect(jobQueue.get(job.id)).toBe(job);
+    expect(jobQueue.list()).toEqual([job]);
+  });
+
+  test('a late progress update cannot reopen a finished job', async () => {
+    let report;
+    const { job } = jobQueue.enqueue('nginx:latest', async (update) => {
+      report = update;
+      return 'ok';
+    });
+
+    await job.done;
+    report({ progress: 10, state: 'running' });
+    expect(job).toMatchObject({ state: 'completed', progress: 100 });
+  });
+});
+
+describe('Inspection job cancellation', () => {
+  let jobQueue;
+
+  beforeEach(() => {
+    process.env.INSPECT_CONCURRENCY = '1';
+    jest.isolateModules(() => {
+      jobQueue = require('../utils/job-queue');
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.INSPECT_CONCURRENCY;
+  });
+
+  // A task that only ends when its signal aborts, like a killed child process
+  const untilAborted = (update, signal) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Dive process exited with code null')));
+  });
+
+  test('cancelling a running job aborts its signal and marks it cancelled', async () => {
+    const { job } = jobQueue.enqueue('nginx:latest', untilAborted);
+
+    expect(jobQueue.cancel(job.id)).toBe(job);
+    await expect(job.done).rejects.toThrow('Inspection cancelled');
+    expect(job).toMatchObject({ state: 'cancelled', message: 'Inspection cancelled' });
+    expect(jobQueue.cancel(job.id)).toBeNull();
+  });
+
+  test('cancelling a queued job drops it without running the task', async () => {
+    const { job: running } = jobQueue.enqueue('nginx:latest', untilAborted);
+    const task = jest.fn();
+    const { job: queued } = jobQueue.enqueue('redis:7', task);
+
+    jobQueue.cancel(queued.id);
+    await expect(queued.done).rejects.toThrow('Inspection cancelled');
+    expect(queued.state).toBe('cancelled');
+
+    jobQueue.cancel(running.id);
+    await running.done.catch(() => {});
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  test('a new request after cancelling starts a fresh job', async () => {
+    const { job: cancelled } = jobQueue.enqueue('nginx:latest', untilAborted);
+    jobQueue.cancel(cancelled.id);
+
+    const { job: fresh, attached } = jobQueue.enqueue('nginx:latest', jest.fn().mockResolvedValue('ok'));
+    expect(attached).toBe(false);
+    expect(jobQueue.findActive('nginx:latest')).toBe(fresh);
+    // The cancelled job holds its worker slot until its process has exited
+    expect(fresh.state).toBe('queued');
+
+    await cancelled.done.catch(() => {});
+    await expect(fresh.done).resolves.toBe('ok');
+    expect(jobQueue.findActive('nginx:latest')).toBeNull();
+  });
+});
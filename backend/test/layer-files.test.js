@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const dockerUtils = require('../utils/docker');
+const { extractLayerFile, exportLayerTar } = require('../utils/layer-files');
+const { tarArchive } = require('./tar-fixture');
+
+const UPPER_LAYER_BLOB = `blobs/sha256/${'b'.repeat(64)}`;
+const spoolDir = path.join(__dirname, '..', 'temp', 'downloads');
+
+const baseLayer = tarArchive([
+  { name: 'etc/', type: 'dir' },
+  { name: 'etc/os-release', content: 'ID=alpine\n' },
+  { name: 'etc/motd', content: 'welcome\n' },
+  { name: 'app/', type: 'dir' },
+  { name: 'app/secret.key', content: 'key material' },
+  { name: 'bin/sh', type: 'symlink', linkName: '/bin/busybox' }
+]);
+
+const upperLayer = tarArchive([
+  { name: 'etc/motd', content: 'patched\n' },
+  { name: 'app/.wh.secret.key' }
+]);
+
+const diffId = (layer) => `sha256:${crypto.createHash('sha256').update(layer).digest('hex')}`;
+
+const imageArchive = tarArchive([
+  { name: UPPER_LAYER_BLOB, content: zlib.gzipSync(upperLayer) },
+  { name: 'l1/layer.tar', content: baseLayer },
+  { name: 'manifest.json', content: JSON.stringify([{ Layers: ['l1/layer.tar', UPPER_LAYER_BLOB] }]) }
+]);
+
+const spoolCount = async () => ((await fs.pathExists(spoolDir)) ? (await fs.readdir(spoolDir)).length : 0);
+
+describe('Layer file downloads', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(spoolDir);
+    jest.spyOn(dockerUtils, 'saveImage')
+      .mockImplementation((imageName, destination) => pipeline(Readable.from([imageArchive]), destination));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('extracts the copy of a file a layer sees, even one a lower layer wrote', async () => {
+    const base = await extractLayerFile('sha256:image', 0, '/etc/motd', { maxBytes: 1024 });
+    const upper = await extractLayerFile('sha256:image', 1, '/etc/motd', { maxBytes: 1024 });
+    const inherited = await extractLayerFile('sha256:image', 1, '/etc/os-release', { maxBytes: 1024 });
+
+    expect(await fs.readFile(base.path, 'utf8')).toBe('welcome\n');
+    expect(upper).toMatchObject({ size: 8, layerIndex: 1 });
+    expect(await fs.readFile(upper.path, 'utf8')).toBe('patched\n');
+    expect(inherited).toMatchObject({ layerIndex: 0 });
+    expect(await fs.readFile(inherited.path, 'utf8')).toBe('ID=alpine\n');
+    // Only the returned spools are left for the caller to send and remove
+    expect(await spoolCount()).toBe(3);
+  });
+
+  test('reports files that are deleted, missing, not regular or too large', async () => {
+    await expect(extractLayerFile('sha256:image', 0, '/app/secret.key', { maxBytes: 1024 })).resolves.toMatchObject({ size: 12 });
+    await fs.emptyDir(spoolDir);
+
+    await expect(extractLayerFile('sha256:image', 1, '/app/secret.key', { maxBytes: 1024 }))
+      .rejects.toThrow('/app/secret.key not found at layer #2: layer #2 deleted it');
+    await expect(extractLayerFile('sha256:image', 1, '/nope', { maxBytes: 1024 })).rejects.toThrow('/nope not found at layer #2');
+    await expect(extractLayerFile('sha256:image', 5, '/etc/motd', { maxBytes: 1024 })).rejects.toThrow('Layer #6 not found; the image has 2 layers');
+    await expect(extractLayerFile('sha256:image', 0, '/etc', { maxBytes: 1024 })).rejects.toThrow('/etc is a directory');
+    await expect(extractLayerFile('sha256:image', 0, '/bin/sh', { maxBytes: 1024 })).rejects.toThrow('/bin/sh is a symbolic link to /bin/busybox');
+    await expect(extractLayerFile('sha256:image', 1, '/etc/motd', { maxBytes: 4 })).rejects.toThrow('/etc/motd is larger than the 4-byte download limit');
+    expect(await spoolCount()).toBe(0);
+  });
+
+  test('exports a layer as its uncompressed tar, recognised by its diff ID', async () => {
+    const upper = await exportLayerTar('sha256:image', diffId(upperLayer), { maxBytes: 1024 * 1024 });
+
+    expect(upper.size).toBe(upperLayer.length);
+    expect((await fs.readFile(upper.path)).equals(upperLayer)).toBe(true);
+    expect(await spoolCount()).toBe(1);
+  });
+
+  test('fails a layer export over the limit or for an unknown layer without leaving spools', async () => {
+    await expect(exportLayerTar('sha256:image', diffId(baseLayer), { maxBytes: 1024 }))
+      .rejects.toThrow(`Layer ${diffId(baseLayer)} is larger than the 1024-byte download limit`);
+    await expect(exportLayerTar('sha256:image', `sha256:${'0'.repeat(64)}`, { maxBytes: 1024 * 1024 }))
+      .rejects.toThrow('not found in the exported image');
+    expect(await spoolCount()).toBe(0);
+  });
+});
@@ -0,0 +1,70 @@
+// OSV advisories for the advisory database and vulnerability matching tests
+
+const osvAdvisory = ({ id, ecosystem, name, events, versions, severity, ...rest }) => ({
+  schema_version: '1.6.0',
+  id,
+  modified: '2026-01-01T00:00:00Z',
+  summary: `${name} issue`,
+  affected: [{
+    package: { ecosystem, name },
+    ranges: events ? [{ type: ecosystem === 'npm' || ecosystem === 'Go' ? 'SEMVER' : 'ECOSYSTEM', events }] : [],
+    versions: versions || []
+  }],
+  ...(severity && { severity: [{ type: 'CVSS_V3', score: severity }] }),
+  references: [{ type: 'ADVISORY', url: `https://osv.dev/vulnerability/${id}` }],
+  ...rest
+});
+
+const CRITICAL_VECTOR = 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H';
+
+const advisories = [
+  osvAdvisory({
+    id: 'DSA-0001-1',
+    ecosystem: 'Debian:12',
+    name: 'glibc',
+    aliases: ['CVE-2026-0001'],
+    events: [{ introduced: '0' }, { fixed: '2.36-9+deb12u4' }],
+    severity: CRITICAL_VECTOR
+  }),
+  osvAdvisory({
+    id: 'DSA-0002-1',
+    ecosystem: 'Debian:11',
+    name: 'glibc',
+    events: [{ introduced: '0' }, { fixed: '2.31-13+deb11u9' }]
+  }),
+  osvAdvisory({
+    id: 'GHSA-aaaa-bbbb-cccc',
+    ecosystem: 'npm',
+    name: 'express',
+    events: [{ introduced: '4.0.0' }, { fixed: '4.19.2' }],
+    database_specific: { severity: 'MODERATE' }
+  }),
+  osvAdvisory({
+    id: 'GHSA-dddd-eeee-ffff',
+    ecosystem: 'npm',
+    name: 'express',
+    events: [{ introduced: '0' }, { fixed: '3.21.2' }],
+    database_specific: { severity: 'HIGH' }
+  }),
+  osvAdvisory({
+    id: 'PYSEC-2026-1',
+    ecosystem: 'PyPI',
+    name: 'Requests',
+    events: [{ introduced: '2.3.0' }, { last_affected: '2.31.0' }]
+  }),
+  osvAdvisory({
+    id: 'GO-2026-0001',
+    ecosystem: 'Go',
+    name: 'stdlib',
+    events: [{ introduced: '1.21.0' }, { fixed: '1.21.5' }],
+    severity: 'CVSS:3.1/AV:N/AC:H/PR:N/UI:N/S:U/C:N/I:N/A:H'
+  }),
+  osvAdvisory({
+    id: 'ALPINE-CVE-2026-2',
+    ecosystem: 'Alpine:v3.19',
+    name: 'openssl',
+    versions: ['3.1.4-r5']
+  })
+];
+
+module.exports = { osvAdvisory, advisories, CRITICAL_VECTOR };
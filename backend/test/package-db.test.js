@@ -0,0 +1,151 @@
+const {
+  parseOsRelease,
+  parseDpkgStatus,
+  parseDpkgFileList,
+  parseApkInstalled,
+  parseRpmDatabase,
+  parseNpmLockfile,
+  parsePythonMetadata,
+  parsePythonRecord,
+  parseRequirements,
+  parseGoBuildInfo
+} = require('../utils/package-db');
+const { rpmHeader, rpmString, rpmInt, goBuildInfo } = require('./package-fixture');
+
+describe('Package database parsers', () => {
+  test('parseOsRelease reads the distribution and version', () => {
+    expect(parseOsRelease('PRETTY_NAME="Debian GNU/Linux 12 (bookworm)"\nID=debian\nVERSION_ID="12"\n')).toEqual({
+      id: 'debian',
+      versionId: '12',
+      prettyName: 'Debian GNU/Linux 12 (bookworm)'
+    });
+    expect(parseOsRelease('NAME=unknown\n')).toBeNull();
+  });
+
+  test('parseDpkgStatus keeps installed packages with their declared size', () => {
+    const packages = parseDpkgStatus([
+      'Package: curl',
+      'Status: install ok installed',
+      'Installed-Size: 500',
+      'Architecture: amd64',
+      'Source: curl (7.88.1-10)',
+      'Version: 7.88.1-10',
+      'Description: command line tool',
+      ' for transferring data',
+      '',
+      'Package: removed',
+      'Status: deinstall ok config-files',
+      'Version: 1.0',
+      ''
+    ].join('\n'));
+
+    expect(packages).toEqual([{ name: 'curl', version: '7.88.1-10', arch: 'amd64', sourcePackage: 'curl', license: null, size: 512000 }]);
+  });
+
+  test('parseDpkgFileList reads info lists and distroless md5sums', () => {
+    expect(parseDpkgFileList('/.\n/usr/bin/curl\n')).toEqual(['/.', '/usr/bin/curl']);
+    expect(parseDpkgFileList(`${'a'.repeat(32)}  usr/bin/curl\n`)).toEqual(['/usr/bin/curl']);
+  });
+
+  test('parseApkInstalled reads packages and their files', () => {
+    const [pkg] = parseApkInstalled('C:Q1abc=\nP:musl\nV:1.2.4-r2\nA:x86_64\nI:622592\nL:MIT\no:musl\nF:lib\nR:libc.musl-x86_64.so.1\nR:ld-musl-x86_64.so.1\n\n');
+
+    expect(pkg).toEqual({
+      name: 'musl',
+      version: '1.2.4-r2',
+      arch: 'x86_64',
+      license: 'MIT',
+      sourcePackage: 'musl',
+      size: 622592,
+      files: ['/lib/libc.musl-x86_64.so.1', '/lib/ld-musl-x86_64.so.1']
+    });
+  });
+
+  test('parseRpmDatabase finds header blobs wherever the database stores them', () => {
+    const database = Buffer.concat([
+      Buffer.alloc(100, 0xaa),
+      rpmHeader([
+        [1000, 6, rpmString('bash')],
+        [1001, 6, rpmString('5.1.8')],
+        [1002, 6, rpmString('6.el9')],
+        [1009, 4, rpmInt(7738000)],
+        [1014, 6, rpmString('GPLv3+')],
+        [1022, 6, rpmString('x86_64')],
+        [1044, 6, rpmString('bash-5.1.8-6.el9.src.rpm')]
+      ]),
+      Buffer.alloc(37),
+      rpmHeader([[1000, 6, rpmString('gpg-pubkey')], [1001, 6, rpmString('fd431d51')]])
+    ]);
+
+    expect(parseRpmDatabase(database)).toEqual([{
+      name: 'bash',
+      version: '5.1.8-6.el9',
+      epoch: null,
+      arch: 'x86_64',
+      license: 'GPLv3+',
+      sourcePackage: 'bash',
+      size: 7738000
+    }]);
+  });
+
+  test('parseNpmLockfile reads v2/v3 package maps and v1 dependency trees', () => {
+    const v3 = parseNpmLockfile(JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app' },
+        'node_modules/@types/node': { version: '20.1.0', dev: true, license: 'MIT' },
+        'node_modules/express': { version: '4.18.2', license: 'MIT' },
+        'node_modules/local': { resolved: 'packages/local', link: true }
+      }
+    }));
+    const v1 = parseNpmLockfile(JSON.stringify({
+      lockfileVersion: 1,
+      dependencies: { debug: { version: '2.6.9', dependencies: { ms: { version: '2.0.0' } } } }
+    }));
+
+    expect(v3).toEqual([
+      { name: '@types/node', version: '20.1.0', license: 'MIT', dev: true, installPath: 'node_modules/@types/node' },
+      { name: 'express', version: '4.18.2', license: 'MIT', dev: false, installPath: 'node_modules/express' }
+    ]);
+    expect(v1.map((pkg) => pkg.installPath)).toEqual(['node_modules/debug', 'node_modules/debug/node_modules/ms']);
+  });
+
+  test('parsePythonMetadata, parsePythonRecord and parseRequirements', () => {
+    expect(parsePythonMetadata('Metadata-Version: 2.1\nName: requests\nVersion: 2.31.0\nLicense: Apache 2.0\n\nlong description')).toEqual({
+      name: 'requests',
+      version: '2.31.0',
+      license: 'Apache 2.0'
+    });
+    expect(parsePythonRecord('requests/__init__.py,sha256=abc,4965\nrequests/api.py,sha256=def,6449\nrequests-2.31.0.dist-info/RECORD,,\n')).toBe(11414);
+    expect(parseRequirements('# pinned\nflask==3.0.0\nuvicorn[standard]==0.23.2 ; python_version >= "3.8"\nrequests>=2\n-r base.txt\n')).toEqual([
+      { name: 'flask', version: '3.0.0' },
+      { name: 'uvicorn', version: '0.23.2' }
+    ]);
+  });
+
+  test('parseGoBuildInfo reads the main module and dependencies, replacements applied', () => {
+    const info = parseGoBuildInfo(goBuildInfo('go1.21.3', [
+      'path\tgithub.com/example/app',
+      'mod\tgithub.com/example/app\tv1.2.0\th1:abc=',
+      'dep\tgithub.com/spf13/cobra\tv1.7.0\th1:def=',
+      'dep\tgolang.org/x/sys\tv0.10.0',
+      '=>\tgolang.org/x/sys\tv0.13.0\th1:ghi=',
+      'build\t-compiler=gc',
+      ''
+    ].join('\n')));
+
+    expect(info).toEqual({
+      goVersion: 'go1.21.3',
+      path: 'github.com/example/app',
+      main: { path: 'github.com/example/app', version: 'v1.2.0' },
+      deps: [{ path: 'github.com/spf13/cobra', version: 'v1.7.0' }, { path: 'golang.org/x/sys', version: 'v0.13.0' }]
+    });
+  });
+
+  test('parseGoBuildInfo ignores pre-1.18 pointer-style build info', () => {
+    const legacy = goBuildInfo('go1.16', '');
+    legacy[15] = 0;
+
+    expect(parseGoBuildInfo(legacy)).toBeNull();
+  });
+});
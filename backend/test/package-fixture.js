@@ -0,0 +1,54 @@
+// Builds rpm header blobs and Go build info for the package database and SBOM tests
+
+const { GO_BUILDINFO_MAGIC } = require('../utils/package-db');
+
+// rpm header blob: index count, data length, 16-byte index entries, data
+const rpmHeader = (tags) => {
+  const entries = [[63, 7, Buffer.alloc(16)], ...tags];
+  const index = [];
+  const data = [];
+  let offset = 0;
+  entries.forEach(([tag, type, value]) => {
+    const entry = Buffer.alloc(16);
+    entry.writeUInt32BE(tag, 0);
+    entry.writeUInt32BE(type, 4);
+    entry.writeUInt32BE(offset, 8);
+    entry.writeUInt32BE(type === 7 ? value.length : 1, 12);
+    index.push(entry);
+    data.push(value);
+    offset += value.length;
+  });
+  const counts = Buffer.alloc(8);
+  counts.writeUInt32BE(entries.length, 0);
+  counts.writeUInt32BE(offset, 4);
+  return Buffer.concat([counts, ...index, ...data]);
+};
+const rpmString = (value) => Buffer.from(`${value}\0`);
+const rpmInt = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value, 0);
+  return buffer;
+};
+
+const uvarint = (value) => {
+  const bytes = [];
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest & 0x7f) | 0x80);
+    rest >>>= 7;
+  }
+  bytes.push(rest);
+  return Buffer.from(bytes);
+};
+
+// Go 1.18+ .go.buildinfo section: magic, pointer size, flags, inline strings
+const goBuildInfo = (goVersion, modinfo) => {
+  const header = Buffer.alloc(32);
+  GO_BUILDINFO_MAGIC.copy(header);
+  header[14] = 8;
+  header[15] = 0x2;
+  const wrapped = `${'0'.repeat(16)}${modinfo}${'1'.repeat(16)}`;
+  return Buffer.concat([header, uvarint(goVersion.length), Buffer.from(goVersion), uvarint(wrapped.length), Buffer.from(wrapped)]);
+};
+
+module.exports = { rpmHeader, rpmString, rpmInt, goBuildInfo };
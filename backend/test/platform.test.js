@@ -0,0 +1,34 @@
+const { validatePlatform, assertValidPlatform, formatPlatform, matchesPlatform } = require('../utils/platform');
+
+describe('Platform strings', () => {
+  test.each(['linux/amd64', 'linux/arm64/v8', 'linux/arm/v7', 'windows/amd64', 'linux/mips64le'])('accepts %s', (platform) => {
+    expect(validatePlatform(platform).valid).toBe(true);
+    expect(assertValidPlatform(platform)).toBe(platform);
+  });
+
+  test.each(['', 'linux', 'linux/', '/amd64', 'Linux/AMD64', 'linux/arm/v7/extra', '--platform', 'linux/amd64;id', 42])(
+    'rejects %j',
+    (platform) => {
+      expect(validatePlatform(platform).valid).toBe(false);
+      expect(() => assertValidPlatform(platform)).toThrow('Invalid platform');
+    }
+  );
+
+  test('formats image configs and manifest entries', () => {
+    expect(formatPlatform({ os: 'linux', architecture: 'arm', variant: 'v7' })).toBe('linux/arm/v7');
+    expect(formatPlatform({ os: 'linux', architecture: 'amd64' })).toBe('linux/amd64');
+    expect(formatPlatform({ os: 'unknown', architecture: 'unknown' })).toBeNull();
+    expect(formatPlatform(null)).toBeNull();
+  });
+
+  test('a platform without variant matches any variant of the architecture', () => {
+    const arm64 = { os: 'linux', architecture: 'arm64', variant: 'v8' };
+
+    expect(matchesPlatform(arm64, 'linux/arm64')).toBe(true);
+    expect(matchesPlatform(arm64, 'linux/arm64/v8')).toBe(true);
+    expect(matchesPlatform({ os: 'linux', architecture: 'arm64' }, 'linux/arm64/v8')).toBe(true);
+    expect(matchesPlatform({ os: 'linux', architecture: 'arm', variant: 'v6' }, 'linux/arm/v7')).toBe(false);
+    expect(matchesPlatform({ os: 'linux', architecture: 'amd64' }, 'linux/arm64')).toBe(false);
+    expect(matchesPlatform(null, 'linux/amd64')).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+const { PullProgress, parseHumanSize } = require('../utils/pull-progress');
+
+describe('parseHumanSize', () => {
+  test('reads docker decimal units', () => {
+    expect(parseHumanSize('512B')).toBe(512);
+    expect(parseHumanSize('32.77kB')).toBe(32770);
+    expect(parseHumanSize('1.5 GB')).toBe(1500000000);
+    expect(parseHumanSize('lots')).toBeNull();
+  });
+});
+
+describe('PullProgress', () => {
+  test('tracks each layer through waiting, downloading, extracting and done', () => {
+    const tracker = new PullProgress();
+
+    expect(tracker.applyMessage({ status: 'Pulling fs layer', id: 'layer1' })).toBe(true);
+    expect(tracker.applyMessage({ status: 'Downloading', id: 'layer1', progressDetail: { current: 25, total: 100 } })).toBe(true);
+    expect(tracker.applyMessage({ status: 'Downloading', id: 'layer1', progressDetail: { current: 50, total: 100 } })).toBe(false);
+    expect(tracker.snapshot()).toMatchObject({ percent: 37.5, downloadedBytes: 50, totalBytes: 100, downloading: 1 });
+
+    tracker.applyMessage({ status: 'Verifying Checksum', id: 'layer1', progressDetail: {} });
+    expect(tracker.snapshot().percent).toBe(75);
+
+    tracker.applyMessage({ status: 'Extracting', id: 'layer1', progressDetail: { current: 60, total: 100 } });
+    expect(tracker.snapshot()).toMatchObject({ percent: 90, downloadedBytes: 100, extracting: 1 });
+
+    tracker.applyMessage({ status: 'Pull complete', id: 'layer1', progressDetail: {} });
+    expect(tracker.snapshot()).toMatchObject({ percent: 100, done: 1, layers: [{ id: 'layer1', state: 'done', current: 100, total: 100 }] });
+  });
+
+  test('weights layers by size', () => {
+    const tracker = new PullProgress();
+    tracker.applyMessage({ status: 'Downloading', id: 'big', progressDetail: { current: 0, total: 900 } });
+    tracker.applyMessage({ status: 'Downloading', id: 'tiny', progressDetail: { current: 0, total: 100 } });
+    tracker.applyMessage({ status: 'Pull complete', id: 'tiny', progressDetail: {} });
+
+    expect(tracker.snapshot().percent).toBe(10);
+  });
+
+  test('ignores repository-level and summary messages', () => {
+    const tracker = new PullProgress();
+
+    expect(tracker.applyMessage({ status: 'Pulling from library/nginx', id: 'latest' })).toBe(false);
+    expect(tracker.applyMessage({ status: 'Digest: sha256:abc' })).toBe(false);
+    expect(tracker.applyLine('Status: Downloaded newer image for nginx:latest')).toBe(false);
+    expect(tracker.snapshot()).toMatchObject({ layerCount: 0, percent: 0 });
+    expect(tracker.describe()).toBe('Pulling image...');
+  });
+
+  test('keeps the last state through retries', () => {
+    const tracker = new PullProgress();
+    tracker.applyMessage({ status: 'Downloading', id: 'layer1', progressDetail: { current: 10, total: 100 } });
+
+    expect(tracker.applyMessage({ status: 'Retrying in 5 seconds', id: 'layer1' })).toBe(false);
+    expect(tracker.snapshot().layers[0]).toMatchObject({ state: 'downloading', current: 10 });
+  });
+
+  test('parses CLI lines with and without terminal progress bars', () => {
+    const tracker = new PullProgress();
+
+    tracker.applyLine('a2abf6c4d29d: Downloading [=====>        ]  12.5MB/31.4MB');
+    tracker.applyLine('a9edb18cadd1: Waiting');
+    tracker.applyLine('589b7251471a: Already exists');
+
+    expect(tracker.snapshot().layers).toEqual([
+      { id: 'a2abf6c4d29d', state: 'downloading', current: 12500000, total: 31400000 },
+      { id: 'a9edb18cadd1', state: 'waiting', current: 0, total: null },
+      { id: '589b7251471a', state: 'done', current: 0, total: null }
+    ]);
+    expect(tracker.describe()).toBe('Pulling layers: 1/3 complete, 1 downloading');
+  });
+});
@@ -0,0 +1,141 @@
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs-extra');
+const path = require('path');
+const { startRegistry } = require('./registry-fixture');
+
+const registriesRoutes = require('../routes/registries');
+const registryCredentials = require('../utils/registry-credentials');
+
+const app = express();
+app.use(express.json());
+app.use('/admin/registries', registriesRoutes);
+
+const ADMIN = 'Bearer admin-secret';
+
+describe('Registry credential admin routes', () => {
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    process.env.REGISTRY_CREDENTIALS_KEY = 'cd'.repeat(32);
+  });
+
+  afterEach(async () => {
+    delete process.env.ADMIN_TOKEN;
+    delete process.env.REGISTRY_CREDENTIALS_KEY;
+    registryCredentials.data = null;
+    await fs.remove(path.join(process.env.REGISTRY_CREDENTIALS_DIR, 'registries.json'));
+  });
+
+  test('are off without ADMIN_TOKEN and need the token with it', async () => {
+    delete process.env.ADMIN_TOKEN;
+    const disabled = await request(app).get('/admin/registries').set('Authorization', ADMIN).expect(503);
+    expect(disabled.body.error).toBe('Admin API disabled');
+
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    await request(app).get('/admin/registries').expect(401);
+    const wrong = await request(app).get('/admin/registries').set('Authorization', 'Bearer guess').expect(401);
+    expect(wrong.headers['www-authenticate']).toContain('Bearer');
+  });
+
+  test('stores, lists, rotates and deletes credentials without returning secrets', async () => {
+    const created = await request(app)
+      .put('/admin/registries/ghcr.io')
+      .set('Authorization', ADMIN)
+      .send({ username: 'octo', token: 'ghp_secret' })
+      .expect(201);
+    expect(created.body.registry).toMatchObject({ registry: 'ghcr.io', username: 'octo' });
+
+    await request(app)
+      .put('/admin/registries/ghcr.io')
+      .set('Authorization', ADMIN)
+      .send({ username: 'octo', password: 'ghp_other' })
+      .expect(200);
+
+    const rotated = await request(app)
+      .post('/admin/registries/ghcr.io/rotate')
+      .set('Authorization', ADMIN)
+      .send({ token: 'ghp_rotated' })
+      .expect(200);
+    expect(rotated.body.registry.rotatedAt).toEqual(expect.any(String));
+    expect(registryCredentials.get('ghcr.io').password).toBe('ghp_rotated');
+
+    const list = await request(app).get('/admin/registries').set('Authorization', ADMIN).expect(200);
+    expect(list.body).toEqual({ enabled: true, registries: [expect.objectContaining({ registry: 'ghcr.io', username: 'octo' })] });
+    expect(JSON.stringify(list.body)).not.toContain('ghp_');
+
+    await request(app).delete('/admin/registries/ghcr.io').set('Authorization', ADMIN).expect(200);
+    await request(app).delete('/admin/registries/ghcr.io').set('Authorization', ADMIN).expect(404);
+    await request(app).post('/admin/registries/ghcr.io/rotate').set('Authorization', ADMIN).send({ token: 'x' }).expect(404);
+  });
+
+  test('imports a docker config fragment', async () => {
+    const response = await request(app)
+      .post('/admin/registries/import')
+      .set('Authorization', ADMIN)
+      .send({ auths: { 'registry.internal:5000': { auth: Buffer.from('ci:secret').toString('base64') } }, credHelpers: { 'gcr.io': 'gcloud' } })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      success: true,
+      imported: [expect.objectContaining({ registry: 'registry.internal:5000', username: 'ci' })],
+      skipped: [{ registry: 'gcr.io', reason: 'credential helpers are not supported' }]
+    });
+  });
+
+  test('reports invalid input and a disabled store', async () => {
+    const invalid = await request(app)
+      .put('/admin/registries/ghcr.io')
+      .set('Authorization', ADMIN)
+      .send({ username: 'octo' })
+      .expect(400);
+    expect(invalid.body.error).toBe('Invalid credentials');
+
+    await request(app).post('/admin/registries/import').set('Authorization', ADMIN).send({}).expect(400);
+
+    delete process.env.REGISTRY_CREDENTIALS_KEY;
+    const disabled = await request(app)
+      .put('/admin/registries/ghcr.io')
+      .set('Authorization', ADMIN)
+      .send({ username: 'octo', token: 't' })
+      .expect(503);
+    expect(disabled.body.error).toBe('Registry credential store disabled');
+  });
+
+  describe('POST /:registry/test', () => {
+    let registry;
+
+    beforeEach(async () => {
+      registry = await startRegistry({ auth: true, credentials: { username: 'ci', password: 'secret' } });
+    });
+
+    afterEach(async () => {
+      await registry.close();
+    });
+
+    test('logs in with the stored credentials and records the outcome', async () => {
+      await registryCredentials.set(registry.host, { username: 'ci', password: 'secret' });
+
+      const response = await request(app).post(`/admin/registries/${registry.host}/test`).set('Authorization', ADMIN).expect(200);
+
+      expect(response.body).toMatchObject({
+        ok: true,
+        message: `Logged in to ${registry.host} as ci`,
+        registry: { registry: registry.host, lastTest: { ok: true } }
+      });
+      expect(registry.requests).toEqual(['GET /v2/', 'GET /token', 'GET /v2/']);
+    });
+
+    test('reports refused credentials', async () => {
+      await registryCredentials.set(registry.host, { username: 'ci', password: 'expired' });
+
+      const response = await request(app).post(`/admin/registries/${registry.host}/test`).set('Authorization', ADMIN).expect(200);
+
+      expect(response.body).toMatchObject({ ok: false, message: `Login to ${registry.host} refused: unauthorized` });
+      expect(registryCredentials.list()[0].lastTest).toMatchObject({ ok: false });
+    });
+
+    test('answers 404 for a registry without credentials', async () => {
+      await request(app).post('/admin/registries/quay.io/test').set('Authorization', ADMIN).expect(404);
+    });
+  });
+});
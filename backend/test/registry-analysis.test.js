@@ -0,0 +1,171 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { resolveRegistryImage, analyzeRegistryImage, computeEfficiency } = require('../utils/registry-analysis');
+const { startRegistry } = require('./registry-fixture');
+
+const entry = (path, size, overrides = {}) => ({ path, typeFlag: 48, linkName: '', size, fileMode: 0o644, uid: 0, gid: 0, isDir: false, ...overrides });
+const dir = (path) => entry(path, 0, { typeFlag: 53, isDir: true, fileMode: 0o755 });
+
+// Base image, an update that rewrites a config and drops the apt cache
+// directory, and a cleanup that deletes a file
+const LAYERS = [
+  {
+    entries: [
+      { name: 'etc/', type: 'dir', mode: 0o755 },
+      { name: 'etc/os-release', content: 'ID=test\n' },
+      { name: 'var/cache/apt/', type: 'dir', mode: 0o755 },
+      { name: 'var/cache/apt/pkg.bin', content: 'p'.repeat(1000) },
+      { name: 'app/config.json', content: '{"debug":1}', mode: 0o600, uid: 1000, gid: 1000 },
+      { name: 'app/run.sh', content: '#!/bin/sh\n', mode: 0o755 }
+    ]
+  },
+  {
+    createdBy: '/bin/sh -c apt-get clean && edit-config',
+    entries: [
+      { name: 'var/cache/.wh.apt' },
+      { name: 'app/config.json', content: '{"debug":false}'.padEnd(20), mode: 0o600, uid: 1000, gid: 1000 }
+    ]
+  },
+  {
+    createdBy: 'RUN /bin/sh -c rm /etc/os-release # buildkit',
+    entries: [{ name: 'etc/.wh.os-release' }]
+  }
+];
+
+const FILE_LISTS = [
+  [dir('etc/'), entry('etc/os-release', 8), dir('var/cache/apt/'), entry('var/cache/apt/pkg.bin', 1000), entry('app/config.json', 11), entry('app/run.sh', 10)],
+  [entry('var/cache/.wh.apt', 0), entry('app/config.json', 20)],
+  [entry('etc/.wh.os-release', 0)]
+];
+
+describe('Registry image efficiency', () => {
+  test('scores layers the way dive does', () => {
+    const result = computeEfficiency(FILE_LISTS);
+
+    // Smallest size per path (8 -> deleted 0, 1000, 11, 10 and the 1000 byte
+    // directory deletion) over everything written (8, 1000, 31, 10, 1000)
+    expect(result.efficiencyScore).toBeCloseTo(2021 / 2049);
+    expect(result.fileReference).toEqual([
+      { count: 2, sizeBytes: 31, file: '/app/config.json' },
+      { count: 2, sizeBytes: 8, file: '/etc/os-release' }
+    ]);
+    expect(result.inefficientBytes).toBe(39);
+  });
+
+  test('an image without files is fully efficient', () => {
+    expect(computeEfficiency([[dir('tmp/')]])).toEqual({ efficiencyScore: 1, inefficientBytes: 0, fileReference: [] });
+  });
+
+  test('an opaque whiteout does not make its directory a branch', () => {
+    const result = computeEfficiency([
+      [dir('data/')],
+      [dir('data/'), entry('data/.wh..wh..opq', 0)]
+    ]);
+
+    expect(result.fileReference).toEqual([{ count: 2, sizeBytes: 0, file: '/data' }]);
+  });
+});
+
+describe('Registry image analysis', () => {
+  let registry;
+
+  beforeEach(async () => {
+    registry = await startRegistry({ auth: true });
+  });
+
+  afterEach(async () => {
+    await registry.close();
+  });
+
+  test('analyzes the layers of a registry image without leaving blobs behind', async () => {
+    const pushed = registry.pushImage('team/app', '1.0', { layers: LAYERS, config: { User: 'app' } });
+    const imageName = `${registry.host}/team/app:1.0`;
+    const onLayer = jest.fn();
+
+    const image = await resolveRegistryImage(imageName);
+    const analysis = await analyzeRegistryImage(imageName, image, { onLayer });
+
+    expect(onLayer.mock.calls.map(([layer]) => [layer.index, layer.count])).toEqual([[0, 3], [1, 3], [2, 3]]);
+    expect(analysis.imageName).toBe(imageName);
+    expect(analysis.analysis).toEqual({
+      totalLayers: 3,
+      totalSize: 1049,
+      wastedSpace: 39,
+      efficiency: 98.6,
+      userDataInImage: 1010
+    });
+    expect(analysis.layers.map((layer) => [layer.id, layer.command, layer.size])).toEqual([
+      [image.config.rootfs.diff_ids[0], 'ADD rootfs.tar /', 1029],
+      [image.config.rootfs.diff_ids[1], 'apt-get clean && edit-config', 20],
+      [image.config.rootfs.diff_ids[2], 'RUN /bin/sh -c rm /etc/os-release # buildkit', 0]
+    ]);
+    expect(analysis.layers[0].files).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: '/app/config.json', status: 'added', size: 11, mode: '-rw-------', uid: 1000, gid: 1000 }),
+      expect.objectContaining({ path: '/app/run.sh', mode: '-rwxr-xr-x' })
+    ]));
+    expect(analysis.layers[2].files).toEqual([expect.objectContaining({ path: '/etc/os-release', status: 'removed' })]);
+    expect(analysis.inefficientFiles.map((file) => file.path)).toEqual(['/app/config.json', '/etc/os-release']);
+    expect(analysis.metadata).toMatchObject({
+      imageId: pushed.configDigest,
+      repoTags: [imageName],
+      repoDigests: [`${registry.host}/team/app@${pushed.digest}`],
+      platform: 'linux/amd64',
+      config: expect.objectContaining({ user: 'app', cmd: ['sh'] })
+    });
+
+    expect(await fs.readdir(process.env.REGISTRY_BLOB_DIR)).toEqual([]);
+  });
+
+  test('rejects zstd-compressed layers and removes the blob store', async () => {
+    const zstd = Buffer.concat([Buffer.from([0x28, 0xb5, 0x2f, 0xfd]), Buffer.alloc(64)]);
+    registry.pushImage('team/app', 'zstd', { layers: [{ raw: zstd }] });
+    const imageName = `${registry.host}/team/app:zstd`;
+
+    const image = await resolveRegistryImage(imageName);
+    await expect(analyzeRegistryImage(imageName, image)).rejects.toThrow('zstd-compressed');
+    expect(await fs.readdir(process.env.REGISTRY_BLOB_DIR)).toEqual([]);
+  });
+
+  test('refuses layer digests that could name a path outside the blob store', async () => {
+    const pushed = registry.pushImage('team/app', '1.0', { layers: LAYERS });
+    const config = registry.blobs.get(pushed.configDigest);
+    const victim = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-victim-'));
+    const digest = `sha256:/${path.relative(process.env.REGISTRY_BLOB_DIR, victim)}`;
+    registry.pushManifest('team/app', 'hostile', {
+      schemaVersion: 2,
+      mediaType: 'application/vnd.oci.image.manifest.v1+json',
+      config: { mediaType: 'application/vnd.oci.image.config.v1+json', digest: pushed.configDigest, size: config.length },
+      layers: [{ mediaType: 'application/vnd.oci.image.layer.v1.tar+gzip', digest, size: 10 }]
+    });
+    const imageName = `${registry.host}/team/app:hostile`;
+
+    try {
+      await expect(resolveRegistryImage(imageName)).rejects.toThrow(`Unsupported registry digest: ${digest}`);
+
+      // Even a manifest that got past resolution never reaches the file system
+      const image = await resolveRegistryImage(`${registry.host}/team/app:1.0`);
+      image.manifest = { ...image.manifest, layers: [{ digest, size: 10 }] };
+      await expect(analyzeRegistryImage(imageName, image)).rejects.toThrow('Unsupported registry digest');
+      expect(await fs.pathExists(victim)).toBe(true);
+    } finally {
+      await fs.remove(victim);
+    }
+  });
+
+  test('stops between layers when the inspection is cancelled', async () => {
+    registry.pushImage('team/app', '1.0', { layers: LAYERS });
+    const imageName = `${registry.host}/team/app:1.0`;
+    const controller = new AbortController();
+
+    const image = await resolveRegistryImage(imageName);
+    const analysis = analyzeRegistryImage(imageName, image, {
+      signal: controller.signal,
+      onLayer: ({ index }) => index === 1 && controller.abort()
+    });
+
+    await expect(analysis).rejects.toThrow('Inspection cancelled');
+    expect(registry.requests.filter((line) => line.includes('/blobs/'))).toHaveLength(2);
+    expect(await fs.readdir(process.env.REGISTRY_BLOB_DIR)).toEqual([]);
+  });
+});
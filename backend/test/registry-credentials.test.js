@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const HEX_KEY = 'ab'.repeat(32);
+
+describe('Registry credential store', () => {
+  let storeDir;
+  let registryCredentials;
+
+  const load = () => {
+    jest.isolateModules(() => {
+      registryCredentials = require('../utils/registry-credentials');
+    });
+  };
+
+  beforeEach(async () => {
+    storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-credentials-test-'));
+    process.env.REGISTRY_CREDENTIALS_DIR = storeDir;
+    process.env.REGISTRY_CREDENTIALS_KEY = HEX_KEY;
+    load();
+  });
+
+  afterEach(async () => {
+    delete process.env.REGISTRY_CREDENTIALS_KEY;
+    await fs.remove(storeDir);
+  });
+
+  const storeFile = () => path.join(storeDir, 'registries.json');
+
+  test('encrypts secrets at rest in an owner-only file', async () => {
+    const { created, registry } = await registryCredentials.set('GHCR.io', { username: 'octo', password: 'ghp_secret-token' });
+
+    expect(created).toBe(true);
+    expect(registry).toMatchObject({ registry: 'ghcr.io', username: 'octo', rotatedAt: null, lastTest: null });
+    expect(registry).not.toHaveProperty('password');
+
+    const raw = await fs.readFile(storeFile(), 'utf8');
+    expect(raw).not.toContain('ghp_secret-token');
+    expect(JSON.parse(raw).registries['ghcr.io'].secret).toEqual({
+      iv: expect.any(String),
+      tag: expect.any(String),
+      data: expect.any(String)
+    });
+    expect((await fs.stat(storeFile())).mode & 0o777).toBe(0o600);
+
+    // A fresh process decrypts what was stored
+    load();
+    expect(registryCredentials.get('ghcr.io')).toEqual({ registry: 'ghcr.io', username: 'octo', password: 'ghp_secret-token' });
+    expect(registryCredentials.forImage('ghcr.io/octo/app:1.0')).toMatchObject({ username: 'octo' });
+    expect(registryCredentials.forImage('quay.io/octo/app')).toBeNull();
+  });
+
+  test('files Docker Hub aliases under docker.io', async () => {
+    await registryCredentials.set('https://index.docker.io/v1/', { username: 'hub', password: 'dckr_pat' });
+
+    expect(registryCredentials.list().map((entry) => entry.registry)).toEqual(['docker.io']);
+    expect(registryCredentials.forImage('myorg/private:1')).toMatchObject({ username: 'hub', password: 'dckr_pat' });
+    expect(registryCredentials.forImage('nginx')).toMatchObject({ registry: 'docker.io' });
+  });
+
+  test('rotates the secret and keeps the username', async () => {
+    await registryCredentials.set('registry.internal:5000', { username: 'ci', password: 'old' });
+
+    const rotated = await registryCredentials.rotate('registry.internal:5000', { password: 'new' });
+
+    expect(rotated).toMatchObject({ registry: 'registry.internal:5000', username: 'ci', rotatedAt: expect.any(String) });
+    expect(registryCredentials.get('registry.internal:5000').password).toBe('new');
+    expect(await registryCredentials.rotate('quay.io', { password: 'x' })).toBeNull();
+  });
+
+  test('records tests and deletes credentials', async () => {
+    await registryCredentials.set('ghcr.io', { username: 'octo', password: 'token' });
+
+    const tested = await registryCredentials.recordTest('ghcr.io', { ok: false, message: 'refused' });
+    expect(tested.lastTest).toEqual({ ok: false, message: 'refused', testedAt: expect.any(String) });
+
+    expect(await registryCredentials.remove('ghcr.io')).toBe(true);
+    expect(await registryCredentials.remove('ghcr.io')).toBe(false);
+    expect(registryCredentials.get('ghcr.io')).toBeNull();
+    expect((await fs.readJson(storeFile())).registries).toEqual({});
+  });
+
+  test('imports auths from a docker config fragment', async () => {
+    const { imported, skipped } = await registryCredentials.importDockerConfig({
+      auths: {
+        'https://index.docker.io/v1/': { auth: Buffer.from('hub:pa:ss').toString('base64') },
+        'ghcr.io': { username: 'octo', password: 'token' },
+        'quay.io': { identitytoken: 'refresh' },
+        'empty.example.com': {}
+      },
+      credHelpers: { 'gcr.io': 'gcloud' }
+    });
+
+    expect(imported.map((entry) => [entry.registry, entry.username])).toEqual([['docker.io', 'hub'], ['ghcr.io', 'octo']]);
+    expect(skipped.map((entry) => entry.registry)).toEqual(['quay.io', 'empty.example.com', 'gcr.io']);
+    expect(registryCredentials.get('docker.io').password).toBe('pa:ss');
+
+    await expect(registryCredentials.importDockerConfig({ credsStore: 'desktop' })).rejects.toThrow('Invalid docker config');
+  });
+
+  test('rejects bad registries and incomplete credentials', async () => {
+    await expect(registryCredentials.set('not a host', { username: 'a', password: 'b' })).rejects.toThrow('Invalid registry');
+    await expect(registryCredentials.set('ghcr.io', { username: 'a' })).rejects.toThrow('Invalid credentials');
+  });
+
+  test('derives the key from a passphrase and refuses the wrong one', async () => {
+    process.env.REGISTRY_CREDENTIALS_KEY = 'correct horse battery staple';
+    await registryCredentials.set('ghcr.io', { username: 'octo', password: 'token' });
+    load();
+    expect(registryCredentials.get('ghcr.io').password).toBe('token');
+
+    process.env.REGISTRY_CREDENTIALS_KEY = 'wrong passphrase';
+    load();
+    expect(() => registryCredentials.get('ghcr.io')).toThrow('cannot be decrypted with REGISTRY_CREDENTIALS_KEY');
+  });
+
+  test('without a key the store is off', async () => {
+    await registryCredentials.set('ghcr.io', { username: 'octo', password: 'token' });
+    delete process.env.REGISTRY_CREDENTIALS_KEY;
+
+    expect(registryCredentials.isEnabled()).toBe(false);
+    expect(registryCredentials.forImage('ghcr.io/octo/app')).toBeNull();
+    await expect(registryCredentials.set('quay.io', { username: 'a', password: 'b' })).rejects.toThrow('Registry credential store disabled');
+  });
+
+  test('writes a throwaway docker config for one pull', async () => {
+    const { dir, remove } = await registryCredentials.writeDockerConfig({ registry: 'docker.io', username: 'hub', password: 'dckr_pat' });
+
+    expect(await fs.readJson(path.join(dir, 'config.json'))).toEqual({
+      auths: { 'https://index.docker.io/v1/': { auth: Buffer.from('hub:dckr_pat').toString('base64') } }
+    });
+    await remove();
+    expect(await fs.pathExists(dir)).toBe(false);
+
+    const header = registryCredentials.engineAuthHeader({ registry: 'ghcr.io', username: 'octo', password: 'token' });
+    expect(JSON.parse(Buffer.from(header, 'base64url').toString('utf8'))).toEqual({ username: 'octo', password: 'token', serveraddress: 'ghcr.io' });
+  });
+});
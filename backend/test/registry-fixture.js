@@ -0,0 +1,194 @@
+// In-process stand-in for a registry:2 server (distribution API v2 with
+// optional bearer token auth) for the registry client and analysis tests
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const express = require('express');
+const { tarArchive } = require('./tar-fixture');
+
+const OCI_MANIFEST = 'application/vnd.oci.image.manifest.v1+json';
+const OCI_INDEX = 'application/vnd.oci.image.index.v1+json';
+const OCI_CONFIG = 'application/vnd.oci.image.config.v1+json';
+const OCI_LAYER_GZIP = 'application/vnd.oci.image.layer.v1.tar+gzip';
+
+const digestOf = (buffer) => `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+
+/**
+ * Start the stand-in on a random loopback port
+ * @param {Object} options - auth: require a bearer token from GET /token
+ *   (credentials: also require basic auth { username, password } there;
+ *   realm: send clients to another token URL instead)
+ * @returns {Promise<Object>} host (127.0.0.1:port), requests (method and path
+ *   of each request), blobs (digest -> Buffer, to tamper with), pushImage,
+ *   pushIndex, pushManifest and close
+ */
+const startRegistry = async ({ auth = false, credentials = null, realm = null } = {}) => {
+  const blobs = new Map();
+  const manifests = new Map();
+  const requests = [];
+  let baseUrl = null;
+
+  const app = express();
+  app.use((req, res, next) => {
+    requests.push(`${req.method} ${req.path}`);
+    next();
+  });
+
+  app.get('/token', (req, res) => {
+    if (credentials) {
+      const expected = `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`;
+      if (req.get('authorization') !== expected) {
+        return res.status(401).json({ details: 'incorrect username or password' });
+      }
+    }
+    res.json({ token: `token:${req.query.scope || 'registry'}` });
+  });
+
+  const authorize = (repository) => (req, res, next) => {
+    const scope = `repository:${repository}:pull`;
+    if (auth && req.get('authorization') !== `Bearer token:${scope}`) {
+      res.set('WWW-Authenticate', `Bearer realm="${realm || `${baseUrl}/token`}",service="stand-in",scope="${scope}"`);
+      return res.status(401).json({ errors: [{ code: 'UNAUTHORIZED' }] });
+    }
+    next();
+  };
+
+  // API root, where docker login checks credentials
+  app.get('/v2/', (req, res) => {
+    if (auth && req.get('authorization') !== 'Bearer token:registry') {
+      res.set('WWW-Authenticate', `Bearer realm="${realm || `${baseUrl}/token`}",service="stand-in"`);
+      return res.status(401).json({ errors: [{ code: 'UNAUTHORIZED' }] });
+    }
+    res.json({});
+  });
+
+  app.get(/^\/v2\/(.+)\/tags\/list$/, (req, res) => authorize(req.params[0])(req, res, () => {
+    const prefix = `${req.params[0]}:`;
+    const tags = Array.from(manifests.keys())
+      .filter((key) => key.startsWith(prefix) && !key.startsWith(`${prefix}sha256:`))
+      .map((key) => key.slice(prefix.length))
+      .sort();
+    if (tags.length === 0) {
+      return res.status(404).json({ errors: [{ code: 'NAME_UNKNOWN' }] });
+    }
+    const limit = parseInt(req.query.n, 10);
+    res.json({ name: req.params[0], tags: limit > 0 ? tags.slice(0, limit) : tags });
+  }));
+
+  app.get(/^\/v2\/(.+)\/manifests\/([^/]+)$/, (req, res) => authorize(req.params[0])(req, res, () => {
+    const manifest = manifests.get(`${req.params[0]}:${req.params[1]}`);
+    if (!manifest) {
+      return res.status(404).json({ errors: [{ code: 'MANIFEST_UNKNOWN' }] });
+    }
+    res.set('Content-Type', manifest.mediaType);
+    res.set('Docker-Content-Digest', manifest.digest);
+    res.send(manifest.body);
+  }));
+
+  app.get(/^\/v2\/(.+)\/blobs\/([^/]+)$/, (req, res) => authorize(req.params[0])(req, res, () => {
+    const blob = blobs.get(req.params[1]);
+    if (!blob) {
+      return res.status(404).json({ errors: [{ code: 'BLOB_UNKNOWN' }] });
+    }
+    res.set('Content-Type', 'application/octet-stream');
+    res.send(blob);
+  }));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const host = `127.0.0.1:${server.address().port}`;
+  baseUrl = `http://${host}`;
+
+  const putBlob = (buffer) => {
+    const digest = digestOf(buffer);
+    blobs.set(digest, buffer);
+    return { digest, size: buffer.length };
+  };
+
+  const putManifest = (repository, tags, mediaType, document) => {
+    const body = Buffer.from(JSON.stringify(document));
+    const digest = digestOf(body);
+    [digest, ...tags].forEach((reference) => {
+      manifests.set(`${repository}:${reference}`, { mediaType, digest, body });
+    });
+    return { digest, size: body.length };
+  };
+
+  /**
+   * Push a single-platform image
+   * @param {string} repository - e.g. team/app
+   * @param {string|null} tag - Tag to point at it (none for a manifest list entry)
+   * @param {Object} image - layers ({ entries for tarArchive, createdBy?, raw?
+   *   Buffer used as the blob as-is }), platform and config fields
+   * @returns {{ digest: string, size: number, configDigest: string }} Manifest descriptor
+   */
+  const pushImage = (repository, tag, { layers, platform = { os: 'linux', architecture: 'amd64' }, config = {} }) => {
+    const diffIds = [];
+    const layerDescriptors = layers.map((layer) => {
+      const tar = layer.raw || tarArchive(layer.entries);
+      diffIds.push(digestOf(tar));
+      return { mediaType: OCI_LAYER_GZIP, ...putBlob(layer.raw || zlib.gzipSync(tar)) };
+    });
+    const configBlob = putBlob(Buffer.from(JSON.stringify({
+      created: '2026-01-02T03:04:05Z',
+      ...platform,
+      config: { Cmd: ['sh'], Env: ['PATH=/usr/bin:/bin'], ...config },
+      rootfs: { type: 'layers', diff_ids: diffIds },
+      history: layers.flatMap((layer) => [
+        { created: '2026-01-02T03:04:05Z', created_by: '/bin/sh -c #(nop)  LABEL stage=empty', empty_layer: true },
+        { created: '2026-01-02T03:04:05Z', created_by: layer.createdBy || 'ADD rootfs.tar /' }
+      ])
+    })));
+
+    const manifest = putManifest(repository, tag ? [tag] : [], OCI_MANIFEST, {
+      schemaVersion: 2,
+      mediaType: OCI_MANIFEST,
+      config: { mediaType: OCI_CONFIG, ...configBlob },
+      layers: layerDescriptors
+    });
+    return { ...manifest, configDigest: configBlob.digest };
+  };
+
+  /**
+   * Push a manifest list over images pushed with pushImage
+   * @param {string} repository - e.g. team/app
+   * @param {string} tag - Tag of the list
+   * @param {Array} entries - { descriptor: pushImage result, platform }
+   * @returns {{ digest: string, size: number }} Index descriptor
+   */
+  const pushIndex = (repository, tag, entries) => putManifest(repository, [tag], OCI_INDEX, {
+    schemaVersion: 2,
+    mediaType: OCI_INDEX,
+    manifests: entries.map(({ descriptor, platform }) => ({
+      mediaType: OCI_MANIFEST,
+      digest: descriptor.digest,
+      size: descriptor.size,
+      platform
+    }))
+  });
+
+  /**
+   * Push a hand-written image manifest as-is
+   * @param {string} repository - e.g. team/app
+   * @param {string} tag - Tag to point at it
+   * @param {Object} document - Manifest body
+   * @returns {{ digest: string, size: number }} Manifest descriptor
+   */
+  const pushManifest = (repository, tag, document) => putManifest(repository, [tag], OCI_MANIFEST, document);
+
+  return {
+    host,
+    requests,
+    blobs,
+    pushImage,
+    pushIndex,
+    pushManifest,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+};
+
+module.exports = { startRegistry };
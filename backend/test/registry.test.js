@@ -0,0 +1,304 @@
+const dns = require('dns');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { RegistryClient, MAX_DOCUMENT_BYTES, MAX_BLOB_BYTES, defaultPlatform, parseChallenge } = require('../utils/registry');
+const dockerHubUtils = require('../utils/dockerhub');
+const registryCredentials = require('../utils/registry-credentials');
+const { startRegistry } = require('./registry-fixture');
+
+const baseLayer = { entries: [{ name: 'etc/', type: 'dir' }, { name: 'etc/os-release', content: 'ID=test\n' }] };
+
+describe('RegistryClient', () => {
+  let registry;
+
+  afterEach(async () => {
+    await registry.close();
+  });
+
+  test('fetches a token from the realm of the auth challenge and retries', async () => {
+    registry = await startRegistry({ auth: true });
+    const pushed = registry.pushImage('team/app', '1.0', { layers: [baseLayer] });
+
+    const client = new RegistryClient(`${registry.host}/team/app:1.0`);
+    const { manifest, digest, platforms } = await client.getManifest();
+
+    expect(digest).toBe(pushed.digest);
+    expect(manifest.config.digest).toBe(pushed.configDigest);
+    expect(platforms).toEqual([]);
+    expect(registry.requests).toEqual([
+      'GET /v2/team/app/manifests/1.0',
+      'GET /token',
+      'GET /v2/team/app/manifests/1.0'
+    ]);
+
+    // The token is kept for later requests
+    await client.getBlob(manifest.config);
+    expect(registry.requests.slice(3)).toEqual([`GET /v2/team/app/blobs/${pushed.configDigest}`]);
+  });
+
+  test('resolves a manifest list to the requested platform and skips attestations', async () => {
+    registry = await startRegistry();
+    const amd64 = registry.pushImage('team/app', null, { layers: [baseLayer] });
+    const arm64 = registry.pushImage('team/app', null, {
+      layers: [baseLayer],
+      platform: { os: 'linux', architecture: 'arm64', variant: 'v8' }
+    });
+    registry.pushIndex('team/app', 'multi', [
+      { descriptor: amd64, platform: { os: 'linux', architecture: 'amd64' } },
+      { descriptor: amd64, platform: { os: 'unknown', architecture: 'unknown' } },
+      { descriptor: arm64, platform: { os: 'linux', architecture: 'arm64', variant: 'v8' } }
+    ]);
+    const client = new RegistryClient(`${registry.host}/team/app:multi`);
+
+    const resolved = await client.getManifest({ platform: 'linux/arm64' });
+    expect(resolved.digest).toBe(arm64.digest);
+    expect(resolved.platforms).toEqual(['linux/amd64', 'linux/arm64/v8']);
+
+    await expect(client.getManifest({ platform: 'linux/s390x' }))
+      .rejects.toThrow(`No linux/s390x variant found in the manifest list of ${registry.host}/team/app:multi`);
+  });
+
+  test('without a platform picks the host platform, else the first entry', async () => {
+    registry = await startRegistry();
+    const other = registry.pushImage('team/app', null, { layers: [baseLayer], platform: { os: 'linux', architecture: 'riscv64' } });
+    const [hostOs, hostArchitecture] = defaultPlatform().split('/');
+    const hostPlatform = { os: hostOs, architecture: hostArchitecture };
+    const host = registry.pushImage('team/app', null, { layers: [baseLayer], platform: hostPlatform });
+    registry.pushIndex('team/app', 'both', [
+      { descriptor: other, platform: { os: 'linux', architecture: 'riscv64' } },
+      { descriptor: host, platform: hostPlatform }
+    ]);
+    registry.pushIndex('team/app', 'foreign', [
+      { descriptor: other, platform: { os: 'linux', architecture: 'riscv64' } }
+    ]);
+
+    expect((await new RegistryClient(`${registry.host}/team/app:both`).getManifest()).digest).toBe(host.digest);
+    expect((await new RegistryClient(`${registry.host}/team/app:foreign`).getManifest()).digest).toBe(other.digest);
+  });
+
+  test('reports unknown manifests and refused credentials like docker pull', async () => {
+    registry = await startRegistry({ auth: true, credentials: { username: 'ci', password: 'secret' } });
+    registry.pushImage('team/app', '1.0', { layers: [baseLayer] });
+
+    await expect(new RegistryClient(`${registry.host}/team/app:1.0`).getManifest())
+      .rejects.toThrow(`pull access denied for ${registry.host}/team/app`);
+
+    const client = new RegistryClient(`${registry.host}/team/app:2.0`, { credentials: { username: 'ci', password: 'secret' } });
+    await expect(client.getManifest()).rejects.toThrow(`manifest unknown: 2.0 not found in ${registry.host}/team/app`);
+  });
+
+  test('lists the tags of the repository', async () => {
+    registry = await startRegistry({ auth: true });
+    registry.pushImage('team/app', '1.0', { layers: [baseLayer] });
+    registry.pushImage('team/app', '2.0', { layers: [baseLayer] });
+    const client = new RegistryClient(`${registry.host}/team/app`);
+
+    expect(await client.listTags()).toEqual(['1.0', '2.0']);
+    expect(await client.listTags({ limit: 1 })).toEqual(['1.0']);
+    await expect(new RegistryClient(`${registry.host}/team/none`).listTags()).rejects.toThrow('manifest unknown: tags not found');
+  });
+
+  test('checks a login at the API root', async () => {
+    registry = await startRegistry({ auth: true, credentials: { username: 'ci', password: 'secret' } });
+
+    const client = new RegistryClient(null, { registry: registry.host, credentials: { username: 'ci', password: 'secret' } });
+    expect(await client.checkLogin()).toEqual({ authenticated: true });
+
+    const refused = new RegistryClient(null, { registry: registry.host, credentials: { username: 'ci', password: 'nope' } });
+    await expect(refused.checkLogin()).rejects.toThrow(`Login to ${registry.host} refused`);
+  });
+
+  test('reads no oversized manifest or config into memory', async () => {
+    registry = await startRegistry();
+    const pushed = registry.pushImage('team/app', '1.0', { layers: [baseLayer] });
+    registry.pushManifest('team/app', 'huge', {
+      schemaVersion: 2,
+      mediaType: 'application/vnd.oci.image.manifest.v1+json',
+      annotations: { padding: 'x'.repeat(MAX_DOCUMENT_BYTES) }
+    });
+
+    await expect(new RegistryClient(`${registry.host}/team/app:huge`).getManifest())
+      .rejects.toThrow('maxContentLength');
+
+    const client = new RegistryClient(`${registry.host}/team/app:1.0`);
+    await expect(client.getBlob({ digest: pushed.configDigest, size: MAX_DOCUMENT_BYTES + 1 }))
+      .rejects.toThrow('over the 4194304 byte limit');
+    expect(registry.requests.filter((line) => line.includes('/blobs/'))).toEqual([]);
+  });
+
+  test('rejects a blob that does not match its digest', async () => {
+    registry = await startRegistry();
+    const pushed = registry.pushImage('team/app', '1.0', { layers: [baseLayer] });
+    const client = new RegistryClient(`${registry.host}/team/app:1.0`);
+    const { manifest } = await client.getManifest();
+    const [layer] = manifest.layers;
+    registry.blobs.set(layer.digest, Buffer.from('tampered'));
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-blob-'));
+    try {
+      const blobPath = path.join(dir, 'layer');
+      await expect(client.downloadBlob(layer, blobPath)).rejects.toThrow(`Blob digest mismatch for ${layer.digest}`);
+
+      registry.blobs.set(pushed.configDigest, Buffer.from('{}'));
+      await expect(client.getBlob(manifest.config)).rejects.toThrow('Blob digest mismatch');
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('stops writing a layer past its announced size or the blob limit', async () => {
+    registry = await startRegistry();
+    registry.pushImage('team/app', '1.0', { layers: [baseLayer] });
+    const client = new RegistryClient(`${registry.host}/team/app:1.0`);
+    const { manifest } = await client.getManifest();
+    const [layer] = manifest.layers;
+    registry.blobs.set(layer.digest, Buffer.alloc(layer.size + 1024 * 1024));
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-blob-'));
+    try {
+      const blobPath = path.join(dir, 'layer');
+      await expect(client.downloadBlob(layer, blobPath)).rejects.toThrow(`more than the ${layer.size} bytes expected`);
+      expect((await fs.stat(blobPath)).size).toBeLessThanOrEqual(layer.size);
+
+      await expect(client.downloadBlob({ ...layer, size: MAX_BLOB_BYTES + 1 }, blobPath)).rejects.toThrow(`over the ${MAX_BLOB_BYTES} byte limit`);
+
+      // Without a size, the blob limit applies
+      process.env.REGISTRY_BLOB_MAX_BYTES = '1024';
+      let LimitedClient;
+      jest.isolateModules(() => {
+        ({ RegistryClient: LimitedClient } = require('../utils/registry'));
+      });
+      delete process.env.REGISTRY_BLOB_MAX_BYTES;
+      await expect(new LimitedClient(`${registry.host}/team/app:1.0`).downloadBlob({ digest: layer.digest }, blobPath))
+        .rejects.toThrow('more than the 1024 bytes expected');
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
+
+describe('Registry token realms', () => {
+  let registry;
+
+  afterEach(async () => {
+    await registry.close();
+  });
+
+  test('are not fetched from loopback or private hosts', async () => {
+    registry = await startRegistry({ auth: true, realm: 'http://169.254.169.254/latest/meta-data' });
+    registry.pushImage('team/app', '1.0', { layers: [baseLayer] });
+
+    await expect(new RegistryClient(`${registry.host}/team/app:1.0`).getManifest())
+      .rejects.toThrow('Invalid registry host 169.254.169.254');
+    expect(registry.requests).toEqual(['GET /v2/team/app/manifests/1.0']);
+  });
+});
+
+describe('Registry tag listing', () => {
+  let registry;
+
+  afterEach(async () => {
+    delete process.env.REGISTRY_CREDENTIALS_KEY;
+    registryCredentials.data = null;
+    await fs.remove(path.join(process.env.REGISTRY_CREDENTIALS_DIR, 'registries.json'));
+    await registry.close();
+  });
+
+  test('lists tags of other registries with their stored credentials', async () => {
+    registry = await startRegistry({ auth: true, credentials: { username: 'ci', password: 'secret' } });
+    registry.pushImage('team/app', '1.0', { layers: [baseLayer] });
+    const imageName = `${registry.host}/team/app`;
+
+    await expect(dockerHubUtils.getImageTags(imageName)).rejects.toThrow('pull access denied');
+
+    process.env.REGISTRY_CREDENTIALS_KEY = 'ef'.repeat(32);
+    await registryCredentials.set(registry.host, { username: 'ci', password: 'secret' });
+    expect(await dockerHubUtils.getImageTags(imageName)).toEqual([{ name: '1.0' }]);
+  });
+});
+
+describe('Docker Hub tag listing', () => {
+  const jwt = (exp) => `e30.${Buffer.from(JSON.stringify({ exp })).toString('base64url')}.sig`;
+
+  beforeEach(async () => {
+    process.env.REGISTRY_CREDENTIALS_KEY = 'ef'.repeat(32);
+    await registryCredentials.set('docker.io', { username: 'hub', password: 'dckr_pat' });
+    jest.spyOn(dockerHubUtils.api, 'get').mockResolvedValue({ data: { results: [{ name: 'latest' }] } });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    dockerHubUtils.hubTokens.clear();
+    delete process.env.REGISTRY_CREDENTIALS_KEY;
+    registryCredentials.data = null;
+    await fs.remove(path.join(process.env.REGISTRY_CREDENTIALS_DIR, 'registries.json'));
+  });
+
+  test('logs in once and reuses the JWT until it expires or the secret rotates', async () => {
+    const token = jwt(Math.floor(Date.now() / 1000) + 3600);
+    const login = jest.spyOn(dockerHubUtils.api, 'post')
+      .mockResolvedValueOnce({ data: { token } })
+      .mockResolvedValueOnce({ data: { token: jwt(Math.floor(Date.now() / 1000) + 30) } })
+      .mockResolvedValue({ data: { token: 'opaque' } });
+
+    await dockerHubUtils.getImageTags('myorg/private');
+    await dockerHubUtils.getImageTags('myorg/other');
+    expect(login).toHaveBeenCalledTimes(1);
+    expect(dockerHubUtils.api.get.mock.calls[1][1].headers).toEqual({ Authorization: `Bearer ${token}` });
+
+    await registryCredentials.rotate('docker.io', { password: 'dckr_new' });
+    await dockerHubUtils.getImageTags('myorg/private');
+    expect(login).toHaveBeenCalledTimes(2);
+    expect(login.mock.calls[1][1]).toEqual({ username: 'hub', password: 'dckr_new' });
+
+    // Expires within the refresh margin
+    await dockerHubUtils.getImageTags('myorg/private');
+    expect(login).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('Registry reference handling', () => {
+  test('talks HTTPS to remote registries and Docker Hub through its API host', () => {
+    expect(new RegistryClient('nginx').baseURL).toBe('https://registry-1.docker.io/v2');
+    expect(new RegistryClient('nginx').reference.repository).toBe('library/nginx');
+    expect(new RegistryClient('ghcr.io/owner/repo:1').baseURL).toBe('https://ghcr.io/v2');
+  });
+
+  test('REGISTRY_INSECURE_HOSTS allows plain HTTP for listed hosts', () => {
+    const listed = process.env.REGISTRY_INSECURE_HOSTS;
+    process.env.REGISTRY_INSECURE_HOSTS = 'registry.internal:5000, mirror.lan, localhost';
+    try {
+      expect(new RegistryClient('registry.internal:5000/app').baseURL).toBe('http://registry.internal:5000/v2');
+      expect(new RegistryClient('mirror.lan/app').baseURL).toBe('http://mirror.lan/v2');
+      expect(new RegistryClient('registry.internal/app').baseURL).toBe('https://registry.internal/v2');
+      expect(new RegistryClient('localhost:5000/app').baseURL).toBe('http://localhost:5000/v2');
+    } finally {
+      process.env.REGISTRY_INSECURE_HOSTS = listed;
+    }
+  });
+
+  test('refuses loopback and private hosts that are not listed', async () => {
+    for (const imageName of ['localhost:6379/x', '127.0.0.2:5000/x', '10.0.0.5/team/app', '192.168.1.10:5000/app', '169.254.169.254/latest']) {
+      expect(() => new RegistryClient(imageName)).toThrow('Invalid registry host');
+    }
+
+    // Names are checked once resolved
+    const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+    try {
+      await expect(new RegistryClient('registry.example.com/team/app:1').getManifest())
+        .rejects.toThrow('Invalid registry host registry.example.com: resolves to the private address 127.0.0.1');
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  test('parses bearer and basic challenges', () => {
+    expect(parseChallenge('Bearer realm="https://auth.docker.io/token",service="registry.docker.io",scope="repository:library/nginx:pull"')).toEqual({
+      scheme: 'bearer',
+      params: { realm: 'https://auth.docker.io/token', service: 'registry.docker.io', scope: 'repository:library/nginx:pull' }
+    });
+    expect(parseChallenge('Basic realm="Registry"')).toEqual({ scheme: 'basic', params: { realm: 'Registry' } });
+    expect(parseChallenge(undefined)).toBeNull();
+  });
+});
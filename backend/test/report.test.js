@@ -0,0 +1,72 @@
+const { toJson, toCsv, toMarkdown, toHtml, REPORT_FORMATS } = require('../utils/report');
+
+const analysis = {
+  imageName: 'web:1.0',
+  timestamp: '2026-01-02T03:04:05.000Z',
+  analysis: { totalLayers: 2, totalSize: 12000000, wastedSpace: 3000000, efficiency: 75, userDataInImage: 9000000 },
+  layers: [
+    { id: 'sha256:base', index: 0, command: 'ADD rootfs.tar /', size: 8000000, wasted_size: 0, file_count: 120, change_type: 'add', size_percentage: 66.6667, efficiency: 100, files: [] },
+    { id: 'sha256:run', index: 1, command: '=cmd|"/c calc" | tee <out>\nnext', size: 4000000, wasted_size: 3000000, file_count: 3, change_type: 'modify', size_percentage: 33.3333, efficiency: 25, files: [] }
+  ],
+  inefficientFiles: [
+    { path: '/var/cache/<big>.bin', count: 2, totalBytes: 6000000, wastedBytes: 3000000, layers: [{ index: 0, status: 'added' }, { index: 1, status: 'modified' }] }
+  ],
+  advice: {
+    findings: [{ rule: 'package-cache', title: 'apt cache left in the image', estimatedSavings: 3000000, fix: 'Remove /var/lib/apt/lists/*' }],
+    totalSavings: 3000000
+  },
+  metadata: { imageId: 'sha256:image', platform: 'linux/amd64' }
+};
+
+describe('Analysis reports', () => {
+  test('JSON is the analysis unchanged', () => {
+    expect(JSON.parse(toJson(analysis))).toEqual(analysis);
+  });
+
+  test('CSV has one row per layer, quoted and defused against spreadsheet formulas', () => {
+    const rows = toCsv(analysis).split('\r\n');
+
+    expect(rows[0]).toBe('index,id,command,size_bytes,size_percentage,wasted_bytes,file_count,change_type,efficiency,created');
+    expect(rows[1]).toBe('1,sha256:base,ADD rootfs.tar /,8000000,66.7,0,120,add,100,');
+    expect(rows[2]).toBe('2,sha256:run,"\'=cmd|""/c calc"" | tee <out>\nnext",4000000,33.3,3000000,3,modify,25,');
+    expect(rows[3]).toBe('');
+  });
+
+  test('Markdown lists the metrics, layers, inefficient files and advice with table cells escaped', () => {
+    const markdown = toMarkdown(analysis, { imageName: 'web:1.0', digest: 'sha256:image', platform: 'linux/amd64' });
+
+    expect(markdown).toMatch(/^# Image analysis: web:1\.0\n/);
+    expect(markdown).toContain('- Image ID: `sha256:image`');
+    expect(markdown).toContain('| Efficiency | 75% (fair) |');
+    expect(markdown).toContain('| Total size | 12MB |');
+    expect(markdown).toContain('| 2 | =cmd\\|"/c calc" \\| tee &lt;out> next | 4MB | 3MB | 3 | 25% |');
+    expect(markdown).toContain('| /var/cache/&lt;big>.bin | 2 | 6MB | 3MB | #1, #2 |');
+    expect(markdown).toContain('- **apt cache left in the image** (3MB): Remove /var/lib/apt/lists/*');
+  });
+
+  test('HTML is a single offline page with every value escaped', () => {
+    const html = toHtml(analysis, { imageName: 'web:1.0<script>', digest: 'sha256:image', platform: 'linux/amd64' });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Image analysis: web:1.0&lt;script&gt;</title>');
+    expect(html).toContain(`content="default-src 'none'; style-src 'unsafe-inline'"`);
+    expect(html).not.toMatch(/<script|<link|src=|href=/);
+    expect(html).toContain('<div class="value fair">75%</div>');
+    expect(html).toContain('<td class="code">=cmd|&quot;/c calc&quot; | tee &lt;out&gt;\nnext</td>');
+    expect(html).toContain('<td class="code">/var/cache/&lt;big&gt;.bin</td>');
+    expect(html).toContain('<strong>apt cache left in the image</strong>');
+  });
+
+  test('an analysis without inefficient files or advice says so', () => {
+    const clean = { ...analysis, inefficientFiles: [], advice: { findings: [], totalSavings: 0 } };
+
+    expect(toMarkdown(clean, {})).toContain('No file is duplicated or deleted across layers.');
+    expect(toMarkdown(clean, {})).not.toContain('## Optimization advice');
+    expect(toHtml(clean, {})).toContain('<p class="note">No file is duplicated or deleted across layers.</p>');
+  });
+
+  test('every format names its content type and file extension', () => {
+    expect(Object.keys(REPORT_FORMATS)).toEqual(['json', 'csv', 'md', 'html']);
+    expect(REPORT_FORMATS.html).toMatchObject({ contentType: 'text/html; charset=utf-8', extension: 'report.html' });
+  });
+});
@@ -0,0 +1,212 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const dockerUtils = require('../utils/docker');
+const { buildSbom, packageUrl, toCycloneDx, toSpdx } = require('../utils/sbom');
+const { tarArchive } = require('./tar-fixture');
+const { goBuildInfo } = require('./package-fixture');
+
+const dpkgStanza = (name, version, installedSize) => [
+  `Package: ${name}`,
+  'Status: install ok installed',
+  `Installed-Size: ${installedSize}`,
+  'Architecture: amd64',
+  `Version: ${version}`,
+  ''
+].join('\n');
+
+const LIBC = dpkgStanza('libc6', '2.36-9', 12000);
+const CURL = dpkgStanza('curl', '7.88.1-10', 500);
+
+const goBinary = Buffer.concat([
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46]),
+  Buffer.alloc(3000),
+  goBuildInfo('go1.21.3', 'path\tgithub.com/example/tool\nmod\tgithub.com/example/tool\tv1.2.0\t\ndep\tgithub.com/spf13/cobra\tv1.7.0\th1:x=\n'),
+  Buffer.alloc(1000)
+]);
+
+const baseLayer = tarArchive([
+  { name: 'etc/os-release', content: 'ID=debian\nVERSION_ID="12"\n' },
+  { name: 'var/lib/dpkg/status', content: LIBC },
+  { name: 'var/lib/dpkg/info/libc6:amd64.list', content: '/.\n/lib/x86_64-linux-gnu/libc.so.6\n' },
+  { name: 'lib/x86_64-linux-gnu/libc.so.6', content: Buffer.alloc(2000) }
+]);
+
+const appLayer = tarArchive([
+  { name: 'var/lib/dpkg/status', content: `${LIBC}\n${CURL}` },
+  { name: 'var/lib/dpkg/info/curl.list', content: '/usr/bin/curl\n' },
+  { name: 'usr/bin/curl', content: Buffer.alloc(300) },
+  { name: 'usr/local/bin/tool', content: goBinary },
+  {
+    name: 'app/package-lock.json',
+    content: JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app' },
+        'node_modules/express': { version: '4.18.2', license: 'MIT' },
+        'node_modules/jest': { version: '29.7.0', dev: true }
+      }
+    })
+  },
+  { name: 'app/node_modules/express/package.json', content: Buffer.alloc(100) },
+  { name: 'app/node_modules/express/index.js', content: Buffer.alloc(900) },
+  { name: 'app/old/package-lock.json', content: JSON.stringify({ lockfileVersion: 3, packages: { 'node_modules/left-pad': { version: '1.3.0' } } }) },
+  { name: 'app/requirements.txt', content: 'requests==2.31.0\nflask==3.0.0\n' },
+  { name: 'usr/lib/python3/site-packages/requests-2.31.0.dist-info/METADATA', content: 'Name: requests\nVersion: 2.31.0\nLicense: Apache-2.0\n' },
+  { name: 'usr/lib/python3/site-packages/requests-2.31.0.dist-info/RECORD', content: 'requests/api.py,sha256=x,6449\n' }
+]);
+
+const cleanupLayer = tarArchive([{ name: 'app/.wh.old' }]);
+
+const imageArchive = tarArchive([
+  { name: 'l1/layer.tar', content: baseLayer },
+  { name: 'l2/layer.tar', content: zlib.gzipSync(appLayer) },
+  { name: 'l3/layer.tar', content: cleanupLayer },
+  { name: 'manifest.json', content: JSON.stringify([{ Layers: ['l1/layer.tar', 'l2/layer.tar', 'l3/layer.tar'] }]) }
+]);
+
+const mockSave = (archive) => jest.spyOn(dockerUtils, 'saveImage')
+  .mockImplementation((imageName, destination) => pipeline(Readable.from([archive]), destination));
+
+const find = (sbom, type, name) => sbom.packages.find((pkg) => pkg.type === type && pkg.name === name);
+
+describe('Image SBOM', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists OS packages with the layer that installed them and their file sizes', async () => {
+    mockSave(imageArchive);
+
+    const sbom = await buildSbom('app:1.0');
+
+    expect(dockerUtils.saveImage).toHaveBeenCalledWith('app:1.0', expect.anything(), { signal: undefined });
+    expect(sbom.distro).toEqual({ id: 'debian', versionId: '12', prettyName: null });
+    expect(sbom.scannedLayers).toBe(3);
+    expect(find(sbom, 'deb', 'libc6')).toEqual({
+      name: 'libc6',
+      version: '2.36-9',
+      type: 'deb',
+      purl: 'pkg:deb/debian/libc6@2.36-9?arch=amd64&distro=debian-12',
+      licenses: [],
+      arch: 'amd64',
+      sourcePackage: null,
+      epoch: null,
+      source: '/var/lib/dpkg/status',
+      layerIndex: 0,
+      size: 2000
+    });
+    expect(find(sbom, 'deb', 'curl')).toEqual(expect.objectContaining({ layerIndex: 1, size: 300 }));
+  });
+
+  test('lists language packages from lockfiles, Python metadata and Go binaries', async () => {
+    mockSave(imageArchive);
+
+    const sbom = await buildSbom('app:1.0');
+
+    expect(find(sbom, 'npm', 'express')).toEqual(expect.objectContaining({
+      version: '4.18.2',
+      purl: 'pkg:npm/express@4.18.2',
+      licenses: ['MIT'],
+      source: '/app/package-lock.json',
+      layerIndex: 1,
+      size: 1000
+    }));
+    expect(find(sbom, 'pypi', 'requests')).toEqual(expect.objectContaining({ size: 6449, licenses: ['Apache-2.0'] }));
+    expect(find(sbom, 'pypi', 'flask')).toEqual(expect.objectContaining({ source: '/app/requirements.txt', size: null }));
+    expect(find(sbom, 'golang', 'github.com/example/tool')).toEqual(expect.objectContaining({
+      version: 'v1.2.0',
+      purl: 'pkg:golang/github.com/example/tool@v1.2.0',
+      size: goBinary.length
+    }));
+    expect(find(sbom, 'golang', 'github.com/spf13/cobra')).toEqual(expect.objectContaining({ version: 'v1.7.0', size: null }));
+    expect(find(sbom, 'golang', 'stdlib')).toEqual(expect.objectContaining({ version: '1.21.3' }));
+  });
+
+  test('leaves out deleted lockfiles, uninstalled dev dependencies and duplicates', async () => {
+    mockSave(imageArchive);
+
+    const sbom = await buildSbom('app:1.0');
+    const names = sbom.packages.map((pkg) => pkg.name);
+
+    expect(names).not.toContain('left-pad');
+    expect(names).not.toContain('jest');
+    expect(names.filter((name) => name === 'requests')).toHaveLength(1);
+    expect(sbom.packageCount).toBe(sbom.packages.length);
+  });
+
+  test('orders packages by size and totals them', async () => {
+    mockSave(imageArchive);
+
+    const sbom = await buildSbom('app:1.0');
+    const sizes = sbom.packages.map((pkg) => pkg.size || 0);
+
+    expect(sizes).toEqual([...sizes].sort((a, b) => b - a));
+    expect(sbom.totalSize).toBe(sizes.reduce((sum, size) => sum + size, 0));
+    expect(sbom.sources).toEqual(expect.arrayContaining([{ path: '/var/lib/dpkg/status', type: 'deb', packageCount: 2 }]));
+  });
+
+  test('passes export failures through', async () => {
+    jest.spyOn(dockerUtils, 'saveImage').mockRejectedValue(new Error('Failed to save image: No such image: app:1.0'));
+
+    await expect(buildSbom('app:1.0')).rejects.toThrow('No such image');
+  });
+
+  test('packageUrl encodes npm scopes and normalizes Python names', () => {
+    expect(packageUrl({ type: 'npm', name: '@types/node', version: '20.1.0' })).toBe('pkg:npm/%40types/node@20.1.0');
+    expect(packageUrl({ type: 'pypi', name: 'Zope.Interface', version: '6.0' })).toBe('pkg:pypi/zope-interface@6.0');
+    expect(packageUrl({ type: 'rpm', name: 'bash', version: '5.1.8-6.el9', arch: 'x86_64', epoch: 1 }, { id: 'rhel', versionId: '9.3' }))
+      .toBe('pkg:rpm/rhel/bash@5.1.8-6.el9?arch=x86_64&epoch=1&distro=rhel-9.3');
+  });
+});
+
+describe('SBOM formats', () => {
+  const sbom = {
+    generatedAt: '2026-01-02T03:04:05.678Z',
+    packages: [
+      { name: 'express', version: '4.18.2', type: 'npm', purl: 'pkg:npm/express@4.18.2', licenses: ['MIT'], source: '/app/package-lock.json', layerIndex: 1, size: 1000 },
+      { name: 'bash', version: '5.1.8-6.el9', type: 'rpm', purl: 'pkg:rpm/rhel/bash@5.1.8-6.el9', licenses: ['GPLv3+'], source: '/var/lib/rpm/rpmdb.sqlite', layerIndex: 0, size: null }
+    ]
+  };
+  const image = { imageName: 'app:1.0', digest: 'sha256:abc' };
+
+  test('CycloneDX 1.5 describes the image and each package', () => {
+    const bom = toCycloneDx(sbom, image);
+
+    expect(bom).toEqual(expect.objectContaining({ bomFormat: 'CycloneDX', specVersion: '1.5', version: 1 }));
+    expect(bom.serialNumber).toMatch(/^urn:uuid:[0-9a-f-]{36}$/);
+    expect(bom.metadata.component).toEqual({ type: 'container', 'bom-ref': 'image', name: 'app:1.0', version: 'sha256:abc' });
+    expect(bom.components[0]).toEqual({
+      type: 'library',
+      'bom-ref': 'package-1',
+      name: 'express',
+      version: '4.18.2',
+      purl: 'pkg:npm/express@4.18.2',
+      licenses: [{ expression: 'MIT' }],
+      properties: [
+        { name: 'docker-dive-web-ui:source', value: '/app/package-lock.json' },
+        { name: 'docker-dive-web-ui:layerIndex', value: '1' },
+        { name: 'docker-dive-web-ui:size', value: '1000' }
+      ]
+    });
+    expect(bom.components[1].licenses).toEqual([{ license: { name: 'GPLv3+' } }]);
+  });
+
+  test('SPDX 2.3 relates the image to its packages and declares known licenses', () => {
+    const document = toSpdx(sbom, image);
+
+    expect(document).toEqual(expect.objectContaining({ spdxVersion: 'SPDX-2.3', dataLicense: 'CC0-1.0', SPDXID: 'SPDXRef-DOCUMENT' }));
+    expect(document.creationInfo.created).toBe('2026-01-02T03:04:05Z');
+    expect(document.packages[1]).toEqual(expect.objectContaining({
+      SPDXID: 'SPDXRef-Package-1',
+      licenseDeclared: 'MIT',
+      externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: 'pkg:npm/express@4.18.2' }]
+    }));
+    expect(document.packages[2].licenseDeclared).toBe('NOASSERTION');
+    expect(document.relationships).toEqual([
+      { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-Image' },
+      { spdxElementId: 'SPDXRef-Image', relationshipType: 'CONTAINS', relatedSpdxElement: 'SPDXRef-Package-1' },
+      { spdxElementId: 'SPDXRef-Image', relationshipType: 'CONTAINS', relatedSpdxElement: 'SPDXRef-Package-2' }
+    ]);
+  });
+});
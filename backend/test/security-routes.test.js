@@ -18,7 +18,6 @@ const inspectRoutes = require('../routes/inspect');
 
 const app = express();
 app.use(express.json());
-app.set('inspectionSockets', new Map());
 app.set('io', { emit: jest.fn() });
 app.use('/images', imagesRoutes);
 app.use('/inspect', inspectRoutes);
@@ -91,4 +90,12 @@ describe('Image operation security validation', () => {
 
     expectNoSubprocess();
   });
+
+  test.each(invalidImageNames)('dockerfile rejects %j before subprocess', async (imageName) => {
+    await request(app)
+      .get(`/images/${encodeURIComponent(imageName)}/dockerfile`)
+      .expect(400);
+
+    expectNoSubprocess();
+  });
 });
@@ -4,6 +4,30 @@ console.log('🧪 Setting up test environment...');
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.PORT = '0'; // Use random port for tests
+process.env.DOCKER_API_MODE = 'cli'; // CLI tests mock child_process, not the Engine API socket
+
+// Keep stored analyses out of backend/temp
+process.env.ANALYSIS_STORE_DIR = require('fs').mkdtempSync(
+  require('path').join(require('os').tmpdir(), 'dive-analyses-')
+);
+
+// Keep imported advisories out of backend/temp
+process.env.ADVISORY_DB_DIR = require('fs').mkdtempSync(
+  require('path').join(require('os').tmpdir(), 'dive-advisories-')
+);
+
+// Keep layer blobs read from test registries out of backend/temp
+process.env.REGISTRY_BLOB_DIR = require('fs').mkdtempSync(
+  require('path').join(require('os').tmpdir(), 'dive-registry-')
+);
+
+// Test registries listen on loopback, which registry clients refuse unless listed
+process.env.REGISTRY_INSECURE_HOSTS = '127.0.0.1';
+
+// Keep stored registry credentials out of backend/temp
+process.env.REGISTRY_CREDENTIALS_DIR = require('fs').mkdtempSync(
+  require('path').join(require('os').tmpdir(), 'dive-credentials-')
+);
 
 // Increase timeout for Docker operations
 jest.setTimeout(30000);
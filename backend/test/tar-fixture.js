@@ -0,0 +1,39 @@
+// Builds small ustar archives in memory for the tar reader and secret scan tests
+
+const TYPE_FLAGS = { file: '0', symlink: '2', dir: '5', pax: 'x', longName: 'L' };
+
+const pad = (buffer) => Buffer.concat([buffer, Buffer.alloc((512 - (buffer.length % 512)) % 512)]);
+
+const octal = (value, width) => `${value.toString(8).padStart(width - 1, '0')}\0`;
+
+const header = ({ name, type = 'file', size = 0, linkName = '', mode = 0o644, uid = 0, gid = 0 }) => {
+  const block = Buffer.alloc(512);
+  block.write(name.slice(0, 100), 0, 'utf8');
+  block.write(octal(mode, 8), 100);
+  block.write(octal(uid, 8), 108);
+  block.write(octal(gid, 8), 116);
+  block.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  block.write('00000000000\0', 136);
+  block.write(TYPE_FLAGS[type], 156);
+  block.write(linkName, 157);
+  block.write('ustar\0' + '00', 257, 'latin1');
+  // The checksum is computed with its own field filled with spaces
+  block.fill(' ', 148, 156);
+  const checksum = block.reduce((sum, byte) => sum + byte, 0);
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return block;
+};
+
+/**
+ * @param {Array} entries - { name, type?, content?, linkName?, mode?, uid?, gid? }; content is a string or Buffer
+ * @returns {Buffer} Archive ending with the two zero blocks
+ */
+const tarArchive = (entries) => Buffer.concat([
+  ...entries.flatMap((entry) => {
+    const content = Buffer.from(entry.content || '');
+    return [header({ ...entry, size: content.length }), pad(content)];
+  }),
+  Buffer.alloc(1024)
+]);
+
+module.exports = { tarArchive };
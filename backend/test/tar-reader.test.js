@@ -0,0 +1,103 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { TarReader, parsePax, MAX_EXTENDED_HEADER_BYTES } = require('../utils/tar-reader');
+const { tarArchive } = require('./tar-fixture');
+
+const paxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  let length = body.length + 1;
+  while (`${length}${body}`.length !== length) {
+    length++;
+  }
+  return `${length}${body}`;
+};
+
+// Feed the archive in small chunks so headers and data straddle writes
+const readEntries = async (archive, chunkSize = 100) => {
+  const entries = [];
+  const chunks = [];
+  for (let offset = 0; offset < archive.length; offset += chunkSize) {
+    chunks.push(archive.subarray(offset, offset + chunkSize));
+  }
+  await pipeline(Readable.from(chunks), new TarReader((entryHeader) => {
+    const entry = { ...entryHeader, content: '' };
+    entries.push(entry);
+    return {
+      write: (chunk) => {
+        entry.content += chunk.toString();
+      }
+    };
+  }));
+  return entries;
+};
+
+describe('TarReader', () => {
+  test('streams each entry with its header and content', async () => {
+    const entries = await readEntries(tarArchive([
+      { name: 'etc/', type: 'dir', mode: 0o755 },
+      { name: 'etc/hostname', content: 'dive\n' },
+      { name: 'etc/motd', content: 'x'.repeat(700), uid: 1000, gid: 50 },
+      { name: 'bin/sh', type: 'symlink', linkName: '/bin/busybox', mode: 0o777 }
+    ]));
+
+    expect(entries).toEqual([
+      { name: 'etc/', type: 'dir', size: 0, linkName: '', mode: 0o755, uid: 0, gid: 0, content: '' },
+      { name: 'etc/hostname', type: 'file', size: 5, linkName: '', mode: 0o644, uid: 0, gid: 0, content: 'dive\n' },
+      { name: 'etc/motd', type: 'file', size: 700, linkName: '', mode: 0o644, uid: 1000, gid: 50, content: 'x'.repeat(700) },
+      { name: 'bin/sh', type: 'symlink', size: 0, linkName: '/bin/busybox', mode: 0o777, uid: 0, gid: 0, content: '' }
+    ]);
+  });
+
+  test('applies pax and GNU long names to the next entry only', async () => {
+    const longName = `app/${'deep/'.repeat(30)}secret.txt`;
+    const entries = await readEntries(tarArchive([
+      { name: 'PaxHeader', type: 'pax', content: paxRecord('path', longName) + paxRecord('uid', '3000000') },
+      { name: 'truncated', content: 'a' },
+      { name: '././@LongLink', type: 'longName', content: `${longName}.bak\0` },
+      { name: 'truncated', content: 'b' },
+      { name: 'short', content: 'c' }
+    ]));
+
+    expect(entries.map((entry) => [entry.name, entry.content])).toEqual([
+      [longName, 'a'],
+      [`${longName}.bak`, 'b'],
+      ['short', 'c']
+    ]);
+    expect(entries.map((entry) => entry.uid)).toEqual([3000000, 0, 0]);
+  });
+
+  test('skips the data of entries without a sink', async () => {
+    const names = [];
+    await pipeline(Readable.from([tarArchive([
+      { name: 'a', content: 'skipped' },
+      { name: 'b', content: 'also skipped' }
+    ])]), new TarReader((entryHeader) => {
+      names.push(entryHeader.name);
+    }));
+
+    expect(names).toEqual(['a', 'b']);
+  });
+
+  test('fails on an archive that ends inside an entry', async () => {
+    const archive = tarArchive([{ name: 'big', content: 'x'.repeat(2000) }]);
+
+    await expect(readEntries(archive.subarray(0, 1024))).rejects.toThrow('Unexpected end of tar archive');
+  });
+
+  test('refuses extended headers too large to buffer', async () => {
+    for (const type of ['pax', 'longName']) {
+      const archive = tarArchive([{ name: 'header', type, content: 'x' }, { name: 'a', content: 'a' }]);
+      // Declares 8 GiB of header data, as a decompression bomb would
+      archive.write('77777777777\0', 124, 'latin1');
+
+      await expect(readEntries(archive)).rejects.toThrow(`over the ${MAX_EXTENDED_HEADER_BYTES} byte limit`);
+    }
+  });
+
+  test('parsePax reads length-prefixed records', () => {
+    expect(parsePax(Buffer.from(paxRecord('path', 'a b=c') + paxRecord('size', '12')))).toEqual({
+      path: 'a b=c',
+      size: '12'
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const http = require('http');
 const WebSocket = require('ws');
 const pty = require('node-pty');
+const dockerUtils = require('../utils/docker');
 
 jest.mock('child_process', () => ({
   exec: jest.fn(),
@@ -134,6 +135,26 @@ describe('WebSocket terminal bridge', () => {
     await waitFor(() => serverModule.activePTYs.size === 0);
   });
 
+  test('the PTY env carries no backend secrets', async () => {
+    process.env.REGISTRY_CREDENTIALS_KEY = 'a'.repeat(64);
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    try {
+      const ws = await connect('image=alpine%3Alatest');
+      await nextMessage(ws);
+
+      const { env } = pty.spawn.mock.calls[0][2];
+      expect(env).toMatchObject({ TERM: 'xterm-256color' });
+      expect(env).not.toHaveProperty('REGISTRY_CREDENTIALS_KEY');
+      expect(env).not.toHaveProperty('ADMIN_TOKEN');
+
+      ws.close(1000);
+      await waitFor(() => serverModule.activePTYs.size === 0);
+    } finally {
+      delete process.env.REGISTRY_CREDENTIALS_KEY;
+      delete process.env.ADMIN_TOKEN;
+    }
+  });
+
   test('non-numeric size falls back to 80x30 and huge size is clamped to 500', async () => {
     const ws1 = await connect('image=alpine%3Alatest&cols=abc&rows=');
     await nextMessage(ws1);
@@ -289,6 +310,50 @@ describe('WebSocket terminal bridge', () => {
     await waitFor(() => serverModule.activePTYs.size === 0);
   });
 
+  test('a platform is pulled first and dive gets that variant by image ID', async () => {
+    const imageId = `sha256:${'d'.repeat(64)}`;
+    const ensure = jest.spyOn(dockerUtils, 'ensurePlatformImage').mockResolvedValue({ id: imageId });
+
+    try {
+      const ws = await connect('image=alpine%3Alatest&platform=linux%2Farm64');
+      const status = await nextMessage(ws);
+      const ready = await nextMessage(ws);
+
+      expect(status.isBinary).toBe(true);
+      expect(status.data.toString()).toContain('Preparing the linux/arm64 variant of alpine:latest');
+      expect(JSON.parse(ready.data.toString())).toMatchObject({ type: 'ready' });
+      expect(ensure).toHaveBeenCalledWith('alpine:latest', 'linux/arm64', { signal: expect.any(AbortSignal) });
+      expect(pty.spawn).toHaveBeenCalledWith('dive', [imageId], expect.any(Object));
+
+      ws.close(1000);
+      await waitFor(() => serverModule.activePTYs.size === 0);
+    } finally {
+      ensure.mockRestore();
+    }
+  });
+
+  test('a failed platform pull closes with 1011 without spawning dive', async () => {
+    const ensure = jest.spyOn(dockerUtils, 'ensurePlatformImage').mockRejectedValue(new Error('no matching manifest for linux/s390x'));
+
+    try {
+      const ws = await connect('image=alpine%3Alatest&platform=linux%2Fs390x');
+      const closePromise = closed(ws);
+      await nextMessage(ws); // preparing
+      const failure = await nextMessage(ws);
+
+      expect(failure.data.toString()).toContain('no matching manifest for linux/s390x');
+      expect((await closePromise).code).toBe(1011);
+      expect(pty.spawn).not.toHaveBeenCalled();
+    } finally {
+      ensure.mockRestore();
+    }
+  });
+
+  test('a malformed platform is rejected with HTTP 400', async () => {
+    await expect(connect('image=alpine%3Alatest&platform=linux%3Bid')).rejects.toMatchObject({ statusCode: 400 });
+    expect(pty.spawn).not.toHaveBeenCalled();
+  });
+
   test('client disconnect kills the PTY and untracks it', async () => {
     const ws = await connect('image=alpine%3Alatest');
     await nextMessage(ws); // ready
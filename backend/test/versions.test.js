@@ -0,0 +1,73 @@
+const { compareVersions } = require('../utils/versions');
+
+// Each pair is [older, newer]
+const expectOrdered = (scheme, pairs) => {
+  pairs.forEach(([older, newer]) => {
+    expect([older, newer, compareVersions(scheme, older, newer) < 0]).toEqual([older, newer, true]);
+    expect([newer, older, compareVersions(scheme, newer, older) > 0]).toEqual([newer, older, true]);
+  });
+};
+
+describe('Version schemes', () => {
+  test('dpkg: epochs, revisions and tilde prereleases', () => {
+    expectOrdered('deb', [
+      ['2.0', '1:1.0'],
+      ['1.0~rc1', '1.0'],
+      ['1.0-1', '1.0-2'],
+      ['2.36-9', '2.36-9+deb12u4'],
+      ['7.88.1-10', '7.88.1-10+deb12u5'],
+      ['1.2.9', '1.2.10']
+    ]);
+    expect(compareVersions('deb', '1.0-1', '0:1.0-1')).toBe(0);
+  });
+
+  test('rpm: epochs, releases, tildes and carets', () => {
+    expectOrdered('rpm', [
+      ['1.0~rc1', '1.0'],
+      ['1.9', '1.10'],
+      ['2.0', '1:1.0'],
+      ['1.0-1.el9', '1.0-2.el9'],
+      ['1.0', '1.0^git1'],
+      ['1.0a', '1.0.1']
+    ]);
+    expect(compareVersions('rpm', '5.1.8', '5.1.8-6.el9')).toBe(0);
+  });
+
+  test('apk: suffixes, letters and revisions', () => {
+    expectOrdered('apk', [
+      ['1.2.4-r2', '1.2.4-r10'],
+      ['1.2.4_rc1', '1.2.4'],
+      ['1.2.4', '1.2.4_p1'],
+      ['1.2.4', '1.2.4a'],
+      ['1.2.4_alpha2', '1.2.4_beta1'],
+      ['3.1.4-r5', '3.1.5-r0']
+    ]);
+  });
+
+  test('semver: prereleases and the Go v prefix', () => {
+    expectOrdered('semver', [
+      ['1.0.0-alpha', '1.0.0'],
+      ['1.0.0-alpha.1', '1.0.0-alpha.beta'],
+      ['1.0.0-beta.2', '1.0.0-beta.11'],
+      ['v0.9.9', 'v0.10.0']
+    ]);
+    expect(compareVersions('semver', 'v1.2.3', '1.2.3')).toBe(0);
+    expect(compareVersions('semver', '1.2.3+build.1', '1.2.3')).toBe(0);
+  });
+
+  test('pypi: PEP 440 dev, pre, post and epochs', () => {
+    expectOrdered('pypi', [
+      ['1.0.dev1', '1.0a1'],
+      ['1.0a1', '1.0b2'],
+      ['1.0rc1', '1.0'],
+      ['1.0', '1.0.post1'],
+      ['2.0', '1!0.1'],
+      ['2.9.0', '2.31.0']
+    ]);
+    expect(compareVersions('pypi', '2.31', '2.31.0')).toBe(0);
+  });
+
+  test('rejects unknown schemes', () => {
+    expect(() => compareVersions('maven', '1', '2')).toThrow('Unknown version scheme: maven');
+  });
+});
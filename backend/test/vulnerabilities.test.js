@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { advisories } = require('./osv-fixture');
+
+describe('Vulnerability matching', () => {
+  let dbDir;
+  let advisoryDb;
+  let matchVulnerabilities;
+  let evaluateRange;
+  let ecosystemFor;
+
+  const pkg = (overrides) => ({
+    sourcePackage: null,
+    epoch: null,
+    layerIndex: 0,
+    purl: `pkg:${overrides.type}/${overrides.name}@${overrides.version}`,
+    ...overrides
+  });
+
+  const sbomOf = (packages, distro = { id: 'debian', versionId: '12' }) => ({ distro, packages });
+
+  beforeEach(async () => {
+    dbDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vulnerabilities-test-'));
+    process.env.ADVISORY_DB_DIR = dbDir;
+    jest.isolateModules(() => {
+      advisoryDb = require('../utils/advisory-db');
+      ({ matchVulnerabilities, evaluateRange, ecosystemFor } = require('../utils/vulnerabilities'));
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dbDir);
+  });
+
+  const importFixture = async () => {
+    const file = path.join(dbDir, 'fixture.json');
+    await fs.writeJson(file, advisories);
+    await advisoryDb.importFrom(file);
+  };
+
+  test('evaluates OSV ranges with introduced, fixed and last_affected events', () => {
+    const range = { type: 'ECOSYSTEM', events: [{ introduced: '0' }, { fixed: '1.2-1' }, { introduced: '1.4-1' }, { last_affected: '1.5-2' }] };
+
+    expect(evaluateRange(range, '1.1-3', 'deb')).toEqual({ affected: true, fixedVersion: '1.2-1' });
+    expect(evaluateRange(range, '1.2-1', 'deb')).toEqual({ affected: false, fixedVersion: null });
+    expect(evaluateRange(range, '1.3~rc1-1', 'deb')).toEqual({ affected: false, fixedVersion: null });
+    expect(evaluateRange(range, '1.5-2', 'deb')).toEqual({ affected: true, fixedVersion: null });
+    expect(evaluateRange(range, '1.5-3', 'deb')).toEqual({ affected: false, fixedVersion: null });
+  });
+
+  test('maps package types and distributions to OSV ecosystems', () => {
+    expect(ecosystemFor({ type: 'deb' }, { id: 'debian', versionId: '12.5' })).toEqual({ base: 'Debian', release: '12', scheme: 'deb' });
+    expect(ecosystemFor({ type: 'deb' }, { id: 'ubuntu', versionId: '22.04' })).toEqual({ base: 'Ubuntu', release: '22.04', scheme: 'deb' });
+    expect(ecosystemFor({ type: 'apk' }, { id: 'alpine', versionId: '3.19.1' })).toEqual({ base: 'Alpine', release: 'v3.19', scheme: 'apk' });
+    expect(ecosystemFor({ type: 'rpm' }, { id: 'rocky', versionId: '9.3' })).toEqual({ base: 'Rocky Linux', release: '9', scheme: 'rpm' });
+    expect(ecosystemFor({ type: 'rpm' }, { id: 'fedora', versionId: '40' })).toBeNull();
+    expect(ecosystemFor({ type: 'golang' }, null)).toEqual({ base: 'Go', release: null, scheme: 'semver' });
+  });
+
+  test('reports no database before any import', async () => {
+    const result = await matchVulnerabilities(sbomOf([pkg({ name: 'express', version: '4.18.2', type: 'npm' })]));
+
+    expect(result).toEqual({
+      database: null,
+      scannedPackages: 1,
+      summary: { critical: 0, high: 0, medium: 0, low: 0, unknown: 0 },
+      findings: []
+    });
+  });
+
+  test('matches distribution packages by source package and release', async () => {
+    await importFixture();
+
+    const result = await matchVulnerabilities(sbomOf([
+      pkg({ name: 'libc6', sourcePackage: 'glibc', version: '2.36-9+deb12u3', type: 'deb', layerIndex: 0 }),
+      pkg({ name: 'libc-bin', sourcePackage: 'glibc', version: '2.36-9+deb12u4', type: 'deb', layerIndex: 0 })
+    ]));
+
+    // Only the Debian 12 advisory applies, and only to the unpatched package
+    expect(result.database).toMatchObject({ advisoryCount: 7 });
+    expect(result.summary).toEqual({ critical: 1, high: 0, medium: 0, low: 0, unknown: 0 });
+    expect(result.findings).toEqual([{
+      id: 'DSA-0001-1',
+      aliases: ['CVE-2026-0001'],
+      summary: 'glibc issue',
+      severity: 'critical',
+      score: 9.8,
+      fixedVersion: '2.36-9+deb12u4',
+      references: ['https://osv.dev/vulnerability/DSA-0001-1'],
+      package: { name: 'libc6', version: '2.36-9+deb12u3', type: 'deb', purl: 'pkg:deb/libc6@2.36-9+deb12u3', layerIndex: 0 }
+    }]);
+  });
+
+  test('matches language packages across semver, PEP 440 and explicit version lists', async () => {
+    await importFixture();
+
+    const result = await matchVulnerabilities(sbomOf([
+      pkg({ name: 'express', version: '4.18.2', type: 'npm', layerIndex: 3 }),
+      pkg({ name: 'express', version: '4.19.2', type: 'npm', layerIndex: 4 }),
+      pkg({ name: 'requests', version: '2.31.0', type: 'pypi', layerIndex: 2 }),
+      pkg({ name: 'stdlib', version: 'v1.21.4', type: 'golang', layerIndex: 5 }),
+      pkg({ name: 'openssl', version: '3.1.4-r5', type: 'apk', layerIndex: 1 })
+    ], { id: 'alpine', versionId: '3.19.1' }));
+
+    expect(result.findings.map((finding) => [finding.id, finding.package.name, finding.fixedVersion])).toEqual([
+      ['GO-2026-0001', 'stdlib', '1.21.5'],
+      ['GHSA-aaaa-bbbb-cccc', 'express', '4.19.2'],
+      ['ALPINE-CVE-2026-2', 'openssl', null],
+      ['PYSEC-2026-1', 'requests', null]
+    ]);
+    expect(result.summary).toEqual({ critical: 0, high: 0, medium: 2, low: 0, unknown: 2 });
+    expect(result.scannedPackages).toBe(5);
+  });
+});
@@ -0,0 +1,227 @@
+const { cleanCommand, parseHistoryCommand } = require('./dockerfile');
+
+// Paths listed per finding; totals always cover every matched file
+const PATH_LIMIT = 5;
+
+// Toolchains smaller than this are usually a stray binary, not a build stage
+const MIN_TOOLCHAIN_BYTES = 1024 * 1024;
+
+const PACKAGE_CACHES = [
+  {
+    manager: 'apt',
+    pattern: /^\/var\/(lib\/apt\/lists|cache\/apt)\//,
+    fix: 'End the RUN that calls apt-get install with `&& rm -rf /var/lib/apt/lists/*`, or mount the caches with `RUN --mount=type=cache,target=/var/cache/apt`'
+  },
+  {
+    manager: 'apk',
+    pattern: /^\/var\/cache\/apk\//,
+    fix: 'Install with `apk add --no-cache` so the package index is never written to the layer'
+  },
+  {
+    manager: 'yum/dnf',
+    pattern: /^\/var\/cache\/(yum|dnf)\//,
+    fix: 'End the RUN that installs packages with `&& yum clean all && rm -rf /var/cache/yum` (`dnf clean all` on dnf)'
+  },
+  {
+    manager: 'pip',
+    pattern: /^\/(root|home\/[^/]+)\/\.cache\/pip\//,
+    fix: 'Install with `pip install --no-cache-dir`, or set `ENV PIP_NO_CACHE_DIR=1`'
+  },
+  {
+    manager: 'npm',
+    pattern: /^\/(root|home\/[^/]+)\/\.npm\/_cacache\//,
+    fix: 'Run `npm cache clean --force` in the same RUN as `npm ci`, or use `RUN --mount=type=cache,target=/root/.npm`'
+  },
+  {
+    manager: 'yarn',
+    pattern: /^\/(usr\/local\/share|root|home\/[^/]+)\/\.cache\/yarn\//,
+    fix: 'Run `yarn cache clean` in the same RUN as `yarn install`, or use a cache mount'
+  }
+];
+
+const TOOLCHAINS = [
+  { name: 'GCC', pattern: /^\/usr\/(lib|libexec)\/gcc\/|^\/usr\/bin\/([\w-]+-)?(gcc|g\+\+|c\+\+|cpp)(-\d+)?$/ },
+  { name: 'Clang/LLVM', pattern: /^\/usr\/lib\/llvm-[^/]+\/|^\/usr\/bin\/clang(\+\+)?(-\d+)?$/ },
+  { name: 'Go', pattern: /^\/usr\/local\/go\/(pkg\/tool|src)\// },
+  { name: 'Rust', pattern: /^\/(usr\/local\/rustup|root\/\.rustup)\/toolchains\// },
+  { name: 'JDK', pattern: /^\/(usr\/lib\/jvm|opt\/java)\/[^/]+\/(jmods\/|bin\/javac$|lib\/ct\.sym$)/ }
+];
+
+// Instructions that copy the whole build context
+const CONTEXT_COPY_REGEX = /^(COPY|ADD)(\s+--\S+)*\s+\.\/?\s+\S+$/;
+
+const DEPENDENCY_INSTALL_REGEX = /\b(npm (ci|install)|yarn install|pnpm install|pip3? install (-r|--requirement)|poetry install|bundle install|go mod download|composer install)\b/;
+
+// Every rule the advisor checks, with what it flags
+const ADVICE_RULES = {
+  'package-cache': 'Package manager caches left in the image',
+  'deleted-later': 'Files deleted by a later layer still ship in the layer that added them',
+  'copy-before-install': 'Whole build context copied before installing dependencies',
+  'build-toolchain': 'Build toolchain in the final image'
+};
+
+const describeLayer = (layer) => ({
+  layerIndex: layer.index,
+  layerId: layer.id,
+  command: cleanCommand(layer.command)
+});
+
+const largestPaths = (files) => [...files]
+  .sort((a, b) => b.size - a.size)
+  .slice(0, PATH_LIMIT)
+  .map((file) => file.path);
+
+const sumSizes = (files) => files.reduce((sum, file) => sum + file.size, 0);
+
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+  const key = keyOf(item);
+  if (!groups.has(key)) {
+    groups.set(key, []);
+  }
+  groups.get(key).push(item);
+  return groups;
+}, new Map());
+
+/**
+ * Replay the layers' file records to find which files survive into the final
+ * filesystem and which were deleted by a later layer
+ * @param {Array} layers - Processed layers with `files` (buildLayerFileTrees records)
+ * @returns {{ final: Array, deleted: Array }} Regular files with size, path and
+ *   the layer that added them; deleted ones also carry removedBy
+ */
+const replayLayers = (layers) => {
+  const visible = new Map();
+  const deleted = [];
+
+  layers.forEach((layer, position) => {
+    (layer.files || []).forEach((record) => {
+      if (record.status === 'removed') {
+        // A removed directory takes every file below it along
+        for (const [path, file] of visible) {
+          if (path === record.path || path.startsWith(`${record.path}/`)) {
+            deleted.push({ ...file, removedBy: position });
+            visible.delete(path);
+          }
+        }
+        return;
+      }
+      if (record.type === 'file' || record.type === 'hardlink') {
+        visible.set(record.path, { path: record.path, size: record.size, layer: position });
+      } else {
+        visible.delete(record.path);
+      }
+    });
+  });
+
+  return { final: Array.from(visible.values()), deleted };
+};
+
+const packageCacheFindings = (layers, finalFiles) => PACKAGE_CACHES.flatMap((cache) => {
+  const files = finalFiles.filter((file) => file.size > 0 && cache.pattern.test(file.path));
+  return Array.from(groupBy(files, (file) => file.layer)).map(([position, cacheFiles]) => ({
+    rule: 'package-cache',
+    title: `${cache.manager} cache left in the image`,
+    ...describeLayer(layers[position]),
+    estimatedSavings: sumSizes(cacheFiles),
+    savings: 'image',
+    fileCount: cacheFiles.length,
+    paths: largestPaths(cacheFiles),
+    fix: cache.fix
+  }));
+});
+
+const deletedLaterFindings = (layers, deletedFiles) => {
+  const files = deletedFiles.filter((file) => file.size > 0);
+  return Array.from(groupBy(files, (file) => `${file.layer}:${file.removedBy}`)).map(([, group]) => {
+    const removedBy = layers[group[0].removedBy];
+    return {
+      rule: 'deleted-later',
+      title: `Files deleted by layer #${removedBy.index + 1} still ship in layer #${layers[group[0].layer].index + 1}`,
+      ...describeLayer(layers[group[0].layer]),
+      estimatedSavings: sumSizes(group),
+      savings: 'image',
+      fileCount: group.length,
+      paths: largestPaths(group),
+      removedBy: describeLayer(removedBy),
+      fix: 'Delete the files in the same RUN instruction that creates them; a later layer only hides them. Build-only files belong in a separate build stage.'
+    };
+  });
+};
+
+const contextCopyFindings = (layers) => {
+  const instructions = layers.map((layer) => parseHistoryCommand(cleanCommand(layer.command)).text);
+
+  return layers.flatMap((layer, position) => {
+    if (!CONTEXT_COPY_REGEX.test(instructions[position])) {
+      return [];
+    }
+    const installAt = instructions.findIndex((text, later) =>
+      later > position && text.startsWith('RUN') && DEPENDENCY_INSTALL_REGEX.test(text));
+    if (installAt === -1) {
+      return [];
+    }
+    const install = layers[installAt];
+    return [{
+      rule: 'copy-before-install',
+      title: 'Whole build context copied before installing dependencies',
+      ...describeLayer(layer),
+      estimatedSavings: install.size || 0,
+      savings: 'rebuild',
+      paths: [],
+      install: describeLayer(install),
+      fix: 'Copy only the dependency manifests (e.g. `COPY package*.json ./`) and install before `COPY . .`, so any source change no longer invalidates the dependency layer'
+    }];
+  });
+};
+
+const toolchainFindings = (layers, finalFiles) => TOOLCHAINS.flatMap((toolchain) => {
+  const files = finalFiles.filter((file) => toolchain.pattern.test(file.path));
+  const total = sumSizes(files);
+  if (total < MIN_TOOLCHAIN_BYTES) {
+    return [];
+  }
+  // Charge the toolchain to the layer that installed most of it
+  const [position] = Array.from(groupBy(files, (file) => file.layer))
+    .map(([layerPosition, group]) => [layerPosition, sumSizes(group)])
+    .sort((a, b) => b[1] - a[1])[0];
+  return [{
+    rule: 'build-toolchain',
+    title: `${toolchain.name} build toolchain in the final image`,
+    ...describeLayer(layers[position]),
+    estimatedSavings: total,
+    savings: 'image',
+    fileCount: files.length,
+    paths: largestPaths(files),
+    fix: `Compile in a builder stage and \`COPY --from=builder\` only the build output into a runtime image without ${toolchain.name}`
+  }];
+});
+
+/**
+ * Examine layer commands and file trees for common Dockerfile mistakes
+ * @param {Array} layers - Processed layers (DiveUtils.parseJSONOutput) with their files
+ * @returns {Object} findings (largest saving first: rule, title, offending layer,
+ *   estimatedSavings in bytes, savings of `image` size or per-`rebuild` work,
+ *   example paths and a fix) and totalSavings, the image bytes the fixes would save
+ */
+const adviseImage = (layers) => {
+  const { final, deleted } = replayLayers(layers || []);
+  const findings = [
+    ...packageCacheFindings(layers, final),
+    ...deletedLaterFindings(layers, deleted),
+    ...contextCopyFindings(layers || []),
+    ...toolchainFindings(layers, final)
+  ].sort((a, b) => b.estimatedSavings - a.estimatedSavings);
+
+  return {
+    findings,
+    totalSavings: findings
+      .filter((finding) => finding.savings === 'image')
+      .reduce((sum, finding) => sum + finding.estimatedSavings, 0)
+  };
+};
+
+module.exports = {
+  ADVICE_RULES,
+  adviseImage,
+  replayLayers
+};
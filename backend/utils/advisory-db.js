@@ -0,0 +1,212 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { compactAdvisory, ecosystemBase, packageKey } = require('./osv');
+
+// Ecosystems are stored one file each under these names
+const ecosystemFile = (ecosystem) => `${ecosystem.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+
+// OSV records in a file: one advisory, an array, { vulns: [...] }, or JSON lines
+async function* readAdvisoryFile(filePath) {
+  if (/\.(jsonl|ndjson)$/i.test(filePath)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+    return;
+  }
+  const data = await fs.readJson(filePath);
+  const records = Array.isArray(data) ? data : (Array.isArray(data.vulns) ? data.vulns : [data]);
+  yield* records;
+}
+
+// Every advisory file under a path (an extracted OSV dump is one file per advisory)
+async function* listAdvisoryFiles(source) {
+  const stats = await fs.stat(source);
+  if (!stats.isDirectory()) {
+    yield source;
+    return;
+  }
+  const entries = (await fs.readdir(source, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const entryPath = path.join(source, entry.name);
+    if (entry.isDirectory()) {
+      yield* listAdvisoryFiles(entryPath);
+    } else if (/\.(json|jsonl|ndjson)$/i.test(entry.name)) {
+      yield entryPath;
+    }
+  }
+}
+
+/**
+ * Local OSV advisory database. Matching never calls out to a live service:
+ * advisories are imported from OSV JSON dumps on disk and kept as JSON files.
+ * Layout: <dir>/index.json holds the import history and counts,
+ * <dir>/<ecosystem>.json maps package names to their advisories.
+ */
+class AdvisoryDb {
+  constructor() {
+    this.dir = process.env.ADVISORY_DB_DIR || path.join(__dirname, '..', 'temp', 'advisories');
+    this.indexFile = path.join(this.dir, 'index.json');
+    this.ecosystems = new Map();
+    this.index = null;
+    // Imports rewrite whole ecosystem files; one at a time
+    this.importChain = Promise.resolve();
+  }
+
+  async loadIndex() {
+    if (this.index) {
+      return this.index;
+    }
+    try {
+      this.index = await fs.readJson(this.indexFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Advisory index unreadable, treating the database as empty:', error.message);
+      }
+      this.index = { ecosystems: {}, imports: [] };
+    }
+    return this.index;
+  }
+
+  async loadEcosystem(base) {
+    if (!this.ecosystems.has(base)) {
+      let packages = {};
+      try {
+        packages = await fs.readJson(path.join(this.dir, ecosystemFile(base)));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Advisories for ${base} unreadable:`, error.message);
+        }
+      }
+      this.ecosystems.set(base, packages);
+    }
+    return this.ecosystems.get(base);
+  }
+
+  async writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * What has been imported
+   * @returns {Promise<Object|null>} importedAt, advisoryCount, ecosystems
+   *   (advisories per ecosystem family) and imports (newest first), or null
+   *   before the first import
+   */
+  async status() {
+    const index = await this.loadIndex();
+    if (index.imports.length === 0) {
+      return null;
+    }
+    return {
+      importedAt: index.imports[0].importedAt,
+      advisoryCount: Object.values(index.ecosystems).reduce((sum, count) => sum + count, 0),
+      ecosystems: index.ecosystems,
+      imports: index.imports
+    };
+  }
+
+  /**
+   * Import OSV advisories from a file (one advisory, an array or JSON lines)
+   * or a directory of them. An advisory replaces an earlier one with the same
+   * id; withdrawn advisories are removed.
+   * @param {string} source - Path on this host
+   * @param {Object} options - replace drops everything imported before; name
+   *   labels the import in the history (defaults to the source path)
+   * @returns {Promise<Object>} imported, withdrawn and skipped counts, and the ecosystems touched
+   */
+  importFrom(source, { replace = false, name } = {}) {
+    const run = this.importChain.then(() => this.runImport(source, { replace, name }));
+    this.importChain = run.catch(() => {});
+    return run;
+  }
+
+  async runImport(source, { replace, name }) {
+    const index = await this.loadIndex();
+    const touched = new Map();
+    const result = { imported: 0, withdrawn: 0, skipped: 0 };
+
+    const packagesFor = async (base) => {
+      if (!touched.has(base)) {
+        touched.set(base, replace ? {} : JSON.parse(JSON.stringify(await this.loadEcosystem(base))));
+      }
+      return touched.get(base);
+    };
+
+    for await (const filePath of listAdvisoryFiles(source)) {
+      try {
+        for await (const record of readAdvisoryFile(filePath)) {
+          if (!record || typeof record.id !== 'string' || !Array.isArray(record.affected)) {
+            result.skipped++;
+            continue;
+          }
+          const advisory = compactAdvisory(record);
+          for (const affected of advisory.affected) {
+            const base = ecosystemBase(affected.ecosystem);
+            const packages = await packagesFor(base);
+            const key = packageKey(base, affected.name);
+            const kept = (packages[key] || []).filter((existing) => existing.id !== advisory.id);
+            if (record.withdrawn) {
+              packages[key] = kept;
+            } else {
+              // Only the affected entries for this package travel with it
+              kept.push({ ...advisory, affected: advisory.affected.filter((entry) => packageKey(ecosystemBase(entry.ecosystem), entry.name) === key) });
+              packages[key] = kept;
+            }
+          }
+          result[record.withdrawn ? 'withdrawn' : 'imported']++;
+        }
+      } catch (error) {
+        throw new Error(`Failed to read advisories from ${filePath}: ${error.message}`);
+      }
+    }
+
+    await fs.ensureDir(this.dir);
+    if (replace) {
+      await Promise.all(Object.keys(index.ecosystems)
+        .filter((base) => !touched.has(base))
+        .map((base) => fs.remove(path.join(this.dir, ecosystemFile(base)))));
+      this.ecosystems.clear();
+      index.ecosystems = {};
+      index.imports = [];
+    }
+    for (const [base, packages] of touched) {
+      for (const key of Object.keys(packages)) {
+        if (packages[key].length === 0) {
+          delete packages[key];
+        }
+      }
+      await this.writeAtomic(path.join(this.dir, ecosystemFile(base)), packages);
+      this.ecosystems.set(base, packages);
+      index.ecosystems[base] = new Set(Object.values(packages).flat().map((advisory) => advisory.id)).size;
+    }
+
+    const summary = {
+      source: name || source,
+      importedAt: new Date().toISOString(),
+      ...result,
+      ecosystems: Array.from(touched.keys()).sort()
+    };
+    index.imports = [summary, ...index.imports].slice(0, 20);
+    await this.writeAtomic(this.indexFile, index);
+    return summary;
+  }
+
+  /**
+   * Advisories stored for a package
+   * @param {string} ecosystem - Ecosystem family (Debian, Alpine, npm, PyPI, Go, ...)
+   * @param {string} name - Package name
+   * @returns {Promise<Array>} Compact advisories
+   */
+  async advisoriesFor(ecosystem, name) {
+    const packages = await this.loadEcosystem(ecosystem);
+    return packages[packageKey(ecosystem, name)] || [];
+  }
+}
+
+module.exports = new AdvisoryDb();
@@ -0,0 +1,181 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * JSON-file store for completed analyses, keyed by image digest.
+ * Layout: <storeDir>/index.json holds summaries, <storeDir>/<id>.json holds
+ * the full analysis result.
+ */
+class AnalysisStore {
+  constructor() {
+    this.storeDir = process.env.ANALYSIS_STORE_DIR || path.join(__dirname, '..', 'temp', 'analyses');
+    this.maxRecords = parsePositiveInt(process.env.ANALYSIS_STORE_MAX, 200);
+    this.indexFile = path.join(this.storeDir, 'index.json');
+    this.index = null;
+    // Serializes index mutations so concurrent inspections never clobber it
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Check whether a string is a well-formed analysis id
+   * @param {string} id - Candidate id
+   * @returns {boolean} Whether the id can name a record
+   */
+  isValidId(id) {
+    return typeof id === 'string' && ID_REGEX.test(id);
+  }
+
+  async loadIndex() {
+    if (this.index) {
+      return this.index;
+    }
+
+    await fs.ensureDir(this.storeDir);
+    try {
+      this.index = await fs.readJson(this.indexFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Analysis index unreadable, starting a new one:', error.message);
+      }
+      this.index = [];
+    }
+    return this.index;
+  }
+
+  async writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  recordPath(id) {
+    return path.join(this.storeDir, `${id}.json`);
+  }
+
+  mutate(fn) {
+    const run = this.writeChain.then(async () => {
+      const index = await this.loadIndex();
+      const result = await fn(index);
+      await this.writeAtomic(this.indexFile, index);
+      return result;
+    });
+    // Keep the chain alive after a failed write
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Persist a completed analysis
+   * @param {Object} params
+   * @param {string} params.imageName - Image reference that was inspected
+   * @param {string} params.digest - Image ID (config digest) the analysis belongs to
+   * @param {string} params.platform - os/arch[/variant] of the analyzed image, if known
+   * @param {Object} params.analysis - Result from DiveUtils.parseJSONOutput
+   * @returns {Promise<Object>} Summary of the stored record
+   */
+  async save({ imageName, digest, platform = null, analysis }) {
+    const summary = {
+      id: uuidv4(),
+      imageName,
+      digest,
+      platform,
+      createdAt: new Date().toISOString(),
+      totalLayers: analysis?.analysis?.totalLayers || 0,
+      totalSize: analysis?.analysis?.totalSize || 0,
+      wastedSpace: analysis?.analysis?.wastedSpace || 0,
+      efficiency: analysis?.analysis?.efficiency || 0
+    };
+
+    await fs.ensureDir(this.storeDir);
+    await this.writeAtomic(this.recordPath(summary.id), { ...summary, analysis });
+
+    const evicted = await this.mutate((index) => {
+      index.unshift(summary);
+      return index.splice(this.maxRecords);
+    });
+    await Promise.all(evicted.map((record) => fs.remove(this.recordPath(record.id))));
+
+    return summary;
+  }
+
+  /**
+   * List stored analyses, newest first
+   * @param {Object} filters - Optional imageName / digest / platform filters
+   * @returns {Promise<Array>} Record summaries
+   */
+  async list({ imageName, digest, platform } = {}) {
+    const index = await this.loadIndex();
+    return index.filter((record) =>
+      (!imageName || record.imageName === imageName) &&
+      (!digest || record.digest === digest) &&
+      (!platform || record.platform === platform)
+    );
+  }
+
+  /**
+   * Fetch one stored analysis
+   * @param {string} id - Analysis id
+   * @returns {Promise<Object|null>} Full record or null when unknown
+   */
+  async get(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+    const index = await this.loadIndex();
+    if (!index.some((record) => record.id === id)) {
+      return null;
+    }
+    try {
+      return await fs.readJson(this.recordPath(id));
+    } catch (error) {
+      console.error(`Failed to read stored analysis ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Most recent analysis recorded for an image digest
+   * @param {string} digest - Image ID
+   * @returns {Promise<Object|null>} Full record or null
+   */
+  async findLatestByDigest(digest) {
+    if (!digest) {
+      return null;
+    }
+    const [latest] = await this.list({ digest });
+    return latest ? this.get(latest.id) : null;
+  }
+
+  /**
+   * Delete a stored analysis
+   * @param {string} id - Analysis id
+   * @returns {Promise<boolean>} Whether a record was deleted
+   */
+  async remove(id) {
+    if (!this.isValidId(id)) {
+      return false;
+    }
+    const removed = await this.mutate((index) => {
+      const position = index.findIndex((record) => record.id === id);
+      if (position === -1) {
+        return false;
+      }
+      index.splice(position, 1);
+      return true;
+    });
+    if (removed) {
+      await fs.remove(this.recordPath(id));
+    }
+    return removed;
+  }
+}
+
+module.exports = new AnalysisStore();
@@ -0,0 +1,103 @@
+const { humanSize } = require('./dockerfile');
+
+// shields.io flat style colors
+const COLORS = {
+  green: '#4c1',
+  yellow: '#dfb317',
+  red: '#e05d44',
+  blue: '#007ec6',
+  grey: '#9f9f9f'
+};
+
+// Verdana 11px advance widths, close enough to size the badge halves
+const NARROW = /[fijlrt.,:;|!'()[\] ]/;
+const WIDE = /[mwMW%@]/;
+const charWidth = (char) => {
+  if (NARROW.test(char)) return 4;
+  if (WIDE.test(char)) return 10;
+  if (/[A-Z0-9]/.test(char)) return 7.5;
+  return 6.5;
+};
+const textWidth = (text) => Math.round(Array.from(text).reduce((sum, char) => sum + charWidth(char), 0));
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Color of an efficiency percentage, in the inspect page's bands
+ * (InspectionView getEfficiencyStatus)
+ * @param {number} efficiency - Efficiency in percent
+ * @returns {string} green from 90, yellow from 70, red below
+ */
+const efficiencyColor = (efficiency) => {
+  if (efficiency >= 90) return 'green';
+  if (efficiency >= 70) return 'yellow';
+  return 'red';
+};
+
+// What each ?metric shows from a stored analysis summary (AnalysisStore index record)
+const BADGE_METRICS = {
+  efficiency: {
+    label: 'efficiency',
+    value: (record) => `${Math.round(record.efficiency * 10) / 10}%`,
+    color: (record) => efficiencyColor(record.efficiency)
+  },
+  size: {
+    label: 'image size',
+    value: (record) => humanSize(record.totalSize),
+    color: () => 'blue'
+  },
+  // Waste is what pulls efficiency down, so it takes the same color
+  wasted: {
+    label: 'wasted',
+    value: (record) => humanSize(record.wastedSpace),
+    color: (record) => efficiencyColor(record.efficiency)
+  }
+};
+
+/**
+ * Flat shields-style badge
+ * @param {string} label - Left-hand text
+ * @param {string} value - Right-hand text
+ * @param {string} color - Key of COLORS for the value half
+ * @returns {string} SVG document
+ */
+const renderBadge = (label, value, color) => {
+  const labelWidth = textWidth(label) + 10;
+  const valueWidth = textWidth(value) + 10;
+  const width = labelWidth + valueWidth;
+  const fill = COLORS[color] || COLORS.grey;
+  const title = escapeXml(`${label}: ${value}`);
+  const text = (content, x) => `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${content}</text><text x="${x}" y="14">${content}</text>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`
+    + `<title>${title}</title>`
+    + '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>'
+    + `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`
+    + `<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${fill}"/><rect width="${width}" height="20" fill="url(#s)"/></g>`
+    + '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">'
+    + text(escapeXml(label), labelWidth / 2)
+    + text(escapeXml(value), labelWidth + valueWidth / 2)
+    + '</g></svg>\n';
+};
+
+/**
+ * Badge for one metric of a stored analysis
+ * @param {string} metric - Key of BADGE_METRICS
+ * @param {Object|null} record - Stored analysis summary, or null for the grey "unknown" badge
+ * @returns {string} SVG document
+ */
+const metricBadge = (metric, record) => {
+  const { label, value, color } = BADGE_METRICS[metric];
+  return record ? renderBadge(label, value(record), color(record)) : renderBadge(label, 'unknown', 'grey');
+};
+
+module.exports = {
+  BADGE_METRICS,
+  efficiencyColor,
+  metricBadge,
+  renderBadge
+};
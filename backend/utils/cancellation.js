@@ -0,0 +1,63 @@
+const CANCELLED_MESSAGE = 'Inspection cancelled';
+
+/**
+ * Error used whenever an inspection stops because the user cancelled it
+ * @returns {Error} Cancellation error
+ */
+function cancelledError() {
+  return new Error(CANCELLED_MESSAGE);
+}
+
+function isCancelled(error) {
+  return Boolean(error && typeof error.message === 'string' && error.message.includes(CANCELLED_MESSAGE));
+}
+
+/**
+ * Throw the cancellation error if an AbortSignal has fired
+ * @param {AbortSignal} [signal] - Signal of the job being run
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+}
+
+/**
+ * Kill a child process when the signal aborts
+ * @param {AbortSignal} [signal] - Signal of the job being run
+ * @param {ChildProcess} child - Spawned process to stop
+ * @returns {{ cancelled: function, release: function }} cancelled() reports whether
+ *   the kill happened; release() detaches the listener once the child has exited
+ */
+function killOnAbort(signal, child) {
+  let killed = false;
+  const onAbort = () => {
+    killed = true;
+    child.kill('SIGTERM');
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  return {
+    cancelled: () => killed,
+    release: () => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  };
+}
+
+module.exports = {
+  CANCELLED_MESSAGE,
+  cancelledError,
+  isCancelled,
+  killOnAbort,
+  throwIfCancelled
+};
@@ -0,0 +1,211 @@
+// Defaults match `dive --ci` when no .dive-ci file is present
+const DEFAULT_RULES = {
+  lowestEfficiency: 0.9,
+  highestWastedBytes: 'disabled',
+  highestUserWastedPercent: 0.1
+};
+
+const RULE_NAMES = Object.keys(DEFAULT_RULES);
+
+// What each rule checks, for reports that list the rules (SARIF, JUnit)
+const RULE_DESCRIPTIONS = {
+  lowestEfficiency: 'Image efficiency (the share of image bytes that are not duplicated or deleted) must be at least the threshold',
+  highestWastedBytes: 'Bytes wasted on files duplicated or deleted across layers must not exceed the threshold',
+  highestUserWastedPercent: 'Wasted bytes as a share of the layers above the base layer must not exceed the threshold'
+};
+
+// dive parses byte sizes with go-humanize: SI units are powers of 1000, IEC units powers of 1024
+const BYTE_UNITS = {
+  b: 1,
+  kb: 1000,
+  mb: 1000 ** 2,
+  gb: 1000 ** 3,
+  tb: 1000 ** 4,
+  k: 1000,
+  m: 1000 ** 2,
+  g: 1000 ** 3,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4
+};
+
+/**
+ * Parse a byte size such as 20MB, 1.5GiB or 1048576
+ * @param {string|number} value - Size as written in a rules document
+ * @returns {number} Size in bytes
+ */
+const parseByteSize = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  const multiplier = match && BYTE_UNITS[(match[2] || 'b').toLowerCase()];
+  if (!multiplier) {
+    throw new Error(`Invalid CI rule value: "${value}" is not a byte size`);
+  }
+  return Math.round(parseFloat(match[1]) * multiplier);
+};
+
+const unquote = (value) => value.replace(/^(['"])(.*)\1$/, '$2');
+
+/**
+ * Parse a .dive-ci document. Only the flat `rules:` mapping dive reads is
+ * supported, so this is a line parser rather than a general YAML reader.
+ * @param {string} text - .dive-ci YAML contents
+ * @returns {Object} Raw rule values keyed by rule name
+ */
+const parseCiConfig = (text) => {
+  const rules = {};
+  let inRules = false;
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    const line = rawLine.replace(/\s+#.*$/, '').replace(/^\s*#.*$/, '');
+    if (!line.trim() || line.trim() === '---') {
+      return;
+    }
+
+    const match = line.match(/^(\s*)([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid CI config: cannot parse line ${lineIndex + 1}`);
+    }
+
+    const [, indent, key, value] = match;
+    if (!indent) {
+      // A top-level `rules:` opens the mapping; bare top-level rules are accepted too
+      inRules = key === 'rules' && !value.trim();
+      if (!inRules && RULE_NAMES.includes(key)) {
+        rules[key] = unquote(value.trim());
+      }
+      return;
+    }
+
+    if (inRules) {
+      rules[key] = unquote(value.trim());
+    }
+  });
+
+  return rules;
+};
+
+const parseRatio = (name, value) => {
+  const ratio = typeof value === 'number' ? value : Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+    throw new Error(`Invalid CI rule value: ${name} must be a ratio between 0 and 1`);
+  }
+  return ratio;
+};
+
+const isDisabled = (value) => String(value).trim().toLowerCase() === 'disabled';
+
+/**
+ * Merge user rules over dive's defaults and convert thresholds to numbers
+ * @param {Object} rules - Rule values (numbers, strings or "disabled")
+ * @returns {Object} Thresholds keyed by rule name; null means disabled
+ */
+const normalizeRules = (rules = {}) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Invalid CI rules: expected a mapping of rule names to thresholds');
+  }
+
+  const unknown = Object.keys(rules).filter((name) => !RULE_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid CI rules: unknown rule ${unknown.join(', ')}`);
+  }
+
+  const merged = { ...DEFAULT_RULES, ...rules };
+  return {
+    lowestEfficiency: isDisabled(merged.lowestEfficiency)
+      ? null
+      : parseRatio('lowestEfficiency', merged.lowestEfficiency),
+    highestWastedBytes: isDisabled(merged.highestWastedBytes)
+      ? null
+      : parseByteSize(merged.highestWastedBytes),
+    highestUserWastedPercent: isDisabled(merged.highestUserWastedPercent)
+      ? null
+      : parseRatio('highestUserWastedPercent', merged.highestUserWastedPercent)
+  };
+};
+
+/**
+ * Measure the values dive's CI rules check against
+ * @param {Object} result - Analysis result (DiveUtils.parseJSONOutput)
+ * @returns {Object} efficiency ratio, wasted bytes and the user wasted ratio
+ */
+const measureAnalysis = (result) => {
+  const totalSize = result.analysis?.totalSize || 0;
+  const wastedBytes = result.analysis?.wastedSpace || 0;
+  // Like dive, the base layer doesn't count toward the "user" share of the image
+  const baseLayerSize = result.layers?.[0]?.size || 0;
+  const userSize = totalSize - baseLayerSize;
+
+  return {
+    efficiency: (result.analysis?.efficiency || 0) / 100,
+    wastedBytes,
+    userWastedPercent: userSize > 0 ? wastedBytes / userSize : 0
+  };
+};
+
+/**
+ * Evaluate an analysis against CI rules
+ * @param {Object} result - Analysis result (DiveUtils.parseJSONOutput)
+ * @param {Object} thresholds - Output of normalizeRules
+ * @returns {Object} verdict ('pass' | 'fail'), per-rule results and measured values
+ */
+const evaluateRules = (result, thresholds) => {
+  const metrics = measureAnalysis(result);
+
+  const checks = [
+    {
+      name: 'lowestEfficiency',
+      threshold: thresholds.lowestEfficiency,
+      actual: metrics.efficiency,
+      failed: (threshold) => metrics.efficiency < threshold,
+      describe: (threshold) => `image efficiency ${metrics.efficiency} must be at least ${threshold}`
+    },
+    {
+      name: 'highestWastedBytes',
+      threshold: thresholds.highestWastedBytes,
+      actual: metrics.wastedBytes,
+      failed: (threshold) => metrics.wastedBytes > threshold,
+      describe: (threshold) => `wasted bytes ${metrics.wastedBytes} must not exceed ${threshold}`
+    },
+    {
+      name: 'highestUserWastedPercent',
+      threshold: thresholds.highestUserWastedPercent,
+      actual: metrics.userWastedPercent,
+      failed: (threshold) => metrics.userWastedPercent > threshold,
+      describe: (threshold) =>
+        `user wasted ratio ${Math.round(metrics.userWastedPercent * 10000) / 10000} must not exceed ${threshold}`
+    }
+  ];
+
+  const rules = checks.map((check) => {
+    if (check.threshold === null) {
+      return { name: check.name, status: 'skip', threshold: null, actual: check.actual, message: 'rule disabled' };
+    }
+    return {
+      name: check.name,
+      status: check.failed(check.threshold) ? 'fail' : 'pass',
+      threshold: check.threshold,
+      actual: check.actual,
+      message: check.describe(check.threshold)
+    };
+  });
+
+  return {
+    verdict: rules.some((rule) => rule.status === 'fail') ? 'fail' : 'pass',
+    rules,
+    metrics
+  };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  RULE_DESCRIPTIONS,
+  evaluateRules,
+  normalizeRules,
+  parseByteSize,
+  parseCiConfig
+};
@@ -0,0 +1,213 @@
+// Cap on per-file entries returned for each diff; counts always cover everything
+const FILE_DELTA_LIMIT = 200;
+
+const normalizeCommand = (command) => String(command || '').replace(/\s+/g, ' ').trim();
+
+// Layers line up when they are byte-identical (same digest) or were produced
+// by the same Dockerfile instruction
+const layersMatch = (base, target) =>
+  base.id === target.id || normalizeCommand(base.command) === normalizeCommand(target.command);
+
+/**
+ * Align two layer stacks with a longest-common-subsequence pass so inserted
+ * or dropped instructions don't shift every later layer out of step
+ * @param {Array} baseLayers - Layers of the base image
+ * @param {Array} targetLayers - Layers of the target image
+ * @returns {Array} Pairs of [baseLayer|null, targetLayer|null] in image order
+ */
+const alignLayers = (baseLayers, targetLayers) => {
+  const rows = baseLayers.length;
+  const cols = targetLayers.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = layersMatch(baseLayers[i], targetLayers[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (layersMatch(baseLayers[i], targetLayers[j])) {
+      pairs.push([baseLayers[i++], targetLayers[j++]]);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pairs.push([baseLayers[i++], null]);
+    } else {
+      pairs.push([null, targetLayers[j++]]);
+    }
+  }
+  while (i < rows) {
+    pairs.push([baseLayers[i++], null]);
+  }
+  while (j < cols) {
+    pairs.push([null, targetLayers[j++]]);
+  }
+  return pairs;
+};
+
+const toFileMap = (files) => {
+  const map = new Map();
+  (files || []).forEach((file) => {
+    if (file.status === 'removed') {
+      map.delete(file.path);
+    } else {
+      map.set(file.path, file);
+    }
+  });
+  return map;
+};
+
+/**
+ * Final filesystem of an image: every path left after applying its layers in order
+ * @param {Array} layers - Processed layers carrying file records
+ * @returns {Map} path -> file record
+ */
+const flattenFilesystem = (layers) => {
+  const filesystem = new Map();
+  layers.forEach((layer) => {
+    (layer.files || []).forEach((file) => {
+      if (file.status === 'removed') {
+        const prefix = `${file.path}/`;
+        filesystem.delete(file.path);
+        for (const existingPath of filesystem.keys()) {
+          if (existingPath.startsWith(prefix)) {
+            filesystem.delete(existingPath);
+          }
+        }
+      } else {
+        filesystem.set(file.path, file);
+      }
+    });
+  });
+  return filesystem;
+};
+
+const fileChanged = (before, after) =>
+  before.size !== after.size || before.type !== after.type || before.mode !== after.mode ||
+  before.uid !== after.uid || before.gid !== after.gid || before.linkName !== after.linkName;
+
+/**
+ * Diff two path -> file record maps
+ * @param {Map} baseFiles - Files on the base side
+ * @param {Map} targetFiles - Files on the target side
+ * @returns {Object} Counts, total size delta and the largest changes
+ */
+const diffFiles = (baseFiles, targetFiles) => {
+  const entries = [];
+
+  targetFiles.forEach((after, filePath) => {
+    const before = baseFiles.get(filePath);
+    if (!before) {
+      entries.push({ path: filePath, change: 'added', baseSize: 0, targetSize: after.size, sizeDelta: after.size });
+    } else if (fileChanged(before, after)) {
+      entries.push({
+        path: filePath,
+        change: 'modified',
+        baseSize: before.size,
+        targetSize: after.size,
+        sizeDelta: after.size - before.size
+      });
+    }
+  });
+  baseFiles.forEach((before, filePath) => {
+    if (!targetFiles.has(filePath)) {
+      entries.push({ path: filePath, change: 'removed', baseSize: before.size, targetSize: 0, sizeDelta: -before.size });
+    }
+  });
+
+  entries.sort((a, b) => Math.abs(b.sizeDelta) - Math.abs(a.sizeDelta) || a.path.localeCompare(b.path));
+
+  const count = (change) => entries.filter((entry) => entry.change === change).length;
+  return {
+    added: count('added'),
+    removed: count('removed'),
+    modified: count('modified'),
+    sizeDelta: entries.reduce((total, entry) => total + entry.sizeDelta, 0),
+    entries: entries.slice(0, FILE_DELTA_LIMIT),
+    truncated: entries.length > FILE_DELTA_LIMIT
+  };
+};
+
+const summarizeLayer = (layer) => (layer ? {
+  index: layer.index,
+  id: layer.id,
+  command: layer.command,
+  size: layer.size || 0,
+  wasted_size: layer.wasted_size || 0,
+  file_count: layer.file_count || 0
+} : null);
+
+const layerStatus = (base, target) => {
+  if (!base) {
+    return 'added';
+  }
+  if (!target) {
+    return 'removed';
+  }
+  return base.id === target.id ? 'shared' : 'changed';
+};
+
+const summarizeImage = (result) => ({
+  imageName: result.imageName,
+  totalLayers: result.analysis?.totalLayers || 0,
+  totalSize: result.analysis?.totalSize || 0,
+  wastedSpace: result.analysis?.wastedSpace || 0,
+  efficiency: result.analysis?.efficiency || 0
+});
+
+/**
+ * Compare two dive analyses layer by layer and file by file
+ * @param {Object} base - Analysis result (DiveUtils.parseJSONOutput) of the reference image
+ * @param {Object} target - Analysis result of the image being compared against it
+ * @returns {Object} Summary deltas, aligned layer rows and filesystem deltas
+ */
+const compareAnalyses = (base, target) => {
+  const baseLayers = base.layers || [];
+  const targetLayers = target.layers || [];
+
+  const layers = alignLayers(baseLayers, targetLayers).map(([baseLayer, targetLayer]) => {
+    const status = layerStatus(baseLayer, targetLayer);
+    return {
+      status,
+      base: summarizeLayer(baseLayer),
+      target: summarizeLayer(targetLayer),
+      sizeDelta: (targetLayer?.size || 0) - (baseLayer?.size || 0),
+      wastedDelta: (targetLayer?.wasted_size || 0) - (baseLayer?.wasted_size || 0),
+      files: status === 'shared'
+        ? null
+        : diffFiles(toFileMap(baseLayer?.files), toFileMap(targetLayer?.files))
+    };
+  });
+
+  const baseSummary = summarizeImage(base);
+  const targetSummary = summarizeImage(target);
+  const countLayers = (status) => layers.filter((layer) => layer.status === status).length;
+
+  return {
+    base: baseSummary,
+    target: targetSummary,
+    summary: {
+      sizeDelta: targetSummary.totalSize - baseSummary.totalSize,
+      wastedDelta: targetSummary.wastedSpace - baseSummary.wastedSpace,
+      efficiencyDelta: Math.round((targetSummary.efficiency - baseSummary.efficiency) * 10) / 10,
+      layerDelta: targetSummary.totalLayers - baseSummary.totalLayers,
+      sharedLayers: countLayers('shared'),
+      changedLayers: countLayers('changed'),
+      addedLayers: countLayers('added'),
+      removedLayers: countLayers('removed')
+    },
+    layers,
+    files: diffFiles(flattenFilesystem(baseLayers), flattenFilesystem(targetLayers))
+  };
+};
+
+module.exports = {
+  alignLayers,
+  compareAnalyses,
+  diffFiles,
+  flattenFilesystem
+};
@@ -3,6 +3,14 @@ const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { assertValidImageName } = require('./image-name');
+const { cancelledError, killOnAbort } = require('./cancellation');
+const { attributeWastedBytes, buildLayerFileTrees } = require('./file-tree');
+const { formatPlatform } = require('./platform');
+const { adviseImage } = require('./advisor');
+
+// Local image IDs: dive reads an ID straight from the daemon, which pins the
+// exact platform variant even if the tag is re-pulled for another platform
+const IMAGE_ID_REGEX = /^sha256:[a-f0-9]{64}$/;
 
 const execFileAsync = (file, args) => new Promise((resolve, reject) => {
   execFile(file, args, (error, stdout, stderr) => {
@@ -29,14 +37,17 @@ class DiveUtils {
   /**
    * Execute dive analysis on a Docker image
    * @param {string} imageName - Name of the image to analyze
+   * @param {Object} options - Optional AbortSignal (signal) that kills dive and
+   *   imageInfo (DockerUtils.getImageInfo result) for the metadata; with
+   *   imageInfo.id dive analyzes that exact local image instead of the tag
    * @returns {Promise<Object>} Dive analysis results
    */
-  async executeDive(imageName) {
+  async executeDive(imageName, { signal, imageInfo = null } = {}) {
     try {
       assertValidImageName(imageName);
       console.log(`Starting dive analysis for image: ${imageName}`);
 
-      return this.executeDiveSync(imageName);
+      return await this.executeDiveSync(imageName, { signal, imageInfo });
 
     } catch (error) {
       console.error(`Dive analysis failed for ${imageName}:`, error);
@@ -125,19 +136,23 @@ class DiveUtils {
   /**
    * Execute dive synchronously
    * @param {string} imageName - Name of the image to analyze
+   * @param {Object} options - Optional AbortSignal (signal); aborting kills dive and
+   *   removes its JSON output file. Optional imageInfo as for executeDive.
    * @returns {Promise<Object>} Analysis results
    */
-  async executeDiveSync(imageName) {
+  async executeDiveSync(imageName, { signal, imageInfo = null } = {}) {
     assertValidImageName(imageName);
+    const target = imageInfo && IMAGE_ID_REGEX.test(imageInfo.id) ? imageInfo.id : imageName;
 
-    const jsonFile = `/tmp/dive-output-${Date.now()}.json`;
+    const jsonFile = `/tmp/dive-output-${uuidv4()}.json`;
     console.log(`[DEBUG] Starting dive execution for ${imageName}, output file: ${jsonFile}`);
 
     return new Promise((resolve, reject) => {
-      const diveProcess = spawn(this.diveCommand, ['--json', jsonFile, imageName], {
+      const diveProcess = spawn(this.diveCommand, ['--json', jsonFile, target], {
         env: { ...process.env, DOCKER_CLI_EXPERIMENTAL: 'enabled' },
         timeout: 300000
       });
+      const abort = killOnAbort(signal, diveProcess);
 
       let stdout = '';
       let stderr = '';
@@ -151,14 +166,20 @@ class DiveUtils {
       });
 
       diveProcess.on('error', (error) => {
+        abort.release();
         console.error('Dive sync execution failed:', error);
         reject(new Error(`Dive execution failed: ${error.message}`));
       });
 
       diveProcess.on('close', async (code) => {
+        abort.release();
         try {
-          if (code !== 0) {
-            return reject(new Error(`Dive process exited with code ${code}: ${stderr}`));
+          if (abort.cancelled() || code !== 0) {
+            // A killed or failed dive may have left a partial report behind
+            await fs.remove(jsonFile).catch(() => {});
+            return reject(abort.cancelled()
+              ? cancelledError()
+              : new Error(`Dive process exited with code ${code}: ${stderr}`));
           }
 
           const fileExists = await fs.pathExists(jsonFile);
@@ -168,7 +189,7 @@ class DiveUtils {
             const jsonContent = await fs.readFile(jsonFile, 'utf8');
             await fs.unlink(jsonFile).catch(() => {});
             const parsedOutput = JSON.parse(jsonContent);
-            resolve(await this.parseJSONOutput(parsedOutput, imageName));
+            resolve(await this.parseJSONOutput(parsedOutput, imageName, imageInfo));
           } else {
             resolve(await this.parseDiveOutput(stdout, stderr, imageName));
           }
@@ -194,7 +215,7 @@ class DiveUtils {
         return;
       }
 
-      const jsonFile = `/tmp/dive-output-${Date.now()}.json`;
+      const jsonFile = `/tmp/dive-output-${uuidv4()}.json`;
       const diveProcess = spawn(this.diveCommand, ['--json', jsonFile, imageName], {
         env: { ...process.env, DOCKER_CLI_EXPERIMENTAL: 'enabled' }
       });
@@ -298,9 +319,11 @@ class DiveUtils {
    * Parse JSON output from dive
    * @param {Object} jsonOutput - Parsed JSON output
    * @param {string} imageName - Name of the analyzed image
+   * @param {Object} imageInfo - Optional DockerUtils.getImageInfo result; dive's
+   *   report has no image config, so the metadata block comes from here
    * @returns {Object} Structured analysis results
    */
-  parseJSONOutput(jsonOutput, imageName) {
+  parseJSONOutput(jsonOutput, imageName, imageInfo = null) {
     const layers = jsonOutput.layer || [];
     const image = jsonOutput.image || {};
 
@@ -311,18 +334,25 @@ class DiveUtils {
       console.log(`[DEBUG] parseJSONOutput - first layer: ${JSON.stringify(layers[0], null, 2).substring(0, 200)}...`);
     }
 
-    const processedLayers = layers.map((layer, index) => ({
-      id: layer.digestId || layer.id || `layer-${index}`,
-      index: layer.index || index,
-      command: layer.command || 'Unknown command',
-      size: layer.sizeBytes || 0,
-      created: layer.created,
-      wasted_size: 0, // Calculate from file duplicates
-      efficiency: this.calculateLayerEfficiency(layer),
-      file_count: layer.fileList ? layer.fileList.length : 0,
-      change_type: this.determineChangeType(layer),
-      size_percentage: this.calculateSizePercentage(layer.sizeBytes, image.sizeBytes)
-    }));
+    const layerFiles = buildLayerFileTrees(layers.map((layer) => layer.fileList || []));
+    const { wastedByLayer, references } = attributeWastedBytes(image.fileReference, layerFiles);
+
+    const processedLayers = layers.map((layer, index) => {
+      const processed = {
+        id: layer.digestId || layer.id || `layer-${index}`,
+        index: layer.index || index,
+        command: layer.command || 'Unknown command',
+        size: layer.sizeBytes || 0,
+        created: layer.created,
+        wasted_size: wastedByLayer[index],
+        file_count: layerFiles[index].length,
+        change_type: this.determineChangeType(layer),
+        size_percentage: this.calculateSizePercentage(layer.sizeBytes, image.sizeBytes),
+        files: layerFiles[index]
+      };
+      processed.efficiency = this.calculateLayerEfficiency(processed);
+      return processed;
+    });
 
     const totalSize = image.sizeBytes || 0;
     const wastedSpace = image.inefficientBytes || 0;
@@ -341,11 +371,54 @@ class DiveUtils {
         userDataInImage: totalSize - wastedSpace
       },
       layers: processedLayers,
-      metadata: {
-        imageId: 'sha256:' + (layers[0]?.digestId?.substring(7, 19) || 'unknown'),
-        created: new Date().toISOString(),
-        architecture: 'amd64',
-        os: 'linux'
+      inefficientFiles: this.buildInefficientFiles(references),
+      advice: adviseImage(processedLayers),
+      metadata: this.buildMetadata(imageInfo)
+    };
+  }
+
+  /**
+   * Image metadata for analysis results from `docker inspect`
+   * @param {Object} imageInfo - DockerUtils.getImageInfo result, or null when
+   *   the image couldn't be inspected (every field is then null or empty)
+   * @returns {Object} ID, tags, digests, creation, author, platform, the run
+   *   config (healthcheck durations in seconds) and the rootfs layer digests
+   */
+  buildMetadata(imageInfo) {
+    const info = imageInfo || {};
+    const config = info.config || {};
+    const healthcheck = config.Healthcheck;
+    const seconds = (nanoseconds) => (nanoseconds ? nanoseconds / 1e9 : null);
+
+    return {
+      imageId: info.id || null,
+      repoTags: info.repoTags || [],
+      repoDigests: info.repoDigests || [],
+      created: info.created || null,
+      author: info.author || null,
+      architecture: info.architecture || null,
+      os: info.os || null,
+      variant: info.variant || null,
+      platform: formatPlatform(imageInfo),
+      config: {
+        user: config.User || null,
+        workingDir: config.WorkingDir || null,
+        entrypoint: config.Entrypoint || null,
+        cmd: config.Cmd || null,
+        env: config.Env || [],
+        exposedPorts: Object.keys(config.ExposedPorts || {}).sort(),
+        labels: config.Labels || {},
+        healthcheck: healthcheck ? {
+          test: healthcheck.Test || [],
+          interval: seconds(healthcheck.Interval),
+          timeout: seconds(healthcheck.Timeout),
+          startPeriod: seconds(healthcheck.StartPeriod),
+          retries: healthcheck.Retries || null
+        } : null
+      },
+      rootfs: {
+        type: info.rootfs?.Type || null,
+        layers: info.rootfs?.Layers || []
       }
     };
   }
@@ -388,7 +461,8 @@ class DiveUtils {
       efficiency: efficiency,
       file_count: 0,
       change_type: 'unknown',
-      size_percentage: 100
+      size_percentage: 100,
+      files: []
     }];
 
     return {
@@ -399,23 +473,50 @@ class DiveUtils {
       layers,
       analysis: {
         totalLayers: 1,
-        largestLayer: layers[0],
-        suggestions: this.generateSuggestions(layers, efficiency)
-      }
+        largestLayer: layers[0]
+      },
+      advice: adviseImage(layers)
     };
   }
 
   /**
    * Calculate layer efficiency
-   * @param {Object} layer - Layer object
-   * @returns {number} Efficiency percentage
+   * @param {Object} layer - Processed layer object with size and wasted_size
+   * @returns {number} Efficiency percentage, one decimal place
    */
   calculateLayerEfficiency(layer) {
     const size = layer.size || 0;
-    const wastedSize = layer.wastedBytes || 0;
+    const wastedSize = Math.min(layer.wasted_size || 0, size);
 
     if (size === 0) return 100;
-    return ((size - wastedSize) / size) * 100;
+    return Math.round(((size - wastedSize) / size) * 1000) / 10;
+  }
+
+  /**
+   * Build the inefficient files report from attributed file references
+   * @param {Array} references - references from attributeWastedBytes
+   * @returns {Array} Files sorted by wasted bytes, largest first
+   */
+  buildInefficientFiles(references) {
+    return references
+      .map((reference) => {
+        const deadCopies = reference.touches.slice(0, -1);
+        const wastedBytes = reference.touches.length > 0
+          ? deadCopies.reduce((sum, touch) => sum + touch.size, 0)
+          : reference.sizeBytes;
+
+        return {
+          path: reference.path,
+          count: reference.count,
+          totalBytes: reference.sizeBytes,
+          wastedBytes,
+          layers: reference.touches.map((touch) => ({
+            index: touch.layerIndex,
+            status: touch.status
+          }))
+        };
+      })
+      .sort((a, b) => b.wastedBytes - a.wastedBytes || b.totalBytes - a.totalBytes);
   }
 
   /**
@@ -440,34 +541,6 @@ class DiveUtils {
     );
   }
 
-  /**
-   * Generate optimization suggestions
-   * @param {Array} layers - Array of layer objects
-   * @param {number} efficiency - Overall efficiency
-   * @returns {Array} Array of suggestion strings
-   */
-  generateSuggestions(layers, efficiency) {
-    const suggestions = [];
-
-    if (efficiency < 70) {
-      suggestions.push('Consider using multi-stage builds to reduce final image size');
-    }
-
-    const wastedLayers = layers.filter(layer => (layer.wasted_size || 0) > 0);
-    if (wastedLayers.length > 0) {
-      suggestions.push('Remove unnecessary files and packages in the same RUN command');
-    }
-
-    if (layers.length > 10) {
-      suggestions.push('Combine RUN commands to reduce layer count');
-    }
-
-    suggestions.push('Use .dockerignore to exclude unwanted files');
-    suggestions.push('Order Dockerfile instructions from least to most frequently changing');
-
-    return suggestions;
-  }
-
   /**
    * Parse size string to bytes
    * @param {string} value - Size value
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const http = require('http');
+const { cancelledError } = require('./cancellation');
+
+const readBody = (res) => new Promise((resolve, reject) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => {
+    body += chunk;
+  });
+  res.on('end', () => resolve(body));
+  res.on('error', reject);
+});
+
+const errorFromBody = (statusCode, body) => {
+  let message;
+  try {
+    message = JSON.parse(body).message;
+  } catch (error) {
+    message = body.trim();
+  }
+  const error = new Error(message || `Docker Engine API returned ${statusCode}`);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Image references keep their slashes in API paths, like the docker client sends them
+const imagePath = (imageName) => imageName.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Docker Engine API client over DOCKER_HOST or the default unix socket.
+ * Returns the daemon's JSON as-is; DockerUtils maps it to the shapes the
+ * routes use and falls back to the CLI when the socket isn't reachable.
+ */
+class DockerEngine {
+  constructor() {
+    this.endpoint = this.resolveEndpoint(process.env.DOCKER_HOST);
+  }
+
+  /**
+   * Where the Docker Engine API listens, from DOCKER_HOST (unix:// or tcp://)
+   * or the default socket. TLS endpoints aren't supported; callers fall back
+   * to the CLI, which reads the TLS settings itself.
+   * @param {string} dockerHost - DOCKER_HOST value
+   * @returns {Object|null} http.request connection options, or null
+   */
+  resolveEndpoint(dockerHost) {
+    if (!dockerHost) {
+      return { socketPath: '/var/run/docker.sock' };
+    }
+    if (dockerHost.startsWith('unix://')) {
+      return { socketPath: dockerHost.slice('unix://'.length) };
+    }
+    if (/^(tcp|http):\/\//.test(dockerHost) && process.env.DOCKER_TLS_VERIFY !== '1') {
+      const url = new URL(dockerHost.replace(/^tcp:/, 'http:'));
+      return { host: url.hostname, port: url.port || 2375 };
+    }
+    return null;
+  }
+
+  /**
+   * Split an image reference into the fromImage/tag pair POST /images/create
+   * takes. An empty tag would pull every tag of the repository, so the CLI's
+   * implicit :latest is made explicit.
+   * @param {string} imageName - Validated image reference
+   * @returns {{ fromImage: string, tag: string }} Repository and tag or digest
+   */
+  splitReference(imageName) {
+    const at = imageName.indexOf('@');
+    if (at !== -1) {
+      return { fromImage: imageName.slice(0, at), tag: imageName.slice(at + 1) };
+    }
+    const colon = imageName.lastIndexOf(':');
+    if (colon > imageName.lastIndexOf('/')) {
+      return { fromImage: imageName.slice(0, colon), tag: imageName.slice(colon + 1) };
+    }
+    return { fromImage: imageName, tag: 'latest' };
+  }
+
+  /**
+   * Whether an Engine API endpoint is configured and (for a socket) present
+   * @returns {boolean} Whether to try the Engine API
+   */
+  isConfigured() {
+    if (!this.endpoint) {
+      return false;
+    }
+    return this.endpoint.socketPath ? fs.existsSync(this.endpoint.socketPath) : true;
+  }
+
+  request(method, path, { signal, body, headers } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ ...this.endpoint, method, path, headers, signal }, resolve);
+      req.on('error', (error) => {
+        reject(signal && signal.aborted ? cancelledError() : error);
+      });
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', (error) => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  /**
+   * Send a request and decode its JSON response
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} options - request options
+   * @returns {Promise<*>} Decoded body; errors carry the HTTP statusCode
+   */
+  async requestJson(method, path, options) {
+    const res = await this.request(method, path, options);
+    const body = await readBody(res);
+    if (res.statusCode >= 400) {
+      throw errorFromBody(res.statusCode, body);
+    }
+    return body ? JSON.parse(body) : null;
+  }
+
+  /**
+   * Consume a newline-delimited JSON progress stream
+   * @param {http.IncomingMessage} res - Streaming response
+   * @param {function} onMessage - Called with each decoded message
+   * @param {AbortSignal} signal - Signal that aborted the request, if any
+   * @returns {Promise<void>} Resolves once the stream ends without an error message
+   */
+  readJsonStream(res, onMessage, signal) {
+    return new Promise((resolve, reject) => {
+      let buffered = '';
+      let failure = null;
+
+      const handleLine = (line) => {
+        if (!line.trim()) {
+          return;
+        }
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (error) {
+          return;
+        }
+        if (message.error) {
+          failure = new Error(message.error);
+          return;
+        }
+        onMessage(message);
+      };
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(handleLine);
+      });
+      res.on('end', () => {
+        handleLine(buffered);
+        if (failure) {
+          reject(failure);
+        } else {
+          resolve();
+        }
+      });
+      res.on('error', (error) => {
+        reject(signal && signal.aborted ? cancelledError() : error);
+      });
+      // An aborted request closes the response without 'end'
+      res.on('close', () => {
+        if (!res.complete) {
+          reject(signal && signal.aborted ? cancelledError() : new Error('Docker Engine API closed the stream'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Daemon liveness check
+   * @returns {Promise<boolean>} Whether the daemon answered /_ping
+   */
+  async ping() {
+    const res = await this.request('GET', '/_ping');
+    await readBody(res);
+    return res.statusCode === 200;
+  }
+
+  /**
+   * Daemon version (GET /version)
+   * @returns {Promise<Object>} Engine version, API version, OS and architecture
+   */
+  version() {
+    return this.requestJson('GET', '/version');
+  }
+
+  /**
+   * Local images (GET /images/json)
+   * @returns {Promise<Array>} Image summaries with RepoTags, Created (unix) and Size (bytes)
+   */
+  listImages() {
+    return this.requestJson('GET', '/images/json');
+  }
+
+  /**
+   * Inspect an image (GET /images/{name}/json)
+   * @param {string} imageName - Validated image reference or ID
+   * @returns {Promise<Object|null>} Inspect document, or null when the image is absent
+   */
+  async inspectImage(imageName) {
+    try {
+      return await this.requestJson('GET', `/images/${imagePath(imageName)}/json`);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Image history, newest layer first (GET /images/{name}/history)
+   * @param {string} imageName - Validated image reference or ID
+   * @returns {Promise<Array>} Entries with Id, Created (unix), CreatedBy and Size (bytes)
+   */
+  imageHistory(imageName) {
+    return this.requestJson('GET', `/images/${imagePath(imageName)}/history`);
+  }
+
+  /**
+   * Registry view of an image (GET /distribution/{name}/json); the daemon
+   * resolves the manifest list with its own registry credentials
+   * @param {string} imageName - Validated image reference
+   * @returns {Promise<Object>} Descriptor and the Platforms the reference is available for
+   */
+  distributionInspect(imageName) {
+    return this.requestJson('GET', `/distribution/${imagePath(imageName)}/json`);
+  }
+
+  /**
+   * Remove an image without force (DELETE /images/{name})
+   * @param {string} imageName - Validated image reference or ID
+   * @returns {Promise<Array>} Untagged / Deleted entries
+   */
+  removeImage(imageName) {
+    return this.requestJson('DELETE', `/images/${imagePath(imageName)}`);
+  }
+
+  /**
+   * Load a docker save tarball (POST /images/load), streaming its progress
+   * @param {string} filePath - Server-controlled path to the (optionally compressed) archive
+   * @param {function} onMessage - Called with every decoded progress message
+   * @returns {Promise<string>} The daemon's "Loaded image" output
+   */
+  async loadImage(filePath, onMessage = () => {}) {
+    const res = await this.request('POST', '/images/load?quiet=0', {
+      body: fs.createReadStream(filePath),
+      headers: { 'Content-Type': 'application/x-tar' }
+    });
+    if (res.statusCode !== 200) {
+      throw errorFromBody(res.statusCode, await readBody(res));
+    }
+
+    let output = '';
+    await this.readJsonStream(res, (message) => {
+      if (typeof message.stream === 'string') {
+        output += message.stream;
+      }
+      onMessage(message);
+    });
+    return output;
+  }
+
+  /**
+   * Export an image as a docker save tarball (GET /images/{name}/get)
+   * @param {string} imageName - Validated image reference or ID
+   * @param {Object} options - Optional AbortSignal (signal)
+   * @returns {Promise<http.IncomingMessage>} Response streaming the tar archive
+   */
+  async saveImage(imageName, { signal } = {}) {
+    const res = await this.request('GET', `/images/${imagePath(imageName)}/get`, { signal });
+    if (res.statusCode !== 200) {
+      throw errorFromBody(res.statusCode, await readBody(res));
+    }
+    return res;
+  }
+
+  /**
+   * Pull an image, reporting each JSON progress message as it arrives
+   * @param {string} imageName - Validated image reference
+   * @param {function} onMessage - Called with every decoded progress message
+   * @param {Object} options - Optional platform (os/arch[/variant]), registry
+   *   auth (X-Registry-Auth value) and AbortSignal (signal); disconnecting makes
+   *   the daemon abandon the pull
+   * @returns {Promise<Object>} Pull result with the final status line
+   */
+  async pullImage(imageName, onMessage, { signal, platform, auth } = {}) {
+    const { fromImage, tag } = this.splitReference(imageName);
+    const query = new URLSearchParams({ fromImage, tag, ...(platform && { platform }) });
+    const res = await this.request('POST', `/images/create?${query}`, {
+      signal,
+      ...(auth && { headers: { 'X-Registry-Auth': auth } })
+    });
+
+    if (res.statusCode !== 200) {
+      throw errorFromBody(res.statusCode, await readBody(res));
+    }
+
+    let lastStatus = '';
+    await this.readJsonStream(res, (message) => {
+      if (!message.id && message.status) {
+        lastStatus = message.status;
+      }
+      onMessage(message);
+    }, signal);
+    return { success: true, imageName, output: lastStatus };
+  }
+}
+
+module.exports = new DockerEngine();
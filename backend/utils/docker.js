@@ -1,6 +1,132 @@
 const { execFile, spawn } = require('child_process');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 const { assertValidImageName } = require('./image-name');
+const { assertValidPlatform, formatPlatform, matchesPlatform } = require('./platform');
+const { cancelledError, isCancelled, killOnAbort } = require('./cancellation');
+const dockerEngine = require('./docker-engine');
+const { PullProgress } = require('./pull-progress');
+const { cleanCommand } = require('./dockerfile');
+const registryCredentials = require('./registry-credentials');
+
+// A local image ID, which names one exact image where a tag may move
+const IMAGE_ID_REGEX = /^sha256:[a-f0-9]{64}$/;
+
+// Byte counts arrive many times a second; state changes are always reported
+const PULL_PROGRESS_INTERVAL_MS = 250;
+
+// DOCKER_API_MODE: 'engine' uses only the Engine API, 'cli' only the docker
+// binary, 'auto' (default) the Engine API when its socket exists with the
+// CLI as fallback
+const API_MODES = ['auto', 'engine', 'cli'];
+
+// In auto mode, Engine API calls failing with these codes are retried with the CLI
+const ENGINE_UNREACHABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EACCES', 'ENOENT', 'EPIPE']);
+
+// Pulls are also retried when the registry wants credentials: the CLI reads
+// them from the docker config and credential helpers (or, for registries with
+// stored credentials, from a throwaway config of its own)
+const PULL_AUTH_ERROR = /unauthorized|authentication required|no basic auth credentials|denied/i;
+
+// Variables a docker CLI pulling with stored credentials inherits. The rest of
+// the backend's environment (REGISTRY_CREDENTIALS_KEY, ADMIN_TOKEN, ...) stays
+// out of reach of the CLI and any credential helper it runs.
+const PULL_ENV_ALLOWLIST = ['PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'TMPDIR', 'DOCKER_HOST', 'DOCKER_CERT_PATH', 'DOCKER_TLS_VERIFY'];
+
+const buildPullEnv = (dockerConfigDir) => {
+  const env = { DOCKER_CONFIG: dockerConfigDir };
+  PULL_ENV_ALLOWLIST.forEach((key) => {
+    if (process.env[key] !== undefined) {
+      env[key] = process.env[key];
+    }
+  });
+  return env;
+};
+
+// Forward pull progress at most every PULL_PROGRESS_INTERVAL_MS unless forced
+const throttledPullReporter = (imageName, tracker, progressCallback) => {
+  let lastReport = 0;
+  return (force) => {
+    const now = Date.now();
+    if (!progressCallback || (!force && now - lastReport < PULL_PROGRESS_INTERVAL_MS)) {
+      return;
+    }
+    lastReport = now;
+    const pull = tracker.snapshot();
+    progressCallback({
+      type: 'progress',
+      message: tracker.describe(),
+      progress: pull.percent,
+      pull,
+      imageName
+    });
+  };
+};
+
+const toIsoDate = (value) => (typeof value === 'number' ? new Date(value * 1000).toISOString() : value);
+
+const shortId = (id) => String(id || '').replace(/^sha256:/, '').substring(0, 12);
+
+const splitRepoTag = (repoTag) => {
+  const colon = repoTag.lastIndexOf(':');
+  if (colon > repoTag.lastIndexOf('/')) {
+    return { repository: repoTag.slice(0, colon), tag: repoTag.slice(colon + 1) };
+  }
+  return { repository: repoTag, tag: 'latest' };
+};
+
+// Engine /images/json summaries and CLI `docker image inspect` documents share
+// Id, RepoTags, Created and Size; one entry per tag like `docker images`
+const toImageList = (images) => images
+  .flatMap((image) => {
+    const base = { id: image.Id, created: toIsoDate(image.Created), size: image.Size || 0 };
+    const repoTags = (image.RepoTags || []).filter((repoTag) => repoTag !== '<none>:<none>');
+    if (repoTags.length === 0) {
+      return [{ ...base, name: shortId(image.Id), repository: '<none>', tag: '<none>' }];
+    }
+    return repoTags.map((repoTag) => ({ ...base, name: repoTag, ...splitRepoTag(repoTag) }));
+  })
+  .sort((a, b) => String(b.created).localeCompare(String(a.created)));
+
+const toImageInfo = (imageInfo) => ({
+  id: imageInfo.Id,
+  repoTags: imageInfo.RepoTags || [],
+  repoDigests: imageInfo.RepoDigests || [],
+  created: imageInfo.Created,
+  author: imageInfo.Author || null,
+  size: imageInfo.Size,
+  virtualSize: imageInfo.VirtualSize,
+  architecture: imageInfo.Architecture,
+  os: imageInfo.Os,
+  variant: imageInfo.Variant || null,
+  config: imageInfo.Config,
+  rootfs: imageInfo.RootFS,
+  metadata: imageInfo.ContainerConfig
+});
+
+// Manifest list entries (Engine API Platforms or `docker manifest inspect`
+// manifests[].platform) as unique platform strings; attestation manifests
+// are listed as unknown/unknown and dropped
+const toPlatformList = (platforms) => Array.from(new Set(
+  (platforms || []).map((platform) => formatPlatform(platform)).filter(Boolean)
+));
+
+const parseLoadOutput = (output) => {
+  const loadedImages = [];
+  const loadedImageIds = [];
+  output.split('\n').forEach((line) => {
+    const refMatch = line.match(/^Loaded image: (.+)$/);
+    if (refMatch) {
+      loadedImages.push(refMatch[1].trim());
+      return;
+    }
+    const idMatch = line.match(/^Loaded image ID: (.+)$/);
+    if (idMatch) {
+      loadedImageIds.push(idMatch[1].trim());
+    }
+  });
+  return { loadedImages, loadedImageIds };
+};
 
 const execFileAsync = (file, args) => new Promise((resolve, reject) => {
   execFile(file, args, (error, stdout, stderr) => {
@@ -18,24 +144,76 @@ const execFileAsync = (file, args) => new Promise((resolve, reject) => {
 class DockerUtils {
   constructor() {
     this.dockerCommand = 'docker';
+    this.apiMode = API_MODES.includes(process.env.DOCKER_API_MODE) ? process.env.DOCKER_API_MODE : 'auto';
+  }
+
+  usesEngine() {
+    return this.apiMode === 'engine' || (this.apiMode === 'auto' && dockerEngine.isConfigured());
+  }
+
+  /**
+   * Run an operation through the Engine API, or the CLI when the API isn't in use
+   * or (auto mode only) its socket can't be reached
+   * @param {string} operation - Name for the fallback log line
+   * @param {function} engineCall - async () => result via dockerEngine
+   * @param {function} cliCall - async () => result via the docker binary
+   * @returns {Promise<*>} Operation result
+   */
+  async withEngine(operation, engineCall, cliCall) {
+    if (this.usesEngine()) {
+      try {
+        return await engineCall();
+      } catch (error) {
+        if (this.apiMode === 'engine' || !ENGINE_UNREACHABLE_CODES.has(error.code)) {
+          throw error;
+        }
+        console.warn(`Docker Engine API unreachable for ${operation} (${error.code}); using the docker CLI`);
+      }
+    }
+    return cliCall();
   }
 
   /**
    * Pull a Docker image from registry
    * @param {string} imageName - Name of the image to pull
    * @param {function} progressCallback - Optional callback for progress updates
+   * @param {Object} options - Optional platform (os/arch[/variant]) to pull and
+   *   AbortSignal (signal) that kills the pull
    * @returns {Promise<Object>} Pull result
    */
-  async pullImage(imageName, progressCallback = null) {
+  async pullImage(imageName, progressCallback = null, { signal, platform } = {}) {
     try {
       assertValidImageName(imageName);
-      console.log(`Pulling Docker image: ${imageName}`);
+      if (platform) {
+        assertValidPlatform(platform);
+      }
+      console.log(`Pulling Docker image: ${imageName}${platform ? ` (${platform})` : ''}`);
+
+      // Credentials stored for the image's registry; without any the daemon's own apply
+      const credentials = registryCredentials.forImage(imageName);
       
-      if (progressCallback) {
-        // Use spawn for real-time progress
-        return this.pullImageWithProgress(imageName, progressCallback);
+      // The Engine API streams byte counts; the CLI only prints them to a terminal
+      if (this.usesEngine()) {
+        try {
+          return await this.pullImageFromEngine(imageName, progressCallback, { signal, platform, credentials });
+        } catch (error) {
+          const retryable = ENGINE_UNREACHABLE_CODES.has(error.code) || PULL_AUTH_ERROR.test(error.message);
+          if (this.apiMode === 'engine' || isCancelled(error) || !retryable) {
+            throw error;
+          }
+          console.warn(`Engine API pull of ${imageName} failed (${error.message}); retrying with the docker CLI`);
+        }
+      }
+
+      if (credentials) {
+        return await this.pullImageWithCredentials(imageName, credentials, progressCallback, { signal, platform });
+      }
+
+      if (progressCallback || signal) {
+        // Use spawn for real-time progress and so the pull can be killed
+        return this.pullImageWithProgress(imageName, progressCallback, { signal, platform });
       } else {
-        const { stdout, stderr } = await execFileAsync(this.dockerCommand, ['pull', imageName]);
+        const { stdout, stderr } = await execFileAsync(this.dockerCommand, this.pullArgs(imageName, platform));
         
         return {
           success: true,
@@ -50,13 +228,63 @@ class DockerUtils {
     }
   }
 
+  pullArgs(imageName, platform) {
+    return platform ? ['pull', '--platform', platform, imageName] : ['pull', imageName];
+  }
+
+  /**
+   * Pull through the Engine API, reporting byte-accurate per-layer progress
+   * @param {string} imageName - Name of the image to pull
+   * @param {function} progressCallback - Called with { progress, message, pull }
+   *   where pull is a PullProgress snapshot
+   * @param {Object} options - Optional platform, registry credentials and
+   *   AbortSignal (signal)
+   * @returns {Promise<Object>} Pull result
+   */
+  async pullImageFromEngine(imageName, progressCallback, { signal, platform, credentials } = {}) {
+    const tracker = new PullProgress();
+    const report = throttledPullReporter(imageName, tracker, progressCallback);
+
+    const result = await dockerEngine.pullImage(imageName, (message) => {
+      report(tracker.applyMessage(message));
+    }, { signal, platform, ...(credentials && { auth: registryCredentials.engineAuthHeader(credentials) }) });
+    report(true);
+    return result;
+  }
+
+  /**
+   * Pull with the docker CLI using stored registry credentials. They go into a
+   * docker config written for this pull alone and removed after it, so neither
+   * the host's docker config nor any other process's environment holds them.
+   * @param {string} imageName - Name of the image to pull
+   * @param {Object} credentials - RegistryCredentials.get() result
+   * @param {function} progressCallback - Optional callback for progress updates
+   * @param {Object} options - Optional platform and AbortSignal (signal)
+   * @returns {Promise<Object>} Pull result
+   */
+  async pullImageWithCredentials(imageName, credentials, progressCallback, { signal, platform } = {}) {
+    const dockerConfig = await registryCredentials.writeDockerConfig(credentials);
+    try {
+      return await this.pullImageWithProgress(imageName, progressCallback, {
+        signal,
+        platform,
+        env: buildPullEnv(dockerConfig.dir)
+      });
+    } finally {
+      await dockerConfig.remove();
+    }
+  }
+
   /**
    * Pull image with real-time progress updates
    * @param {string} imageName - Name of the image to pull
    * @param {function} progressCallback - Callback for progress updates
+   * @param {Object} options - Optional platform, AbortSignal (signal) and env for
+   *   the docker process; aborting kills docker pull, which makes the daemon
+   *   abandon the pull
    * @returns {Promise<Object>} Pull result
    */
-  pullImageWithProgress(imageName, progressCallback) {
+  pullImageWithProgress(imageName, progressCallback, { signal, platform, env } = {}) {
     return new Promise((resolve, reject) => {
       try {
         assertValidImageName(imageName);
@@ -65,25 +293,25 @@ class DockerUtils {
         return;
       }
 
-      const pullProcess = spawn(this.dockerCommand, ['pull', imageName]);
+      const pullArgs = this.pullArgs(imageName, platform);
+      const pullProcess = env ? spawn(this.dockerCommand, pullArgs, { env }) : spawn(this.dockerCommand, pullArgs);
+      const abort = killOnAbort(signal, pullProcess);
+      const tracker = new PullProgress();
+      const report = throttledPullReporter(imageName, tracker, progressCallback);
       let output = '';
       let errorOutput = '';
+      let partialLine = '';
 
       pullProcess.stdout.on('data', (data) => {
         const chunk = data.toString();
         output += chunk;
-        
-        // Parse progress information
-        const lines = chunk.split('\n').filter(line => line.trim());
-        lines.forEach(line => {
-          if (progressCallback) {
-            progressCallback({
-              type: 'progress',
-              message: line.trim(),
-              imageName
-            });
-          }
-        });
+
+        // Layer status lines ("<id>: Pull complete") drive the per-layer state;
+        // a chunk can end mid-line, so the tail waits for the next one
+        const lines = (partialLine + chunk).split('\n');
+        partialLine = lines.pop();
+        const changed = lines.map((line) => tracker.applyLine(line)).some(Boolean);
+        report(changed);
       });
 
       pullProcess.stderr.on('data', (data) => {
@@ -93,7 +321,12 @@ class DockerUtils {
       });
 
       pullProcess.on('close', (code) => {
-        if (code === 0) {
+        abort.release();
+        if (abort.cancelled()) {
+          reject(cancelledError());
+        } else if (code === 0) {
+          tracker.applyLine(partialLine);
+          report(true);
           resolve({
             success: true,
             imageName,
@@ -106,6 +339,7 @@ class DockerUtils {
       });
 
       pullProcess.on('error', (error) => {
+        abort.release();
         reject(new Error(`Failed to start docker pull: ${error.message}`));
       });
     });
@@ -113,33 +347,21 @@ class DockerUtils {
 
   /**
    * List local Docker images
-   * @returns {Promise<Array>} Array of image objects
+   * @returns {Promise<Array>} Images, newest first: name, id, created (ISO date),
+   *   size (bytes), repository and tag; one entry per tag
    */
   async listImages() {
     try {
-      const { stdout } = await execFileAsync(this.dockerCommand, [
-        'images',
-        '--format',
-        '{{.Repository}}:{{.Tag}}|{{.ID}}|{{.CreatedAt}}|{{.Size}}'
-      ]);
-
-      const images = stdout
-        .trim()
-        .split('\n')
-        .filter(line => line.trim())
-        .map(line => {
-          const [name, id, created, size] = line.split('|');
-          return {
-            name: name === '<none>:<none>' ? `${id.substring(0, 12)}` : name,
-            id,
-            created,
-            size,
-            repository: name.split(':')[0],
-            tag: name.split(':')[1] || 'latest'
-          };
-        });
-
-      return images;
+      return await this.withEngine('listImages', async () => toImageList(await dockerEngine.listImages()), async () => {
+        // `docker images` only prints rounded sizes; inspect has the byte counts
+        const { stdout: idOutput } = await execFileAsync(this.dockerCommand, ['images', '--quiet', '--no-trunc']);
+        const ids = Array.from(new Set(idOutput.split('\n').map((line) => line.trim()).filter(Boolean)));
+        if (ids.length === 0) {
+          return [];
+        }
+        const { stdout } = await execFileAsync(this.dockerCommand, ['image', 'inspect', ...ids]);
+        return toImageList(JSON.parse(stdout));
+      });
     } catch (error) {
       console.error('Failed to list Docker images:', error);
       throw new Error(`Failed to list images: ${error.message}`);
@@ -154,14 +376,25 @@ class DockerUtils {
   async removeImage(imageName) {
     try {
       assertValidImageName(imageName);
-      const { stdout, stderr } = await execFileAsync(this.dockerCommand, ['rmi', imageName]);
-
-      return {
-        success: true,
-        imageName,
-        output: stdout,
-        error: stderr
-      };
+      return await this.withEngine('removeImage', async () => {
+        const removed = await dockerEngine.removeImage(imageName);
+        return {
+          success: true,
+          imageName,
+          output: (removed || [])
+            .map((entry) => (entry.Untagged ? `Untagged: ${entry.Untagged}` : `Deleted: ${entry.Deleted}`))
+            .join('\n'),
+          error: ''
+        };
+      }, async () => {
+        const { stdout, stderr } = await execFileAsync(this.dockerCommand, ['rmi', imageName]);
+        return {
+          success: true,
+          imageName,
+          output: stdout,
+          error: stderr
+        };
+      });
     } catch (error) {
       console.error(`Failed to remove image ${imageName}:`, error);
       throw new Error(`Failed to remove image: ${error.message}`);
@@ -171,31 +404,31 @@ class DockerUtils {
   /**
    * Load an image from a tarball into the Docker daemon
    * @param {string} filePath - Server-controlled path to the tar archive
+   * @param {function} progressCallback - Optional; called with { progress, message, layer }
+   *   for each layer the Engine API loads (the CLI reports none)
    * @returns {Promise<Object>} Load result with parsed image refs and IDs
    */
-  async loadImage(filePath) {
+  async loadImage(filePath, progressCallback = null) {
     try {
-      const { stdout } = await execFileAsync(this.dockerCommand, ['load', '-i', filePath]);
-
-      const loadedImages = [];
-      const loadedImageIds = [];
-      stdout.split('\n').forEach((line) => {
-        const refMatch = line.match(/^Loaded image: (.+)$/);
-        if (refMatch) {
-          loadedImages.push(refMatch[1].trim());
-          return;
-        }
-        const idMatch = line.match(/^Loaded image ID: (.+)$/);
-        if (idMatch) {
-          loadedImageIds.push(idMatch[1].trim());
+      const output = await this.withEngine('loadImage', () => dockerEngine.loadImage(filePath, (message) => {
+        const detail = message.progressDetail || {};
+        if (progressCallback && message.status && detail.total) {
+          progressCallback({
+            type: 'progress',
+            message: `${message.status} ${shortId(message.id)}`,
+            progress: Math.round((detail.current / detail.total) * 100),
+            layer: message.id
+          });
         }
+      }), async () => {
+        const { stdout } = await execFileAsync(this.dockerCommand, ['load', '-i', filePath]);
+        return stdout;
       });
 
       return {
         success: true,
-        loadedImages,
-        loadedImageIds,
-        output: stdout
+        ...parseLoadOutput(output),
+        output
       };
     } catch (error) {
       console.error(`Failed to load image from ${filePath}:`, error);
@@ -203,6 +436,62 @@ class DockerUtils {
     }
   }
 
+  /**
+   * Stream an image out of the daemon as a docker save tarball
+   * @param {string} imageName - Name, or image ID (sha256:...) of the image
+   * @param {Writable} destination - Stream the archive is piped into; it ends with the archive
+   * @param {Object} options - Optional AbortSignal (signal) that stops the export
+   * @returns {Promise<void>} Resolves once the destination has consumed the archive
+   */
+  async saveImage(imageName, destination, { signal } = {}) {
+    if (!IMAGE_ID_REGEX.test(imageName)) {
+      assertValidImageName(imageName);
+    }
+    try {
+      await this.withEngine('saveImage', async () => {
+        const res = await dockerEngine.saveImage(imageName, { signal });
+        await pipeline(res, destination, { signal });
+      }, () => this.saveImageWithCli(imageName, destination, { signal }));
+    } catch (error) {
+      if (isCancelled(error) || (signal && signal.aborted)) {
+        throw cancelledError();
+      }
+      console.error(`Failed to save image ${imageName}:`, error);
+      throw new Error(`Failed to save image: ${error.message}`);
+    }
+  }
+
+  async saveImageWithCli(imageName, destination, { signal } = {}) {
+    const saveProcess = spawn(this.dockerCommand, ['save', imageName]);
+    const abort = killOnAbort(signal, saveProcess);
+    let errorOutput = '';
+    saveProcess.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    const exited = new Promise((resolve, reject) => {
+      saveProcess.on('close', resolve);
+      saveProcess.on('error', (error) => reject(new Error(`Failed to start docker save: ${error.message}`)));
+    });
+
+    try {
+      // A reader that gives up early must not leave docker save blocked on its pipe
+      await pipeline(saveProcess.stdout, destination).catch((error) => {
+        saveProcess.kill();
+        throw error;
+      });
+      const code = await exited;
+      if (abort.cancelled()) {
+        throw cancelledError();
+      }
+      if (code !== 0) {
+        throw new Error(`Docker save failed with code ${code}: ${errorOutput}`);
+      }
+    } finally {
+      abort.release();
+    }
+  }
+
   /**
    * Get detailed information about an image
    * @param {string} imageName - Name of the image
@@ -211,21 +500,18 @@ class DockerUtils {
   async getImageInfo(imageName) {
     try {
       assertValidImageName(imageName);
-      const { stdout } = await execFileAsync(this.dockerCommand, ['inspect', imageName]);
+      const imageInfo = await this.withEngine('getImageInfo', async () => {
+        const inspected = await dockerEngine.inspectImage(imageName);
+        if (!inspected) {
+          throw new Error(`No such image: ${imageName}`);
+        }
+        return inspected;
+      }, async () => {
+        const { stdout } = await execFileAsync(this.dockerCommand, ['inspect', imageName]);
+        return JSON.parse(stdout)[0];
+      });
 
-      const imageInfo = JSON.parse(stdout)[0];
-      
-      return {
-        id: imageInfo.Id,
-        created: imageInfo.Created,
-        size: imageInfo.Size,
-        virtualSize: imageInfo.VirtualSize,
-        architecture: imageInfo.Architecture,
-        os: imageInfo.Os,
-        config: imageInfo.Config,
-        rootfs: imageInfo.RootFS,
-        metadata: imageInfo.ContainerConfig
-      };
+      return toImageInfo(imageInfo);
     } catch (error) {
       console.error(`Failed to get image info for ${imageName}:`, error);
       throw new Error(`Failed to get image info: ${error.message}`);
@@ -238,8 +524,10 @@ class DockerUtils {
    */
   async isDockerAvailable() {
     try {
-      await execFileAsync(this.dockerCommand, ['--version']);
-      return true;
+      return await this.withEngine('isDockerAvailable', () => dockerEngine.ping(), async () => {
+        await execFileAsync(this.dockerCommand, ['--version']);
+        return true;
+      });
     } catch (error) {
       console.error('Docker is not available:', error);
       return false;
@@ -252,8 +540,11 @@ class DockerUtils {
    */
   async getDockerVersion() {
     try {
-      const { stdout } = await execFileAsync(this.dockerCommand, ['version', '--format', 'json']);
-      return JSON.parse(stdout);
+      // The Engine API only knows the server; the CLI adds its own Client section
+      return await this.withEngine('getDockerVersion', async () => ({ Server: await dockerEngine.version() }), async () => {
+        const { stdout } = await execFileAsync(this.dockerCommand, ['version', '--format', 'json']);
+        return JSON.parse(stdout);
+      });
     } catch (error) {
       console.error('Failed to get Docker version:', error);
       throw new Error(`Failed to get Docker version: ${error.message}`);
@@ -268,45 +559,122 @@ class DockerUtils {
   async imageExists(imageName) {
     assertValidImageName(imageName);
     try {
-      await execFileAsync(this.dockerCommand, ['inspect', imageName]);
-      return true;
+      return await this.withEngine('imageExists', async () => Boolean(await dockerEngine.inspectImage(imageName)), async () => {
+        await execFileAsync(this.dockerCommand, ['inspect', imageName]);
+        return true;
+      });
     } catch (error) {
       return false;
     }
   }
+  /**
+   * Make the local tag hold the given platform variant, pulling it when the
+   * local image is missing or another platform
+   * @param {string} imageName - Name of the image
+   * @param {string} platform - os/arch[/variant]
+   * @param {Object} options - Optional AbortSignal (signal) that kills the pull
+   * @returns {Promise<Object>} getImageInfo result for the local variant
+   */
+  async ensurePlatformImage(imageName, platform, { signal } = {}) {
+    assertValidImageName(imageName);
+    assertValidPlatform(platform);
+
+    const local = await this.getImageInfo(imageName).catch(() => null);
+    if (matchesPlatform(local, platform)) {
+      return local;
+    }
+
+    await this.pullImage(imageName, null, { signal, platform });
+    const pulled = await this.getImageInfo(imageName);
+    if (!matchesPlatform(pulled, platform)) {
+      throw new Error(`Local ${imageName} is not the ${platform} variant after pulling`);
+    }
+    return pulled;
+  }
+
+  /**
+   * Platforms an image reference is published for, from its registry manifest
+   * list. A single-platform manifest, or an image the registry doesn't know
+   * (built or loaded locally), reports the platform of the local image.
+   * @param {string} imageName - Name of the image
+   * @returns {Promise<Array<string>>} Platform strings such as linux/amd64
+   */
+  async getImagePlatforms(imageName) {
+    assertValidImageName(imageName);
+    let platforms = [];
+    try {
+      platforms = await this.withEngine('getImagePlatforms', async () => {
+        const distribution = await dockerEngine.distributionInspect(imageName);
+        return toPlatformList(distribution.Platforms);
+      }, async () => {
+        const { stdout } = await execFileAsync(this.dockerCommand, ['manifest', 'inspect', imageName]);
+        return toPlatformList((JSON.parse(stdout).manifests || []).map((manifest) => manifest.platform));
+      });
+    } catch (error) {
+      console.warn(`Registry platforms unavailable for ${imageName}: ${error.message}`);
+    }
+
+    if (platforms.length > 1) {
+      return platforms;
+    }
+    try {
+      const local = formatPlatform(await this.getImageInfo(imageName));
+      return local ? [local] : platforms;
+    } catch (error) {
+      return platforms;
+    }
+  }
+
 
   /**
    * Get the history of an image (layers)
    * @param {string} imageName - Name of the image
-   * @returns {Promise<Array>} Array of layer objects
+   * @returns {Promise<Array>} Layers, newest first: id, command, size (bytes),
+   *   created (ISO date) and index
    */
   async getImageHistory(imageName) {
     try {
       assertValidImageName(imageName);
-      const { stdout } = await execFileAsync(this.dockerCommand, [
-        'history',
-        imageName,
-        '--format',
-        '{{.ID}}|{{.CreatedBy}}|{{.Size}}|{{.CreatedAt}}',
-        '--no-trunc'
-      ]);
-
-      const layers = stdout
-        .trim()
-        .split('\n')
-        .filter(line => line.trim())
-        .map((line, index) => {
-          const [id, command, size, created] = line.split('|');
-          return {
-            id,
-            command: command.replace(/^\/bin\/sh -c #\(nop\) /, '').replace(/^\/bin\/sh -c /, 'RUN '),
-            size,
-            created,
-            index
-          };
-        });
-
-      return layers;
+      const entries = await this.withEngine('getImageHistory', async () => {
+        const history = await dockerEngine.imageHistory(imageName);
+        return history.map((entry) => ({
+          id: entry.Id,
+          createdBy: entry.CreatedBy,
+          size: entry.Size,
+          created: toIsoDate(entry.Created)
+        }));
+      }, async () => {
+        // JSON lines survive commands containing the old `|` separator;
+        // --human=false prints sizes in bytes and RFC 3339 dates
+        const { stdout } = await execFileAsync(this.dockerCommand, [
+          'history',
+          imageName,
+          '--format',
+          '{{json .}}',
+          '--no-trunc',
+          '--human=false'
+        ]);
+        return stdout
+          .split('\n')
+          .filter((line) => line.trim())
+          .map((line) => {
+            const entry = JSON.parse(line);
+            return {
+              id: entry.ID,
+              createdBy: entry.CreatedBy,
+              size: Number(entry.Size) || 0,
+              created: entry.CreatedAt
+            };
+          });
+      });
+
+      return entries.map(({ id, createdBy, size, created }, index) => ({
+        id,
+        command: cleanCommand(createdBy),
+        size,
+        created,
+        index
+      }));
     } catch (error) {
       console.error(`Failed to get image history for ${imageName}:`, error);
       throw new Error(`Failed to get image history: ${error.message}`);
@@ -0,0 +1,288 @@
+// Default PATH the daemon puts in every image config; not worth an ENV line
+const DEFAULT_PATH = 'PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+
+// Flags BuildKit may record in front of a RUN command
+const RUN_FLAG_REGEX = /^--(mount|network|security)=\S+$/;
+
+// The shell a RUN was wrapped in: /bin/sh -c, or a SHELL such as bash -o pipefail -c
+const SHELL_PREFIX_REGEX = /^(?:\/\S*\/)?(?:ba|da|a|z)?sh(?:\s+-o\s+\S+|\s+-[a-bd-zA-Z]+)*\s+-c\s+/;
+
+const HEREDOC_REGEX = /<<-?\s*["']?[A-Za-z_]\w*["']?/;
+
+/**
+ * Size the way `docker history` prints it (go-units HumanSize: decimal, 4 significant digits)
+ * @param {number} bytes - Layer size in bytes
+ * @returns {string} e.g. 77.83MB
+ */
+const humanSize = (bytes) => {
+  const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+  let value = bytes || 0;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${Number(value.toPrecision(4))}${units[unit]}`;
+};
+
+// History prints exec-form arrays with Go's %q: ["nginx" "-g" "daemon off;"]
+const parseGoStrings = (text) => {
+  const tokens = text.match(/"(?:[^"\\]|\\.)*"/g) || [];
+  return tokens.map((token) => {
+    try {
+      return JSON.parse(token);
+    } catch (error) {
+      return token.slice(1, -1);
+    }
+  });
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Values with whitespace or quotes need quoting in ENV and LABEL
+const quote = (value) => (/[\s"'\\]/.test(value) || value === '' ? JSON.stringify(value) : value);
+
+const execForm = (values) => `[${values.map((value) => JSON.stringify(value)).join(', ')}]`;
+
+// HEALTHCHECK &{["CMD-SHELL" "curl -f localhost"] "30s" "5s" "0s" "0s" '\x03'}
+const formatHealthcheckArguments = (args) => {
+  const match = args.match(/^&\{\[(.*?)\]\s+"([^"]*)"\s+"([^"]*)"\s+"([^"]*)"(?:\s+"[^"]*")?\s+'\\x([0-9a-f]{2})'\}$/);
+  if (!match) {
+    return args;
+  }
+  const [, testText, interval, timeout, startPeriod, retriesHex] = match;
+  const [type, ...command] = parseGoStrings(`[${testText}]`);
+  if (type === 'NONE') {
+    return 'NONE';
+  }
+  const options = [
+    interval !== '0s' && `--interval=${interval}`,
+    timeout !== '0s' && `--timeout=${timeout}`,
+    startPeriod !== '0s' && `--start-period=${startPeriod}`,
+    parseInt(retriesHex, 16) > 0 && `--retries=${parseInt(retriesHex, 16)}`
+  ].filter(Boolean);
+  const cmd = type === 'CMD-SHELL' ? command.join(' ') : execForm(command);
+  return [...options, 'CMD', cmd].join(' ');
+};
+
+const normalizeArguments = (keyword, args) => {
+  if (/^\[.*\]$/.test(args) && ['CMD', 'ENTRYPOINT', 'SHELL', 'VOLUME'].includes(keyword)) {
+    return execForm(parseGoStrings(args));
+  }
+  if (keyword === 'EXPOSE') {
+    // Older daemons record the port set as a Go map: map[80/tcp:{} 443/tcp:{}]
+    const map = args.match(/^map\[(.*)\]$/);
+    return map ? (map[1].match(/[^\s:]+(?=:\{\})/g) || []).join(' ') : args;
+  }
+  if (keyword === 'ADD' || keyword === 'COPY') {
+    // The classic builder records `ADD file:<hash> in /dest`
+    return args.replace(/^(\S+:[0-9a-f]+) in (\S+)\s*$/, '$1 $2');
+  }
+  if (keyword === 'HEALTHCHECK') {
+    return formatHealthcheckArguments(args);
+  }
+  return args;
+};
+
+/**
+ * Split a RUN command as history records it into its parts: BuildKit flags
+ * (--mount and friends), build args (`|2 A=1 B=2` prefix) and the script
+ * with the shell wrapper removed
+ * @param {string} text - Command after the RUN keyword
+ * @returns {{ flags: string[], buildArgs: string[], script: string }} RUN parts
+ */
+const parseRun = (text) => {
+  let rest = text.trim();
+  const flags = [];
+  const buildArgs = [];
+
+  // Flags and the build-arg prefix both come before the shell, in either order
+  for (;;) {
+    const flag = rest.match(/^(\S+)\s+/);
+    if (flag && RUN_FLAG_REGEX.test(flag[1])) {
+      flags.push(flag[1]);
+      rest = rest.slice(flag[0].length);
+      continue;
+    }
+    const args = rest.match(/^\|(\d+)\s+/);
+    if (args) {
+      rest = rest.slice(args[0].length);
+      for (let i = 0; i < parseInt(args[1], 10); i++) {
+        const arg = rest.match(/^(\S+)\s*/);
+        if (!arg) {
+          break;
+        }
+        buildArgs.push(arg[1]);
+        rest = rest.slice(arg[0].length);
+      }
+      continue;
+    }
+    break;
+  }
+
+  return { flags, buildArgs, script: rest.replace(SHELL_PREFIX_REGEX, '') };
+};
+
+const formatRun = ({ flags, script }) => {
+  const prefix = ['RUN', ...flags].join(' ');
+  // Multi-line scripts come from heredocs; keep one that still has its marker
+  if (script.includes('\n') && !HEREDOC_REGEX.test(script)) {
+    return `${prefix} <<EOF\n${script}\nEOF`;
+  }
+  return `${prefix} ${script}`;
+};
+
+/**
+ * Strip the classic builder's shell wrapper from a history CreatedBy:
+ * `#(nop)` metadata instructions lose it, other commands become RUN
+ * @param {string} command - Raw CreatedBy text
+ * @returns {string} Command as a Dockerfile instruction
+ */
+const cleanCommand = (command) => String(command || '')
+  .replace(/^\/bin\/sh -c #\(nop\)\s+/, '')
+  .replace(/^\/bin\/sh -c /, 'RUN ');
+
+/**
+ * Turn one history command (DockerUtils.getImageHistory `command`) into
+ * Dockerfile instructions
+ * @param {string} command - Cleaned CreatedBy text
+ * @returns {Object} keyword, the instruction text and any build args its RUN used
+ */
+const parseHistoryCommand = (command) => {
+  const text = String(command || '').replace(/\s*# buildkit$/, '').trim();
+  if (!text) {
+    return { keyword: null, text: '# (no instruction recorded for this layer)', buildArgs: [] };
+  }
+
+  // Classic builder RUNs with build args aren't prefixed with RUN
+  if (text.startsWith('|')) {
+    const run = parseRun(text);
+    return { keyword: 'RUN', text: formatRun(run), buildArgs: run.buildArgs };
+  }
+
+  const match = text.match(/^([A-Z]+)(?:\s+([\s\S]*))?$/);
+  if (!match) {
+    const run = parseRun(text);
+    return { keyword: 'RUN', text: formatRun(run), buildArgs: run.buildArgs };
+  }
+
+  const [, keyword, args = ''] = match;
+  if (keyword === 'RUN') {
+    const run = parseRun(args);
+    return { keyword, text: formatRun(run), buildArgs: run.buildArgs };
+  }
+  return { keyword, text: `${keyword} ${normalizeArguments(keyword, args.trim())}`.trim(), buildArgs: [] };
+};
+
+// Config settings the history doesn't show (squashed or imported images)
+const configInstructions = (config, keywords, historyLines) => {
+  if (!config) {
+    return [];
+  }
+  const missing = (keyword) => !keywords.has(keyword);
+  const declared = (keyword, name) => historyLines
+    .filter((line) => line.startsWith(`${keyword} `))
+    .some((line) => new RegExp(`(^|\\s)${escapeRegExp(name)}[= ]`).test(line.slice(keyword.length)));
+  const instructions = [];
+
+  (config.Env || [])
+    .filter((entry) => entry !== DEFAULT_PATH)
+    .map((entry) => [entry.slice(0, entry.indexOf('=')), entry.slice(entry.indexOf('=') + 1)])
+    .filter(([name]) => !declared('ENV', name))
+    .forEach(([name, value]) => instructions.push(`ENV ${name}=${quote(value)}`));
+  Object.entries(config.Labels || {})
+    .filter(([key]) => !declared('LABEL', key))
+    .forEach(([key, value]) => instructions.push(`LABEL ${key}=${quote(value)}`));
+  if (missing('EXPOSE') && config.ExposedPorts && Object.keys(config.ExposedPorts).length > 0) {
+    instructions.push(`EXPOSE ${Object.keys(config.ExposedPorts).sort().join(' ')}`);
+  }
+  if (missing('WORKDIR') && config.WorkingDir) {
+    instructions.push(`WORKDIR ${config.WorkingDir}`);
+  }
+  if (missing('USER') && config.User) {
+    instructions.push(`USER ${config.User}`);
+  }
+  if (missing('ENTRYPOINT') && config.Entrypoint) {
+    instructions.push(`ENTRYPOINT ${execForm(config.Entrypoint)}`);
+  }
+  if (missing('CMD') && config.Cmd) {
+    instructions.push(`CMD ${execForm(config.Cmd)}`);
+  }
+
+  return instructions.map((text) => ({
+    instruction: text.split(' ')[0],
+    text,
+    size: 0,
+    layerId: null,
+    created: null,
+    source: 'config'
+  }));
+};
+
+/**
+ * Reconstruct an approximate Dockerfile from an image's history and config.
+ * The base image's instructions are part of the history, so they are
+ * included; when its root filesystem layer is the first entry the result
+ * starts FROM scratch.
+ * @param {Array} history - DockerUtils.getImageHistory result (newest first)
+ * @param {Object} config - Image config (DockerUtils.getImageInfo `config`), optional
+ * @returns {Object} instructions (oldest first: instruction, text, size,
+ *   layerId, created, source of `history` or `config`) and the dockerfile text
+ */
+const reconstructDockerfile = (history, config = null) => {
+  const declaredArgs = new Set();
+  const instructions = [];
+
+  [...history].reverse().forEach((entry) => {
+    const parsed = parseHistoryCommand(entry.command);
+    // Build args a RUN saw, declared once per value before their first use
+    parsed.buildArgs.filter((arg) => !declaredArgs.has(arg)).forEach((arg) => {
+      declaredArgs.add(arg);
+      instructions.push({ instruction: 'ARG', text: `ARG ${arg}`, size: 0, layerId: null, created: entry.created, source: 'history' });
+    });
+    instructions.push({
+      instruction: parsed.keyword,
+      text: parsed.text,
+      size: entry.size || 0,
+      layerId: entry.id && entry.id !== '<missing>' ? entry.id : null,
+      created: entry.created || null,
+      source: 'history'
+    });
+  });
+
+  const keywords = new Set(instructions.map((instruction) => instruction.instruction));
+  const historyLines = instructions.map((instruction) => instruction.text);
+  const fromConfig = configInstructions(config, keywords, historyLines);
+
+  const first = instructions.find((instruction) => instruction.instruction);
+  const fromScratch = first && /^(ADD|COPY) \S+ \/$/.test(first.text);
+  const lines = [
+    '# Reconstructed from image history; build context files and multi-stage sources are not recoverable',
+    fromScratch ? 'FROM scratch' : '# FROM <base image not recorded in history>'
+  ];
+
+  instructions.forEach((instruction) => {
+    lines.push('');
+    if (instruction.size > 0) {
+      lines.push(`# ${humanSize(instruction.size)}`);
+    }
+    lines.push(instruction.text);
+  });
+  if (fromConfig.length > 0) {
+    lines.push('', '# From the image config (not in the history)');
+    fromConfig.forEach((instruction) => lines.push(instruction.text));
+  }
+
+  return {
+    instructions: [...instructions, ...fromConfig],
+    dockerfile: `${lines.join('\n')}\n`
+  };
+};
+
+module.exports = {
+  cleanCommand,
+  humanSize,
+  parseRun,
+  parseHistoryCommand,
+  reconstructDockerfile
+};
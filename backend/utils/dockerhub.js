@@ -1,4 +1,26 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { validateImageName, parseImageReference } = require('./image-name');
+const { RegistryClient } = require('./registry');
+const registryCredentials = require('./registry-credentials');
+
+// Hub JWTs are used until shortly before they expire; tokens without a
+// readable expiry are kept this long
+const HUB_TOKEN_MARGIN_MS = 60 * 1000;
+const HUB_TOKEN_DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// Expiry (ms) from a JWT's exp claim, or null when it has none
+const jwtExpiry = (token) => {
+  try {
+    const { exp } = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Identifies the secret a token was issued for, so a rotation logs in again
+const secretFingerprint = ({ username, password }) => crypto.createHash('sha256').update(`${username}\0${password}`).digest('hex');
 
 /**
  * Docker Hub API utility functions
@@ -16,6 +38,9 @@ class DockerHubUtils {
       }
     });
 
+    // Docker Hub JWTs by username: { fingerprint, token, expiresAt }
+    this.hubTokens = new Map();
+
     // Popular images to show when no search is performed
     this.popularImages = [
       'nginx', 'node', 'ubuntu', 'postgres', 'redis', 'python', 
@@ -198,13 +223,22 @@ class DockerHubUtils {
   }
 
   /**
-   * Get tags for a specific image
+   * Get tags for a specific image. Images of other registries list their tags
+   * through the registry API (names only); both use stored registry credentials.
    * @param {string} imageName - Name of the image
    * @param {number} limit - Maximum number of tags to return
    * @returns {Promise<Array>} Array of tag objects
    */
   async getImageTags(imageName, limit = 10) {
     try {
+      const reference = validateImageName(imageName).valid ? parseImageReference(imageName) : null;
+      const credentials = reference ? registryCredentials.get(reference.registry) : null;
+      if (reference && reference.registry !== 'docker.io') {
+        const client = new RegistryClient(imageName, { credentials });
+        const names = await client.listTags({ limit });
+        return names.map((name) => ({ name }));
+      }
+
       const normalizedName = this.normalizeImageName(imageName);
       const [namespace, repository] = normalizedName.includes('/') 
         ? normalizedName.split('/')
@@ -215,7 +249,8 @@ class DockerHubUtils {
         params: {
           page_size: limit,
           ordering: '-last_updated'
-        }
+        },
+        headers: await this.authHeaders(credentials)
       });
 
       const tags = response.data.results || [];
@@ -229,11 +264,46 @@ class DockerHubUtils {
         v2: tag.v2
       }));
     } catch (error) {
+      // A token Docker Hub refuses (revoked with the password) is not reused
+      if (error.response && error.response.status === 401) {
+        this.hubTokens.clear();
+      }
       console.error(`Failed to get tags for ${imageName}:`, error);
       throw new Error(`Failed to get image tags: ${error.message}`);
     }
   }
 
+  /**
+   * Authorization for Docker Hub's own API, which takes a JWT from its login
+   * endpoint rather than registry tokens. The JWT is reused until it expires
+   * or the stored secret changes.
+   * @param {Object|null} credentials - Stored docker.io credentials
+   * @returns {Promise<Object>} Headers; none without credentials
+   */
+  async authHeaders(credentials) {
+    if (!credentials) {
+      return {};
+    }
+    const fingerprint = secretFingerprint(credentials);
+    const cached = this.hubTokens.get(credentials.username);
+    if (cached && cached.fingerprint === fingerprint && cached.expiresAt > Date.now()) {
+      return { Authorization: `Bearer ${cached.token}` };
+    }
+
+    const response = await this.api.post(`${this.baseURL}/users/login`, {
+      username: credentials.username,
+      password: credentials.password
+    });
+    const { token } = response.data;
+    const expiry = jwtExpiry(token);
+    this.hubTokens.set(credentials.username, {
+      fingerprint,
+      token,
+      expiresAt: expiry ? expiry - HUB_TOKEN_MARGIN_MS : Date.now() + HUB_TOKEN_DEFAULT_TTL_MS
+    });
+    return { Authorization: `Bearer ${token}` };
+  }
+
   /**
    * Search for repositories with additional filters
    * @param {string} query - Search query
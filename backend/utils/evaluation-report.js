@@ -0,0 +1,208 @@
+const { RULE_DESCRIPTIONS } = require('./ci-rules');
+const { ADVICE_RULES } = require('./advisor');
+const { humanSize } = require('./dockerfile');
+
+const TOOL_NAME = 'docker-dive-web-ui';
+
+// Inefficient files listed as locations of a failed dive CI rule
+const FILE_LOCATION_LIMIT = 10;
+
+// SARIF file locations are relative to the image's filesystem root
+const IMAGE_ROOT = 'IMAGEROOT';
+
+const layerLocation = (layer) => ({
+  name: `layer #${layer.layerIndex + 1}`,
+  fullyQualifiedName: layer.layerId,
+  kind: 'module',
+  properties: { layerIndex: layer.layerIndex, command: layer.command }
+});
+
+const fileLocation = (path, layers) => ({
+  physicalLocation: {
+    artifactLocation: { uri: encodeURI(path.replace(/^\/+/, '')), uriBaseId: IMAGE_ROOT }
+  },
+  logicalLocations: layers.map(layerLocation)
+});
+
+// The inefficient files behind a failed efficiency or wasted-bytes rule
+const wastedFileLocations = (analysis) => {
+  const layers = analysis.layers || [];
+  return (analysis.inefficientFiles || []).slice(0, FILE_LOCATION_LIMIT).map((file) => fileLocation(
+    file.path,
+    file.layers.map((touch) => ({ layerIndex: touch.index, layerId: layers[touch.index]?.id, command: layers[touch.index]?.command }))
+  ));
+};
+
+const adviceLocations = (finding) => (finding.paths.length > 0
+  ? finding.paths.map((path) => fileLocation(path, [finding]))
+  : [{ logicalLocations: [layerLocation(finding)] }]);
+
+const describeFinding = (finding) => {
+  const savings = finding.savings === 'image'
+    ? `about ${humanSize(finding.estimatedSavings)} of image size`
+    : `a ${humanSize(finding.estimatedSavings)} layer rebuilt on every source change`;
+  return `${finding.title} (layer #${finding.layerIndex + 1}, ${savings}). ${finding.fix}`;
+};
+
+/**
+ * SARIF 2.1.0 log of an evaluation: a failed dive CI rule is an error located
+ * at the most wasteful files and their layers, and every optimization advice
+ * finding is a warning located at its layer and example paths
+ * @param {Object} evaluation - evaluateRules result
+ * @param {Object} analysis - The evaluated analysis (advice and inefficient files)
+ * @param {Object} context - imageName, digest and platform of the inspection
+ * @returns {Object} SARIF log
+ */
+const toSarif = (evaluation, analysis, { imageName, digest, platform } = {}) => {
+  const rules = [
+    ...Object.entries(RULE_DESCRIPTIONS).map(([id, description]) => ({
+      id,
+      name: id,
+      shortDescription: { text: description },
+      defaultConfiguration: { level: 'error' },
+      properties: { category: 'dive-ci' }
+    })),
+    ...Object.entries(ADVICE_RULES).map(([id, description]) => ({
+      id,
+      name: id,
+      shortDescription: { text: description },
+      defaultConfiguration: { level: 'warning' },
+      properties: { category: 'best-practice' }
+    }))
+  ];
+  const ruleIndex = (id) => rules.findIndex((rule) => rule.id === id);
+
+  const failed = evaluation.rules
+    .filter((rule) => rule.status === 'fail')
+    .map((rule) => ({
+      ruleId: rule.name,
+      ruleIndex: ruleIndex(rule.name),
+      level: 'error',
+      message: { text: `${imageName}: ${rule.message}` },
+      locations: wastedFileLocations(analysis),
+      properties: { threshold: rule.threshold, actual: rule.actual }
+    }));
+
+  const advised = (analysis.advice?.findings || []).map((finding) => ({
+    ruleId: finding.rule,
+    ruleIndex: ruleIndex(finding.rule),
+    level: 'warning',
+    message: { text: describeFinding(finding) },
+    locations: adviceLocations(finding),
+    properties: { estimatedSavings: finding.estimatedSavings, savings: finding.savings }
+  }));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, rules } },
+      originalUriBaseIds: {
+        [IMAGE_ROOT]: { uri: 'file:///', description: { text: `Root filesystem of ${imageName}` } }
+      },
+      invocations: [{ executionSuccessful: true }],
+      results: [...failed, ...advised],
+      properties: {
+        imageName,
+        digest: digest || null,
+        platform: platform || null,
+        verdict: evaluation.verdict,
+        metrics: evaluation.metrics
+      }
+    }]
+  };
+};
+
+// XML 1.0 has no escape for most control characters, so they are dropped
+const escapeXml = (value) => String(value ?? '')
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const testcase = (classname, name, outcome) => {
+  const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}"`;
+  if (outcome.skipped) {
+    return `${open}>\n      <skipped message="${escapeXml(outcome.skipped)}"/>\n    </testcase>`;
+  }
+  if (outcome.failure) {
+    return `${open}>\n      <failure message="${escapeXml(outcome.failure)}" type="${escapeXml(name)}">${escapeXml(outcome.details || outcome.failure)}</failure>\n    </testcase>`;
+  }
+  return `${open}/>`;
+};
+
+const testsuite = (name, cases, { timestamp, properties }) => {
+  const failures = cases.filter((entry) => entry.outcome.failure).length;
+  const skipped = cases.filter((entry) => entry.outcome.skipped).length;
+  return [
+    `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}"${timestamp ? ` timestamp="${escapeXml(timestamp)}"` : ''}>`,
+    '    <properties>',
+    ...Object.entries(properties)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `      <property name="${key}" value="${escapeXml(value)}"/>`),
+    '    </properties>',
+    ...cases.map((entry) => entry.xml),
+    '  </testsuite>'
+  ].join('\n');
+};
+
+/**
+ * JUnit XML of an evaluation: a testcase per dive CI rule (skipped when
+ * disabled) and one per optimization advice rule, failing with its findings
+ * @param {Object} evaluation - evaluateRules result
+ * @param {Object} analysis - The evaluated analysis (advice)
+ * @param {Object} context - imageName, digest, platform and completedAt of the inspection
+ * @returns {string} JUnit XML document
+ */
+const toJunit = (evaluation, analysis, { imageName, digest, platform, completedAt } = {}) => {
+  const suiteOptions = { timestamp: completedAt, properties: { imageName, digest, platform } };
+  const findings = analysis.advice?.findings || [];
+
+  const ciCases = evaluation.rules.map((rule) => {
+    const outcome = rule.status === 'skip'
+      ? { skipped: rule.message }
+      : rule.status === 'fail' ? { failure: rule.message } : {};
+    return { outcome, xml: testcase(imageName, rule.name, outcome) };
+  });
+
+  const adviceCases = Object.keys(ADVICE_RULES).map((rule) => {
+    const matches = findings.filter((finding) => finding.rule === rule);
+    const outcome = matches.length === 0 ? {} : {
+      failure: `${matches.length} finding${matches.length === 1 ? '' : 's'}: ${ADVICE_RULES[rule]}`,
+      details: matches.map((finding) => [
+        describeFinding(finding),
+        ...finding.paths.map((path) => `  ${path}`)
+      ].join('\n')).join('\n\n')
+    };
+    return { outcome, xml: testcase(imageName, rule, outcome) };
+  });
+
+  const all = [...ciCases, ...adviceCases];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`${TOOL_NAME} ${imageName}`)}" tests="${all.length}" failures="${all.filter((entry) => entry.outcome.failure).length}" errors="0" skipped="${all.filter((entry) => entry.outcome.skipped).length}">`,
+    testsuite('dive-ci', ciCases, suiteOptions),
+    testsuite('best-practices', adviceCases, suiteOptions),
+    '</testsuites>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Serialisations of POST /api/inspect/:imageName/evaluate besides its JSON response
+ */
+const EVALUATION_FORMATS = {
+  sarif: {
+    contentType: 'application/sarif+json',
+    extension: 'sarif',
+    render: (...args) => JSON.stringify(toSarif(...args), null, 2)
+  },
+  junit: { contentType: 'application/xml; charset=utf-8', extension: 'junit.xml', render: toJunit }
+};
+
+module.exports = {
+  toSarif,
+  toJunit,
+  EVALUATION_FORMATS
+};
@@ -0,0 +1,278 @@
+const WHITEOUT_PREFIX = '.wh.';
+const OPAQUE_WHITEOUT = '.wh..wh..opq';
+
+// tar typeflags as reported by dive's fileList (byte values of '0', '1', ...)
+const TYPE_FLAGS = {
+  48: 'file',
+  0: 'file',
+  49: 'hardlink',
+  50: 'symlink',
+  51: 'char',
+  52: 'block',
+  53: 'dir',
+  54: 'fifo'
+};
+
+const TYPE_CHARS = {
+  dir: 'd',
+  symlink: 'l',
+  char: 'c',
+  block: 'b',
+  fifo: 'p'
+};
+
+const normalizePath = (rawPath) => {
+  const trimmed = String(rawPath || '').replace(/^\.\//, '').replace(/^\/+/, '').replace(/\/+$/, '');
+  return trimmed ? `/${trimmed}` : '';
+};
+
+const splitPath = (filePath) => {
+  const slash = filePath.lastIndexOf('/');
+  return {
+    dir: filePath.slice(0, slash),
+    base: filePath.slice(slash + 1)
+  };
+};
+
+const fileTypeOf = (info) => {
+  if (info.isDir) {
+    return 'dir';
+  }
+  return TYPE_FLAGS[info.typeFlag] || 'file';
+};
+
+/**
+ * Render permission bits the way `ls -l` (and dive's tree pane) shows them
+ * @param {string} type - Entry type from fileTypeOf
+ * @param {number} fileMode - Go os.FileMode value from dive
+ * @returns {string} Mode string such as -rwxr-xr-x
+ */
+const formatMode = (type, fileMode) => {
+  const perm = Number(fileMode) || 0;
+  const bits = ['r', 'w', 'x', 'r', 'w', 'x', 'r', 'w', 'x']
+    .map((flag, i) => ((perm >> (8 - i)) & 1 ? flag : '-'))
+    .join('');
+  return `${TYPE_CHARS[type] || '-'}${bits}`;
+};
+
+/**
+ * Path -> value map that also indexes every path under its parent directory,
+ * so whiteouts find what lies below a directory without scanning every path
+ * of the image (clean-up layers delete thousands of them)
+ */
+class PathTree {
+  constructor() {
+    this.values = new Map();
+    // Directory -> the paths directly below it, with or without a value
+    this.children = new Map();
+  }
+
+  get(path) {
+    return this.values.get(path);
+  }
+
+  has(path) {
+    return this.values.has(path);
+  }
+
+  set(path, value) {
+    this.values.set(path, value);
+    // Link the path and any unlinked ancestors up to the root ('')
+    let child = path;
+    while (child) {
+      const { dir } = splitPath(child);
+      let siblings = this.children.get(dir);
+      if (!siblings) {
+        siblings = new Set();
+        this.children.set(dir, siblings);
+      }
+      if (siblings.has(child)) {
+        break;
+      }
+      siblings.add(child);
+      child = dir;
+    }
+  }
+
+  /**
+   * Visit every path with a value below a directory
+   * @param {string} dirPath - Directory
+   * @param {function} callback - (value, path)
+   */
+  forEachUnder(dirPath, callback) {
+    const stack = [dirPath];
+    while (stack.length > 0) {
+      const children = this.children.get(stack.pop());
+      if (children) {
+        children.forEach((child) => {
+          if (this.values.has(child)) {
+            callback(this.values.get(child), child);
+          }
+          stack.push(child);
+        });
+      }
+    }
+  }
+
+  /**
+   * Remove a path and everything below it
+   * @param {string} path - Path to remove
+   * @param {Object} options - keepSelf: only empty the directory (opaque whiteouts)
+   */
+  remove(path, { keepSelf = false } = {}) {
+    const stack = [path];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      const children = this.children.get(current);
+      if (children) {
+        children.forEach((child) => {
+          this.values.delete(child);
+          stack.push(child);
+        });
+        this.children.delete(current);
+      }
+    }
+    if (!keepSelf) {
+      this.values.delete(path);
+      const siblings = this.children.get(splitPath(path).dir);
+      if (siblings) {
+        siblings.delete(path);
+      }
+    }
+  }
+}
+
+/**
+ * Convert dive's per-layer fileList arrays into file records carrying a change
+ * status relative to the filesystem built by all lower layers.
+ *
+ * Whiteout entries (.wh.<name>) become 'removed' records for <name>; opaque
+ * directory markers clear the lower directory contents and are not listed.
+ *
+ * @param {Array<Array<Object>>} fileLists - dive fileList per layer, bottom first
+ * @returns {Array<Array<Object>>} File records per layer, sorted by path
+ */
+function buildLayerFileTrees(fileLists) {
+  const visible = new PathTree();
+
+  return fileLists.map((fileList) => {
+    const records = [];
+    const layerEntries = (fileList || [])
+      .map((info) => ({ info, path: normalizePath(info.path) }))
+      .filter(({ path }) => path);
+
+    layerEntries.forEach(({ info, path }) => {
+      const { dir, base } = splitPath(path);
+
+      if (base === OPAQUE_WHITEOUT) {
+        visible.remove(dir, { keepSelf: true });
+        return;
+      }
+
+      if (base.startsWith(WHITEOUT_PREFIX)) {
+        const target = `${dir}/${base.slice(WHITEOUT_PREFIX.length)}`;
+        const previous = visible.get(target);
+        records.push({
+          path: target,
+          type: previous ? previous.type : 'file',
+          size: previous ? previous.size : 0,
+          mode: previous ? previous.mode : '----------',
+          uid: previous ? previous.uid : 0,
+          gid: previous ? previous.gid : 0,
+          linkName: previous ? previous.linkName : '',
+          status: 'removed'
+        });
+        visible.remove(target);
+        return;
+      }
+
+      const type = fileTypeOf(info);
+      const record = {
+        path,
+        type,
+        size: type === 'dir' ? 0 : Number(info.size) || 0,
+        mode: formatMode(type, info.fileMode),
+        uid: Number(info.uid) || 0,
+        gid: Number(info.gid) || 0,
+        linkName: info.linkName || '',
+        status: 'added'
+      };
+
+      const previous = visible.get(path);
+      if (previous) {
+        const sameDir = type === 'dir' && previous.type === 'dir'
+          && previous.mode === record.mode
+          && previous.uid === record.uid
+          && previous.gid === record.gid;
+        record.status = sameDir ? 'unmodified' : 'modified';
+      }
+
+      visible.set(path, record);
+      records.push(record);
+    });
+
+    return records.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  });
+}
+
+/**
+ * Attribute dive's inefficient bytes (image.fileReference) to layers.
+ *
+ * Every copy of a path that a later layer overwrites or deletes is dead weight
+ * that still ships with the image; its bytes are charged to the layer that
+ * physically holds the dead copy, so per-layer efficiency stays within 0-100%.
+ * The copy that survives in the final filesystem is never counted as waste.
+ *
+ * @param {Array<Object>} fileReferences - dive image.fileReference entries
+ * @param {Array<Array<Object>>} layerFiles - Output of buildLayerFileTrees
+ * @returns {Object} { wastedByLayer: number[], references: [{ path, count, sizeBytes, touches }] }
+ */
+function attributeWastedBytes(fileReferences, layerFiles) {
+  const wastedByLayer = layerFiles.map(() => 0);
+  const referencePaths = new Set(
+    (fileReferences || []).map((reference) => normalizePath(reference.file || reference.path))
+  );
+  const touchesByPath = new Map();
+
+  layerFiles.forEach((records, layerIndex) => {
+    records.forEach((record) => {
+      if (!referencePaths.has(record.path)) {
+        return;
+      }
+      if (!touchesByPath.has(record.path)) {
+        touchesByPath.set(record.path, []);
+      }
+      touchesByPath.get(record.path).push({
+        layerIndex,
+        status: record.status,
+        size: record.status === 'removed' ? 0 : record.size
+      });
+    });
+  });
+
+  const references = (fileReferences || []).map((reference) => {
+    const path = normalizePath(reference.file || reference.path);
+    const touches = touchesByPath.get(path) || [];
+
+    touches.slice(0, -1).forEach((touch) => {
+      wastedByLayer[touch.layerIndex] += touch.size;
+    });
+
+    return {
+      path,
+      count: Number(reference.count) || touches.length,
+      sizeBytes: Number(reference.sizeBytes) || 0,
+      touches
+    };
+  });
+
+  return { wastedByLayer, references };
+}
+
+module.exports = {
+  PathTree,
+  attributeWastedBytes,
+  buildLayerFileTrees,
+  formatMode,
+  normalizePath
+};
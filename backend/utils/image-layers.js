@@ -0,0 +1,223 @@
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const dockerUtils = require('./docker');
+const { TarReader } = require('./tar-reader');
+const { throwIfCancelled } = require('./cancellation');
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZSTD_MAGIC = Buffer.from([0x28, 0xb5, 0x2f, 0xfd]);
+
+const WHITEOUT_PREFIX = '.wh.';
+const OPAQUE_WHITEOUT = '.wh..wh..opq';
+
+const IGNORE = { write: () => null, end: () => null };
+
+/**
+ * Absolute path of a tar entry as it appears in the image filesystem
+ * @param {string} name - Entry name such as ./etc/app/ or etc/app
+ * @returns {string} e.g. /etc/app
+ */
+const normalizePath = (name) => `/${name.replace(/^\.?\/+/, '').replace(/\/+$/, '')}`;
+
+// Classic `<id>/layer.tar` entries and OCI layout blobs (which also hold configs)
+const isLayerEntry = (name) => /(^|\/)layer\.tar$/.test(name) || /^blobs\/sha256\/[a-f0-9]{64}$/.test(name);
+
+// Sink handing a stream's bytes to TarReader with backpressure; a broken
+// layer fails its own walk instead of the whole archive
+const streamSink = (streams, onFailure) => {
+  const input = new PassThrough();
+  let failed = null;
+  const done = pipeline(input, ...streams).catch((error) => {
+    failed = error;
+  });
+
+  return {
+    write: (chunk) => {
+      if (failed || input.write(chunk)) {
+        return null;
+      }
+      return new Promise((resolve) => {
+        input.once('drain', resolve);
+        done.then(resolve);
+      });
+    },
+    end: async () => {
+      if (!failed) {
+        input.end();
+      }
+      await done;
+      if (failed) {
+        onFailure(failed);
+      }
+    }
+  };
+};
+
+// Hands a layer's uncompressed bytes to a sink on their way to the tar reader
+const teeStream = (sink) => new Transform({
+  transform(chunk, encoding, callback) {
+    Promise.resolve(sink.write(chunk)).then(() => callback(null, chunk), callback);
+  },
+  flush(callback) {
+    Promise.resolve(sink.end && sink.end()).then(() => callback(), callback);
+  }
+});
+
+// Reader for one uncompressed layer tar: whiteouts are recorded on the layer,
+// every other entry goes to the visitor with its filesystem path
+const layerReader = (layer, onEntry) => new TarReader((header) => {
+  const filePath = normalizePath(header.name);
+  const base = path.posix.basename(filePath);
+
+  if (base.startsWith(WHITEOUT_PREFIX)) {
+    const directory = path.posix.dirname(filePath);
+    layer.whiteouts.push(base === OPAQUE_WHITEOUT
+      ? { path: directory, opaque: true }
+      : { path: path.posix.join(directory, base.slice(WHITEOUT_PREFIX.length)), opaque: false });
+    return null;
+  }
+  return onEntry({ ...header, path: filePath });
+});
+
+/**
+ * Sink for one layer entry of the docker save archive. The first bytes say
+ * whether it is a plain tar, gzip or zstd; anything else (OCI config and
+ * manifest blobs) is skipped
+ * @param {string} name - Entry name in the archive
+ * @param {Map} layers - Layer records by entry name
+ * @param {function} visitLayer - See readImageLayers
+ * @param {function} [onLayerData] - See readImageLayers
+ * @returns {Object} Sink for TarReader
+ */
+const layerSink = (name, layers, visitLayer, onLayerData) => {
+  const layer = { name, whiteouts: [], skipped: null };
+  const head = [];
+  let headLength = 0;
+  let target = null;
+
+  // Uncompressed layer bytes go to the onLayerData sink (if any) and the tar reader
+  const readers = () => {
+    const dataSink = onLayerData && onLayerData(layer);
+    return [...(dataSink ? [teeStream(dataSink)] : []), layerReader(layer, visitLayer(layer))];
+  };
+
+  const choose = () => {
+    const start = Buffer.concat(head);
+    if (start.subarray(0, 2).equals(GZIP_MAGIC)) {
+      target = streamSink([zlib.createGunzip(), ...readers()], (error) => {
+        layer.skipped = `unreadable gzip layer: ${error.message}`;
+      });
+    } else if (start.subarray(0, 4).equals(ZSTD_MAGIC)) {
+      layer.skipped = 'zstd-compressed layers are not supported';
+      target = IGNORE;
+    } else if (start.toString('latin1', 257, 262) === 'ustar') {
+      target = streamSink(readers(), (error) => {
+        layer.skipped = `unreadable layer: ${error.message}`;
+      });
+    } else {
+      target = IGNORE;
+      return null;
+    }
+    layers.set(name, layer);
+    return target.write(start);
+  };
+
+  return {
+    write: (chunk) => {
+      if (target) {
+        return target.write(chunk);
+      }
+      head.push(Buffer.from(chunk));
+      headLength += chunk.length;
+      return headLength >= 512 ? choose() : null;
+    },
+    end: async () => {
+      if (!target) {
+        await choose();
+      }
+      await target.end();
+    }
+  };
+};
+
+/**
+ * Whether a whiteout removes a path from the layers below it
+ * @param {Object} whiteout - { path, opaque } as recorded by readImageLayers
+ * @param {string} filePath - Absolute path in the image
+ * @returns {boolean} True when the path (or a directory above it) is deleted
+ */
+const removes = (whiteout, filePath) => filePath.startsWith(`${whiteout.path}/`)
+  || (!whiteout.opaque && filePath === whiteout.path);
+
+/**
+ * Later layer that deletes a path through a whiteout
+ * @param {string} filePath - Absolute path in the image
+ * @param {number} position - Layer that holds the file
+ * @param {Array} layers - readImageLayers result
+ * @returns {number|null} Index of the deleting layer, or null while the file is visible
+ */
+const deletedInLayer = (filePath, position, layers) => {
+  for (let later = position + 1; later < layers.length; later++) {
+    if ((layers[later]?.whiteouts || []).some((whiteout) => removes(whiteout, filePath))) {
+      return later;
+    }
+  }
+  return null;
+};
+
+/**
+ * Stream every layer of a local image (docker save) through a visitor,
+ * without writing the archive to disk. Gzip and plain tar layers are read;
+ * zstd layers are reported as skipped.
+ * @param {string} imageName - Validated image reference, or the image ID to pin one platform
+ * @param {function} visitLayer - Called with each layer record ({ name,
+ *   whiteouts, skipped }, which the visitor may add its own fields to) when
+ *   its blob starts; returns the onEntry callback for that layer's entries.
+ *   onEntry receives the TarReader header plus the absolute `path` and returns
+ *   a sink for the entry's bytes or nothing. Whiteouts are collected on the
+ *   layer instead of being passed on.
+ * @param {Object} options - Optional AbortSignal (signal) that stops the
+ *   export, and optional onLayerData called with each layer record like
+ *   visitLayer, returning a sink for the layer's uncompressed tar bytes or nothing
+ * @returns {Promise<Array>} Layer records in image order (base first), each with
+ *   its index; null at positions that repeat an earlier layer or whose blob is missing
+ */
+const readImageLayers = async (imageName, visitLayer, { signal, onLayerData } = {}) => {
+  const layers = new Map();
+  const manifestChunks = [];
+
+  const archive = new TarReader((header) => {
+    if (header.type !== 'file') {
+      return null;
+    }
+    if (header.name === 'manifest.json') {
+      return { write: (chunk) => { manifestChunks.push(Buffer.from(chunk)); } };
+    }
+    return isLayerEntry(header.name) ? layerSink(header.name, layers, visitLayer, onLayerData) : null;
+  });
+
+  await dockerUtils.saveImage(imageName, archive, { signal });
+  throwIfCancelled(signal);
+
+  // Layers are listed base first; a layer shared by two positions keeps the first
+  const manifest = manifestChunks.length > 0 ? JSON.parse(Buffer.concat(manifestChunks).toString('utf8')) : [];
+  const order = (manifest[0] && manifest[0].Layers) || Array.from(layers.keys());
+
+  return order.map((name, index) => {
+    const layer = layers.get(name);
+    if (!layer || order.indexOf(name) !== index) {
+      return null;
+    }
+    layer.index = index;
+    return layer;
+  });
+};
+
+module.exports = {
+  readImageLayers,
+  deletedInLayer,
+  removes,
+  normalizePath
+};
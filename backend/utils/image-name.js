@@ -100,7 +100,40 @@ function assertValidImageName(imageName) {
   return imageName;
 }
 
+/**
+ * Split a validated image reference into what the distribution API needs.
+ * Docker Hub names get their registry and the library/ namespace spelled out.
+ * @param {string} imageName - Validated image reference
+ * @returns {{ registry: string, repository: string, tag: string|null, digest: string|null, reference: string }}
+ *   reference is the digest when there is one, else the tag (latest by default)
+ */
+function parseImageReference(imageName) {
+  const [nameAndTag, digest = null] = assertValidImageName(imageName).split('@');
+  const lastSlash = nameAndTag.lastIndexOf('/');
+  const lastColon = nameAndTag.lastIndexOf(':');
+  const name = lastColon > lastSlash ? nameAndTag.slice(0, lastColon) : nameAndTag;
+  const tag = lastColon > lastSlash ? nameAndTag.slice(lastColon + 1) : null;
+
+  const parts = name.split('/');
+  const first = parts[0];
+  const hasRegistry = parts.length > 1 && (first.includes('.') || first.includes(':') || first === 'localhost');
+  const registry = hasRegistry ? first : 'docker.io';
+  const repositoryParts = hasRegistry ? parts.slice(1) : parts;
+  const repository = registry === 'docker.io' && repositoryParts.length === 1
+    ? `library/${repositoryParts[0]}`
+    : repositoryParts.join('/');
+
+  return {
+    registry,
+    repository,
+    tag: tag || (digest ? null : 'latest'),
+    digest,
+    reference: digest || tag || 'latest'
+  };
+}
+
 module.exports = {
   validateImageName,
-  assertValidImageName
+  assertValidImageName,
+  parseImageReference
 };
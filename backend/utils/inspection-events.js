@@ -0,0 +1,52 @@
+const { EventEmitter } = require('events');
+
+const TERMINAL_TYPES = new Set(['complete', 'error', 'cancelled']);
+
+/**
+ * Fan-out point for inspection progress. Inspection jobs publish protocol
+ * messages here and every transport (the /ws/inspect WebSocket, socket.io
+ * rooms) forwards them unchanged to the clients subscribed to that image.
+ *
+ * Message types:
+ *   progress  - { phase, progress, message, queuePosition?, pull? }
+ *   complete  - { analysisId, cached, digest }
+ *   error     - { message, status }
+ *   cancelled - { message }
+ * Every message carries type, imageName, jobId and timestamp.
+ */
+class InspectionEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per transport plus tests; never warn about "leaks"
+    this.setMaxListeners(0);
+    this.latest = new Map();
+  }
+
+  /**
+   * Publish a message to every subscriber of its image
+   * @param {Object} message - Protocol message with at least type and imageName
+   * @returns {Object} The message as delivered (with timestamp)
+   */
+  publish(message) {
+    const delivered = { ...message, timestamp: new Date().toISOString() };
+    if (TERMINAL_TYPES.has(delivered.type)) {
+      this.latest.delete(delivered.imageName);
+    } else {
+      this.latest.set(delivered.imageName, delivered);
+    }
+    this.emit('message', delivered);
+    return delivered;
+  }
+
+  /**
+   * Last progress message of the image's active inspection, so late
+   * subscribers start from the current state instead of an empty bar
+   * @param {string} imageName - Image reference
+   * @returns {Object|null} Latest progress message
+   */
+  current(imageName) {
+    return this.latest.get(imageName) || null;
+  }
+}
+
+module.exports = new InspectionEvents();
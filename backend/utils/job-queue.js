@@ -0,0 +1,196 @@
+const { v4: uuidv4 } = require('uuid');
+const { cancelledError } = require('./cancellation');
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const ACTIVE_STATES = new Set(['queued', 'running']);
+
+/**
+ * In-memory queue for inspection jobs. At most `concurrency` jobs run at once
+ * (each one is a docker pull plus a dive process); the rest wait in FIFO order.
+ * Jobs are keyed by image so a second request for the same image attaches to
+ * the job already queued or running instead of starting another dive.
+ */
+class JobQueue {
+  constructor() {
+    this.concurrency = parsePositiveInt(process.env.INSPECT_CONCURRENCY, 2);
+    // Finished jobs stay readable for polling clients this long
+    this.retentionMs = parsePositiveInt(process.env.INSPECT_JOB_RETENTION_MS, 30 * 60 * 1000);
+    // ... and at most this many of them, as results hold whole layer file lists
+    this.retentionMax = parsePositiveInt(process.env.INSPECT_JOB_RETENTION_MAX, 50);
+    this.jobs = new Map();
+    this.activeByKey = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a task, or attach to the active job for the same key
+   * @param {string} key - Deduplication key (the image name, plus platform when pinned)
+   * @param {function} task - async (update, signal) => result; update(patch) reports
+   *   progress and signal aborts when the job is cancelled
+   * @param {Object} details - Extra fields copied onto a new job (e.g. imageName, platform)
+   * @returns {{ job: Object, attached: boolean }} The job and whether it already existed
+   */
+  enqueue(key, task, details = {}) {
+    const existing = this.activeByKey.get(key);
+    if (existing) {
+      return { job: existing, attached: true };
+    }
+
+    const job = {
+      ...details,
+      id: uuidv4(),
+      key,
+      state: 'queued',
+      progress: 0,
+      message: 'Waiting for a free worker...',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+    job.controller = new AbortController();
+    job.done = new Promise((resolve, reject) => {
+      job.settle = { resolve, reject };
+    });
+    // Nobody is required to await a job; don't let a failure surface as unhandled
+    job.done.catch(() => {});
+
+    this.jobs.set(job.id, job);
+    this.activeByKey.set(key, job);
+    this.pending.push({ job, task });
+    this.drain();
+
+    return { job, attached: false };
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { job, task } = this.pending.shift();
+      this.run(job, task);
+    }
+  }
+
+  async run(job, task) {
+    this.running++;
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    job.message = 'Starting...';
+
+    const update = (patch) => {
+      if (job.state === 'running' && !job.controller.signal.aborted) {
+        Object.assign(job, patch, { state: 'running' });
+      }
+    };
+
+    try {
+      const result = await task(update, job.controller.signal);
+      if (job.controller.signal.aborted) {
+        throw cancelledError();
+      }
+      job.result = result;
+      job.state = 'completed';
+      job.progress = 100;
+      job.message = 'Complete';
+      job.settle.resolve(job.result);
+    } catch (error) {
+      const cancelled = job.controller.signal.aborted;
+      job.state = cancelled ? 'cancelled' : 'failed';
+      job.error = cancelled ? cancelledError() : error;
+      job.message = job.error.message;
+      job.settle.reject(job.error);
+    } finally {
+      this.running--;
+      this.finish(job);
+      this.drain();
+    }
+  }
+
+  finish(job) {
+    job.finishedAt = new Date().toISOString();
+    if (this.activeByKey.get(job.key) === job) {
+      this.activeByKey.delete(job.key);
+    }
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+
+    // Jobs are kept in creation order; the oldest finished ones go first
+    const finished = Array.from(this.jobs.values()).filter((entry) => !this.isActive(entry));
+    finished.slice(0, Math.max(0, finished.length - this.retentionMax)).forEach((entry) => this.jobs.delete(entry.id));
+  }
+
+  /**
+   * Cancel a queued or running job. A queued job is dropped immediately; a
+   * running one has its signal aborted and settles once its task unwinds.
+   * @param {string} id - Job id
+   * @returns {Object|null} The job, or null when it is unknown or already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || !this.isActive(job)) {
+      return null;
+    }
+
+    job.controller.abort();
+    // New requests for the image start a fresh job rather than joining this one
+    this.activeByKey.delete(job.key);
+
+    const position = this.pending.findIndex((entry) => entry.job === job);
+    if (position !== -1) {
+      this.pending.splice(position, 1);
+      job.state = 'cancelled';
+      job.error = cancelledError();
+      job.message = job.error.message;
+      job.settle.reject(job.error);
+      this.finish(job);
+    } else {
+      job.message = 'Cancelling...';
+    }
+    return job;
+  }
+
+  /**
+   * The queued or running job for a key, if any
+   * @param {string} key - Deduplication key (the image name, plus platform when pinned)
+   * @returns {Object|null} Active job
+   */
+  findActive(key) {
+    return this.activeByKey.get(key) || null;
+  }
+
+  /**
+   * Look up a job by id
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null when unknown or expired
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * All known jobs, oldest first
+   * @returns {Array} Jobs
+   */
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Position of a queued job (1 = next to start); 0 once it has started
+   * @param {Object} job - Job
+   * @returns {number} Queue position
+   */
+  positionOf(job) {
+    return this.pending.findIndex((entry) => entry.job === job) + 1;
+  }
+
+  isActive(job) {
+    return ACTIVE_STATES.has(job.state);
+  }
+}
+
+module.exports = new JobQueue();
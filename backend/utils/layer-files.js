@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { readImageLayers, deletedInLayer } = require('./image-layers');
+
+const spoolDir = path.join(__dirname, '..', 'temp', 'downloads');
+
+/**
+ * Sink writing a stream to a temporary file, up to a size limit. Past the
+ * limit the bytes are dropped (and still counted and hashed) so the export
+ * keeps going; the spool is then marked tooLarge.
+ * @param {string} extension - Kept on the file so its content type can be served
+ * @param {number} maxBytes - Size limit
+ * @returns {Object} Sink with the spool record: path, size, digest (sha256 once ended) and tooLarge
+ */
+const spoolSink = (extension, maxBytes) => {
+  const spool = { path: path.join(spoolDir, `spool-${uuidv4()}${extension}`), size: 0, digest: null, tooLarge: false };
+  const hash = crypto.createHash('sha256');
+  let stream = null;
+  let failed = null;
+
+  const open = () => {
+    if (!stream) {
+      fs.ensureDirSync(spoolDir);
+      stream = fs.createWriteStream(spool.path);
+      stream.on('error', (error) => {
+        failed = error;
+      });
+    }
+    return stream;
+  };
+
+  return {
+    spool,
+    write: (chunk) => {
+      if (failed) {
+        throw failed;
+      }
+      spool.size += chunk.length;
+      hash.update(chunk);
+      if (spool.size > maxBytes) {
+        if (!spool.tooLarge) {
+          spool.tooLarge = true;
+          open().destroy();
+        }
+        return null;
+      }
+      if (open().write(chunk)) {
+        return null;
+      }
+      return new Promise((resolve, reject) => {
+        stream.once('drain', resolve);
+        stream.once('error', reject);
+      });
+    },
+    end: async () => {
+      spool.digest = `sha256:${hash.digest('hex')}`;
+      const file = open();
+      if (!file.destroyed) {
+        await new Promise((resolve, reject) => {
+          file.once('error', reject);
+          file.end(resolve);
+        });
+      }
+      if (failed) {
+        throw failed;
+      }
+    }
+  };
+};
+
+const removeSpools = (spools) => Promise.all(spools.map((spool) => fs.remove(spool.path).catch((error) => {
+  console.error(`Failed to remove download spool ${spool.path}:`, error);
+})));
+
+const tooLargeError = (what, maxBytes) => new Error(`${what} is larger than the ${maxBytes}-byte download limit`);
+
+// A layer that could not be read may hold a newer copy or a whiteout
+const unreadableLayerError = (layer) => new Error(`Layer #${layer.index + 1} could not be read: ${layer.skipped}`);
+
+/**
+ * A file as the image filesystem shows it at a layer: the copy written by
+ * that layer or the nearest one below it, unless a whiteout in between
+ * deleted it. The image is exported once (docker save); the file is kept in
+ * a temporary spool the caller streams out and removes.
+ * @param {string} imageName - Validated image reference or image ID
+ * @param {number} layerIndex - Layer position, base first
+ * @param {string} filePath - Absolute path in the image
+ * @param {Object} options - maxBytes (size limit) and an optional AbortSignal (signal)
+ * @returns {Promise<Object>} path (the spool), size and layerIndex (the layer that wrote this copy)
+ */
+const extractLayerFile = async (imageName, layerIndex, filePath, { maxBytes, signal } = {}) => {
+  const spools = [];
+  const extension = path.posix.extname(filePath);
+
+  const visitLayer = (layer) => (entry) => {
+    if (entry.path !== filePath) {
+      return null;
+    }
+    // A tar holding the same path twice keeps the last copy
+    layer.match = { type: entry.type, size: entry.size, linkName: entry.linkName, spool: null };
+    if (entry.type !== 'file' || entry.size > maxBytes) {
+      return null;
+    }
+    const sink = spoolSink(extension, maxBytes);
+    spools.push(sink.spool);
+    layer.match.spool = sink.spool;
+    return sink;
+  };
+
+  let kept = null;
+  try {
+    const layers = await readImageLayers(imageName, visitLayer, { signal });
+    if (layerIndex >= layers.length) {
+      throw new Error(`Layer #${layerIndex + 1} not found; the image has ${layers.length} layers`);
+    }
+
+    const visibleLayers = layers.slice(0, layerIndex + 1);
+    let position = layerIndex;
+    while (position >= 0 && !visibleLayers[position]?.match) {
+      position--;
+    }
+    const unreadable = visibleLayers.slice(Math.max(position, 0)).find((layer) => layer?.skipped);
+    if (unreadable) {
+      throw unreadableLayerError(unreadable);
+    }
+    if (position < 0) {
+      throw new Error(`${filePath} not found at layer #${layerIndex + 1}`);
+    }
+    const deletedIn = deletedInLayer(filePath, position, visibleLayers);
+    if (deletedIn !== null) {
+      throw new Error(`${filePath} not found at layer #${layerIndex + 1}: layer #${deletedIn + 1} deleted it`);
+    }
+
+    const { match } = visibleLayers[position];
+    if (match.type === 'dir') {
+      throw new Error(`${filePath} is a directory`);
+    }
+    if (match.type === 'symlink') {
+      throw new Error(`${filePath} is a symbolic link to ${match.linkName}`);
+    }
+    if (match.type === 'hardlink') {
+      throw new Error(`${filePath} is a hard link to /${match.linkName.replace(/^\.?\/+/, '')}; download that path instead`);
+    }
+    if (match.type !== 'file') {
+      throw new Error(`${filePath} is not a regular file`);
+    }
+    if (!match.spool || match.spool.tooLarge) {
+      throw tooLargeError(filePath, maxBytes);
+    }
+
+    kept = match.spool;
+    return { path: kept.path, size: kept.size, layerIndex: position };
+  } finally {
+    await removeSpools(spools.filter((spool) => spool !== kept));
+  }
+};
+
+/**
+ * One layer's uncompressed tarball from a local image. Layers are recognised
+ * by their diff ID (the sha256 of the uncompressed tar, from docker inspect)
+ * as they stream past, so at most the layer being read and the wanted one
+ * are on disk at once.
+ * @param {string} imageName - Validated image reference or image ID
+ * @param {string} diffId - rootfs diff ID of the wanted layer
+ * @param {Object} options - maxBytes (size limit) and an optional AbortSignal (signal)
+ * @returns {Promise<Object>} path (a spool the caller streams out and removes) and size
+ */
+const exportLayerTar = async (imageName, diffId, { maxBytes, signal } = {}) => {
+  const spools = [];
+  let kept = null;
+
+  const onLayerData = () => {
+    const sink = spoolSink('.tar', maxBytes);
+    spools.push(sink.spool);
+    return {
+      write: sink.write,
+      end: async () => {
+        await sink.end();
+        if (sink.spool.digest === diffId && !kept) {
+          kept = sink.spool;
+        } else {
+          await removeSpools([sink.spool]);
+        }
+      }
+    };
+  };
+
+  try {
+    const layers = await readImageLayers(imageName, () => () => null, { signal, onLayerData });
+    if (!kept) {
+      const unreadable = layers.find((layer) => layer?.skipped);
+      throw unreadable ? unreadableLayerError(unreadable) : new Error(`Layer ${diffId} not found in the exported image`);
+    }
+    if (kept.tooLarge) {
+      throw tooLargeError(`Layer ${diffId}`, maxBytes);
+    }
+    return { path: kept.path, size: kept.size };
+  } finally {
+    await removeSpools(spools.filter((spool) => spool !== kept || spool.tooLarge));
+  }
+};
+
+module.exports = {
+  extractLayerFile,
+  exportLayerTar
+};
@@ -0,0 +1,137 @@
+// OSV (https://ossf.github.io/osv-schema/) record helpers shared by the
+// advisory import and the vulnerability matcher
+
+/**
+ * Ecosystem family of an OSV ecosystem string ("Debian:12" -> "Debian",
+ * "Red Hat:enterprise_linux:9::appstream" -> "Red Hat")
+ * @param {string} ecosystem - OSV ecosystem
+ * @returns {string} The part before the first colon
+ */
+const ecosystemBase = (ecosystem) => String(ecosystem || '').split(':')[0];
+
+/**
+ * Key a package name is stored under: PyPI names compare normalized (PEP 503)
+ * @param {string} ecosystem - Ecosystem family
+ * @param {string} name - Package name
+ * @returns {string} Lookup key
+ */
+const packageKey = (ecosystem, name) => (ecosystem === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name);
+
+const CVSS_V3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  C: { H: 0.56, L: 0.22, N: 0 },
+  I: { H: 0.56, L: 0.22, N: 0 },
+  A: { H: 0.56, L: 0.22, N: 0 }
+};
+
+// CVSS v3.1 Roundup: the smallest number with one decimal that is >= the input
+const roundUp = (value) => {
+  const integer = Math.round(value * 100000);
+  return integer % 10000 === 0 ? integer / 100000 : (Math.floor(integer / 10000) + 1) / 10;
+};
+
+/**
+ * CVSS v3.x base score of a vector string
+ * @param {string} vector - e.g. CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H
+ * @returns {number|null} Score from 0 to 10, or null for anything else
+ */
+const cvss3Score = (vector) => {
+  if (!/^CVSS:3\.[01]\//.test(vector || '')) {
+    return null;
+  }
+  const metrics = Object.fromEntries(vector.split('/').slice(1).map((part) => part.split(':')));
+  const changed = metrics.S === 'C';
+  const privileges = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[metrics.PR];
+  const weights = ['AV', 'AC', 'UI', 'C', 'I', 'A'].map((metric) => CVSS_V3_WEIGHTS[metric][metrics[metric]]);
+  if (privileges === undefined || weights.some((weight) => weight === undefined)) {
+    return null;
+  }
+  const [attackVector, complexity, interaction, confidentiality, integrity, availability] = weights;
+
+  const baseImpact = 1 - (1 - confidentiality) * (1 - integrity) * (1 - availability);
+  const impact = changed
+    ? 7.52 * (baseImpact - 0.029) - 3.25 * Math.pow(baseImpact - 0.02, 15)
+    : 6.42 * baseImpact;
+  const exploitability = 8.22 * attackVector * complexity * privileges * interaction;
+  if (impact <= 0) {
+    return 0;
+  }
+  return roundUp(Math.min(changed ? 1.08 * (impact + exploitability) : impact + exploitability, 10));
+};
+
+const severityForScore = (score) => {
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'medium';
+  return score > 0 ? 'low' : 'unknown';
+};
+
+// Words advisory databases use for their own ratings
+const SEVERITY_WORDS = {
+  critical: 'critical',
+  high: 'high',
+  important: 'high',
+  moderate: 'medium',
+  medium: 'medium',
+  low: 'low',
+  negligible: 'low',
+  unimportant: 'low'
+};
+
+/**
+ * Severity and CVSS score of an OSV advisory: the CVSS v3 vector when there
+ * is one, otherwise the rating the database gives (GitHub, Ubuntu, Red Hat)
+ * @param {Object} advisory - OSV record
+ * @returns {{ severity: string, score: number|null }} severity is critical,
+ *   high, medium, low or unknown
+ */
+const advisorySeverity = (advisory) => {
+  const vectors = (advisory.severity || []).filter((entry) => /^CVSS_V3/.test(entry.type));
+  const score = vectors.map((entry) => cvss3Score(entry.score)).find((value) => value !== null);
+  if (score !== undefined) {
+    return { severity: severityForScore(score), score };
+  }
+  const ratings = [
+    advisory.database_specific?.severity,
+    ...(advisory.severity || []).filter((entry) => !/^CVSS_V/.test(entry.type)).map((entry) => entry.score),
+    ...(advisory.affected || []).map((affected) => affected.ecosystem_specific?.severity || affected.database_specific?.severity)
+  ];
+  const rating = ratings.map((word) => SEVERITY_WORDS[String(word || '').toLowerCase()]).find(Boolean);
+  return { severity: rating || 'unknown', score: null };
+};
+
+/**
+ * Compact form of an OSV advisory as stored: just what matching and display need
+ * @param {Object} advisory - OSV record
+ * @returns {Object} id, aliases, summary, severity, score, published,
+ *   modified, references and affected (ecosystem, name, ranges, versions)
+ */
+const compactAdvisory = (advisory) => ({
+  id: advisory.id,
+  aliases: advisory.aliases || [],
+  summary: advisory.summary || (advisory.details || '').split('\n')[0].slice(0, 200),
+  ...advisorySeverity(advisory),
+  published: advisory.published || null,
+  modified: advisory.modified || null,
+  references: (advisory.references || []).map((reference) => reference.url).filter(Boolean).slice(0, 3),
+  affected: (advisory.affected || [])
+    .filter((affected) => affected.package?.ecosystem && affected.package?.name)
+    .map((affected) => ({
+      ecosystem: affected.package.ecosystem,
+      name: affected.package.name,
+      ranges: (affected.ranges || [])
+        .filter((range) => range.type !== 'GIT')
+        .map((range) => ({ type: range.type, events: range.events || [] })),
+      versions: affected.versions || []
+    }))
+});
+
+module.exports = {
+  compactAdvisory,
+  advisorySeverity,
+  cvss3Score,
+  ecosystemBase,
+  packageKey
+};
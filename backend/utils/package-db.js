@@ -0,0 +1,322 @@
+// Parsers for the package databases and lockfiles an SBOM is built from.
+// Each takes the file content and returns plain package records; sizes are
+// what the package manager declares, in bytes, or null when it records none.
+
+const KIB = 1024;
+
+// Control-file style stanzas (dpkg status, Python METADATA headers)
+const parseStanza = (text) => {
+  const fields = {};
+  let key = null;
+  text.split('\n').forEach((line) => {
+    if (/^\s/.test(line) && key) {
+      fields[key] += `\n${line.trim()}`;
+      return;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      key = line.slice(0, colon).trim();
+      // Repeated headers (Classifier) keep the first value; License wins over classifiers
+      if (fields[key] === undefined) {
+        fields[key] = line.slice(colon + 1).trim();
+      }
+    }
+  });
+  return fields;
+};
+
+/**
+ * /etc/os-release
+ * @param {string} text - File content
+ * @returns {Object|null} id, versionId and prettyName, or null without an ID
+ */
+const parseOsRelease = (text) => {
+  const fields = {};
+  text.split('\n').forEach((line) => {
+    const match = line.match(/^([A-Z_]+)=(.*)$/);
+    if (match) {
+      fields[match[1]] = match[2].replace(/^["']|["']$/g, '');
+    }
+  });
+  return fields.ID
+    ? { id: fields.ID, versionId: fields.VERSION_ID || null, prettyName: fields.PRETTY_NAME || null }
+    : null;
+};
+
+/**
+ * dpkg status database (/var/lib/dpkg/status, or one distroless status.d file)
+ * @param {string} text - File content
+ * @returns {Array} Installed packages: name, version, arch, sourcePackage and size
+ */
+const parseDpkgStatus = (text) => text.split(/\n\s*\n/)
+  .map(parseStanza)
+  // distroless status.d entries have no Status field; they are all installed
+  .filter((fields) => fields.Package && fields.Version && (!fields.Status || /\binstalled$/.test(fields.Status)))
+  .map((fields) => ({
+    name: fields.Package,
+    version: fields.Version,
+    arch: fields.Architecture || null,
+    sourcePackage: fields.Source ? fields.Source.split(' ')[0] : null,
+    license: null,
+    size: fields['Installed-Size'] ? parseInt(fields['Installed-Size'], 10) * KIB : null
+  }));
+
+/**
+ * dpkg file lists: info/<package>.list (one absolute path per line) or
+ * distroless status.d/<package>.md5sums (checksum and relative path)
+ * @param {string} text - File content
+ * @returns {string[]} Absolute paths
+ */
+const parseDpkgFileList = (text) => text.split('\n')
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const md5sum = line.match(/^[0-9a-f]{32}\s+(.+)$/);
+    return md5sum ? `/${md5sum[1]}` : line;
+  });
+
+/**
+ * apk installed database (/lib/apk/db/installed)
+ * @param {string} text - File content
+ * @returns {Array} Packages: name, version, arch, license, sourcePackage (origin), size and files
+ */
+const parseApkInstalled = (text) => text.split(/\n\s*\n/).map((record) => {
+  const pkg = { name: null, version: null, arch: null, license: null, sourcePackage: null, size: null, files: [] };
+  let directory = '';
+  record.split('\n').forEach((line) => {
+    const value = line.slice(2);
+    switch (line.slice(0, 2)) {
+      case 'P:': pkg.name = value; break;
+      case 'V:': pkg.version = value; break;
+      case 'A:': pkg.arch = value; break;
+      case 'L:': pkg.license = value || null; break;
+      case 'o:': pkg.sourcePackage = value; break;
+      case 'I:': pkg.size = parseInt(value, 10); break;
+      case 'F:': directory = value; break;
+      case 'R:': pkg.files.push(`/${directory ? `${directory}/` : ''}${value}`); break;
+      default: break;
+    }
+  });
+  return pkg;
+}).filter((pkg) => pkg.name && pkg.version);
+
+// rpm header tags and value types
+const RPM_TAG = { NAME: 1000, VERSION: 1001, RELEASE: 1002, EPOCH: 1003, SIZE: 1009, LICENSE: 1014, ARCH: 1022, SOURCERPM: 1044, LONGSIZE: 5009 };
+const RPM_TYPE = { INT32: 4, INT64: 5, STRING: 6, STRING_ARRAY: 8, I18NSTRING: 9 };
+
+// Every header blob starts its index with the immutable region tag (63, BIN, 16 bytes)
+const RPM_REGION_ENTRY = Buffer.from([0, 0, 0, 0x3f, 0, 0, 0, 7]);
+
+const readRpmHeader = (buffer, indexStart, count, dataLength) => {
+  const dataStart = indexStart + count * 16;
+  const values = {};
+  for (let i = 0; i < count; i++) {
+    const entry = indexStart + i * 16;
+    const tag = buffer.readUInt32BE(entry);
+    const type = buffer.readUInt32BE(entry + 4);
+    const offset = buffer.readUInt32BE(entry + 8);
+    if (offset >= dataLength) {
+      return null;
+    }
+    const at = dataStart + offset;
+    if (type === RPM_TYPE.STRING || type === RPM_TYPE.STRING_ARRAY || type === RPM_TYPE.I18NSTRING) {
+      const end = buffer.indexOf(0, at);
+      if (end === -1 || end > dataStart + dataLength) {
+        return null;
+      }
+      values[tag] = buffer.toString('utf8', at, end);
+    } else if (type === RPM_TYPE.INT32) {
+      values[tag] = buffer.readUInt32BE(at);
+    } else if (type === RPM_TYPE.INT64) {
+      values[tag] = Number(buffer.readBigUInt64BE(at));
+    }
+  }
+  return values;
+};
+
+/**
+ * Packages in an rpm database. The Berkeley DB (Packages), NDB (Packages.db)
+ * and SQLite (rpmdb.sqlite) formats all store each package as an rpm header
+ * blob; headers stored in one piece are found and read, while those a
+ * database split across pages are skipped.
+ * @param {Buffer} buffer - Database file content
+ * @returns {Array} Packages: name, version (version-release), epoch, arch,
+ *   license, sourcePackage (the source rpm's name) and size
+ */
+const parseRpmDatabase = (buffer) => {
+  const packages = new Map();
+  let position = buffer.indexOf(RPM_REGION_ENTRY, 8);
+  while (position !== -1) {
+    const count = buffer.readUInt32BE(position - 8);
+    const dataLength = buffer.readUInt32BE(position - 4);
+    const fits = count > 0 && count < 65536 && position + count * 16 + dataLength <= buffer.length;
+    const header = fits && buffer.readUInt32BE(position + 12) === 16
+      ? readRpmHeader(buffer, position, count, dataLength)
+      : null;
+    if (header && header[RPM_TAG.NAME] && header[RPM_TAG.VERSION] && header[RPM_TAG.NAME] !== 'gpg-pubkey') {
+      const pkg = {
+        name: header[RPM_TAG.NAME],
+        version: header[RPM_TAG.RELEASE] ? `${header[RPM_TAG.VERSION]}-${header[RPM_TAG.RELEASE]}` : header[RPM_TAG.VERSION],
+        epoch: header[RPM_TAG.EPOCH] !== undefined ? header[RPM_TAG.EPOCH] : null,
+        arch: header[RPM_TAG.ARCH] || null,
+        license: header[RPM_TAG.LICENSE] || null,
+        sourcePackage: header[RPM_TAG.SOURCERPM] ? header[RPM_TAG.SOURCERPM].replace(/-[^-]+-[^-]+\.src\.rpm$/, '') : null,
+        size: header[RPM_TAG.LONGSIZE] !== undefined ? header[RPM_TAG.LONGSIZE] : (header[RPM_TAG.SIZE] ?? null)
+      };
+      packages.set(`${pkg.name}@${pkg.version}.${pkg.arch}`, pkg);
+    }
+    position = buffer.indexOf(RPM_REGION_ENTRY, position + 8);
+  }
+  return Array.from(packages.values());
+};
+
+/**
+ * npm lockfile (package-lock.json, npm-shrinkwrap.json or the hidden
+ * node_modules/.package-lock.json), lockfile versions 1 to 3
+ * @param {string} text - File content
+ * @returns {Array} Packages: name, version, license, dev flag and installPath
+ *   (relative to the directory holding node_modules)
+ */
+const parseNpmLockfile = (text) => {
+  const lockfile = JSON.parse(text);
+  if (lockfile.packages) {
+    return Object.entries(lockfile.packages)
+      .filter(([installPath, entry]) => installPath.includes('node_modules/') && entry.version && !entry.link)
+      .map(([installPath, entry]) => ({
+        name: entry.name || installPath.slice(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length),
+        version: entry.version,
+        license: typeof entry.license === 'string' ? entry.license : null,
+        dev: Boolean(entry.dev),
+        installPath
+      }));
+  }
+
+  // Version 1 nests dependencies the way node_modules does
+  const walk = (dependencies, prefix) => Object.entries(dependencies || {}).flatMap(([name, entry]) => {
+    const installPath = `${prefix}node_modules/${name}`;
+    return [
+      { name, version: entry.version, license: null, dev: Boolean(entry.dev), installPath },
+      ...walk(entry.dependencies, `${installPath}/`)
+    ];
+  });
+  return walk(lockfile.dependencies, '').filter((pkg) => pkg.version && !/^(file|link):/.test(pkg.version));
+};
+
+/**
+ * Python distribution metadata (*.dist-info/METADATA or *.egg-info/PKG-INFO)
+ * @param {string} text - File content
+ * @returns {Object|null} name, version and license
+ */
+const parsePythonMetadata = (text) => {
+  const fields = parseStanza(text.split(/\n\s*\n/)[0]);
+  if (!fields.Name || !fields.Version) {
+    return null;
+  }
+  const license = fields['License-Expression'] || fields.License;
+  return {
+    name: fields.Name,
+    version: fields.Version,
+    license: license && license !== 'UNKNOWN' && license.length <= 100 ? license : null
+  };
+};
+
+/**
+ * Installed size from a wheel's RECORD (path,hash,size rows)
+ * @param {string} text - File content
+ * @returns {number} Total bytes
+ */
+const parsePythonRecord = (text) => text.split('\n').reduce((sum, line) => {
+  const size = parseInt(line.slice(line.lastIndexOf(',') + 1), 10);
+  return sum + (Number.isNaN(size) ? 0 : size);
+}, 0);
+
+/**
+ * Pinned requirements (name==version) in a requirements file
+ * @param {string} text - File content
+ * @returns {Array} name and version of each pinned requirement
+ */
+const parseRequirements = (text) => text.split('\n')
+  .map((line) => line.replace(/\s+#.*$/, '').trim())
+  .map((line) => line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*===?\s*([^\s;,]+)/))
+  .filter(Boolean)
+  .map((match) => ({ name: match[1], version: match[3] }));
+
+const GO_BUILDINFO_MAGIC = Buffer.from('\xff Go buildinf:', 'latin1');
+const GO_BUILDINFO_HEADER_SIZE = 32;
+// Go 1.18+ stores the version strings inline instead of behind pointers
+const GO_FLAG_INLINE_STRINGS = 0x2;
+// The module info string is wrapped in 16-byte sentinels
+const GO_MODINFO_SENTINEL_SIZE = 16;
+
+const readUvarint = (buffer, offset) => {
+  let value = 0;
+  let shift = 0;
+  for (let position = offset; position < buffer.length && shift < 35; position++) {
+    value += (buffer[position] & 0x7f) * 2 ** shift;
+    if (buffer[position] < 0x80) {
+      return { value, next: position + 1 };
+    }
+    shift += 7;
+  }
+  return null;
+};
+
+/**
+ * Build info Go embeds in its binaries (what `go version -m` prints)
+ * @param {Buffer} buffer - Bytes from the buildinfo magic onwards
+ * @returns {Object|null} goVersion, path, main { path, version } and deps,
+ *   or null for pre-1.18 binaries, which store pointers instead of the strings
+ */
+const parseGoBuildInfo = (buffer) => {
+  if (buffer.length < GO_BUILDINFO_HEADER_SIZE || !buffer.subarray(0, GO_BUILDINFO_MAGIC.length).equals(GO_BUILDINFO_MAGIC)) {
+    return null;
+  }
+  if (!(buffer[15] & GO_FLAG_INLINE_STRINGS)) {
+    return null;
+  }
+
+  const strings = [];
+  let offset = GO_BUILDINFO_HEADER_SIZE;
+  for (let i = 0; i < 2; i++) {
+    const length = readUvarint(buffer, offset);
+    if (!length || length.next + length.value > buffer.length) {
+      return null;
+    }
+    strings.push(buffer.toString('utf8', length.next, length.next + length.value));
+    offset = length.next + length.value;
+  }
+
+  const [goVersion, rawModinfo] = strings;
+  const modinfo = rawModinfo.length > 2 * GO_MODINFO_SENTINEL_SIZE
+    ? rawModinfo.slice(GO_MODINFO_SENTINEL_SIZE, -GO_MODINFO_SENTINEL_SIZE)
+    : rawModinfo;
+  const info = { goVersion, path: null, main: null, deps: [] };
+  modinfo.split('\n').forEach((line) => {
+    const [kind, modulePath, version] = line.split('\t');
+    if (kind === 'path') {
+      info.path = modulePath;
+    } else if (kind === 'mod') {
+      info.main = { path: modulePath, version };
+    } else if (kind === 'dep') {
+      info.deps.push({ path: modulePath, version });
+    } else if (kind === '=>' && info.deps.length > 0) {
+      // A replace directive swaps the module the previous dep line resolved to
+      info.deps[info.deps.length - 1] = { path: modulePath, version };
+    }
+  });
+  return info;
+};
+
+module.exports = {
+  GO_BUILDINFO_MAGIC,
+  parseOsRelease,
+  parseDpkgStatus,
+  parseDpkgFileList,
+  parseApkInstalled,
+  parseRpmDatabase,
+  parseNpmLockfile,
+  parsePythonMetadata,
+  parsePythonRecord,
+  parseRequirements,
+  parseGoBuildInfo
+};
@@ -0,0 +1,78 @@
+// os/architecture[/variant], e.g. linux/amd64 or linux/arm/v7
+const PLATFORM_REGEX = /^[a-z0-9]+\/[a-z0-9_]+(?:\/[a-z0-9]+)?$/;
+const MAX_PLATFORM_LENGTH = 64;
+
+// Variants the daemon reports for a platform requested without one
+const DEFAULT_VARIANTS = { arm64: 'v8' };
+
+function validatePlatform(platform) {
+  if (typeof platform !== 'string') {
+    return { valid: false, reason: 'must be a string' };
+  }
+
+  if (platform.length === 0 || platform.length > MAX_PLATFORM_LENGTH) {
+    return { valid: false, reason: `must be 1-${MAX_PLATFORM_LENGTH} characters` };
+  }
+
+  if (!PLATFORM_REGEX.test(platform)) {
+    return { valid: false, reason: 'must look like os/architecture[/variant]' };
+  }
+
+  return { valid: true };
+}
+
+function assertValidPlatform(platform) {
+  const result = validatePlatform(platform);
+  if (!result.valid) {
+    throw new Error(`Invalid platform: ${result.reason}`);
+  }
+  return platform;
+}
+
+function parsePlatform(platform) {
+  const [os, architecture, variant = null] = platform.split('/');
+  return { os, architecture, variant };
+}
+
+/**
+ * Platform string for an image config or manifest platform entry
+ * @param {Object} descriptor - os, architecture and optional variant (may be null)
+ * @returns {string|null} e.g. linux/arm/v7, or null when os/architecture are unknown
+ */
+function formatPlatform(descriptor) {
+  const { os, architecture, variant } = descriptor || {};
+  if (!os || !architecture || os === 'unknown' || architecture === 'unknown') {
+    return null;
+  }
+  return variant ? `${os}/${architecture}/${variant}` : `${os}/${architecture}`;
+}
+
+/**
+ * Whether a local image (getImageInfo result) is the requested platform.
+ * A request without a variant matches any variant of that architecture.
+ * @param {Object} imageInfo - os, architecture and optional variant
+ * @param {string} platform - Validated platform string
+ * @returns {boolean} Whether the image can stand in for the platform
+ */
+function matchesPlatform(imageInfo, platform) {
+  if (!imageInfo) {
+    return false;
+  }
+  const wanted = parsePlatform(platform);
+  if (imageInfo.os !== wanted.os || imageInfo.architecture !== wanted.architecture) {
+    return false;
+  }
+  if (!wanted.variant) {
+    return true;
+  }
+  const variant = imageInfo.variant || DEFAULT_VARIANTS[imageInfo.architecture] || null;
+  return variant === wanted.variant;
+}
+
+module.exports = {
+  validatePlatform,
+  assertValidPlatform,
+  parsePlatform,
+  formatPlatform,
+  matchesPlatform
+};
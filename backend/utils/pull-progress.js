@@ -0,0 +1,185 @@
+// Layer status text (Engine API `status` / CLI line) -> tracked state
+const LAYER_STATES = [
+  [/^(pulling fs layer|waiting)/i, 'waiting'],
+  [/^downloading/i, 'downloading'],
+  [/^(verifying checksum|download complete)/i, 'downloaded'],
+  [/^extracting/i, 'extracting'],
+  [/^(pull complete|already exists)/i, 'done']
+];
+
+// Share of a layer's progress credited once it is downloaded; extracting fills the rest
+const DOWNLOAD_SHARE = 0.75;
+
+// docker prints sizes with go-units HumanSize: decimal units
+const SIZE_UNITS = { b: 1, kb: 1000, mb: 1000 ** 2, gb: 1000 ** 3, tb: 1000 ** 4 };
+
+const parseHumanSize = (text) => {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)$/i);
+  return match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toLowerCase()]) : null;
+};
+
+const stateFor = (status) => {
+  const entry = LAYER_STATES.find(([pattern]) => pattern.test(status));
+  return entry ? entry[1] : null;
+};
+
+/**
+ * Per-layer state of one image pull, fed by either the Engine API's JSON
+ * progress stream or `docker pull` output lines. The CLI prints no byte
+ * counts unless it is attached to a terminal, so CLI pulls only advance per
+ * layer state while Engine API pulls are byte-accurate.
+ */
+class PullProgress {
+  constructor() {
+    this.layers = new Map();
+  }
+
+  /**
+   * Apply one Engine API progress message ({ id, status, progressDetail })
+   * @param {Object} message - Decoded JSON message from POST /images/create
+   * @returns {boolean} Whether a layer changed state
+   */
+  applyMessage(message) {
+    if (!message || !message.id || typeof message.status !== 'string') {
+      return false;
+    }
+    const detail = message.progressDetail || {};
+    return this.update(message.id, message.status, {
+      current: Number.isFinite(detail.current) ? detail.current : null,
+      total: Number.isFinite(detail.total) && detail.total > 0 ? detail.total : null
+    });
+  }
+
+  /**
+   * Apply one line of `docker pull` output ("<id>: <status> [bar] 1.2MB/31.4MB")
+   * @param {string} line - Output line
+   * @returns {boolean} Whether a layer changed state
+   */
+  applyLine(line) {
+    const match = String(line).trim().match(/^([0-9a-f]{12,64}):\s+(.+)$/);
+    if (!match) {
+      return false;
+    }
+    const [, id, rest] = match;
+    const bytes = rest.match(/([\d.]+\s*[kMGT]?B)\/([\d.]+\s*[kMGT]?B)\s*$/);
+    return this.update(id, rest.replace(/\s*\[.*$/, '').replace(/\s+[\d.]+\s*[kMGT]?B\/.*$/, ''), {
+      current: bytes ? parseHumanSize(bytes[1]) : null,
+      total: bytes ? parseHumanSize(bytes[2]) : null
+    });
+  }
+
+  update(id, status, { current, total }) {
+    const state = stateFor(status);
+    const layer = this.layers.get(id);
+    if (!layer) {
+      // Repository-level messages ("Pulling from library/nginx") carry an id too
+      if (!state) {
+        return false;
+      }
+      this.layers.set(id, { id, state, status, current: 0, total: null });
+      this.apply(this.layers.get(id), state, current, total);
+      return true;
+    }
+
+    layer.status = status;
+    if (!state) {
+      return false; // e.g. "Retrying in 5 seconds": keep the last known state
+    }
+    const changed = layer.state !== state;
+    this.apply(layer, state, current, total);
+    return changed;
+  }
+
+  apply(layer, state, current, total) {
+    layer.state = state;
+    if (total) {
+      layer.total = total;
+    }
+    if (state === 'downloading' || state === 'extracting') {
+      layer.current = current || 0;
+    } else if (state === 'downloaded' || state === 'done') {
+      layer.current = layer.total || 0;
+    } else {
+      layer.current = 0;
+    }
+  }
+
+  fractionOf(layer) {
+    const ratio = layer.total ? Math.min(layer.current / layer.total, 1) : 0;
+    switch (layer.state) {
+      case 'downloading':
+        return ratio * DOWNLOAD_SHARE;
+      case 'downloaded':
+        return DOWNLOAD_SHARE;
+      case 'extracting':
+        return DOWNLOAD_SHARE + ratio * (1 - DOWNLOAD_SHARE);
+      case 'done':
+        return 1;
+      default:
+        return 0;
+    }
+  }
+
+  downloadedBytesOf(layer) {
+    if (layer.state === 'waiting') {
+      return 0;
+    }
+    return layer.state === 'downloading' ? Math.min(layer.current, layer.total) : layer.total;
+  }
+
+  /**
+   * Current pull state for API consumers
+   * @returns {Object} percent (byte-weighted, 0-100), byte totals, per-state
+   *   layer counts and the layers in the order they were announced
+   */
+  snapshot() {
+    const layers = Array.from(this.layers.values());
+    const sized = layers.filter((layer) => layer.total);
+    // Layers whose size isn't known yet weigh as much as an average known one
+    const fallbackWeight = sized.length > 0
+      ? sized.reduce((sum, layer) => sum + layer.total, 0) / sized.length
+      : 1;
+
+    let weighted = 0;
+    let weight = 0;
+    layers.forEach((layer) => {
+      const layerWeight = layer.total || fallbackWeight;
+      weighted += this.fractionOf(layer) * layerWeight;
+      weight += layerWeight;
+    });
+
+    const count = (state) => layers.filter((layer) => layer.state === state).length;
+    return {
+      percent: weight > 0 ? Math.round((weighted / weight) * 1000) / 10 : 0,
+      totalBytes: sized.reduce((sum, layer) => sum + layer.total, 0),
+      downloadedBytes: sized.reduce((sum, layer) => sum + this.downloadedBytesOf(layer), 0),
+      layerCount: layers.length,
+      waiting: count('waiting'),
+      downloading: count('downloading'),
+      extracting: count('extracting') + count('downloaded'),
+      done: count('done'),
+      layers: layers.map(({ id, state, current, total }) => ({ id, state, current, total }))
+    };
+  }
+
+  /**
+   * One-line summary for progress messages
+   * @returns {string} e.g. "Pulling layers: 3/7 complete, 2 downloading"
+   */
+  describe() {
+    const { layerCount, done, downloading, extracting } = this.snapshot();
+    if (layerCount === 0) {
+      return 'Pulling image...';
+    }
+    const parts = [`${done}/${layerCount} complete`];
+    if (downloading > 0) {
+      parts.push(`${downloading} downloading`);
+    }
+    if (extracting > 0) {
+      parts.push(`${extracting} extracting`);
+    }
+    return `Pulling layers: ${parts.join(', ')}`;
+  }
+}
+
+module.exports = { PullProgress, parseHumanSize };
@@ -0,0 +1,309 @@
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const diveUtils = require('./dive');
+const { RegistryClient } = require('./registry');
+const { parseImageReference } = require('./image-name');
+const { TarReader } = require('./tar-reader');
+const { PathTree, normalizePath } = require('./file-tree');
+const { throwIfCancelled } = require('./cancellation');
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZSTD_MAGIC = Buffer.from([0x28, 0xb5, 0x2f, 0xfd]);
+
+const WHITEOUT_PREFIX = '.wh.';
+const OPAQUE_WHITEOUT = '.wh..wh..opq';
+
+// TarReader entry types as the tar typeflag bytes dive reports
+const TYPE_FLAGS = { file: 48, hardlink: 49, symlink: 50, dir: 53 };
+
+// Layer blobs only live here while their tar is read
+const blobDir = () => process.env.REGISTRY_BLOB_DIR || path.join(__dirname, '..', 'temp', 'registry');
+
+// Blob files are named by the hex of their digest, checked again here since
+// the name ends up in a path that is removed afterwards
+const blobFileName = (digest) => {
+  const match = /^sha256:([a-f0-9]{64})$/.exec(digest || '');
+  if (!match) {
+    throw new Error(`Unsupported registry digest: ${digest}`);
+  }
+  return match[1];
+};
+
+// Every directory above a path: /a/b/c -> /a, /a/b
+const parentsOf = (filePath) => {
+  const parts = filePath.split('/').slice(1, -1);
+  return parts.map((part, index) => `/${parts.slice(0, index + 1).join('/')}`);
+};
+
+/**
+ * Dive's image efficiency over per-layer file lists: each layer's leaf
+ * entries are visited, a path touched by two or more layers is inefficient
+ * and the score is the smallest size found per path over everything found.
+ * Deleting a directory weighs what the layers below had under it.
+ * @param {Array} fileLists - Per-layer dive-style fileList arrays, base first
+ * @returns {{ efficiencyScore: number, inefficientBytes: number, fileReference: Array }}
+ *   fileReference lists the inefficient paths ({ count, sizeBytes, file }), largest first
+ */
+const computeEfficiency = (fileLists) => {
+  const paths = new Map();
+  // The image filesystem as stacked so far: path -> { isDir, size }
+  const stacked = new PathTree();
+
+  fileLists.forEach((fileList) => {
+    const entries = fileList
+      .map((info) => ({ info, path: normalizePath(info.path) }))
+      .filter((entry) => entry.path);
+    const branches = new Set();
+    entries.forEach((entry) => {
+      if (path.posix.basename(entry.path) !== OPAQUE_WHITEOUT) {
+        parentsOf(entry.path).forEach((parent) => branches.add(parent));
+      }
+    });
+
+    entries.forEach(({ info, path: filePath }) => {
+      const base = path.posix.basename(filePath);
+      if (branches.has(filePath) || base === OPAQUE_WHITEOUT) {
+        return;
+      }
+
+      let key = filePath;
+      let size = Number(info.size) || 0;
+      if (base.startsWith(WHITEOUT_PREFIX)) {
+        key = path.posix.join(path.posix.dirname(filePath), base.slice(WHITEOUT_PREFIX.length));
+        size = 0;
+        if (stacked.get(key)?.isDir) {
+          stacked.forEachUnder(key, (node) => {
+            size += node.size;
+          });
+        }
+      }
+
+      const data = paths.get(key) || { count: 0, cumulative: 0, minimum: -1 };
+      data.count += 1;
+      data.cumulative += size;
+      data.minimum = data.minimum < 0 ? size : Math.min(data.minimum, size);
+      paths.set(key, data);
+    });
+
+    // Stack this layer on top for the next one's whiteouts
+    entries.forEach(({ info, path: filePath }) => {
+      const base = path.posix.basename(filePath);
+      const dir = path.posix.dirname(filePath);
+      if (base === OPAQUE_WHITEOUT) {
+        stacked.remove(dir, { keepSelf: true });
+      } else if (base.startsWith(WHITEOUT_PREFIX)) {
+        stacked.remove(path.posix.join(dir, base.slice(WHITEOUT_PREFIX.length)));
+      } else {
+        parentsOf(filePath).forEach((parent) => {
+          if (!stacked.has(parent)) {
+            stacked.set(parent, { isDir: true, size: 0 });
+          }
+        });
+        stacked.set(filePath, { isDir: Boolean(info.isDir), size: info.isDir ? 0 : Number(info.size) || 0 });
+      }
+    });
+  });
+
+  let minimumSizes = 0;
+  let discoveredSizes = 0;
+  const fileReference = [];
+  paths.forEach((data, filePath) => {
+    minimumSizes += data.minimum;
+    discoveredSizes += data.cumulative;
+    if (data.count >= 2) {
+      fileReference.push({ count: data.count, sizeBytes: data.cumulative, file: filePath });
+    }
+  });
+  fileReference.sort((a, b) => b.sizeBytes - a.sizeBytes);
+
+  return {
+    efficiencyScore: discoveredSizes === 0 ? 1 : minimumSizes / discoveredSizes,
+    inefficientBytes: fileReference.reduce((sum, reference) => sum + reference.sizeBytes, 0),
+    fileReference
+  };
+};
+
+/**
+ * Dive-style fileList of one layer blob on disk (gzip or plain tar)
+ * @param {string} blobPath - Downloaded blob
+ * @param {Object} options - Layer digest for messages and an optional AbortSignal
+ * @returns {Promise<{ fileList: Array, sizeBytes: number }>} Entries and their total size
+ */
+const readLayerBlob = async (blobPath, { digest, signal } = {}) => {
+  const head = Buffer.alloc(4);
+  const handle = await fs.open(blobPath, 'r');
+  try {
+    await fs.read(handle, head, 0, head.length, 0);
+  } finally {
+    await fs.close(handle);
+  }
+  if (head.equals(ZSTD_MAGIC)) {
+    throw new Error(`Layer ${digest} is zstd-compressed, which registry analysis does not support; inspect the image through the Docker daemon`);
+  }
+
+  const fileList = [];
+  let sizeBytes = 0;
+  const reader = new TarReader((header) => {
+    fileList.push({
+      path: header.name,
+      typeFlag: TYPE_FLAGS[header.type] || TYPE_FLAGS.file,
+      linkName: header.linkName,
+      size: header.size,
+      fileMode: header.mode & 0o7777,
+      uid: header.uid,
+      gid: header.gid,
+      isDir: header.type === 'dir'
+    });
+    sizeBytes += header.size;
+    return null;
+  });
+
+  try {
+    await pipeline(
+      fs.createReadStream(blobPath),
+      ...(head.subarray(0, 2).equals(GZIP_MAGIC) ? [zlib.createGunzip()] : []),
+      reader,
+      { signal }
+    );
+  } catch (error) {
+    throwIfCancelled(signal);
+    throw new Error(`Unreadable layer ${digest}: ${error.message}`);
+  }
+  return { fileList, sizeBytes };
+};
+
+// docker history shows RUN steps without the shell, and legacy builders mark
+// metadata steps with #(nop)
+const commandOf = (entry) => (entry?.created_by || '')
+  .replace(/^\/bin\/sh -c (#\(nop\)\s*)?/, '')
+  .trim();
+
+/**
+ * Dive's JSON report (layer and image sections) for layers read from a registry
+ * @param {Array} layers - { descriptor, fileList, sizeBytes } per manifest layer, base first
+ * @param {Object} config - Image config blob
+ * @returns {Object} Input for DiveUtils.parseJSONOutput
+ */
+const toDiveReport = (layers, config) => {
+  const history = (config.history || []).filter((entry) => !entry.empty_layer);
+  const diffIds = config.rootfs?.diff_ids || [];
+
+  return {
+    layer: layers.map((layer, index) => ({
+      index,
+      id: layer.descriptor.digest,
+      digestId: diffIds[index] || layer.descriptor.digest,
+      sizeBytes: layer.sizeBytes,
+      command: commandOf(history[index]),
+      created: history[index]?.created,
+      fileList: layer.fileList
+    })),
+    image: {
+      sizeBytes: layers.reduce((sum, layer) => sum + layer.sizeBytes, 0),
+      ...computeEfficiency(layers.map((layer) => layer.fileList))
+    }
+  };
+};
+
+/**
+ * Image details in the shape of DockerUtils.getImageInfo, from the registry
+ * manifest and config instead of docker inspect
+ * @param {string} imageName - Image reference
+ * @param {Object} image - manifest, manifestDigest and config
+ * @returns {Object} Image info; id is the config digest, as for a pulled image
+ */
+const toImageInfo = (imageName, { manifest, manifestDigest, config }) => {
+  const { tag } = parseImageReference(imageName);
+  const name = imageName.split('@')[0].replace(/:[^:/]+$/, '');
+  return {
+    id: manifest.config.digest,
+    repoTags: tag ? [`${name}:${tag}`] : [],
+    repoDigests: [`${name}@${manifestDigest}`],
+    created: config.created || null,
+    author: config.author || null,
+    size: null,
+    virtualSize: null,
+    architecture: config.architecture,
+    os: config.os,
+    variant: config.variant || null,
+    config: config.config || {},
+    rootfs: config.rootfs ? { Type: config.rootfs.type, Layers: config.rootfs.diff_ids || [] } : null,
+    metadata: null
+  };
+};
+
+/**
+ * Look an image up in its registry without pulling it: the manifest (for a
+ * manifest list, the platform's entry) and the image config
+ * @param {string} imageName - Validated image reference
+ * @param {Object} options - Optional validated platform, registry credentials
+ *   and AbortSignal
+ * @returns {Promise<Object>} client, manifest, manifestDigest, config and
+ *   imageInfo (getImageInfo shape) for analyzeRegistryImage
+ */
+const resolveRegistryImage = async (imageName, { platform, credentials, signal } = {}) => {
+  const client = new RegistryClient(imageName, { credentials });
+  const { manifest, digest } = await client.getManifest({ platform, signal });
+  const configBlob = await client.getBlob(manifest.config, { signal });
+  throwIfCancelled(signal);
+
+  let config;
+  try {
+    config = JSON.parse(configBlob.toString('utf8'));
+  } catch (error) {
+    throw new Error(`Unreadable image config of ${imageName}: ${error.message}`);
+  }
+
+  const image = { client, manifest, manifestDigest: digest, config };
+  return { ...image, imageInfo: toImageInfo(imageName, image) };
+};
+
+/**
+ * Layer and file analysis of a resolved registry image, the same as dive's
+ * for a pulled one. Each layer blob is streamed to a temporary store,
+ * verified, read and deleted before the next; nothing reaches the daemon.
+ * @param {string} imageName - Image reference the analysis is labelled with
+ * @param {Object} image - resolveRegistryImage result
+ * @param {Object} options - Optional AbortSignal and onLayer called with
+ *   { index, count, digest, size } as each layer download starts
+ * @returns {Promise<Object>} Analysis as DiveUtils.parseJSONOutput returns it
+ */
+const analyzeRegistryImage = async (imageName, image, { signal, onLayer = () => {} } = {}) => {
+  const dir = path.join(blobDir(), uuidv4());
+  await fs.ensureDir(dir);
+
+  try {
+    const layers = [];
+    const descriptors = image.manifest.layers;
+    for (const [index, descriptor] of descriptors.entries()) {
+      throwIfCancelled(signal);
+      onLayer({ index, count: descriptors.length, digest: descriptor.digest, size: descriptor.size });
+
+      const blobPath = path.join(dir, blobFileName(descriptor.digest));
+      try {
+        await image.client.downloadBlob(descriptor, blobPath, { signal });
+        const { fileList, sizeBytes } = await readLayerBlob(blobPath, { digest: descriptor.digest, signal });
+        layers.push({ descriptor, fileList, sizeBytes });
+      } finally {
+        // Only ever the blob file itself, inside the store
+        if (path.dirname(blobPath) === dir) {
+          await fs.remove(blobPath);
+        }
+      }
+    }
+
+    return diveUtils.parseJSONOutput(toDiveReport(layers, image.config), imageName, image.imageInfo);
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+module.exports = {
+  resolveRegistryImage,
+  analyzeRegistryImage,
+  computeEfficiency,
+  toDiveReport
+};
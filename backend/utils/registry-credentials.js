@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parseImageReference } = require('./image-name');
+
+const CIPHER = 'aes-256-gcm';
+const FILE_VERSION = 1;
+
+// Registry hosts as in image references; Docker Hub goes by several names in
+// docker config files
+const REGISTRY_HOST_REGEX = /^[a-z0-9](?:[a-z0-9.-]*[a-z0-9])?(?::[0-9]+)?$/;
+const DOCKER_HUB_ALIASES = ['docker.io', 'index.docker.io', 'registry-1.docker.io', 'registry.hub.docker.com'];
+
+// The docker CLI files Docker Hub credentials under its v1 index URL
+const DOCKER_HUB_SERVER = 'https://index.docker.io/v1/';
+
+/**
+ * Registry host a credential is stored under: scheme and path dropped,
+ * lower-cased, every Docker Hub alias as docker.io
+ * @param {string} value - Host, host:port or a docker config auths key (a URL)
+ * @returns {string|null} Host, or null when it isn't one
+ */
+const normalizeRegistry = (value) => {
+  const host = String(value || '').trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split('/')[0];
+  if (!REGISTRY_HOST_REGEX.test(host)) {
+    return null;
+  }
+  return DOCKER_HUB_ALIASES.includes(host) ? 'docker.io' : host;
+};
+
+const serverAddress = (registry) => (registry === 'docker.io' ? DOCKER_HUB_SERVER : registry);
+
+/**
+ * Credentials from a docker config.json fragment: auths entries with a
+ * base64 user:password auth or separate username and password fields
+ * @param {Object} config - { auths: { <registry>: { auth | username, password } } }
+ * @returns {{ entries: Array, skipped: Array }} entries ({ registry, username,
+ *   password }) and skipped ({ registry, reason }) for entries that can't be used
+ */
+const parseDockerConfig = (config) => {
+  if (!config || typeof config !== 'object' || !config.auths || typeof config.auths !== 'object') {
+    throw new Error('Invalid docker config: expected an "auths" object');
+  }
+
+  const entries = [];
+  const skipped = [];
+  Object.entries(config.auths).forEach(([key, value]) => {
+    const registry = normalizeRegistry(key);
+    if (!registry) {
+      skipped.push({ registry: key, reason: 'not a registry host' });
+      return;
+    }
+    if (value && value.identitytoken) {
+      skipped.push({ registry, reason: 'identity tokens are not supported; use a username and access token' });
+      return;
+    }
+
+    let username = value && value.username;
+    let password = value && value.password;
+    if (value && value.auth) {
+      const decoded = Buffer.from(value.auth, 'base64').toString('utf8');
+      const colon = decoded.indexOf(':');
+      if (colon > 0) {
+        username = decoded.slice(0, colon);
+        password = decoded.slice(colon + 1);
+      }
+    }
+    if (!username || !password) {
+      skipped.push({ registry, reason: 'no username and password' });
+      return;
+    }
+    entries.push({ registry, username, password });
+  });
+
+  // Credential helpers keep the secret outside the config; there is nothing to import
+  Object.keys(config.credHelpers || {}).forEach((key) => {
+    skipped.push({ registry: normalizeRegistry(key) || key, reason: 'credential helpers are not supported' });
+  });
+  return { entries, skipped };
+};
+
+/**
+ * Private registry credentials, encrypted at rest with AES-256-GCM under
+ * REGISTRY_CREDENTIALS_KEY (64 hex characters or a passphrase, stretched with
+ * scrypt and the file's salt). Without the key the store is off: nothing is
+ * stored and pulls go out with the daemon's own credentials.
+ * Layout: <dir>/registries.json holds { version, salt, registries } where each
+ * registry keeps its username and timestamps in the clear and the password or
+ * token as { iv, tag, data } bound to its host.
+ */
+class RegistryCredentials {
+  constructor() {
+    this.dir = process.env.REGISTRY_CREDENTIALS_DIR || path.join(__dirname, '..', 'temp', 'credentials');
+    this.file = path.join(this.dir, 'registries.json');
+    this.data = null;
+    // Derived keys by passphrase and salt; scrypt is slow on purpose
+    this.keys = new Map();
+    // Writes rewrite the whole file; one at a time
+    this.writeChain = Promise.resolve();
+  }
+
+  isEnabled() {
+    return Boolean(process.env.REGISTRY_CREDENTIALS_KEY);
+  }
+
+  assertEnabled() {
+    if (!this.isEnabled()) {
+      throw new Error('Registry credential store disabled: set REGISTRY_CREDENTIALS_KEY');
+    }
+  }
+
+  // Read once and kept in memory; pulls look credentials up synchronously
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+    try {
+      this.data = fs.readJsonSync(this.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Registry credentials unreadable, treating the store as empty:', error.message);
+      }
+      this.data = { version: FILE_VERSION, salt: crypto.randomBytes(16).toString('hex'), registries: {} };
+    }
+    return this.data;
+  }
+
+  key() {
+    const secret = process.env.REGISTRY_CREDENTIALS_KEY;
+    if (/^[a-f0-9]{64}$/i.test(secret)) {
+      return Buffer.from(secret, 'hex');
+    }
+    const { salt } = this.load();
+    const cacheKey = `${salt}:${secret}`;
+    if (!this.keys.has(cacheKey)) {
+      this.keys.set(cacheKey, crypto.scryptSync(secret, Buffer.from(salt, 'hex'), 32));
+    }
+    return this.keys.get(cacheKey);
+  }
+
+  encrypt(registry, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key(), iv);
+    cipher.setAAD(Buffer.from(registry));
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+
+  decrypt(registry, secret) {
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, this.key(), Buffer.from(secret.iv, 'base64'));
+      decipher.setAAD(Buffer.from(registry));
+      decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(secret.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error(`Registry credentials for ${registry} cannot be decrypted with REGISTRY_CREDENTIALS_KEY`);
+    }
+  }
+
+  // Apply a change to the loaded data and write the file (owner-only) through
+  // a temp file so a crash never leaves half a store
+  mutate(change) {
+    const run = this.writeChain.then(async () => {
+      const data = this.load();
+      const result = change(data);
+      await fs.ensureDir(this.dir, { mode: 0o700 });
+      const tempPath = `${this.file}.${process.pid}.tmp`;
+      await fs.writeJson(tempPath, data, { spaces: 2, mode: 0o600 });
+      await fs.rename(tempPath, this.file);
+      return result;
+    });
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  // What the admin API shows of an entry: never the secret
+  summarize(entry) {
+    return {
+      registry: entry.registry,
+      username: entry.username,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      rotatedAt: entry.rotatedAt || null,
+      lastTest: entry.lastTest || null
+    };
+  }
+
+  /**
+   * Stored registries, without their secrets
+   * @returns {Array} Summaries sorted by registry
+   */
+  list() {
+    return Object.values(this.load().registries)
+      .map((entry) => this.summarize(entry))
+      .sort((a, b) => a.registry.localeCompare(b.registry));
+  }
+
+  /**
+   * Summary of one registry's credentials
+   * @param {string} registry - Host
+   * @returns {Object|null} Summary, or null when none are stored
+   */
+  describe(registry) {
+    const entry = this.load().registries[normalizeRegistry(registry)];
+    return entry ? this.summarize(entry) : null;
+  }
+
+  /**
+   * Store (or replace) the credentials of a registry
+   * @param {string} registry - Host, e.g. ghcr.io or registry.internal:5000
+   * @param {Object} credentials - username and password (or access token)
+   * @returns {Promise<{ created: boolean, registry: Object }>} Whether the
+   *   registry was new, and its summary
+   */
+  async set(registry, { username, password }) {
+    this.assertEnabled();
+    const host = normalizeRegistry(registry);
+    if (!host) {
+      throw new Error(`Invalid registry: ${registry}`);
+    }
+    if (typeof username !== 'string' || !username || typeof password !== 'string' || !password) {
+      throw new Error('Invalid credentials: username and password (or token) are required');
+    }
+
+    return this.mutate((data) => {
+      const existing = data.registries[host];
+      const now = new Date().toISOString();
+      data.registries[host] = {
+        registry: host,
+        username,
+        secret: this.encrypt(host, password),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        rotatedAt: existing ? now : null,
+        lastTest: null
+      };
+      return { created: !existing, registry: this.summarize(data.registries[host]) };
+    });
+  }
+
+  /**
+   * Replace the password or token of stored credentials, keeping the username
+   * unless a new one is given
+   * @param {string} registry - Host
+   * @param {Object} credentials - password (or token) and optional username
+   * @returns {Promise<Object|null>} Summary, or null when none are stored
+   */
+  async rotate(registry, { username, password }) {
+    this.assertEnabled();
+    const current = this.describe(registry);
+    if (!current) {
+      return null;
+    }
+    const { registry: summary } = await this.set(current.registry, { username: username || current.username, password });
+    return summary;
+  }
+
+  /**
+   * Import the auths entries of a docker config.json fragment
+   * @param {Object} config - Parsed config fragment
+   * @returns {Promise<{ imported: Array, skipped: Array }>} Summaries stored
+   *   and entries left out with the reason
+   */
+  async importDockerConfig(config) {
+    this.assertEnabled();
+    const { entries, skipped } = parseDockerConfig(config);
+    const imported = [];
+    for (const { registry, username, password } of entries) {
+      imported.push((await this.set(registry, { username, password })).registry);
+    }
+    return { imported, skipped };
+  }
+
+  /**
+   * Record the outcome of a credential test
+   * @param {string} registry - Host
+   * @param {Object} result - ok and message
+   * @returns {Promise<Object|null>} Summary, or null when none are stored
+   */
+  async recordTest(registry, { ok, message }) {
+    const host = normalizeRegistry(registry);
+    return this.mutate((data) => {
+      const entry = data.registries[host];
+      if (!entry) {
+        return null;
+      }
+      entry.lastTest = { ok, message, testedAt: new Date().toISOString() };
+      return this.summarize(entry);
+    });
+  }
+
+  /**
+   * Delete the credentials of a registry
+   * @param {string} registry - Host
+   * @returns {Promise<boolean>} Whether any were stored
+   */
+  async remove(registry) {
+    const host = normalizeRegistry(registry);
+    if (!host || !this.load().registries[host]) {
+      return false;
+    }
+    return this.mutate((data) => {
+      const existed = Boolean(data.registries[host]);
+      delete data.registries[host];
+      return existed;
+    });
+  }
+
+  /**
+   * Decrypted credentials of a registry
+   * @param {string} registry - Host
+   * @returns {{ registry: string, username: string, password: string }|null}
+   *   Credentials, or null when none are stored or the store is off
+   */
+  get(registry) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    const host = normalizeRegistry(registry);
+    const entry = host && this.load().registries[host];
+    if (!entry) {
+      return null;
+    }
+    return { registry: host, username: entry.username, password: this.decrypt(host, entry.secret) };
+  }
+
+  /**
+   * Credentials for the registry an image reference names
+   * @param {string} imageName - Validated image reference
+   * @returns {Object|null} As get()
+   */
+  forImage(imageName) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    return this.get(parseImageReference(imageName).registry);
+  }
+
+  /**
+   * X-Registry-Auth header value for Engine API pulls
+   * @param {Object} credentials - get() result
+   * @returns {string} base64url-encoded auth config
+   */
+  engineAuthHeader({ registry, username, password }) {
+    return Buffer.from(JSON.stringify({ username, password, serveraddress: serverAddress(registry) })).toString('base64url');
+  }
+
+  /**
+   * Write a throwaway docker config directory holding only these credentials,
+   * for a docker CLI child started with DOCKER_CONFIG pointing at it. Nothing
+   * touches the host's docker config, so other docker processes (the terminal's
+   * dive sessions among them) never see the secret.
+   * @param {Object} credentials - get() result
+   * @returns {Promise<{ dir: string, remove: function }>} Directory and its cleanup
+   */
+  async writeDockerConfig({ registry, username, password }) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dive-docker-config-'));
+    const auth = Buffer.from(`${username}:${password}`).toString('base64');
+    await fs.writeJson(path.join(dir, 'config.json'), { auths: { [serverAddress(registry)]: { auth } } }, { mode: 0o600 });
+    return { dir, remove: () => fs.remove(dir) };
+  }
+}
+
+module.exports = new RegistryCredentials();
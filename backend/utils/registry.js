@@ -0,0 +1,451 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const fs = require('fs-extra');
+const axios = require('axios');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseImageReference } = require('./image-name');
+const { formatPlatform, matchesPlatform } = require('./platform');
+const { throwIfCancelled } = require('./cancellation');
+
+const MEDIA_TYPES = {
+  ociIndex: 'application/vnd.oci.image.index.v1+json',
+  dockerManifestList: 'application/vnd.docker.distribution.manifest.list.v2+json',
+  ociManifest: 'application/vnd.oci.image.manifest.v1+json',
+  dockerManifest: 'application/vnd.docker.distribution.manifest.v2+json'
+};
+const INDEX_TYPES = [MEDIA_TYPES.ociIndex, MEDIA_TYPES.dockerManifestList];
+
+// Largest manifest, image config or other response read into memory, like
+// the 4 MiB manifest limit of containerd; only layers are streamed
+const MAX_DOCUMENT_BYTES = 4 * 1024 * 1024;
+
+// Largest layer written to the blob store (REGISTRY_BLOB_MAX_BYTES, default 10 GiB);
+// a layer never gets past the size its descriptor gives either
+const parsedBlobMax = parseInt(process.env.REGISTRY_BLOB_MAX_BYTES, 10);
+const MAX_BLOB_BYTES = Number.isInteger(parsedBlobMax) && parsedBlobMax > 0 ? parsedBlobMax : 10 * 1024 * 1024 * 1024;
+
+// Image references name Docker Hub as docker.io; its registry API lives elsewhere
+const REGISTRY_HOSTS = {
+  'docker.io': 'registry-1.docker.io',
+  'index.docker.io': 'registry-1.docker.io'
+};
+
+// Node's process.arch as OCI architectures
+const HOST_ARCHITECTURES = { x64: 'amd64', ia32: '386', arm64: 'arm64', arm: 'arm', ppc64: 'ppc64le', s390x: 's390x' };
+
+/**
+ * Platform picked from a manifest list when none is requested, like the daemon
+ * pulling for its own platform
+ * @returns {string} e.g. linux/amd64
+ */
+const defaultPlatform = () => `linux/${HOST_ARCHITECTURES[process.arch] || process.arch}`;
+
+// Registry hosts come from user-supplied image names. Loopback, private and
+// link-local addresses (the backend's own network) are off limits unless
+// REGISTRY_INSECURE_HOSTS (comma-separated host[:port]) lists them, which also
+// makes a host speak plain HTTP.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const insecureHosts = () => (process.env.REGISTRY_INSECURE_HOSTS || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+const hostnameOf = (host) => host.replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1');
+
+const isInsecureHost = (host) => {
+  const insecure = insecureHosts();
+  return insecure.includes(host) || insecure.includes(hostnameOf(host));
+};
+
+// Listed hosts are trusted whatever their port
+const isListedHostname = (hostname) => insecureHosts().some((entry) => hostnameOf(entry) === hostname);
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const assertAllowedHost = (host) => {
+  const hostname = hostnameOf(host).toLowerCase();
+  if (isListedHostname(hostname)) {
+    return;
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+    throw new Error(`Invalid registry host ${host}: loopback and private addresses must be listed in REGISTRY_INSECURE_HOSTS`);
+  }
+};
+
+// DNS lookup for registry requests that refuses names resolving to private
+// addresses; IP literals skip lookups and are checked by assertAllowedHost
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || isListedHostname(hostname)) {
+      return callback(error, address, family);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Invalid registry host ${hostname}: resolves to the private address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Parse a WWW-Authenticate header such as
+ * Bearer realm="https://auth.docker.io/token",service="registry.docker.io",scope="repository:library/nginx:pull"
+ * @param {string} header - Header value
+ * @returns {{ scheme: string, params: Object }|null} Lower-cased scheme and its parameters
+ */
+const parseChallenge = (header) => {
+  const match = /^(\w+)\s*(.*)$/.exec(header || '');
+  if (!match) {
+    return null;
+  }
+  const params = {};
+  for (const [, key, value] of match[2].matchAll(/(\w+)="([^"]*)"/g)) {
+    params[key.toLowerCase()] = value;
+  }
+  return { scheme: match[1].toLowerCase(), params };
+};
+
+const sha256 = (buffer) => `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+
+const assertSha256 = (digest) => {
+  if (!/^sha256:[a-f0-9]{64}$/.test(digest || '')) {
+    throw new Error(`Unsupported registry digest: ${digest}`);
+  }
+};
+
+// Documents are refused by their descriptor size before they are fetched
+const assertDocumentSize = (descriptor, imageName) => {
+  if (Number(descriptor.size) > MAX_DOCUMENT_BYTES) {
+    throw new Error(`${descriptor.digest} of ${imageName} is ${descriptor.size} bytes, over the ${MAX_DOCUMENT_BYTES} byte limit`);
+  }
+};
+
+// An unread stream response would keep its socket open
+const discard = (response) => {
+  if (response.data && typeof response.data.destroy === 'function') {
+    response.data.destroy();
+  }
+};
+
+/**
+ * Client for the OCI distribution API of one repository: token auth,
+ * manifests (resolving manifest lists to one platform), tags and blobs, every
+ * download checked against its digest. A client is bound to the repository
+ * of the image reference it was created for and keeps its token.
+ */
+class RegistryClient {
+  /**
+   * @param {string|null} imageName - Validated image reference; null for a
+   *   client of the registry itself, which only checks logins
+   * @param {Object} options - Optional credentials ({ username, password }) for
+   *   the token service or basic auth, and the registry host when imageName is null
+   */
+  constructor(imageName, { credentials = null, registry = null } = {}) {
+    this.imageName = imageName || registry;
+    this.reference = imageName ? parseImageReference(imageName) : { registry, repository: null, reference: null };
+    const host = REGISTRY_HOSTS[this.reference.registry] || this.reference.registry;
+    assertAllowedHost(host);
+    this.baseURL = `${isInsecureHost(host) ? 'http' : 'https'}://${host}/v2`;
+    this.credentials = credentials;
+    this.authorization = null;
+
+    this.api = axios.create({
+      timeout: 30000,
+      maxRedirects: 5,
+      lookup: guardedLookup,
+      // Blob redirects (to a CDN, usually) and token realms get the same checks
+      beforeRedirect: (options) => assertAllowedHost(options.hostname),
+      // Statuses are mapped to errors here, after the auth retry
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': 'dive-inspector/1.0.0'
+      }
+    });
+  }
+
+  /**
+   * Answer an auth challenge: a bearer token from the realm it names, or
+   * basic auth when the registry asks for it and credentials are set
+   * @param {string} header - WWW-Authenticate value of the 401 response
+   * @param {AbortSignal} [signal] - Cancels the token request
+   * @returns {Promise<boolean>} Whether the request is worth retrying
+   */
+  async authenticate(header, signal) {
+    const challenge = parseChallenge(header);
+    const auth = this.credentials ? { username: this.credentials.username, password: this.credentials.password } : undefined;
+
+    if (challenge?.scheme === 'basic') {
+      if (!auth) {
+        return false;
+      }
+      this.authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+      return true;
+    }
+    if (challenge?.scheme !== 'bearer' || !challenge.params.realm) {
+      return false;
+    }
+
+    const { realm, service } = challenge.params;
+    let realmURL;
+    try {
+      realmURL = new URL(realm);
+    } catch (error) {
+      return false;
+    }
+    assertAllowedHost(realmURL.host);
+    const scope = challenge.params.scope || (this.reference.repository && `repository:${this.reference.repository}:pull`);
+    const response = await this.api.get(realm, {
+      params: {
+        ...(service && { service }),
+        ...(scope && { scope })
+      },
+      auth,
+      maxContentLength: MAX_DOCUMENT_BYTES,
+      signal
+    });
+    const token = response.status === 200 && (response.data?.token || response.data?.access_token);
+    if (!token) {
+      return false;
+    }
+    this.authorization = `Bearer ${token}`;
+    return true;
+  }
+
+  /**
+   * GET a path under the repository, retrying once after an auth challenge
+   * @param {string} path - e.g. manifests/latest or blobs/sha256:...; the
+   *   registry's API root for a client without a repository
+   * @param {Object} options - Accept header, axios responseType, query params
+   *   and AbortSignal
+   * @returns {Promise<Object>} axios response with any status
+   */
+  async request(path, { accept, responseType = 'arraybuffer', params, signal } = {}) {
+    const url = this.reference.repository ? `${this.baseURL}/${this.reference.repository}/${path}` : `${this.baseURL}/`;
+    const send = () => this.api.get(url, {
+      params,
+      headers: {
+        ...(accept && { Accept: accept }),
+        ...(this.authorization && { Authorization: this.authorization })
+      },
+      responseType,
+      // Streams are the caller's to bound
+      maxContentLength: responseType === 'stream' ? -1 : MAX_DOCUMENT_BYTES,
+      signal
+    });
+
+    try {
+      let response = await send();
+      if (response.status === 401 && await this.authenticate(response.headers['www-authenticate'], signal)) {
+        discard(response);
+        response = await send();
+      }
+      return response;
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw new Error(`Registry request failed for ${this.imageName}: ${error.message}`);
+    }
+  }
+
+  // Error for a response that isn't the requested content; the wording maps
+  // onto the same HTTP statuses as docker pull failures
+  failure(response, what) {
+    discard(response);
+    const { registry, repository } = this.reference;
+    if (response.status === 401 || response.status === 403) {
+      return new Error(`pull access denied for ${registry}/${repository}: the registry requires credentials`);
+    }
+    if (response.status === 404) {
+      return new Error(`manifest unknown: ${what} not found in ${registry}/${repository}`);
+    }
+    return new Error(`Registry returned HTTP ${response.status} for ${what} of ${registry}/${repository}`);
+  }
+
+  /**
+   * Fetch one manifest or manifest list by tag or digest
+   * @param {string} reference - Tag or digest
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<{ manifest: Object, digest: string }>} Parsed document and its digest
+   */
+  async fetchManifest(reference, signal) {
+    const response = await this.request(`manifests/${reference}`, {
+      accept: Object.values(MEDIA_TYPES).join(', '),
+      signal
+    });
+    if (response.status !== 200) {
+      throw this.failure(response, reference);
+    }
+
+    const body = Buffer.from(response.data);
+    const digest = sha256(body);
+    if (reference.startsWith('sha256:') && digest !== reference) {
+      throw new Error(`Manifest digest mismatch for ${this.imageName}: expected ${reference}, got ${digest}`);
+    }
+
+    const manifest = JSON.parse(body.toString('utf8'));
+    return {
+      manifest: { ...manifest, mediaType: manifest.mediaType || String(response.headers['content-type'] || '').split(';')[0] },
+      digest
+    };
+  }
+
+  /**
+   * Image manifest of the reference; a manifest list resolves to the entry
+   * of the requested platform, or of this host's platform (else the first
+   * entry) when none is requested. Attestation entries are never picked.
+   * @param {Object} options - Optional validated platform and AbortSignal
+   * @returns {Promise<{ manifest: Object, digest: string, platforms: string[] }>}
+   *   Image manifest, its digest and the platforms of the list (empty for a single manifest)
+   */
+  async getManifest({ platform, signal } = {}) {
+    let { manifest, digest } = await this.fetchManifest(this.reference.reference, signal);
+    let platforms = [];
+
+    if (INDEX_TYPES.includes(manifest.mediaType) || Array.isArray(manifest.manifests)) {
+      const entries = (manifest.manifests || []).filter((entry) => formatPlatform(entry.platform));
+      platforms = Array.from(new Set(entries.map((entry) => formatPlatform(entry.platform))));
+      const entry = platform
+        ? entries.find((candidate) => matchesPlatform(candidate.platform, platform))
+        : entries.find((candidate) => matchesPlatform(candidate.platform, defaultPlatform())) || entries[0];
+      if (!entry) {
+        throw new Error(`No ${platform || 'image'} variant found in the manifest list of ${this.imageName}`);
+      }
+      assertSha256(entry.digest);
+      assertDocumentSize(entry, this.imageName);
+      ({ manifest, digest } = await this.fetchManifest(entry.digest, signal));
+    }
+
+    if (!manifest.config || !Array.isArray(manifest.layers)) {
+      throw new Error(`Unsupported manifest for ${this.imageName}: ${manifest.mediaType || `schema version ${manifest.schemaVersion}`}`);
+    }
+    // Digests name blob files later on; nothing else may get that far
+    [manifest.config, ...manifest.layers].forEach((descriptor) => assertSha256(descriptor && descriptor.digest));
+    return { manifest, digest, platforms };
+  }
+
+  /**
+   * Tags of the repository, in the registry's (lexical) order
+   * @param {Object} options - Optional limit and AbortSignal
+   * @returns {Promise<string[]>} Tag names
+   */
+  async listTags({ limit, signal } = {}) {
+    const response = await this.request('tags/list', {
+      responseType: 'json',
+      params: limit ? { n: limit } : undefined,
+      signal
+    });
+    if (response.status !== 200) {
+      throw this.failure(response, 'tags');
+    }
+    const tags = Array.isArray(response.data?.tags) ? response.data.tags : [];
+    return limit ? tags.slice(0, limit) : tags;
+  }
+
+  /**
+   * Log in to the registry API root (GET /v2/) with the client's credentials,
+   * the way docker login checks them
+   * @param {Object} options - Optional AbortSignal
+   * @returns {Promise<{ authenticated: boolean }>} authenticated is false when
+   *   the registry let the request through without asking for credentials
+   * @throws {Error} When the registry refuses the credentials or fails
+   */
+  async checkLogin({ signal } = {}) {
+    const response = await this.request('', { responseType: 'json', signal });
+    discard(response);
+    if (response.status === 200) {
+      return { authenticated: Boolean(this.authorization) };
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`Login to ${this.reference.registry} refused: unauthorized`);
+    }
+    throw new Error(`Registry returned HTTP ${response.status} for the API root of ${this.reference.registry}`);
+  }
+
+  /**
+   * Small blob (an image config, at most MAX_DOCUMENT_BYTES) in memory
+   * @param {Object} descriptor - digest and size
+   * @param {Object} options - Optional AbortSignal
+   * @returns {Promise<Buffer>} Verified content
+   */
+  async getBlob(descriptor, { signal } = {}) {
+    assertSha256(descriptor.digest);
+    assertDocumentSize(descriptor, this.imageName);
+    const response = await this.request(`blobs/${descriptor.digest}`, { signal });
+    if (response.status !== 200) {
+      throw this.failure(response, descriptor.digest);
+    }
+    const body = Buffer.from(response.data);
+    if (sha256(body) !== descriptor.digest) {
+      throw new Error(`Blob digest mismatch for ${descriptor.digest} of ${this.imageName}`);
+    }
+    return body;
+  }
+
+  /**
+   * Stream a blob (a layer) to a file, hashing it on the way
+   * @param {Object} descriptor - digest and size
+   * @param {string} filePath - Destination; left in place for the caller to remove
+   * @param {Object} options - Optional AbortSignal and onData called with the bytes received so far
+   * @returns {Promise<number>} Size in bytes
+   */
+  async downloadBlob(descriptor, filePath, { signal, onData } = {}) {
+    assertSha256(descriptor.digest);
+    if (Number(descriptor.size) > MAX_BLOB_BYTES) {
+      throw new Error(`${descriptor.digest} of ${this.imageName} is ${descriptor.size} bytes, over the ${MAX_BLOB_BYTES} byte limit`);
+    }
+    const maxBytes = descriptor.size !== undefined ? Number(descriptor.size) : MAX_BLOB_BYTES;
+    const response = await this.request(`blobs/${descriptor.digest}`, { responseType: 'stream', signal });
+    if (response.status !== 200) {
+      throw this.failure(response, descriptor.digest);
+    }
+
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        // Stop before a registry sending more than it announced fills the disk
+        if (size > maxBytes) {
+          callback(new Error(`more than the ${maxBytes} bytes expected`));
+          return;
+        }
+        hash.update(chunk);
+        if (onData) {
+          onData(size);
+        }
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(response.data, meter, fs.createWriteStream(filePath), { signal });
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw new Error(`Failed to download ${descriptor.digest} of ${this.imageName}: ${error.message}`);
+    }
+
+    const digest = `sha256:${hash.digest('hex')}`;
+    if (digest !== descriptor.digest || (descriptor.size !== undefined && size !== descriptor.size)) {
+      throw new Error(`Blob digest mismatch for ${descriptor.digest} of ${this.imageName}`);
+    }
+    return size;
+  }
+}
+
+module.exports = {
+  RegistryClient,
+  MEDIA_TYPES,
+  MAX_DOCUMENT_BYTES,
+  MAX_BLOB_BYTES,
+  defaultPlatform,
+  parseChallenge
+};
@@ -0,0 +1,274 @@
+const { humanSize } = require('./dockerfile');
+
+// Rows of the Markdown and HTML inefficient file tables; JSON has them all
+const INEFFICIENT_FILE_LIMIT = 100;
+
+const TOOL_NAME = 'docker-dive-web-ui';
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+
+const LAYER_COLUMNS = [
+  { header: 'index', value: (layer, position) => position + 1 },
+  { header: 'id', value: (layer) => layer.id },
+  { header: 'command', value: (layer) => layer.command },
+  { header: 'size_bytes', value: (layer) => layer.size || 0 },
+  { header: 'size_percentage', value: (layer) => round(layer.size_percentage) },
+  { header: 'wasted_bytes', value: (layer) => layer.wasted_size || 0 },
+  { header: 'file_count', value: (layer) => layer.file_count || 0 },
+  { header: 'change_type', value: (layer) => layer.change_type },
+  { header: 'efficiency', value: (layer) => round(layer.efficiency) },
+  { header: 'created', value: (layer) => layer.created }
+];
+
+// Same bands as the inspect page's efficiency status
+const efficiencyBand = (efficiency) => {
+  if (efficiency >= 90) return 'good';
+  if (efficiency >= 70) return 'fair';
+  return 'poor';
+};
+
+const headline = (analysis, { imageName, digest, platform } = {}) => ({
+  imageName: imageName || analysis.imageName,
+  digest: digest || analysis.metadata?.imageId || null,
+  platform: platform || analysis.metadata?.platform || null,
+  metrics: analysis.analysis || {},
+  layers: analysis.layers || [],
+  inefficientFiles: analysis.inefficientFiles || [],
+  findings: analysis.advice?.findings || [],
+  totalSavings: analysis.advice?.totalSavings || 0
+});
+
+/**
+ * The analysis as the API returns it (DiveUtils.parseJSONOutput shape)
+ * @param {Object} analysis - Inspection result analysis
+ * @returns {string} Pretty-printed JSON
+ */
+const toJson = (analysis) => `${JSON.stringify(analysis, null, 2)}\n`;
+
+// Spreadsheets run cells starting with these as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The layer table, one row per layer, base first
+ * @param {Object} analysis - Inspection result analysis
+ * @returns {string} RFC 4180 CSV with a header row
+ */
+const toCsv = (analysis) => {
+  const rows = [LAYER_COLUMNS.map((column) => column.header)];
+  (analysis.layers || []).forEach((layer, position) => {
+    rows.push(LAYER_COLUMNS.map((column) => column.value(layer, position)));
+  });
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+const markdownCell = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\|/g, '\\|')
+  .replace(/</g, '&lt;')
+  .replace(/\r?\n/g, ' ');
+
+const markdownTable = (headers, rows) => [
+  `| ${headers.join(' | ')} |`,
+  `| ${headers.map(() => '---').join(' | ')} |`,
+  ...rows.map((row) => `| ${row.map(markdownCell).join(' | ')} |`)
+].join('\n');
+
+/**
+ * Markdown summary: metrics, layer table, inefficient files and advice
+ * @param {Object} analysis - Inspection result analysis
+ * @param {Object} context - imageName, digest and platform of the inspection
+ * @returns {string} GitHub-flavoured Markdown
+ */
+const toMarkdown = (analysis, context) => {
+  const report = headline(analysis, context);
+  const { metrics } = report;
+  const lines = [
+    `# Image analysis: ${markdownCell(report.imageName)}`,
+    '',
+    report.digest && `- Image ID: \`${report.digest}\``,
+    report.platform && `- Platform: ${markdownCell(report.platform)}`,
+    `- Generated: ${new Date().toISOString()} by ${TOOL_NAME}`,
+    '',
+    '## Efficiency',
+    '',
+    markdownTable(['Metric', 'Value'], [
+      ['Efficiency', `${metrics.efficiency ?? 0}% (${efficiencyBand(metrics.efficiency ?? 0)})`],
+      ['Total size', humanSize(metrics.totalSize)],
+      ['Wasted space', humanSize(metrics.wastedSpace)],
+      ['User data', humanSize(metrics.userDataInImage)],
+      ['Layers', metrics.totalLayers ?? report.layers.length]
+    ]),
+    '',
+    '## Layers',
+    '',
+    markdownTable(['#', 'Command', 'Size', 'Wasted', 'Files', 'Efficiency'], report.layers.map((layer, position) => [
+      position + 1,
+      layer.command,
+      humanSize(layer.size),
+      humanSize(layer.wasted_size),
+      layer.file_count ?? 0,
+      `${round(layer.efficiency) ?? 0}%`
+    ])),
+    '',
+    '## Inefficient files',
+    ''
+  ];
+
+  if (report.inefficientFiles.length === 0) {
+    lines.push('No file is duplicated or deleted across layers.');
+  } else {
+    lines.push(markdownTable(['Path', 'Copies', 'Total size', 'Wasted', 'Layers'],
+      report.inefficientFiles.slice(0, INEFFICIENT_FILE_LIMIT).map((file) => [
+        file.path,
+        file.count,
+        humanSize(file.totalBytes),
+        humanSize(file.wastedBytes),
+        file.layers.map((touch) => `#${touch.index + 1}`).join(', ')
+      ])));
+    if (report.inefficientFiles.length > INEFFICIENT_FILE_LIMIT) {
+      lines.push('', `${report.inefficientFiles.length - INEFFICIENT_FILE_LIMIT} more in the JSON report.`);
+    }
+  }
+
+  if (report.findings.length > 0) {
+    lines.push('', '## Optimization advice', '', `Fixing these would save about ${humanSize(report.totalSavings)}.`, '');
+    report.findings.forEach((finding) => {
+      lines.push(`- **${markdownCell(finding.title)}** (${humanSize(finding.estimatedSavings)}): ${markdownCell(finding.fix)}`);
+    });
+  }
+
+  return `${lines.filter((line) => line !== null && line !== undefined && line !== false).join('\n')}\n`;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const htmlTable = (headers, rows) => `<table>
+<thead><tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map((row) => `<tr>${row.join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+const td = (value, className) => `<td${className ? ` class="${className}"` : ''}>${escapeHtml(value)}</td>`;
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #1f2937; }
+h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+.meta { color: #6b7280; font-size: 0.875rem; margin: 0.15rem 0; }
+.metrics { display: flex; flex-wrap: wrap; gap: 1rem; }
+.metric { border: 1px solid #e5e7eb; border-radius: 6px; padding: 0.75rem 1rem; min-width: 9rem; }
+.metric .label { color: #6b7280; font-size: 0.75rem; text-transform: uppercase; }
+.metric .value { font-size: 1.25rem; font-weight: 600; }
+.good { color: #15803d; } .fair { color: #a16207; } .poor { color: #b91c1c; }
+table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+th { background: #f9fafb; }
+td.number { text-align: right; white-space: nowrap; }
+td.code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; word-break: break-all; }
+.note { color: #6b7280; font-size: 0.875rem; }
+`;
+
+/**
+ * Standalone HTML page: no scripts and no external resources, so it opens
+ * offline and can be attached or archived as a single file
+ * @param {Object} analysis - Inspection result analysis
+ * @param {Object} context - imageName, digest and platform of the inspection
+ * @returns {string} HTML document
+ */
+const toHtml = (analysis, context) => {
+  const report = headline(analysis, context);
+  const { metrics } = report;
+  const efficiency = metrics.efficiency ?? 0;
+  const metric = (label, value, className) => `<div class="metric"><div class="label">${escapeHtml(label)}</div><div class="value${className ? ` ${className}` : ''}">${escapeHtml(value)}</div></div>`;
+
+  const layerTable = htmlTable(['#', 'Command', 'Size', 'Wasted', 'Files', 'Efficiency'], report.layers.map((layer, position) => [
+    td(position + 1, 'number'),
+    td(layer.command, 'code'),
+    td(humanSize(layer.size), 'number'),
+    td(humanSize(layer.wasted_size), 'number'),
+    td(layer.file_count ?? 0, 'number'),
+    td(`${round(layer.efficiency) ?? 0}%`, `number ${efficiencyBand(layer.efficiency ?? 0)}`)
+  ]));
+
+  const shownFiles = report.inefficientFiles.slice(0, INEFFICIENT_FILE_LIMIT);
+  const fileSection = report.inefficientFiles.length === 0
+    ? '<p class="note">No file is duplicated or deleted across layers.</p>'
+    : htmlTable(['Path', 'Copies', 'Total size', 'Wasted', 'Layers'], shownFiles.map((file) => [
+      td(file.path, 'code'),
+      td(file.count, 'number'),
+      td(humanSize(file.totalBytes), 'number'),
+      td(humanSize(file.wastedBytes), 'number'),
+      td(file.layers.map((touch) => `#${touch.index + 1}`).join(', '))
+    ])) + (report.inefficientFiles.length > shownFiles.length
+      ? `\n<p class="note">${report.inefficientFiles.length - shownFiles.length} more in the JSON report.</p>`
+      : '');
+
+  const adviceSection = report.findings.length === 0 ? '' : `
+<h2>Optimization advice</h2>
+<p class="note">Fixing these would save about ${escapeHtml(humanSize(report.totalSavings))}.</p>
+<ul>
+${report.findings.map((finding) => `<li><strong>${escapeHtml(finding.title)}</strong> (${escapeHtml(humanSize(finding.estimatedSavings))}): ${escapeHtml(finding.fix)}</li>`).join('\n')}
+</ul>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Image analysis: ${escapeHtml(report.imageName)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Image analysis: ${escapeHtml(report.imageName)}</h1>
+${report.digest ? `<p class="meta">Image ID: ${escapeHtml(report.digest)}</p>\n` : ''}${report.platform ? `<p class="meta">Platform: ${escapeHtml(report.platform)}</p>\n` : ''}<p class="meta">Generated ${escapeHtml(new Date().toISOString())} by ${TOOL_NAME}</p>
+<h2>Efficiency</h2>
+<div class="metrics">
+${metric('Efficiency', `${efficiency}%`, efficiencyBand(efficiency))}
+${metric('Total size', humanSize(metrics.totalSize))}
+${metric('Wasted space', humanSize(metrics.wastedSpace))}
+${metric('User data', humanSize(metrics.userDataInImage))}
+${metric('Layers', metrics.totalLayers ?? report.layers.length)}
+</div>
+<h2>Layers</h2>
+${layerTable}
+<h2>Inefficient files</h2>
+${fileSection}
+${adviceSection}
+</body>
+</html>
+`;
+};
+
+/**
+ * Serialisations served by GET /api/inspect/:imageName/report
+ */
+const REPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'report.json', render: toJson },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'layers.csv', render: toCsv },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'report.md', render: toMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'report.html', render: toHtml }
+};
+
+module.exports = {
+  toJson,
+  toCsv,
+  toMarkdown,
+  toHtml,
+  REPORT_FORMATS
+};
@@ -0,0 +1,576 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readImageLayers, removes } = require('./image-layers');
+const {
+  GO_BUILDINFO_MAGIC,
+  parseOsRelease,
+  parseDpkgStatus,
+  parseDpkgFileList,
+  parseApkInstalled,
+  parseRpmDatabase,
+  parseNpmLockfile,
+  parsePythonMetadata,
+  parsePythonRecord,
+  parseRequirements,
+  parseGoBuildInfo
+} = require('./package-db');
+
+const TOOL_NAME = 'docker-dive-web-ui';
+
+// Package databases and lockfiles are read whole; larger ones are skipped
+const MAX_DOCUMENT_BYTES = 64 * 1024 * 1024;
+
+// The Go build info strings are short; this much after the magic holds them
+const GO_BUILDINFO_WINDOW = 64 * 1024;
+
+const ELF_MAGIC = Buffer.from([0x7f, 0x45, 0x4c, 0x46]);
+
+const OS_RELEASE_PATHS = ['/etc/os-release', '/usr/lib/os-release'];
+const DPKG_STATUS_PATH = '/var/lib/dpkg/status';
+const DPKG_STATUS_D_REGEX = /^\/var\/lib\/dpkg\/status\.d\/[^/]+$/;
+const DPKG_LIST_REGEX = /^\/var\/lib\/dpkg\/info\/[^/]+\.list$/;
+const APK_INSTALLED_PATH = '/lib/apk/db/installed';
+const RPM_DATABASE_REGEX = /^\/(var\/lib\/rpm|usr\/lib\/sysimage\/rpm)\/(Packages|Packages\.db|rpmdb\.sqlite)$/;
+const NPM_LOCKFILE_REGEX = /\/(package-lock|npm-shrinkwrap)\.json$|\/node_modules\/\.package-lock\.json$/;
+const PYTHON_METADATA_REGEX = /\.dist-info\/(METADATA|RECORD)$|\.egg-info\/PKG-INFO$/;
+const REQUIREMENTS_REGEX = /\/requirements[\w.-]*\.txt$/;
+
+// Files whose content the catalog needs
+const isDocument = (filePath) => OS_RELEASE_PATHS.includes(filePath)
+  || filePath === DPKG_STATUS_PATH
+  || DPKG_STATUS_D_REGEX.test(filePath)
+  || DPKG_LIST_REGEX.test(filePath)
+  || filePath === APK_INSTALLED_PATH
+  || RPM_DATABASE_REGEX.test(filePath)
+  || (NPM_LOCKFILE_REGEX.test(filePath) && !/\/node_modules\/.+\/(package-lock|npm-shrinkwrap)\.json$/.test(filePath))
+  || PYTHON_METADATA_REGEX.test(filePath)
+  || (REQUIREMENTS_REGEX.test(filePath) && !/\/(site|dist)-packages\//.test(filePath));
+
+// Sink keeping a file's content whole
+const collect = (file) => {
+  const chunks = [];
+  return {
+    write: (chunk) => {
+      chunks.push(Buffer.from(chunk));
+    },
+    end: () => {
+      file.content = Buffer.concat(chunks);
+    }
+  };
+};
+
+// Sink looking for Go build info in an ELF file without holding the file
+const goBuildInfoSink = (file) => {
+  let head = Buffer.alloc(0);
+  let tail = Buffer.alloc(0);
+  let found = null;
+  let checked = false;
+
+  return {
+    write: (chunk) => {
+      if (!checked) {
+        head = Buffer.concat([head, chunk]);
+        if (head.length < ELF_MAGIC.length) {
+          return;
+        }
+        checked = true;
+        if (!head.subarray(0, ELF_MAGIC.length).equals(ELF_MAGIC)) {
+          found = Buffer.alloc(0);
+          return;
+        }
+        chunk = head;
+      }
+      if (found) {
+        if (found.length > 0 && found.length < GO_BUILDINFO_WINDOW) {
+          found = Buffer.concat([found, chunk.subarray(0, GO_BUILDINFO_WINDOW - found.length)]);
+        }
+        return;
+      }
+      // Keep the end of the previous chunk so a magic split across chunks is found
+      const window = Buffer.concat([tail, chunk]);
+      const at = window.indexOf(GO_BUILDINFO_MAGIC);
+      if (at !== -1) {
+        found = window.subarray(at, at + GO_BUILDINFO_WINDOW);
+      } else {
+        tail = window.subarray(Math.max(0, window.length - GO_BUILDINFO_MAGIC.length + 1));
+      }
+    },
+    end: () => {
+      if (found && found.length > 0) {
+        file.goBuildInfo = parseGoBuildInfo(found);
+      }
+    }
+  };
+};
+
+// readImageLayers visitor recording each layer's regular files (path and
+// size), with the content of package databases and Go build info of binaries
+const catalogVisitor = (layer) => {
+  layer.files = new Map();
+
+  return (entry) => {
+    if (entry.type !== 'file' && entry.type !== 'hardlink') {
+      return null;
+    }
+    const file = { size: entry.size };
+    layer.files.set(entry.path, file);
+
+    if (entry.type !== 'file' || entry.size === 0) {
+      return null;
+    }
+    if (isDocument(entry.path)) {
+      return entry.size <= MAX_DOCUMENT_BYTES ? collect(file) : null;
+    }
+    return goBuildInfoSink(file);
+  };
+};
+
+/**
+ * Files visible in the final image: each layer's whiteouts are applied to
+ * the layers below it, then its own files are added
+ * @param {Array} layers - readImageLayers result after catalogVisitor
+ * @returns {Map} Path to { size, content?, goBuildInfo?, layerIndex }
+ */
+const replayLayers = (layers) => {
+  const final = new Map();
+  layers.filter(Boolean).forEach((layer) => {
+    layer.whiteouts.forEach((whiteout) => {
+      // A whiteout naming a file removes just it; a directory takes its contents along
+      if (!whiteout.opaque && final.delete(whiteout.path)) {
+        return;
+      }
+      Array.from(final.keys())
+        .filter((filePath) => removes(whiteout, filePath))
+        .forEach((filePath) => final.delete(filePath));
+    });
+    (layer.files || new Map()).forEach((file, filePath) => {
+      final.set(filePath, { ...file, layerIndex: layer.index });
+    });
+  });
+  return final;
+};
+
+const encodeSegments = (name) => name.split('/').map(encodeURIComponent).join('/');
+
+const normalizePythonName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+// Namespace used in OS package purls when the image has no os-release
+const DEFAULT_DISTRO = { deb: 'debian', apk: 'alpine', rpm: 'redhat' };
+
+/**
+ * Package URL (https://github.com/package-url/purl-spec) for a package
+ * @param {Object} pkg - name, version, type, arch and epoch
+ * @param {Object|null} distro - parseOsRelease result
+ * @returns {string} e.g. pkg:deb/debian/curl@7.88.1-10?arch=amd64&distro=debian-12
+ */
+const packageUrl = (pkg, distro) => {
+  const version = encodeURIComponent(pkg.version);
+  switch (pkg.type) {
+    case 'deb':
+    case 'apk':
+    case 'rpm': {
+      const namespace = distro?.id || DEFAULT_DISTRO[pkg.type];
+      const qualifiers = [
+        pkg.arch && `arch=${encodeURIComponent(pkg.arch)}`,
+        pkg.epoch && `epoch=${pkg.epoch}`,
+        distro && `distro=${encodeURIComponent([distro.id, distro.versionId].filter(Boolean).join('-'))}`
+      ].filter(Boolean);
+      return `pkg:${pkg.type}/${encodeURIComponent(namespace)}/${encodeURIComponent(pkg.name)}@${version}${qualifiers.length > 0 ? `?${qualifiers.join('&')}` : ''}`;
+    }
+    case 'pypi':
+      return `pkg:pypi/${encodeURIComponent(normalizePythonName(pkg.name))}@${version}`;
+    default:
+      // npm scopes (@scope/name) and Go module paths are namespaces
+      return `pkg:${pkg.type}/${encodeSegments(pkg.name)}@${version}`;
+  }
+};
+
+// Installed size of a file list, counting only files still in the image
+const sizeOfFiles = (paths, final) => paths.reduce((sum, filePath) => sum + (final.get(filePath)?.size || 0), 0);
+
+// OS package databases: the package is attributed to the first layer whose
+// copy of the database lists it at this version
+const firstLayerListing = (layers, databasePath, parse, pkg) => {
+  const layer = layers.find((candidate) => {
+    const file = candidate?.files?.get(databasePath);
+    if (!file?.content) {
+      return false;
+    }
+    file.parsed = file.parsed || parse(file.content);
+    return file.parsed.some((listed) => listed.name === pkg.name && listed.version === pkg.version);
+  });
+  return layer ? layer.index : null;
+};
+
+const dpkgPackages = (final, layers) => {
+  const databases = [];
+  if (final.get(DPKG_STATUS_PATH)?.content) {
+    databases.push(DPKG_STATUS_PATH);
+  }
+  final.forEach((file, filePath) => {
+    if (DPKG_STATUS_D_REGEX.test(filePath) && !filePath.endsWith('.md5sums') && file.content) {
+      databases.push(filePath);
+    }
+  });
+
+  const parseStatus = (content) => parseDpkgStatus(content.toString('utf8'));
+  return databases.flatMap((databasePath) => parseStatus(final.get(databasePath).content).map((pkg) => {
+    const lists = [
+      `/var/lib/dpkg/info/${pkg.name}.list`,
+      `/var/lib/dpkg/info/${pkg.name}:${pkg.arch}.list`,
+      `/var/lib/dpkg/status.d/${pkg.name}.md5sums`
+    ].map((listPath) => final.get(listPath)?.content).filter(Boolean);
+    const size = lists.length > 0
+      ? sizeOfFiles(lists.flatMap((content) => parseDpkgFileList(content.toString('utf8'))), final)
+      : pkg.size;
+    return {
+      ...pkg,
+      type: 'deb',
+      source: databasePath,
+      size,
+      layerIndex: firstLayerListing(layers, databasePath, parseStatus, pkg)
+    };
+  }));
+};
+
+const apkPackages = (final, layers) => {
+  const database = final.get(APK_INSTALLED_PATH)?.content;
+  if (!database) {
+    return [];
+  }
+  const parseInstalled = (content) => parseApkInstalled(content.toString('utf8'));
+  return parseInstalled(database).map(({ files, ...pkg }) => ({
+    ...pkg,
+    type: 'apk',
+    source: APK_INSTALLED_PATH,
+    size: files.length > 0 ? sizeOfFiles(files, final) : pkg.size,
+    layerIndex: firstLayerListing(layers, APK_INSTALLED_PATH, parseInstalled, pkg)
+  }));
+};
+
+const rpmPackages = (final, layers) => {
+  const databasePath = Array.from(final.keys()).find((filePath) => RPM_DATABASE_REGEX.test(filePath) && final.get(filePath).content);
+  if (!databasePath) {
+    return [];
+  }
+  return parseRpmDatabase(final.get(databasePath).content).map((pkg) => ({
+    ...pkg,
+    type: 'rpm',
+    source: databasePath,
+    layerIndex: firstLayerListing(layers, databasePath, parseRpmDatabase, pkg)
+  }));
+};
+
+// Bytes under each node_modules package directory, nested node_modules excluded
+const packageDirectorySizes = (final) => {
+  const sizes = new Map();
+  final.forEach((file, filePath) => {
+    const match = filePath.match(/^(.*\/node_modules\/(@[^/]+\/)?[^/]+)\//);
+    if (match) {
+      sizes.set(match[1], (sizes.get(match[1]) || 0) + file.size);
+    }
+  });
+  return sizes;
+};
+
+const npmPackages = (final) => {
+  const lockfiles = Array.from(final.keys()).filter((filePath) => NPM_LOCKFILE_REGEX.test(filePath) && final.get(filePath).content);
+  if (lockfiles.length === 0) {
+    return [];
+  }
+  const directorySizes = packageDirectorySizes(final);
+  const seen = new Set();
+
+  return lockfiles.flatMap((lockfilePath) => {
+    let entries;
+    try {
+      entries = parseNpmLockfile(final.get(lockfilePath).content.toString('utf8'));
+    } catch (error) {
+      return [];
+    }
+    // The hidden lockfile lives in node_modules; install paths are relative to its parent
+    const root = path.posix.basename(lockfilePath) === '.package-lock.json'
+      ? path.posix.dirname(path.posix.dirname(lockfilePath))
+      : path.posix.dirname(lockfilePath);
+
+    return entries.flatMap(({ installPath, dev, ...pkg }) => {
+      const directory = path.posix.join(root, installPath);
+      const installed = directorySizes.has(directory);
+      // Development dependencies are only part of the image when installed
+      if (seen.has(directory) || (dev && !installed)) {
+        return [];
+      }
+      seen.add(directory);
+      const manifest = final.get(`${directory}/package.json`);
+      return [{
+        ...pkg,
+        type: 'npm',
+        source: lockfilePath,
+        size: installed ? directorySizes.get(directory) : null,
+        layerIndex: (manifest || final.get(lockfilePath)).layerIndex
+      }];
+    });
+  });
+};
+
+const pythonPackages = (final) => {
+  const installed = [];
+  final.forEach((file, filePath) => {
+    if (!file.content || !/\/(METADATA|PKG-INFO)$/.test(filePath)) {
+      return;
+    }
+    const pkg = parsePythonMetadata(file.content.toString('utf8'));
+    if (!pkg) {
+      return;
+    }
+    const record = filePath.endsWith('/METADATA') ? final.get(path.posix.join(path.posix.dirname(filePath), 'RECORD'))?.content : null;
+    installed.push({
+      ...pkg,
+      type: 'pypi',
+      source: filePath,
+      size: record ? parsePythonRecord(record.toString('utf8')) : null,
+      layerIndex: file.layerIndex
+    });
+  });
+
+  // Pinned requirements add what was not (or not yet) installed
+  const names = new Set(installed.map((pkg) => normalizePythonName(pkg.name)));
+  final.forEach((file, filePath) => {
+    if (!file.content || !REQUIREMENTS_REGEX.test(filePath)) {
+      return;
+    }
+    parseRequirements(file.content.toString('utf8')).forEach((pkg) => {
+      if (names.has(normalizePythonName(pkg.name))) {
+        return;
+      }
+      names.add(normalizePythonName(pkg.name));
+      installed.push({ ...pkg, license: null, type: 'pypi', source: filePath, size: null, layerIndex: file.layerIndex });
+    });
+  });
+  return installed;
+};
+
+const goPackages = (final) => {
+  const packages = [];
+  final.forEach((file, filePath) => {
+    const info = file.goBuildInfo;
+    if (!info) {
+      return;
+    }
+    const modules = [
+      // The binary's own size is attributed to its main module
+      { path: info.main?.path || info.path, version: info.main?.version, size: file.size },
+      ...info.deps.map((dep) => ({ ...dep, size: null })),
+      { path: 'stdlib', version: info.goVersion.replace(/^go/, ''), size: null }
+    ];
+    modules
+      .filter((module) => module.path && module.version && module.version !== '(devel)')
+      .forEach((module) => packages.push({
+        name: module.path,
+        version: module.version,
+        license: null,
+        type: 'golang',
+        source: filePath,
+        size: module.size,
+        layerIndex: file.layerIndex
+      }));
+  });
+  return packages;
+};
+
+/**
+ * Build a software bill of materials for a local image from the package
+ * databases in its layers: dpkg, apk and rpm (headers stored in one piece),
+ * npm lockfiles, Python distribution metadata and pinned requirements, and
+ * the build info of Go binaries. Only what the final filesystem still holds
+ * is listed, each package with the layer that installed it and the bytes
+ * its files take up (declared sizes where the files are not listed).
+ * @param {string} imageName - Validated image reference, or the image ID to pin one platform
+ * @param {Object} options - Optional AbortSignal (signal) that stops the export
+ * @returns {Promise<Object>} distro, packageCount, totalSize, packages
+ *   (largest first), sources, scannedLayers, skippedLayers and generatedAt
+ */
+const buildSbom = async (imageName, { signal } = {}) => {
+  const layers = await readImageLayers(imageName, catalogVisitor, { signal });
+  const present = layers.filter(Boolean);
+  const final = replayLayers(layers);
+
+  const osRelease = OS_RELEASE_PATHS.map((filePath) => final.get(filePath)?.content).find(Boolean);
+  const distro = osRelease ? parseOsRelease(osRelease.toString('utf8')) : null;
+
+  const seen = new Set();
+  const packages = [
+    ...dpkgPackages(final, layers),
+    ...apkPackages(final, layers),
+    ...rpmPackages(final, layers),
+    ...npmPackages(final),
+    ...pythonPackages(final),
+    ...goPackages(final)
+  ]
+    .map(({ license, epoch, ...pkg }) => ({
+      name: pkg.name,
+      version: pkg.version,
+      type: pkg.type,
+      purl: packageUrl({ ...pkg, epoch }, distro),
+      licenses: license ? [license] : [],
+      arch: pkg.arch || null,
+      // OS advisories are filed under the source package; rpm epochs order versions
+      sourcePackage: pkg.sourcePackage || null,
+      epoch: epoch ?? null,
+      source: pkg.source,
+      layerIndex: pkg.layerIndex,
+      size: pkg.size ?? null
+    }))
+    .sort((a, b) => (b.size || 0) - (a.size || 0) || a.name.localeCompare(b.name))
+    // Go modules are repeated by every binary that links them; the sized
+    // entry (a binary's main module) sorts first and is the one kept
+    .filter((pkg) => {
+      if (pkg.type !== 'golang') {
+        return true;
+      }
+      if (seen.has(pkg.purl)) {
+        return false;
+      }
+      seen.add(pkg.purl);
+      return true;
+    });
+
+  const sources = Object.values(packages.reduce((bySource, pkg) => {
+    bySource[pkg.source] = bySource[pkg.source] || { path: pkg.source, type: pkg.type, packageCount: 0 };
+    bySource[pkg.source].packageCount++;
+    return bySource;
+  }, {}));
+
+  return {
+    distro,
+    packageCount: packages.length,
+    totalSize: packages.reduce((sum, pkg) => sum + (pkg.size || 0), 0),
+    packages,
+    sources,
+    scannedLayers: present.filter((layer) => !layer.skipped).length,
+    skippedLayers: present
+      .filter((layer) => layer.skipped)
+      .map((layer) => ({ layerIndex: layer.index, reason: layer.skipped })),
+    generatedAt: new Date().toISOString()
+  };
+};
+
+// SPDX license identifiers recognised as such; anything else is NOASSERTION
+const SPDX_LICENSE_IDS = new Set([
+  '0BSD', 'AGPL-3.0-only', 'AGPL-3.0-or-later', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0',
+  'BSD-2-Clause', 'BSD-3-Clause', 'BSL-1.0', 'CC0-1.0', 'CC-BY-4.0', 'EPL-2.0', 'GPL-2.0-only',
+  'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later', 'ISC', 'LGPL-2.1-only', 'LGPL-2.1-or-later',
+  'LGPL-3.0-only', 'LGPL-3.0-or-later', 'MIT', 'MIT-0', 'MPL-2.0', 'OpenSSL', 'PSF-2.0', 'Python-2.0',
+  'Unlicense', 'WTFPL', 'Zlib', 'GPL-2.0', 'GPL-3.0', 'LGPL-2.1', 'LGPL-3.0'
+]);
+
+const spdxExpression = (license) => {
+  const terms = license.replace(/[()]/g, ' ').split(/\s+/).filter((term) => term && !/^(AND|OR|WITH)$/.test(term));
+  return terms.length > 0 && terms.every((term) => SPDX_LICENSE_IDS.has(term.replace(/\+$/, ''))) ? license : null;
+};
+
+/**
+ * CycloneDX 1.5 JSON document for an SBOM
+ * @param {Object} sbom - buildSbom result
+ * @param {Object} image - imageName and digest
+ * @returns {Object} CycloneDX BOM
+ */
+const toCycloneDx = (sbom, { imageName, digest }) => ({
+  bomFormat: 'CycloneDX',
+  specVersion: '1.5',
+  serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+  version: 1,
+  metadata: {
+    timestamp: sbom.generatedAt,
+    tools: { components: [{ type: 'application', name: TOOL_NAME }] },
+    component: {
+      type: 'container',
+      'bom-ref': 'image',
+      name: imageName,
+      ...(digest && { version: digest })
+    }
+  },
+  components: sbom.packages.map((pkg, index) => ({
+    type: 'library',
+    'bom-ref': `package-${index + 1}`,
+    name: pkg.name,
+    version: pkg.version,
+    purl: pkg.purl,
+    ...(pkg.licenses.length > 0 && {
+      licenses: pkg.licenses.map((license) => (spdxExpression(license)
+        ? { expression: license }
+        : { license: { name: license } }))
+    }),
+    properties: [
+      { name: `${TOOL_NAME}:source`, value: pkg.source },
+      pkg.layerIndex !== null && { name: `${TOOL_NAME}:layerIndex`, value: String(pkg.layerIndex) },
+      pkg.size !== null && { name: `${TOOL_NAME}:size`, value: String(pkg.size) }
+    ].filter(Boolean)
+  }))
+});
+
+/**
+ * SPDX 2.3 JSON document for an SBOM
+ * @param {Object} sbom - buildSbom result
+ * @param {Object} image - imageName and digest
+ * @returns {Object} SPDX document
+ */
+const toSpdx = (sbom, { imageName, digest }) => ({
+  spdxVersion: 'SPDX-2.3',
+  dataLicense: 'CC0-1.0',
+  SPDXID: 'SPDXRef-DOCUMENT',
+  name: imageName,
+  documentNamespace: `https://${TOOL_NAME}/spdx/${encodeURIComponent(imageName)}-${crypto.randomUUID()}`,
+  creationInfo: {
+    // SPDX timestamps have no fractional seconds
+    created: sbom.generatedAt.replace(/\.\d+Z$/, 'Z'),
+    creators: [`Tool: ${TOOL_NAME}`]
+  },
+  packages: [
+    {
+      SPDXID: 'SPDXRef-Image',
+      name: imageName,
+      ...(digest && { versionInfo: digest }),
+      downloadLocation: 'NOASSERTION',
+      filesAnalyzed: false,
+      primaryPackagePurpose: 'CONTAINER'
+    },
+    ...sbom.packages.map((pkg, index) => ({
+      SPDXID: `SPDXRef-Package-${index + 1}`,
+      name: pkg.name,
+      versionInfo: pkg.version,
+      downloadLocation: 'NOASSERTION',
+      filesAnalyzed: false,
+      licenseConcluded: 'NOASSERTION',
+      licenseDeclared: (pkg.licenses[0] && spdxExpression(pkg.licenses[0])) || 'NOASSERTION',
+      sourceInfo: pkg.layerIndex !== null
+        ? `found in ${pkg.source} (layer ${pkg.layerIndex + 1})`
+        : `found in ${pkg.source}`,
+      externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: pkg.purl }]
+    }))
+  ],
+  relationships: [
+    { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-Image' },
+    ...sbom.packages.map((pkg, index) => ({
+      spdxElementId: 'SPDXRef-Image',
+      relationshipType: 'CONTAINS',
+      relatedSpdxElement: `SPDXRef-Package-${index + 1}`
+    }))
+  ]
+});
+
+/**
+ * Serialisations served by GET /api/inspect/:imageName/sbom
+ */
+const SBOM_FORMATS = {
+  cyclonedx: { contentType: 'application/vnd.cyclonedx+json', extension: 'cdx.json', render: toCycloneDx },
+  spdx: { contentType: 'application/spdx+json', extension: 'spdx.json', render: toSpdx }
+};
+
+module.exports = {
+  buildSbom,
+  packageUrl,
+  toCycloneDx,
+  toSpdx,
+  SBOM_FORMATS
+};
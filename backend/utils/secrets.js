@@ -0,0 +1,371 @@
+const { readImageLayers, deletedInLayer } = require('./image-layers');
+
+// Files larger than this are not read; credentials live in small files
+const MAX_SCAN_BYTES = 256 * 1024;
+
+// A file can only report so many lines before it is noise (a dumped key store)
+const MAX_FINDINGS_PER_FILE = 10;
+
+// Characters of a secret kept in its preview
+const PREVIEW_PREFIX = 4;
+
+// System and package directories ship test keys and sample configs by the
+// thousand; their contents are not scanned (path rules still apply)
+const SKIP_CONTENT_REGEX = /^\/(usr\/(local\/)?(share|lib|lib64|libexec|include)|lib|lib64|usr\/local\/go|proc|sys)\/|\/(node_modules|site-packages|dist-packages|testdata)\//;
+
+// Files whose key = value lines are checked for secrets and random-looking strings
+const CONFIG_FILE_REGEX = /(^|\/)(\.env(\.[\w-]+)?|[^/]+\.(env|ini|cfg|conf|config|properties|ya?ml|json|toml|xml)|\.[\w-]+rc)$/;
+
+// Lockfiles are config-shaped but full of integrity hashes
+const LOCKFILE_REGEX = /(^|\/)(package-lock|npm-shrinkwrap|composer)\.json$|\.lock$/;
+
+// Lines whose random-looking values are checksums rather than credentials
+const CHECKSUM_LINE_REGEX = /integrity|checksum|sha\d|hash|digest/i;
+
+const ENV_FILE_REGEX = /(^|\/)\.env(\.[\w-]+)?$/;
+const ENV_TEMPLATE_REGEX = /\.(example|sample|template|dist|defaults?)$/;
+
+const SENSITIVE_KEY_REGEX = /["']?([\w.-]*(password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|credentials?)[\w.-]*)["']?\s*[:=]\s*["']?([^\s"',;]{8,})/i;
+
+// Values that are clearly not the secret itself
+const PLACEHOLDER_REGEX = /^(\$\{?\w+\}?|<[^>]*>|\{\{.*\}\}|%\(?\w+\)?s?|(x+|\*+|changeme|change_me|password|secret|example|your[\w-]*|null|none|true|false|undefined))$/i;
+
+const HIGH_ENTROPY_MIN_LENGTH = 24;
+const HIGH_ENTROPY_MIN_BITS = 4.0;
+
+/**
+ * Rules matched against the path alone; the file is flagged whatever it holds
+ */
+const PATH_RULES = [
+  {
+    rule: 'cloud-credentials',
+    title: 'Cloud credentials file',
+    severity: 'critical',
+    pattern: /\/\.aws\/credentials$|\/\.config\/gcloud\/(credentials\.db|access_tokens\.db|application_default_credentials\.json|legacy_credentials\/)|\/\.azure\/(accessTokens\.json|msal_token_cache\.(json|bin))$|\/\.kube\/config$/
+  },
+  {
+    rule: 'env-file',
+    title: '.env file',
+    severity: 'high',
+    pattern: ENV_FILE_REGEX,
+    exclude: ENV_TEMPLATE_REGEX
+  }
+];
+
+/**
+ * Rules matched against each line of a file's content. `files` restricts a
+ * rule to matching paths; `group` picks the secret out of the match
+ */
+const CONTENT_RULES = [
+  {
+    rule: 'private-key',
+    title: 'Private key',
+    severity: 'critical',
+    pattern: /-----BEGIN ((RSA|EC|DSA|OPENSSH|ENCRYPTED|PGP) )?PRIVATE KEY( BLOCK)?-----/,
+    // The armor line says what it is without giving anything away
+    preview: (match) => match[0]
+  },
+  {
+    rule: 'aws-access-key',
+    title: 'AWS access key ID',
+    severity: 'critical',
+    pattern: /\b((AKIA|ASIA)[0-9A-Z]{16})\b/,
+    group: 1
+  },
+  {
+    rule: 'github-token',
+    title: 'GitHub token',
+    severity: 'critical',
+    pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/,
+    group: 1
+  },
+  {
+    rule: 'slack-token',
+    title: 'Slack token',
+    severity: 'high',
+    pattern: /\b(xox[baprs]-[A-Za-z0-9-]{10,})/,
+    group: 1
+  },
+  {
+    rule: 'url-credentials',
+    title: 'Password in a URL',
+    severity: 'high',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]+)@/i,
+    group: 1
+  },
+  {
+    rule: 'docker-credentials',
+    title: 'Docker registry credentials',
+    severity: 'critical',
+    files: /\/\.docker\/config\.json$/,
+    pattern: /"(auth|identitytoken)"\s*:\s*"([^"]+)"/,
+    group: 2
+  },
+  {
+    rule: 'npm-token',
+    title: 'npm registry token',
+    severity: 'high',
+    files: /\/\.npmrc$/,
+    pattern: /(_authToken|_auth|_password)\s*=\s*(\S+)/,
+    group: 2
+  },
+  {
+    rule: 'package-index-credentials',
+    title: 'Package index password',
+    severity: 'high',
+    files: /\/(\.pypirc|\.netrc|_netrc|pip\.conf)$/,
+    pattern: /\bpassword\s*[=:\s]\s*(\S+)/i,
+    group: 1
+  }
+];
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} text - String to measure
+ * @returns {number} Entropy; random base64 approaches 6, English text stays near 4
+ */
+const shannonEntropy = (text) => {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+};
+
+/**
+ * Redact a secret for display, keeping its first few characters only when
+ * they are a small part of it
+ * @param {string} secret - Matched secret
+ * @returns {string} e.g. AKIA****, or **** for a short secret
+ */
+const redact = (secret) => (secret.length > 2 * PREVIEW_PREFIX ? `${secret.slice(0, PREVIEW_PREFIX)}****` : '****');
+
+// Mixed case and digits: generated keys, not words or paths. Base64 padding
+// only ends a token, so KEY=value is not read as one
+const HIGH_ENTROPY_TOKEN_REGEX = new RegExp(`[A-Za-z0-9+_-]{${HIGH_ENTROPY_MIN_LENGTH},}={0,2}`, 'g');
+const isHighEntropyToken = (candidate) => /[a-z]/.test(candidate) && /[A-Z]/.test(candidate) && /\d/.test(candidate)
+  && shannonEntropy(candidate) >= HIGH_ENTROPY_MIN_BITS;
+
+const isPlaceholder = (value) => PLACEHOLDER_REGEX.test(value.replace(/^["']|["']$/g, ''));
+
+// Every secret on a line, whichever rule found it: a preview must not show
+// a second key in the clear next to the one it reports
+const secretsInLine = (filePath, line) => {
+  const secrets = new Set();
+  CONTENT_RULES
+    .filter((contentRule) => contentRule.group && !(contentRule.files && !contentRule.files.test(filePath)))
+    .forEach((contentRule) => {
+      for (const match of line.matchAll(new RegExp(contentRule.pattern.source, `${contentRule.pattern.flags}g`))) {
+        secrets.add(match[contentRule.group]);
+      }
+    });
+  for (const match of line.matchAll(new RegExp(SENSITIVE_KEY_REGEX.source, 'gi'))) {
+    secrets.add(match[3]);
+  }
+  (line.match(HIGH_ENTROPY_TOKEN_REGEX) || []).filter(isHighEntropyToken).forEach((token) => secrets.add(token));
+  return [...secrets].filter((secret) => !isPlaceholder(secret));
+};
+
+/**
+ * A line as a finding preview: every secret on it redacted, then cut to 200 characters
+ * @param {string} filePath - Path of the file, for the rules limited to some files
+ * @param {string} line - Line holding the finding
+ * @returns {string} Redacted preview
+ */
+const redactLine = (filePath, line) => secretsInLine(filePath, line)
+  // Longest first, so a secret containing another is redacted whole
+  .sort((a, b) => b.length - a.length)
+  .reduce((redacted, secret) => redacted.split(secret).join(redact(secret)), line)
+  .trim()
+  .slice(0, 200);
+
+// Findings for one line of a text file, at most one per rule
+const scanLine = (filePath, line, lineNumber, isConfig) => {
+  const findings = [];
+  CONTENT_RULES.forEach((contentRule) => {
+    if (contentRule.files && !contentRule.files.test(filePath)) {
+      return;
+    }
+    const match = line.match(contentRule.pattern);
+    if (!match) {
+      return;
+    }
+    const secret = contentRule.group ? match[contentRule.group] : match[0];
+    if (contentRule.group && isPlaceholder(secret)) {
+      return;
+    }
+    findings.push({
+      rule: contentRule.rule,
+      title: contentRule.title,
+      severity: contentRule.severity,
+      line: lineNumber,
+      preview: contentRule.preview ? contentRule.preview(match) : redactLine(filePath, line)
+    });
+  });
+
+  if (findings.length > 0 || !isConfig || line.trim().startsWith('#')) {
+    return findings;
+  }
+
+  const assignment = line.match(SENSITIVE_KEY_REGEX);
+  if (assignment && !isPlaceholder(assignment[3])) {
+    return [{
+      rule: 'sensitive-assignment',
+      title: `Value for ${assignment[1]}`,
+      severity: 'medium',
+      line: lineNumber,
+      preview: redactLine(filePath, line)
+    }];
+  }
+
+  if (CHECKSUM_LINE_REGEX.test(line)) {
+    return [];
+  }
+  const token = (line.match(HIGH_ENTROPY_TOKEN_REGEX) || []).find(isHighEntropyToken);
+  if (token) {
+    return [{
+      rule: 'high-entropy',
+      title: 'High-entropy string',
+      severity: 'low',
+      line: lineNumber,
+      preview: redactLine(filePath, line)
+    }];
+  }
+  return [];
+};
+
+/**
+ * Scan a file's content line by line
+ * @param {string} filePath - Absolute path of the file in the image
+ * @param {Buffer} content - File content (at most MAX_SCAN_BYTES)
+ * @returns {Array} Findings without layer information
+ */
+const scanContent = (filePath, content) => {
+  // NUL bytes mean a binary file; its "lines" would only match by chance
+  if (content.subarray(0, 8192).includes(0)) {
+    return [];
+  }
+  const isConfig = CONFIG_FILE_REGEX.test(filePath) && !LOCKFILE_REGEX.test(filePath);
+  const findings = [];
+  const lines = content.toString('utf8').split('\n');
+  for (let i = 0; i < lines.length && findings.length < MAX_FINDINGS_PER_FILE; i++) {
+    findings.push(...scanLine(filePath, lines[i], i + 1, isConfig));
+  }
+  return findings.slice(0, MAX_FINDINGS_PER_FILE);
+};
+
+/**
+ * Findings the path alone gives, without reading the file
+ * @param {string} filePath - Absolute path of the file in the image
+ * @returns {Array} Findings without layer information
+ */
+const scanPath = (filePath) => PATH_RULES
+  .filter((pathRule) => pathRule.pattern.test(filePath) && !(pathRule.exclude && pathRule.exclude.test(filePath)))
+  .map(({ rule, title, severity }) => ({ rule, title, severity, line: null, preview: null }));
+
+// The directory holding a .git entry, if the path is inside one
+const gitRepositoryOf = (filePath) => {
+  const match = filePath.match(/^(.*?\/\.git)(\/|$)/);
+  return match ? match[1] : null;
+};
+
+// readImageLayers visitor collecting one layer's findings and file count
+const secretVisitor = (layer) => {
+  const gitRepositories = new Set();
+  layer.files = 0;
+  layer.findings = [];
+
+  return (entry) => {
+    const filePath = entry.path;
+    const repository = gitRepositoryOf(filePath);
+    if (repository && !gitRepositories.has(repository)) {
+      gitRepositories.add(repository);
+      layer.findings.push({
+        rule: 'git-directory',
+        title: '.git directory (history, remotes and any credentials in them)',
+        severity: 'high',
+        path: repository,
+        line: null,
+        preview: null
+      });
+    }
+
+    if (entry.type !== 'file') {
+      return null;
+    }
+    layer.files++;
+
+    scanPath(filePath).forEach((finding) => layer.findings.push({ ...finding, path: filePath }));
+
+    const scanContentOf = !SKIP_CONTENT_REGEX.test(filePath) || CONTENT_RULES.some((contentRule) => contentRule.files && contentRule.files.test(filePath));
+    if (entry.size === 0 || entry.size > MAX_SCAN_BYTES || !scanContentOf) {
+      return null;
+    }
+
+    const chunks = [];
+    return {
+      write: (chunk) => {
+        chunks.push(Buffer.from(chunk));
+      },
+      end: () => {
+        scanContent(filePath, Buffer.concat(chunks)).forEach((finding) => {
+          layer.findings.push({ ...finding, path: filePath });
+        });
+      }
+    };
+  };
+};
+
+const SEVERITY_RANK = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Walk every layer of a local image for likely secrets: private keys, cloud
+ * and registry credentials, .env files, .git directories and high-entropy
+ * values in config files. Files a later layer deletes are still scanned,
+ * because they remain recoverable from the layer that added them.
+ * @param {string} imageName - Validated image reference, or the image ID to pin one platform
+ * @param {Object} options - Optional AbortSignal (signal) that stops the export
+ * @returns {Promise<Object>} scannedLayers, scannedFiles, findings (layerIndex,
+ *   path, line, redacted preview, severity, deleted and deletedInLayer) and
+ *   skippedLayers with the reason each could not be read
+ */
+const scanImageSecrets = async (imageName, { signal } = {}) => {
+  const layers = await readImageLayers(imageName, secretVisitor, { signal });
+  const present = layers.filter(Boolean);
+
+  // Layers that could not be read were never visited
+  const findings = present.flatMap((layer) => (layer.findings || []).map((finding) => {
+    const deletedIn = deletedInLayer(finding.path, layer.index, layers);
+    return {
+      ...finding,
+      layerIndex: layer.index,
+      deleted: deletedIn !== null,
+      deletedInLayer: deletedIn
+    };
+  }));
+  findings.sort((a, b) => SEVERITY_RANK.indexOf(a.severity) - SEVERITY_RANK.indexOf(b.severity)
+    || a.layerIndex - b.layerIndex
+    || a.path.localeCompare(b.path));
+
+  return {
+    scannedLayers: present.filter((layer) => !layer.skipped).length,
+    scannedFiles: present.reduce((sum, layer) => sum + (layer.files || 0), 0),
+    findings,
+    skippedLayers: present
+      .filter((layer) => layer.skipped)
+      .map((layer) => ({ layerIndex: layer.index, reason: layer.skipped }))
+  };
+};
+
+module.exports = {
+  scanImageSecrets,
+  scanContent,
+  scanPath,
+  shannonEntropy,
+  redact
+};
@@ -0,0 +1,188 @@
+const { Writable } = require('stream');
+
+const BLOCK_SIZE = 512;
+
+const ENTRY_TYPES = {
+  0: 'file',
+  48: 'file', // '0'
+  49: 'hardlink', // '1'
+  50: 'symlink', // '2'
+  53: 'dir' // '5'
+};
+
+// Header blocks that only describe the next entry
+const PAX_HEADER = 0x78; // 'x'
+const PAX_GLOBAL_HEADER = 0x67; // 'g'
+const GNU_LONG_NAME = 0x4c; // 'L'
+const GNU_LONG_LINK = 0x4b; // 'K'
+
+// Those are buffered whole; real ones hold a few paths and numbers
+const MAX_EXTENDED_HEADER_BYTES = 1024 * 1024;
+
+const readString = (block, offset, length) => {
+  const end = block.indexOf(0, offset);
+  return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+};
+
+// Octal text, or GNU base-256 (high bit set) for sizes past 8 GiB
+const readNumber = (block, offset, length) => {
+  if (block[offset] & 0x80) {
+    let value = block[offset] & 0x7f;
+    for (let i = offset + 1; i < offset + length; i++) {
+      value = value * 256 + block[i];
+    }
+    return value;
+  }
+  const text = readString(block, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+};
+
+// "<length> <key>=<value>\n" records
+const parsePax = (buffer) => {
+  const fields = {};
+  let offset = 0;
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset);
+    const length = parseInt(buffer.toString('utf8', offset, space), 10);
+    if (space === -1 || !length) {
+      break;
+    }
+    const record = buffer.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    fields[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return fields;
+};
+
+const isZeroBlock = (block) => block.every((byte) => byte === 0);
+
+/**
+ * Streaming reader for ustar / pax / GNU tar archives, such as `docker save`
+ * output and the layer tarballs inside it. Entries are never buffered whole:
+ * onEntry decides per entry where its bytes go.
+ *
+ * onEntry(header) receives { name, type (file, dir, symlink, hardlink or
+ * other), size, linkName, mode, uid, gid } and returns a sink ({ write(chunk), end() }, both
+ * may return a promise to apply backpressure) or nothing to skip the data.
+ */
+class TarReader extends Writable {
+  constructor(onEntry) {
+    super();
+    this.onEntry = onEntry;
+    this.headerChunks = [];
+    this.headerLength = 0;
+    this.entry = null;
+    this.remaining = 0;
+    this.padding = 0;
+    this.extended = {};
+  }
+
+  _write(chunk, encoding, callback) {
+    this.consume(chunk).then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    callback(this.entry ? new Error('Unexpected end of tar archive') : null);
+  }
+
+  async consume(chunk) {
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (this.entry) {
+        const length = Math.min(this.remaining, chunk.length - offset);
+        await this.entryData(chunk.subarray(offset, offset + length));
+        this.remaining -= length;
+        offset += length;
+        if (this.remaining === 0) {
+          await this.finishEntry();
+        }
+      } else if (this.padding > 0) {
+        // Entry data is padded to whole blocks
+        const skipped = Math.min(this.padding, chunk.length - offset);
+        this.padding -= skipped;
+        offset += skipped;
+      } else {
+        const length = Math.min(BLOCK_SIZE - this.headerLength, chunk.length - offset);
+        this.headerChunks.push(chunk.subarray(offset, offset + length));
+        this.headerLength += length;
+        offset += length;
+        if (this.headerLength === BLOCK_SIZE) {
+          const block = Buffer.concat(this.headerChunks);
+          this.headerChunks = [];
+          this.headerLength = 0;
+          await this.startEntry(block);
+        }
+      }
+    }
+  }
+
+  async startEntry(block) {
+    // The archive ends with zero blocks; anything after them is padding
+    if (isZeroBlock(block)) {
+      return;
+    }
+
+    const typeFlag = block[156];
+    const size = readNumber(block, 124, 12);
+
+    if ([PAX_HEADER, PAX_GLOBAL_HEADER, GNU_LONG_NAME, GNU_LONG_LINK].includes(typeFlag)) {
+      if (size > MAX_EXTENDED_HEADER_BYTES) {
+        throw new Error(`Tar extended header of ${size} bytes is over the ${MAX_EXTENDED_HEADER_BYTES} byte limit`);
+      }
+      this.entry = { typeFlag, size, chunks: [] };
+    } else {
+      const prefix = block.toString('latin1', 257, 262) === 'ustar' ? readString(block, 345, 155) : '';
+      const shortName = readString(block, 0, 100);
+      const header = {
+        name: this.extended.path || (prefix ? `${prefix}/${shortName}` : shortName),
+        type: ENTRY_TYPES[typeFlag] || 'other',
+        size: this.extended.size !== undefined ? Number(this.extended.size) : size,
+        linkName: this.extended.linkpath || readString(block, 157, 100),
+        mode: readNumber(block, 100, 8),
+        uid: this.extended.uid !== undefined ? Number(this.extended.uid) : readNumber(block, 108, 8),
+        gid: this.extended.gid !== undefined ? Number(this.extended.gid) : readNumber(block, 116, 8)
+      };
+      this.extended = {};
+      this.entry = { header, sink: (await this.onEntry(header)) || null };
+    }
+
+    const dataSize = this.entry.header ? this.entry.header.size : size;
+    this.remaining = dataSize;
+    this.padding = (BLOCK_SIZE - (dataSize % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (dataSize === 0) {
+      await this.finishEntry();
+    }
+  }
+
+  async entryData(data) {
+    if (this.entry.chunks) {
+      this.entry.chunks.push(Buffer.from(data));
+    } else if (this.entry.sink) {
+      await this.entry.sink.write(data);
+    }
+  }
+
+  async finishEntry() {
+    const entry = this.entry;
+    this.entry = null;
+
+    if (entry.chunks) {
+      const data = Buffer.concat(entry.chunks);
+      if (entry.typeFlag === PAX_HEADER) {
+        this.extended = { ...this.extended, ...parsePax(data) };
+      } else if (entry.typeFlag === GNU_LONG_NAME) {
+        this.extended.path = readString(data, 0, data.length);
+      } else if (entry.typeFlag === GNU_LONG_LINK) {
+        this.extended.linkpath = readString(data, 0, data.length);
+      }
+      return;
+    }
+
+    if (entry.sink && entry.sink.end) {
+      await entry.sink.end();
+    }
+  }
+}
+
+module.exports = { TarReader, parsePax, MAX_EXTENDED_HEADER_BYTES };
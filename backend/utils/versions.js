@@ -0,0 +1,303 @@
+// Version ordering for the schemes advisory ranges use. Each comparator
+// returns a negative number, zero or a positive number like Array.sort expects.
+
+const isDigit = (char) => char >= '0' && char <= '9';
+const isLetter = (char) => /[A-Za-z]/.test(char);
+
+const compareNumbers = (a, b) => {
+  const left = a.replace(/^0+/, '');
+  const right = b.replace(/^0+/, '');
+  return left.length - right.length || (left < right ? -1 : left > right ? 1 : 0);
+};
+
+// dpkg's verrevcmp: '~' sorts before everything, even the end of the string
+const dpkgOrder = (char) => {
+  if (char === '~') return -1;
+  if (char === undefined || isDigit(char)) return 0;
+  if (isLetter(char)) return char.charCodeAt(0);
+  return char.charCodeAt(0) + 256;
+};
+
+const dpkgCompareParts = (a, b) => {
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    while ((i < a.length && !isDigit(a[i])) || (j < b.length && !isDigit(b[j]))) {
+      const difference = dpkgOrder(a[i]) - dpkgOrder(b[j]);
+      if (difference !== 0) {
+        return difference;
+      }
+      i++;
+      j++;
+    }
+    let left = '';
+    let right = '';
+    while (i < a.length && isDigit(a[i])) left += a[i++];
+    while (j < b.length && isDigit(b[j])) right += b[j++];
+    const difference = compareNumbers(left || '0', right || '0');
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+const parseDpkgVersion = (version) => {
+  const epochMatch = version.match(/^(\d+):(.*)$/);
+  const rest = epochMatch ? epochMatch[2] : version;
+  const dash = rest.lastIndexOf('-');
+  return {
+    epoch: epochMatch ? epochMatch[1] : '0',
+    upstream: dash === -1 ? rest : rest.slice(0, dash),
+    revision: dash === -1 ? '' : rest.slice(dash + 1)
+  };
+};
+
+/**
+ * Debian / Ubuntu package versions ([epoch:]upstream[-revision])
+ */
+const compareDpkg = (a, b) => {
+  const left = parseDpkgVersion(a);
+  const right = parseDpkgVersion(b);
+  return compareNumbers(left.epoch, right.epoch)
+    || dpkgCompareParts(left.upstream, right.upstream)
+    || dpkgCompareParts(left.revision, right.revision);
+};
+
+// rpmvercmp: alternating numeric and alphabetic segments, '~' sorting first
+const rpmCompareParts = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  let left = a;
+  let right = b;
+  for (;;) {
+    left = left.replace(/^[^A-Za-z0-9~^]+/, '');
+    right = right.replace(/^[^A-Za-z0-9~^]+/, '');
+
+    if (left[0] === '~' || right[0] === '~') {
+      if (left[0] !== '~') return 1;
+      if (right[0] !== '~') return -1;
+      left = left.slice(1);
+      right = right.slice(1);
+      continue;
+    }
+    // '^' sorts after the end of the string but before anything else
+    if (left[0] === '^' || right[0] === '^') {
+      if (!left) return -1;
+      if (!right) return 1;
+      if (left[0] !== '^') return 1;
+      if (right[0] !== '^') return -1;
+      left = left.slice(1);
+      right = right.slice(1);
+      continue;
+    }
+    if (!left || !right) {
+      break;
+    }
+
+    const numeric = isDigit(left[0]);
+    const pattern = numeric ? /^\d+/ : /^[A-Za-z]+/;
+    const leftSegment = left.match(pattern)[0];
+    const rightSegment = (right.match(pattern) || [''])[0];
+    if (!rightSegment) {
+      // A numeric segment is newer than an alphabetic one
+      return numeric ? 1 : -1;
+    }
+    const difference = numeric
+      ? compareNumbers(leftSegment, rightSegment)
+      : (leftSegment < rightSegment ? -1 : leftSegment > rightSegment ? 1 : 0);
+    if (difference !== 0) {
+      return difference;
+    }
+    left = left.slice(leftSegment.length);
+    right = right.slice(rightSegment.length);
+  }
+  if (!left && !right) return 0;
+  return left ? 1 : -1;
+};
+
+const parseRpmVersion = (version) => {
+  const epochMatch = version.match(/^(\d+):(.*)$/);
+  const rest = epochMatch ? epochMatch[2] : version;
+  const dash = rest.lastIndexOf('-');
+  return {
+    epoch: epochMatch ? epochMatch[1] : '0',
+    version: dash === -1 ? rest : rest.slice(0, dash),
+    release: dash === -1 ? null : rest.slice(dash + 1)
+  };
+};
+
+/**
+ * RPM versions ([epoch:]version[-release]); a side without a release
+ * matches any release of the same version
+ */
+const compareRpm = (a, b) => {
+  const left = parseRpmVersion(a);
+  const right = parseRpmVersion(b);
+  return compareNumbers(left.epoch, right.epoch)
+    || rpmCompareParts(left.version, right.version)
+    || (left.release !== null && right.release !== null ? rpmCompareParts(left.release, right.release) : 0);
+};
+
+const APK_SUFFIXES = ['alpha', 'beta', 'pre', 'rc', '', 'cvs', 'svn', 'git', 'hg', 'p'];
+const APK_VERSION_REGEX = /^(\d+(?:\.\d+)*)([a-z]?)((?:_(?:alpha|beta|pre|rc|cvs|svn|git|hg|p)\d*)*)(?:-r(\d+))?$/;
+
+/**
+ * Alpine package versions (1.2.3[letter][_suffixN...][-rN])
+ */
+const compareApk = (a, b) => {
+  const left = a.match(APK_VERSION_REGEX);
+  const right = b.match(APK_VERSION_REGEX);
+  if (!left || !right) {
+    return compareDpkg(a, b);
+  }
+
+  const leftNumbers = left[1].split('.');
+  const rightNumbers = right[1].split('.');
+  for (let i = 0; i < Math.max(leftNumbers.length, rightNumbers.length); i++) {
+    if (leftNumbers[i] === undefined) return -1;
+    if (rightNumbers[i] === undefined) return 1;
+    const difference = compareNumbers(leftNumbers[i], rightNumbers[i]);
+    if (difference !== 0) return difference;
+  }
+  if (left[2] !== right[2]) {
+    return left[2] < right[2] ? -1 : 1;
+  }
+
+  const suffixes = (match) => (match[3].match(/_[a-z]+\d*/g) || []).map((suffix) => {
+    const [, name, number] = suffix.match(/^_([a-z]+)(\d*)$/);
+    return { rank: APK_SUFFIXES.indexOf(name), number: number || '0' };
+  });
+  const leftSuffixes = suffixes(left);
+  const rightSuffixes = suffixes(right);
+  const none = { rank: APK_SUFFIXES.indexOf(''), number: '0' };
+  for (let i = 0; i < Math.max(leftSuffixes.length, rightSuffixes.length); i++) {
+    const leftSuffix = leftSuffixes[i] || none;
+    const rightSuffix = rightSuffixes[i] || none;
+    const difference = leftSuffix.rank - rightSuffix.rank || compareNumbers(leftSuffix.number, rightSuffix.number);
+    if (difference !== 0) return difference;
+  }
+  return compareNumbers(left[4] || '0', right[4] || '0');
+};
+
+const SEMVER_REGEX = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Semantic versions (npm, Go modules with or without the v prefix); a
+ * prerelease sorts before its release
+ */
+const compareSemver = (a, b) => {
+  const left = a.match(SEMVER_REGEX);
+  const right = b.match(SEMVER_REGEX);
+  if (!left || !right) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  for (let i = 1; i <= 3; i++) {
+    const difference = compareNumbers(left[i] || '0', right[i] || '0');
+    if (difference !== 0) return difference;
+  }
+  if (!left[4] || !right[4]) {
+    return (left[4] ? -1 : 0) + (right[4] ? 1 : 0);
+  }
+  const leftIds = left[4].split('.');
+  const rightIds = right[4].split('.');
+  for (let i = 0; i < Math.max(leftIds.length, rightIds.length); i++) {
+    if (leftIds[i] === undefined) return -1;
+    if (rightIds[i] === undefined) return 1;
+    const leftNumeric = /^\d+$/.test(leftIds[i]);
+    const rightNumeric = /^\d+$/.test(rightIds[i]);
+    let difference;
+    if (leftNumeric && rightNumeric) {
+      difference = compareNumbers(leftIds[i], rightIds[i]);
+    } else if (leftNumeric || rightNumeric) {
+      difference = leftNumeric ? -1 : 1;
+    } else {
+      difference = leftIds[i] < rightIds[i] ? -1 : leftIds[i] > rightIds[i] ? 1 : 0;
+    }
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+const PEP440_REGEX = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:(?:-(\d+))|(?:[-_.]?(post|rev|r)[-_.]?(\d*)))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+[a-z0-9.]+)?$/;
+const PEP440_PRE = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+const pep440Key = (version) => {
+  const match = version.trim().toLowerCase().match(PEP440_REGEX);
+  if (!match) {
+    return null;
+  }
+  const [, epoch, release, preLabel, preNumber, postImplicit, postLabel, postNumber, devNumber] = match;
+  const hasPost = postImplicit !== undefined || postLabel !== undefined;
+  const hasDev = devNumber !== undefined;
+  return {
+    epoch: Number(epoch || 0),
+    release: release.split('.').map(Number),
+    // A dev release of a final version sorts before its prereleases
+    pre: preLabel
+      ? [PEP440_PRE[preLabel], Number(preNumber || 0)]
+      : (hasDev && !hasPost ? [-Infinity, 0] : [Infinity, 0]),
+    post: hasPost ? Number(postImplicit || postNumber || 0) : -Infinity,
+    dev: hasDev ? Number(devNumber || 0) : Infinity
+  };
+};
+
+/**
+ * Python package versions (PEP 440)
+ */
+const comparePep440 = (a, b) => {
+  const left = pep440Key(a);
+  const right = pep440Key(b);
+  if (!left || !right) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  const length = Math.max(left.release.length, right.release.length);
+  const sign = (value) => (value < 0 ? -1 : value > 0 ? 1 : 0);
+  const pairs = [
+    [left.epoch, right.epoch],
+    ...Array.from({ length }, (_, i) => [left.release[i] || 0, right.release[i] || 0]),
+    [left.pre[0], right.pre[0]],
+    [left.pre[1], right.pre[1]],
+    [left.post, right.post],
+    [left.dev, right.dev]
+  ];
+  for (const [x, y] of pairs) {
+    if (x !== y) {
+      return sign(x - y) || (x < y ? -1 : 1);
+    }
+  }
+  return 0;
+};
+
+const COMPARATORS = {
+  deb: compareDpkg,
+  apk: compareApk,
+  rpm: compareRpm,
+  semver: compareSemver,
+  pypi: comparePep440
+};
+
+/**
+ * Compare two versions under a scheme
+ * @param {string} scheme - deb, apk, rpm, semver or pypi
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative when a is older, zero when equal, positive when newer
+ */
+const compareVersions = (scheme, a, b) => {
+  const comparator = COMPARATORS[scheme];
+  if (!comparator) {
+    throw new Error(`Unknown version scheme: ${scheme}`);
+  }
+  return comparator(String(a), String(b));
+};
+
+module.exports = {
+  compareVersions,
+  compareDpkg,
+  compareApk,
+  compareRpm,
+  compareSemver,
+  comparePep440
+};
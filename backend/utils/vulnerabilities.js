@@ -0,0 +1,197 @@
+const advisoryDb = require('./advisory-db');
+const { compareVersions } = require('./versions');
+const { ecosystemBase } = require('./osv');
+
+const SEVERITY_RANK = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// OSV ecosystem families of rpm-based distributions, by os-release ID
+const RPM_ECOSYSTEMS = {
+  rhel: 'Red Hat',
+  centos: 'Red Hat',
+  rocky: 'Rocky Linux',
+  almalinux: 'AlmaLinux',
+  opensuse: 'openSUSE',
+  'opensuse-leap': 'openSUSE',
+  sles: 'SUSE'
+};
+
+const releaseParts = (versionId, count) => (versionId || '').split('.').slice(0, count).join('.') || null;
+
+/**
+ * OSV ecosystem a package's advisories are filed under, with the release
+ * advisories must name (if they name one) and the version scheme to compare with
+ * @param {Object} pkg - SBOM package
+ * @param {Object|null} distro - SBOM distro (os-release)
+ * @returns {Object|null} base, release and scheme, or null when no ecosystem fits
+ */
+const ecosystemFor = (pkg, distro) => {
+  switch (pkg.type) {
+    case 'npm':
+      return { base: 'npm', release: null, scheme: 'semver' };
+    case 'golang':
+      return { base: 'Go', release: null, scheme: 'semver' };
+    case 'pypi':
+      return { base: 'PyPI', release: null, scheme: 'pypi' };
+    case 'deb':
+      return distro?.id === 'ubuntu'
+        ? { base: 'Ubuntu', release: distro.versionId || null, scheme: 'deb' }
+        : { base: 'Debian', release: releaseParts(distro?.versionId, 1), scheme: 'deb' };
+    case 'apk': {
+      const release = releaseParts(distro?.versionId, 2);
+      return { base: 'Alpine', release: release && `v${release}`, scheme: 'apk' };
+    }
+    case 'rpm': {
+      const base = RPM_ECOSYSTEMS[distro?.id];
+      if (!base) {
+        return null;
+      }
+      // Red Hat ecosystems name product streams rather than plain releases
+      return { base, release: base === 'Red Hat' ? null : releaseParts(distro.versionId, 1), scheme: 'rpm' };
+    }
+    default:
+      return null;
+  }
+};
+
+const releaseMatches = (advisoryEcosystem, release) => {
+  const advisoryRelease = advisoryEcosystem.split(':')[1];
+  return !advisoryRelease || !release || advisoryRelease === release;
+};
+
+const eventVersion = (event) => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+
+/**
+ * Whether a version falls in an OSV range
+ * @param {Object} range - { type: SEMVER or ECOSYSTEM, events }
+ * @param {string} version - Installed version
+ * @param {string} scheme - Version scheme of the ecosystem
+ * @returns {{ affected: boolean, fixedVersion: string|null }} fixedVersion is
+ *   the fix that ends the range the version is in
+ */
+const evaluateRange = (range, version, scheme) => {
+  const compare = (a, b) => compareVersions(range.type === 'SEMVER' ? 'semver' : scheme, a, b);
+  // "introduced: 0" means from the very first version
+  const order = (a, b) => {
+    if (eventVersion(a) === '0' && a.introduced !== undefined) return -1;
+    if (eventVersion(b) === '0' && b.introduced !== undefined) return 1;
+    return compare(eventVersion(a), eventVersion(b));
+  };
+  const events = [...range.events].filter((event) => eventVersion(event) !== undefined).sort(order);
+
+  let affected = false;
+  for (const event of events) {
+    if (event.introduced !== undefined) {
+      if (event.introduced !== '0' && compare(version, event.introduced) < 0) {
+        break;
+      }
+      affected = true;
+    } else if (event.last_affected !== undefined) {
+      if (compare(version, event.last_affected) <= 0) {
+        break;
+      }
+      affected = false;
+    } else {
+      const end = event.fixed ?? event.limit;
+      if (compare(version, end) < 0) {
+        return { affected, fixedVersion: affected && event.fixed !== undefined ? event.fixed : null };
+      }
+      affected = false;
+    }
+  }
+  return { affected, fixedVersion: null };
+};
+
+/**
+ * Whether an advisory's affected entry covers an installed version
+ * @param {Object} affected - Compact affected entry (ranges, versions)
+ * @param {string} version - Installed version
+ * @param {string} scheme - Version scheme of the ecosystem
+ * @returns {{ affected: boolean, fixedVersion: string|null }}
+ */
+const affects = (affected, version, scheme) => {
+  for (const range of affected.ranges) {
+    const result = evaluateRange(range, version, scheme);
+    if (result.affected) {
+      return result;
+    }
+  }
+  return { affected: affected.versions.includes(version), fixedVersion: null };
+};
+
+/**
+ * Match an image's packages against the imported advisory database. Nothing
+ * leaves the host: advisories come from the local import only.
+ * @param {Object} sbom - buildSbom result (analysis.sbom)
+ * @returns {Promise<Object>} database (importedAt and advisoryCount, null
+ *   before any import), scannedPackages, summary (count per severity) and
+ *   findings (advisory id, aliases, summary, severity, score, fixedVersion,
+ *   references and the package) most severe first
+ */
+const matchVulnerabilities = async (sbom) => {
+  const summary = Object.fromEntries(SEVERITY_RANK.map((severity) => [severity, 0]));
+  const database = await advisoryDb.status();
+  if (!database) {
+    return { database: null, scannedPackages: sbom.packages.length, summary, findings: [] };
+  }
+
+  const findings = [];
+  for (const pkg of sbom.packages) {
+    const ecosystem = ecosystemFor(pkg, sbom.distro);
+    if (!ecosystem) {
+      continue;
+    }
+    const version = pkg.type === 'rpm' && pkg.epoch ? `${pkg.epoch}:${pkg.version}` : pkg.version;
+    // OS distributions file advisories under the source package
+    const names = Array.from(new Set([pkg.sourcePackage, pkg.name].filter(Boolean)));
+    const advisories = (await Promise.all(names.map((name) => advisoryDb.advisoriesFor(ecosystem.base, name)))).flat();
+    const seen = new Set();
+
+    advisories.forEach((advisory) => {
+      if (seen.has(advisory.id)) {
+        return;
+      }
+      const match = advisory.affected
+        .filter((entry) => ecosystemBase(entry.ecosystem) === ecosystem.base && releaseMatches(entry.ecosystem, ecosystem.release))
+        .map((entry) => affects(entry, version, ecosystem.scheme))
+        .find((result) => result.affected);
+      if (!match) {
+        return;
+      }
+      seen.add(advisory.id);
+      summary[advisory.severity]++;
+      findings.push({
+        id: advisory.id,
+        aliases: advisory.aliases,
+        summary: advisory.summary,
+        severity: advisory.severity,
+        score: advisory.score,
+        fixedVersion: match.fixedVersion,
+        references: advisory.references,
+        package: {
+          name: pkg.name,
+          version: pkg.version,
+          type: pkg.type,
+          purl: pkg.purl,
+          layerIndex: pkg.layerIndex
+        }
+      });
+    });
+  }
+
+  findings.sort((a, b) => SEVERITY_RANK.indexOf(a.severity) - SEVERITY_RANK.indexOf(b.severity)
+    || (b.score || 0) - (a.score || 0)
+    || a.package.name.localeCompare(b.package.name));
+
+  return {
+    database: { importedAt: database.importedAt, advisoryCount: database.advisoryCount },
+    scannedPackages: sbom.packages.length,
+    summary,
+    findings
+  };
+};
+
+module.exports = {
+  matchVulnerabilities,
+  evaluateRange,
+  ecosystemFor
+};
@@ -0,0 +1,139 @@
+const { WebSocketServer } = require('ws');
+const inspectionEvents = require('../utils/inspection-events');
+const { validateImageName } = require('../utils/image-name');
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_SUBSCRIPTIONS_PER_CLIENT = 20;
+const MAX_CLIENT_FRAME_BYTES = 4 * 1024;
+
+const send = (ws, message) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Attach the inspection progress WebSocket (/ws/inspect) to an HTTP server.
+ * Protocol: clients send {type:'subscribe'|'unsubscribe', imageName}; the
+ * server answers {type:'subscribed', imageName, current} and then forwards
+ * every inspection-events message for that image. Any number of clients may
+ * watch the same image.
+ */
+const attachInspectionServer = (httpServer) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_CLIENT_FRAME_BYTES });
+  const subscribers = new Map();
+
+  const unsubscribe = (ws, imageName) => {
+    ws.subscriptions.delete(imageName);
+    const watchers = subscribers.get(imageName);
+    if (watchers) {
+      watchers.delete(ws);
+      if (watchers.size === 0) {
+        subscribers.delete(imageName);
+      }
+    }
+  };
+
+  const forward = (message) => {
+    const watchers = subscribers.get(message.imageName);
+    if (watchers) {
+      watchers.forEach((ws) => send(ws, message));
+    }
+  };
+  inspectionEvents.on('message', forward);
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      // The terminal server reaps malformed and unclaimed upgrades
+      return;
+    }
+
+    if (url.pathname !== '/ws/inspect') {
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', (ws) => {
+    ws.subscriptions = new Set();
+    let missedPongs = 0;
+
+    const heartbeat = setInterval(() => {
+      if (missedPongs >= 2) {
+        ws.terminate();
+        return;
+      }
+      missedPongs += 1;
+      try {
+        ws.ping();
+      } catch (error) {
+        // socket already going away; cleanup happens via close/error
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      Array.from(ws.subscriptions).forEach((imageName) => unsubscribe(ws, imageName));
+    };
+
+    ws.on('pong', () => {
+      missedPongs = 0;
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(data.toString('utf8'));
+      } catch (error) {
+        send(ws, { type: 'error', message: 'Messages must be JSON' });
+        return;
+      }
+
+      const imageName = message ? message.imageName : undefined;
+      const validation = validateImageName(imageName);
+      if (!validation.valid) {
+        send(ws, { type: 'error', imageName, message: `Invalid image name: ${validation.reason}` });
+        return;
+      }
+
+      if (message.type === 'subscribe') {
+        if (!ws.subscriptions.has(imageName) && ws.subscriptions.size >= MAX_SUBSCRIPTIONS_PER_CLIENT) {
+          send(ws, { type: 'error', imageName, message: 'Too many subscriptions on this connection' });
+          return;
+        }
+        ws.subscriptions.add(imageName);
+        if (!subscribers.has(imageName)) {
+          subscribers.set(imageName, new Set());
+        }
+        subscribers.get(imageName).add(ws);
+        send(ws, { type: 'subscribed', imageName, current: inspectionEvents.current(imageName) });
+      } else if (message.type === 'unsubscribe') {
+        unsubscribe(ws, imageName);
+        send(ws, { type: 'unsubscribed', imageName });
+      } else {
+        send(ws, { type: 'error', imageName, message: `Unknown message type: ${message.type}` });
+      }
+    });
+
+    ws.on('close', cleanup);
+    ws.on('error', cleanup);
+  });
+
+  wss.on('close', () => {
+    inspectionEvents.off('message', forward);
+  });
+
+  return wss;
+};
+
+module.exports = { attachInspectionServer };
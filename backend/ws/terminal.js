@@ -1,6 +1,8 @@
 const { WebSocketServer } = require('ws');
 const pty = require('node-pty');
 const { validateImageName } = require('../utils/image-name');
+const { validatePlatform } = require('../utils/platform');
+const dockerUtils = require('../utils/docker');
 
 const parsePositiveInt = (value, fallback) => {
   const parsed = parseInt(value, 10);
@@ -26,7 +28,9 @@ const clampDimension = (value, fallback) => {
 // Allowlist instead of process.env passthrough: the full env leaks backend
 // secrets into a subprocess spawned for any WebSocket client, and CI=true
 // (set by .env.example for the analyze path) would flip dive into
-// non-interactive mode and kill the TUI outright.
+// non-interactive mode and kill the TUI outright. Stored registry credentials
+// (and REGISTRY_CREDENTIALS_KEY, ADMIN_TOKEN) stay out too: only a docker pull
+// child gets them, through a throwaway DOCKER_CONFIG.
 const PTY_ENV_ALLOWLIST = ['PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'TMPDIR', 'DOCKER_HOST', 'DOCKER_CONFIG', 'DOCKER_CERT_PATH', 'DOCKER_TLS_VERIFY'];
 
 const buildPtyEnv = () => {
@@ -39,11 +43,42 @@ const buildPtyEnv = () => {
   return env;
 };
 
+/**
+ * Pull the requested platform variant before dive starts, writing status lines
+ * to the terminal. Resolves the local image ID to hand to dive (which pins the
+ * variant), or null when the client left or the pull failed.
+ */
+const preparePlatformImage = async (ws, image, platform) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const say = (text) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(Buffer.from(`${text}\r\n`, 'utf8'));
+    }
+  };
+  ws.once('close', abort);
+
+  try {
+    say(`Preparing the ${platform} variant of ${image}...`);
+    const imageInfo = await dockerUtils.ensurePlatformImage(image, platform, { signal: controller.signal });
+    return ws.readyState === ws.OPEN ? imageInfo.id : null;
+  } catch (error) {
+    if (!controller.signal.aborted && ws.readyState === ws.OPEN) {
+      say(`Failed to prepare ${platform}: ${error.message}`);
+      ws.close(1011, 'Failed to prepare platform');
+    }
+    return null;
+  } finally {
+    ws.off('close', abort);
+  }
+};
+
 /**
  * Attach the raw-WebSocket dive terminal bridge to an HTTP server.
  * Protocol: binary frames carry PTY bytes both ways; JSON text frames carry
  * control messages ({type:'ready'|'exit'} server->client, {type:'resize'}
- * client->server).
+ * client->server). An optional ?platform=os/arch[/variant] pulls and explores
+ * that variant of a multi-arch image.
  */
 const attachTerminalServer = (httpServer, { activePTYs }) => {
   const wss = new WebSocketServer({ noServer: true });
@@ -59,17 +94,18 @@ const attachTerminalServer = (httpServer, { activePTYs }) => {
     }
 
     if (url.pathname !== '/ws/terminal') {
-      // socket.io owns /socket.io/*; with destroyUpgrade disabled there, WE
-      // are the reaper for every other unclaimed upgrade — leaving them
-      // unanswered would leak one fd per request (DoS)
-      if (!url.pathname.startsWith('/socket.io')) {
+      // socket.io owns /socket.io/* and ws/inspect.js owns /ws/inspect; with
+      // destroyUpgrade disabled, WE are the reaper for every other unclaimed
+      // upgrade — leaving them unanswered would leak one fd per request (DoS)
+      if (!url.pathname.startsWith('/socket.io') && url.pathname !== '/ws/inspect') {
         socket.destroy();
       }
       return;
     }
 
     const image = url.searchParams.get('image');
-    if (!image || !validateImageName(image).valid) {
+    const platform = url.searchParams.get('platform') || null;
+    if (!image || !validateImageName(image).valid || (platform && !validatePlatform(platform).valid)) {
       socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
       socket.destroy();
       return;
@@ -79,6 +115,7 @@ const attachTerminalServer = (httpServer, { activePTYs }) => {
     // from the validated one
     const session = {
       image,
+      platform,
       cols: clampDimension(url.searchParams.get('cols'), 80),
       rows: clampDimension(url.searchParams.get('rows'), 30)
     };
@@ -88,18 +125,27 @@ const attachTerminalServer = (httpServer, { activePTYs }) => {
     });
   });
 
-  wss.on('connection', (ws, req, session) => {
+  wss.on('connection', async (ws, req, session) => {
     if (sessions.size >= MAX_SESSIONS) {
       ws.close(1013, 'Too many terminal sessions');
       return;
     }
     sessions.add(ws);
 
-    const { image, cols, rows } = session;
+    const { image, platform, cols, rows } = session;
+
+    let target = image;
+    if (platform) {
+      target = await preparePlatformImage(ws, image, platform);
+      if (!target) {
+        sessions.delete(ws);
+        return;
+      }
+    }
 
     let shell;
     try {
-      shell = pty.spawn('dive', [image], {
+      shell = pty.spawn('dive', [target], {
         name: 'xterm-256color',
         cols,
         rows,
@@ -1,24 +1,42 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { inspectImage, searchImages, removeImage, getLocalImages } from './services/api';
+import { inspectImage, cancelInspection, searchImages, removeImage, getLocalImages, getImagePlatforms, InspectionWebSocket } from './services/api';
 import TerminalView from './components/TerminalView';
 import ImageUpload from './components/ImageUpload';
+import FileTreeExplorer from './components/FileTreeExplorer';
+import InefficientFilesTable from './components/InefficientFilesTable';
+import ImageMetadataPanel from './components/ImageMetadataPanel';
+import OptimizationAdvice from './components/OptimizationAdvice';
+import SecretFindings from './components/SecretFindings';
+import PackageList from './components/PackageList';
+import VulnerabilityList from './components/VulnerabilityList';
+import CompareView from './components/CompareView';
+import DockerfileView from './components/DockerfileView';
+import ReportMenu from './components/ReportMenu';
+import InspectionProgress from './components/InspectionProgress';
+import PlatformVariants from './components/PlatformVariants';
 import './styles/simple.css';
 
 function App() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [currentView, setCurrentView] = useState('search'); // 'search' | 'inspect'
+  const [currentView, setCurrentView] = useState('search'); // 'search' | 'inspect' | 'compare' | 'dockerfile'
   const [currentImage, setCurrentImage] = useState(null);
   const [inspectionData, setInspectionData] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [images, setImages] = useState([]);
   const [expandedLayers, setExpandedLayers] = useState(new Set()); // Track expanded layers
   const [allLayersExpanded, setAllLayersExpanded] = useState(false);
+  const [highlightedLayer, setHighlightedLayer] = useState(null);
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [deleteMessage, setDeleteMessage] = useState('');
   const [showTerminal, setShowTerminal] = useState(false);
   const [localImages, setLocalImages] = useState([]);
   const [recentlyUploaded, setRecentlyUploaded] = useState([]);
+  const [compareBase, setCompareBase] = useState('');
+  const [inspectionJob, setInspectionJob] = useState(null);
+  const [liveProgress, setLiveProgress] = useState(null);
+  const [currentPlatform, setCurrentPlatform] = useState(null); // null: whatever the local tag holds
+  const [platforms, setPlatforms] = useState([]);
 
   const fetchLocalImages = useCallback(async () => {
     try {
@@ -72,38 +90,96 @@ function App() {
     setError(null);
   };
 
-  const handleInspect = async (imageName) => {
+  const loadPlatforms = async (imageName) => {
+    try {
+      setPlatforms((await getImagePlatforms(imageName)) || []);
+    } catch (err) {
+      // Variant switching is optional; the analysis works without it
+      setPlatforms([]);
+    }
+  };
+
+  const handleInspect = async (imageName, options = {}) => {
+    const platform = options.platform || null;
+    // Live progress rides the WebSocket; job polling still decides the outcome
+    // and keeps the bar moving if the socket can't connect
+    const progressSocket = new InspectionWebSocket(
+      imageName,
+      setLiveProgress,
+      () => setLiveProgress(null),
+      setLiveProgress,
+      platform,
+      { secrets: Boolean(options.secrets), sbom: Boolean(options.sbom) }
+    );
+
     try {
       setLoading(true);
       setError(null);
       setCurrentView('inspect');
+      if (imageName !== currentImage) {
+        setPlatforms([]);
+        loadPlatforms(imageName);
+      }
       setCurrentImage(imageName);
+      setCurrentPlatform(platform);
+      setInspectionJob(null);
+      setLiveProgress(null);
+      progressSocket.connect();
 
       console.log(`Inspecting image: ${imageName}`);
-      const result = await inspectImage(imageName);
+      const result = await inspectImage(imageName, { ...options, onProgress: setInspectionJob });
       console.log('Full inspection result:', result);
       console.log('Analysis data:', result.analysis);
       console.log('Available keys:', Object.keys(result));
       setInspectionData(result);
 
     } catch (err) {
+      if (/Inspection cancelled/.test(err.message)) {
+        backToSearch();
+        return;
+      }
       setError(`Inspection failed: ${err.message}`);
       console.error('Inspection error:', err);
     } finally {
+      progressSocket.disconnect();
       setLoading(false);
+      setInspectionJob(null);
+      setLiveProgress(null);
+    }
+  };
+
+  const handleCancelInspection = async () => {
+    if (!inspectionJob?.id) {
+      return;
+    }
+    try {
+      await cancelInspection(inspectionJob.id);
+    } catch (err) {
+      // The job may have just finished; polling reports the final state either way
+      console.error('Cancel inspection error:', err);
     }
   };
 
   const backToSearch = () => {
     setCurrentView('search');
     setCurrentImage(null);
+    setCurrentPlatform(null);
+    setPlatforms([]);
     setInspectionData(null);
     setError(null);
     setExpandedLayers(new Set()); // Reset expanded layers
     setAllLayersExpanded(false);
+    setHighlightedLayer(null);
     setShowTerminal(false); // Reset terminal view
   };
 
+  const openCompare = (baseImage = '') => {
+    setCompareBase(baseImage);
+    setShowTerminal(false);
+    setError(null);
+    setCurrentView('compare');
+  };
+
   const handleDeleteCurrentImage = async () => {
     if (!currentImage) {
       return;
@@ -147,6 +223,14 @@ function App() {
     setExpandedLayers(newExpanded);
   };
 
+  const focusLayer = (index) => {
+    setHighlightedLayer(index);
+    const element = document.getElementById(`layer-${index}`);
+    if (element && element.scrollIntoView) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  };
+
   const toggleAllLayers = () => {
     if (allLayersExpanded) {
       // Collapse all
@@ -163,6 +247,40 @@ function App() {
     }
   };
 
+  if (currentView === 'compare') {
+    return (
+      <div className="app-container">
+        <header className="app-header">
+          <button onClick={backToSearch} className="back-button">
+            ← Back to Search
+          </button>
+          <h1 className="app-title">⚖️ Compare Images</h1>
+          <p className="app-subtitle">Did this change make the image bigger? Layer and file deltas between two images or tags</p>
+        </header>
+        <main className="main-content">
+          <CompareView initialBase={compareBase} />
+        </main>
+      </div>
+    );
+  }
+
+  if (currentView === 'dockerfile') {
+    return (
+      <div className="app-container">
+        <header className="app-header">
+          <button onClick={() => setCurrentView('inspect')} className="back-button">
+            ← Back to Analysis
+          </button>
+          <h1 className="app-title">📜 Dockerfile: {currentImage}</h1>
+          <p className="app-subtitle">Approximate build instructions reconstructed from the image history, with each layer&apos;s size</p>
+        </header>
+        <main className="main-content">
+          <DockerfileView imageName={currentImage} />
+        </main>
+      </div>
+    );
+  }
+
   if (currentView === 'inspect') {
     return (
       <div className="app-container">
@@ -171,8 +289,31 @@ function App() {
             ← Back to Search
           </button>
           <h1 className="app-title">Analyzing: {currentImage}</h1>
-          <p className="app-subtitle">Layer-by-layer breakdown and efficiency analysis</p>
+          <p className="app-subtitle">
+            Layer-by-layer breakdown and efficiency analysis
+            {(currentPlatform || inspectionData?.platform) && ` · ${currentPlatform || inspectionData?.platform}`}
+          </p>
+          <PlatformVariants
+            platforms={platforms}
+            activePlatform={currentPlatform || inspectionData?.platform}
+            onSelect={(platform) => handleInspect(currentImage, { platform })}
+            disabled={loading}
+          />
           <div className="header-actions">
+            {inspectionData?.cached && !loading && !error && (
+              <button
+                onClick={() => handleInspect(currentImage, {
+                  refresh: true,
+                  platform: currentPlatform,
+                  secrets: Boolean(inspectionData.analysis?.secrets),
+                  sbom: Boolean(inspectionData.analysis?.sbom)
+                })}
+                className="cleanup-button"
+                title={`Stored analysis from ${new Date(inspectionData.completedAt).toLocaleString()}`}
+              >
+                Re-run Analysis
+              </button>
+            )}
             {inspectionData && !loading && !error && (
               <button
                 onClick={handleDeleteCurrentImage}
@@ -183,6 +324,51 @@ function App() {
                 {deleteLoading ? 'Deleting...' : 'Delete Image'}
               </button>
             )}
+            {inspectionData && !loading && !error && (
+              <button
+                onClick={() => openCompare(currentImage)}
+                className="terminal-toggle-button glass"
+              >
+                ⚖️ Compare
+              </button>
+            )}
+            {inspectionData && !inspectionData.analysis?.secrets && !loading && !error && (
+              <button
+                onClick={() => handleInspect(currentImage, {
+                  platform: currentPlatform,
+                  secrets: true,
+                  sbom: Boolean(inspectionData.analysis?.sbom)
+                })}
+                className="terminal-toggle-button glass"
+                title="Walk every layer, deleted files included, for keys, tokens and credential files"
+              >
+                🔐 Scan for secrets
+              </button>
+            )}
+            {inspectionData && !inspectionData.analysis?.sbom && !loading && !error && (
+              <button
+                onClick={() => handleInspect(currentImage, {
+                  platform: currentPlatform,
+                  secrets: Boolean(inspectionData.analysis?.secrets),
+                  sbom: true
+                })}
+                className="terminal-toggle-button glass"
+                title="List the OS and language packages in the image and match them against the local advisory database"
+              >
+                📦 SBOM & vulnerabilities
+              </button>
+            )}
+            {inspectionData && !loading && !error && (
+              <button
+                onClick={() => setCurrentView('dockerfile')}
+                className="terminal-toggle-button glass"
+              >
+                📜 Dockerfile
+              </button>
+            )}
+            {inspectionData && !inspectionData.analysis?.is_cat_fallback && !loading && !error && (
+              <ReportMenu imageName={currentImage} platform={currentPlatform || undefined} />
+            )}
             <button
               onClick={() => setShowTerminal(!showTerminal)}
               className="terminal-toggle-button glass"
@@ -198,10 +384,10 @@ function App() {
         </header>
 
         {loading && (
-          <div className="loading-screen">
-            <div className="spinner"></div>
-            <p>Analyzing image layers...</p>
-          </div>
+          <InspectionProgress
+            status={liveProgress || inspectionJob}
+            onCancel={inspectionJob?.id ? handleCancelInspection : undefined}
+          />
         )}
 
         {error && (
@@ -269,7 +455,7 @@ function App() {
                 <main className="main-content">
                   <div className="terminal-container">
                     <h2 style={{ color: '#fff', marginBottom: '20px' }}>
-                      Interactive Dive Terminal - {currentImage}
+                      Interactive Dive Terminal - {currentImage}{currentPlatform && ` (${currentPlatform})`}
                     </h2>
                     <p style={{ color: '#aaa', marginBottom: '20px' }}>
                       Use this interactive terminal to explore the image with dive commands.
@@ -277,6 +463,7 @@ function App() {
                     </p>
                     <TerminalView
                       image={currentImage}
+                      platform={currentPlatform || undefined}
                       onExit={() => setShowTerminal(false)}
                     />
                   </div>
@@ -318,6 +505,50 @@ function App() {
               </div>
             </div>
 
+            {inspectionData.analysis?.advice && (
+              <div className="analysis-section">
+                <h2>💡 Optimization Advice</h2>
+                <OptimizationAdvice advice={inspectionData.analysis.advice} onSelectLayer={focusLayer} />
+              </div>
+            )}
+
+            {inspectionData.analysis?.secrets && (
+              <div className="analysis-section">
+                <h2>🔐 Secrets</h2>
+                <SecretFindings secrets={inspectionData.analysis.secrets} onSelectLayer={focusLayer} />
+              </div>
+            )}
+
+            {inspectionData.analysis?.sbom && (
+              <div className="analysis-section">
+                <h2>📦 Packages</h2>
+                <PackageList
+                  sbom={inspectionData.analysis.sbom}
+                  imageName={currentImage}
+                  platform={currentPlatform || inspectionData.platform}
+                  onSelectLayer={focusLayer}
+                />
+              </div>
+            )}
+
+            {inspectionData.analysis?.sbom && (
+              <div className="analysis-section">
+                <h2>🛡️ Vulnerabilities</h2>
+                <VulnerabilityList
+                  imageName={currentImage}
+                  platform={currentPlatform || inspectionData.platform}
+                  onSelectLayer={focusLayer}
+                />
+              </div>
+            )}
+
+            {inspectionData.analysis?.metadata?.imageId && (
+              <div className="analysis-section">
+                <h2>🏷️ Image Metadata</h2>
+                <ImageMetadataPanel metadata={inspectionData.analysis.metadata} />
+              </div>
+            )}
+
             <div className="layers-section">
               <div className="layers-header">
                 <h2>🔍 Layer Breakdown</h2>
@@ -336,7 +567,11 @@ function App() {
                   const hasLongCommand = (layer.command || '').length > 100;
 
                   return (
-                    <div key={layerId} className="layer-item">
+                    <div
+                      key={layerId}
+                      id={`layer-${index}`}
+                      className={`layer-item ${highlightedLayer === index ? 'highlighted' : ''}`}
+                    >
                       <div className="layer-header">
                         <span className="layer-index">#{index + 1}</span>
                         <span className="layer-size">{formatBytes(layer.size || 0)}</span>
@@ -365,6 +600,29 @@ function App() {
                 }) || []}
               </div>
             </div>
+
+            {inspectionData.analysis?.inefficientFiles && (
+              <div className="analysis-section">
+                <h2>🧹 Top Inefficient Files</h2>
+                <InefficientFilesTable
+                  files={inspectionData.analysis.inefficientFiles}
+                  onSelectLayer={focusLayer}
+                />
+              </div>
+            )}
+
+            {inspectionData.analysis?.layers?.some((layer) => layer.files?.length > 0) && (
+              <div className="layers-section">
+                <div className="layers-header">
+                  <h2>🗂️ File Explorer</h2>
+                </div>
+                <FileTreeExplorer
+                  layers={inspectionData.analysis.layers}
+                  imageName={currentImage}
+                  digest={inspectionData.digest || undefined}
+                />
+              </div>
+            )}
           </main>
               )
             )}
@@ -382,6 +640,11 @@ function App() {
             <h1 className="app-title">🐋 Dive Docker Image Inspector</h1>
             <p className="app-subtitle">Analyze Docker images layer by layer</p>
           </div>
+          <div className="header-actions">
+            <button onClick={() => openCompare()} className="terminal-toggle-button glass">
+              ⚖️ Compare Images
+            </button>
+          </div>
         </div>
       </header>
 
@@ -448,7 +711,7 @@ function App() {
                         <span className="just-uploaded-badge">Just uploaded</span>
                       )}
                     </h3>
-                    <p>{image.size} · {image.created}</p>
+                    <p>{formatBytes(image.size)} · {new Date(image.created).toLocaleDateString()}</p>
                     <button className="inspect-button">Inspect</button>
                   </div>
                 ))}
@@ -0,0 +1,126 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CompareView from '../components/CompareView';
+import { compareImages } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  compareImages: jest.fn(),
+}));
+
+const layer = (index, id, command, size) => ({ index, id, command, size, wasted_size: 0, file_count: 1 });
+
+const comparison = {
+  base: { imageName: 'app:1.0', totalLayers: 3, totalSize: 3072, wastedSpace: 0, efficiency: 98 },
+  target: { imageName: 'app:1.1', totalLayers: 4, totalSize: 4096, wastedSpace: 512, efficiency: 95.5 },
+  summary: {
+    sizeDelta: 1024,
+    wastedDelta: 512,
+    efficiencyDelta: -2.5,
+    layerDelta: 1,
+    sharedLayers: 2,
+    changedLayers: 1,
+    addedLayers: 1,
+    removedLayers: 0
+  },
+  layers: [
+    { status: 'shared', base: layer(0, 'a', 'FROM alpine', 1024), target: layer(0, 'a', 'FROM alpine', 1024), sizeDelta: 0, wastedDelta: 0, files: null },
+    { status: 'shared', base: layer(1, 'b', 'RUN apk add curl', 1024), target: layer(1, 'b', 'RUN apk add curl', 1024), sizeDelta: 0, wastedDelta: 0, files: null },
+    {
+      status: 'changed',
+      base: layer(2, 'c', 'COPY . /app', 1024),
+      target: layer(2, 'd', 'COPY . /app', 1536),
+      sizeDelta: 512,
+      wastedDelta: 0,
+      files: {
+        added: 0,
+        removed: 0,
+        modified: 1,
+        sizeDelta: 512,
+        truncated: false,
+        entries: [{ path: '/app/main.js', change: 'modified', baseSize: 1024, targetSize: 1536, sizeDelta: 512 }]
+      }
+    },
+    {
+      status: 'added',
+      base: null,
+      target: layer(3, 'e', 'RUN npm run build', 512),
+      sizeDelta: 512,
+      wastedDelta: 0,
+      files: { added: 1, removed: 0, modified: 0, sizeDelta: 512, truncated: false, entries: [{ path: '/app/dist', change: 'added', baseSize: 0, targetSize: 512, sizeDelta: 512 }] }
+    }
+  ],
+  files: {
+    added: 1,
+    removed: 0,
+    modified: 1,
+    sizeDelta: 1024,
+    truncated: false,
+    entries: [
+      { path: '/app/dist', change: 'added', baseSize: 0, targetSize: 512, sizeDelta: 512 },
+      { path: '/app/main.js', change: 'modified', baseSize: 1024, targetSize: 1536, sizeDelta: 512 }
+    ]
+  }
+};
+
+const runComparison = async (user) => {
+  await user.type(screen.getByLabelText('Target image'), 'app:1.1');
+  await user.click(screen.getByRole('button', { name: 'Compare' }));
+  await screen.findByText('🧱 Layer Diff');
+};
+
+describe('CompareView Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    compareImages.mockResolvedValue({ success: true, comparison });
+  });
+
+  test('compares the two entered images and shows the summary deltas', async () => {
+    const user = userEvent.setup();
+    render(<CompareView initialBase="app:1.0" />);
+
+    expect(screen.getByRole('button', { name: 'Compare' })).toBeDisabled();
+    await runComparison(user);
+
+    expect(compareImages).toHaveBeenCalledWith('app:1.0', 'app:1.1');
+    expect(screen.getByText('+1 KB')).toHaveClass('delta-worse');
+    expect(screen.getByText('-2.5%')).toHaveClass('delta-worse');
+  });
+
+  test('collapses shared base layers until expanded', async () => {
+    const user = userEvent.setup();
+    render(<CompareView initialBase="app:1.0" />);
+    await runComparison(user);
+
+    const toggle = screen.getByRole('button', { name: /2 shared layers/ });
+    expect(screen.queryByText('RUN apk add curl')).not.toBeInTheDocument();
+
+    await user.click(toggle);
+    expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByText('RUN apk add curl')).toBeInTheDocument();
+  });
+
+  test('highlights changed layers and lists their file deltas on demand', async () => {
+    const user = userEvent.setup();
+    render(<CompareView initialBase="app:1.0" />);
+    await runComparison(user);
+
+    const changed = screen.getByText('COPY . /app').closest('.compare-layer');
+    expect(changed).toHaveClass('compare-layer-changed');
+    expect(screen.getByText('RUN npm run build').closest('.compare-layer')).toHaveClass('compare-layer-added');
+
+    await user.click(within(changed).getByRole('button', { name: 'Show files' }));
+    expect(within(changed).getByText('/app/main.js')).toBeInTheDocument();
+    expect(within(changed).getByText('0 added · 1 modified · 0 removed')).toBeInTheDocument();
+  });
+
+  test('shows an error when the comparison fails', async () => {
+    const user = userEvent.setup();
+    compareImages.mockRejectedValue(new Error('Image not found'));
+    render(<CompareView initialBase="app:1.0" />);
+
+    await user.type(screen.getByLabelText('Target image'), 'missing:1');
+    await user.click(screen.getByRole('button', { name: 'Compare' }));
+
+    expect(await screen.findByText('Comparison failed: Image not found')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,48 @@
+import { render, screen } from '@testing-library/react';
+import DockerfileView from '../components/DockerfileView';
+import { getImageDockerfile } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  getImageDockerfile: jest.fn(),
+}));
+
+const reconstruction = {
+  imageName: 'app:1',
+  instructionCount: 3,
+  instructions: [
+    { instruction: 'ADD', text: 'ADD file:5d68d27cc15a /', size: 7340032, layerId: null, source: 'history' },
+    { instruction: 'RUN', text: 'RUN <<EOF\nset -eux\napk add curl\nEOF', size: 2048, layerId: 'sha256:2', source: 'history' },
+    { instruction: 'USER', text: 'USER app', size: 0, layerId: null, source: 'config' }
+  ],
+  dockerfile: 'FROM scratch\n'
+};
+
+describe('DockerfileView Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('lists the reconstructed instructions with their layer sizes', async () => {
+    getImageDockerfile.mockResolvedValue(reconstruction);
+
+    render(<DockerfileView imageName="app:1" />);
+
+    expect(await screen.findByText('ADD file:5d68d27cc15a /')).toBeInTheDocument();
+    expect(getImageDockerfile).toHaveBeenCalledWith('app:1');
+    expect(screen.getByText('7 MB')).toBeInTheDocument();
+    expect(screen.getByText('2 KB')).toBeInTheDocument();
+    expect(screen.getByText(/apk add curl/)).toBeInTheDocument();
+    expect(screen.getByText('USER app').closest('li')).toHaveClass('from-config');
+    expect(screen.getByText(/3 instructions, 7 MB of layers/)).toBeInTheDocument();
+  });
+
+  test('shows the server message when reconstruction fails', async () => {
+    getImageDockerfile.mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { data: { message: 'Image not found locally' } }
+    }));
+
+    render(<DockerfileView imageName="app:1" />);
+
+    expect(await screen.findByText('Failed to reconstruct the Dockerfile: Image not found locally')).toBeInTheDocument();
+  });
+});
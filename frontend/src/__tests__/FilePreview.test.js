@@ -0,0 +1,68 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FilePreview, { hexDump } from '../components/FilePreview';
+import { getLayerFilePreview } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  ...jest.requireActual('../services/api'),
+  getLayerFilePreview: jest.fn(),
+}));
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+describe('FilePreview Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('shows text files as text and switches to hex', async () => {
+    getLayerFilePreview.mockResolvedValue({ bytes: bytesOf('ID=alpine\n'), size: 10 });
+
+    render(<FilePreview imageName="app:1" digest="sha256:abc" layerIndex={2} path="/etc/os-release" size={10} onClose={jest.fn()} />);
+
+    expect(await screen.findByTestId('file-preview-content')).toHaveTextContent('ID=alpine');
+    expect(getLayerFilePreview).toHaveBeenCalledWith('app:1', 2, '/etc/os-release', { digest: 'sha256:abc', bytes: 65536 });
+    expect(screen.getByText('/etc/os-release · layer #3')).toBeInTheDocument();
+    expect(screen.getByText('⬇️ Download')).toHaveAttribute(
+      'href',
+      'http://localhost:3000/api/images/app%3A1/layers/2/file?path=%2Fetc%2Fos-release&digest=sha256%3Aabc'
+    );
+
+    await userEvent.click(screen.getByRole('button', { name: 'Hex' }));
+    expect(screen.getByTestId('file-preview-content')).toHaveTextContent('00000000 49 44 3d 61 6c 70 69 6e 65 0a ID=alpine.');
+  });
+
+  test('opens binary files in hex and notes a truncated preview', async () => {
+    getLayerFilePreview.mockResolvedValue({ bytes: new Uint8Array([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x00]), size: 3 * 1024 * 1024 });
+
+    render(<FilePreview imageName="app:1" layerIndex={0} path="/bin/busybox" size={3 * 1024 * 1024} onClose={jest.fn()} />);
+
+    expect(await screen.findByTestId('file-preview-content')).toHaveTextContent('00000000 7f 45 4c 46 02 01 00 .ELF...');
+    expect(screen.getByRole('button', { name: 'Text' })).toBeDisabled();
+    expect(screen.getByText('Showing the first 7 B of 3 MB; download the file for the rest.')).toBeInTheDocument();
+  });
+
+  test('does not fetch an empty file', () => {
+    render(<FilePreview imageName="app:1" layerIndex={0} path="/etc/.keep" size={0} onClose={jest.fn()} />);
+
+    expect(screen.getByText('Empty file.')).toBeInTheDocument();
+    expect(getLayerFilePreview).not.toHaveBeenCalled();
+  });
+
+  test('shows why a file could not be read', async () => {
+    getLayerFilePreview.mockRejectedValue(new Error('404: /etc/hosts not found at layer #2: layer #2 deleted it'));
+
+    render(<FilePreview imageName="app:1" layerIndex={1} path="/etc/hosts" onClose={jest.fn()} />);
+
+    expect(await screen.findByText('Failed to read /etc/hosts: 404: /etc/hosts not found at layer #2: layer #2 deleted it')).toBeInTheDocument();
+  });
+
+  test('hexDump pads short rows so the ASCII column lines up', () => {
+    const dump = hexDump(bytesOf('0123456789abcdefXY'));
+
+    expect(dump.split('\n')).toEqual([
+      '00000000  30 31 32 33 34 35 36 37 38 39 61 62 63 64 65 66  0123456789abcdef',
+      `00000010  58 59${' '.repeat(42)}  XY`
+    ]);
+  });
+});
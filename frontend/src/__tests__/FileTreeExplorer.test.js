@@ -0,0 +1,178 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FileTreeExplorer from '../components/FileTreeExplorer';
+import { getLayerFilePreview } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  ...jest.requireActual('../services/api'),
+  getLayerFilePreview: jest.fn(),
+}));
+
+const file = (path, overrides = {}) => ({
+  path,
+  type: 'file',
+  size: 1024,
+  mode: '-rw-r--r--',
+  uid: 0,
+  gid: 0,
+  linkName: '',
+  status: 'added',
+  ...overrides
+});
+
+const dir = (path, overrides = {}) =>
+  file(path, { type: 'dir', size: 0, mode: 'drwxr-xr-x', ...overrides });
+
+const layers = [
+  {
+    id: 'sha256:base',
+    command: 'FROM alpine',
+    files: [
+      dir('/etc'),
+      file('/etc/hosts', { size: 200 }),
+      dir('/usr'),
+      dir('/usr/lib'),
+      file('/usr/lib/libbig.so', { size: 400 * 1024 * 1024 }),
+      file('/usr/lib/small.so', { size: 10 })
+    ]
+  },
+  {
+    id: 'sha256:top',
+    command: 'RUN rm /etc/hosts && touch /etc/motd',
+    files: [
+      dir('/etc', { status: 'unmodified' }),
+      file('/etc/hosts', { size: 200, status: 'removed' }),
+      file('/etc/motd', { size: 5 })
+    ]
+  }
+];
+
+const rowFor = (name) =>
+  within(screen.getByRole('tree')).getByText(name).closest('[role="treeitem"]');
+
+describe('FileTreeExplorer Component', () => {
+  test('renders nothing without layers', () => {
+    const { container } = render(<FileTreeExplorer layers={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows top-level directories collapsed and expands on click', async () => {
+    const user = userEvent.setup();
+    render(<FileTreeExplorer layers={layers} />);
+
+    expect(screen.getByRole('button', { name: 'Expand /etc' })).toBeInTheDocument();
+    expect(within(screen.getByRole('tree')).queryByText('hosts')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Expand /etc' }));
+
+    expect(rowFor('hosts')).toHaveClass('file-status-added');
+    expect(screen.getByRole('button', { name: 'Collapse /etc' })).toBeInTheDocument();
+  });
+
+  test('colors the selected layer changes', async () => {
+    const user = userEvent.setup();
+    render(<FileTreeExplorer layers={layers} />);
+
+    await user.selectOptions(screen.getByLabelText('Layer'), '1');
+    await user.click(screen.getByRole('button', { name: 'Expand /etc' }));
+
+    expect(rowFor('hosts')).toHaveClass('file-status-removed');
+    expect(rowFor('motd')).toHaveClass('file-status-added');
+    expect(screen.queryByText('usr/')).not.toBeInTheDocument();
+  });
+
+  test('aggregated view includes files from lower layers', async () => {
+    const user = userEvent.setup();
+    render(<FileTreeExplorer layers={layers} />);
+
+    await user.selectOptions(screen.getByLabelText('Layer'), '1');
+    await user.click(screen.getByLabelText('Show aggregated filesystem'));
+
+    expect(screen.getByText('usr/')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Expand /etc' }));
+    expect(rowFor('hosts')).toHaveClass('file-status-removed');
+  });
+
+  test('filters by path glob and minimum size, expanding matching directories', async () => {
+    const user = userEvent.setup();
+    render(<FileTreeExplorer layers={layers} />);
+
+    await user.type(screen.getByLabelText('Path filter'), '*.so');
+    expect(screen.getByText('libbig.so')).toBeInTheDocument();
+    expect(screen.getByText('small.so')).toBeInTheDocument();
+    expect(screen.queryByText('etc/')).not.toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Min size (MB)'), '100');
+    expect(screen.getByText('libbig.so')).toBeInTheDocument();
+    expect(screen.queryByText('small.so')).not.toBeInTheDocument();
+    expect(within(rowFor('libbig.so')).getByText('400 MB')).toBeInTheDocument();
+  });
+
+  test('path globs containing a slash match the full path', async () => {
+    const user = userEvent.setup();
+    render(<FileTreeExplorer layers={layers} />);
+
+    await user.type(screen.getByLabelText('Path filter'), '/etc/**');
+    expect(screen.getByText('hosts')).toBeInTheDocument();
+    expect(screen.queryByText('libbig.so')).not.toBeInTheDocument();
+  });
+
+  test('is read-only without an image name', async () => {
+    const user = userEvent.setup();
+    render(<FileTreeExplorer layers={layers} />);
+
+    await user.click(screen.getByRole('button', { name: 'Expand /etc' }));
+
+    expect(screen.queryByText('⬇️ Layer tarball')).not.toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: 'Download /etc/hosts' })).not.toBeInTheDocument();
+  });
+
+  test('links file and layer downloads for the analyzed image', async () => {
+    const user = userEvent.setup();
+    render(<FileTreeExplorer layers={layers} imageName="app:1" digest="sha256:abc" />);
+
+    await user.selectOptions(screen.getByLabelText('Layer'), '1');
+    await user.click(screen.getByRole('button', { name: 'Expand /etc' }));
+
+    expect(screen.getByText('⬇️ Layer tarball')).toHaveAttribute(
+      'href',
+      'http://localhost:3000/api/images/app%3A1/layers/1/tar?digest=sha256%3Aabc'
+    );
+    expect(screen.getByRole('link', { name: 'Download /etc/motd' })).toHaveAttribute(
+      'href',
+      'http://localhost:3000/api/images/app%3A1/layers/1/file?path=%2Fetc%2Fmotd&digest=sha256%3Aabc'
+    );
+    // A file this layer deleted is fetched from the layer below
+    expect(screen.getByRole('link', { name: 'Download /etc/hosts' })).toHaveAttribute(
+      'href',
+      expect.stringContaining('/layers/0/file?path=%2Fetc%2Fhosts')
+    );
+    expect(screen.queryByRole('link', { name: 'Download /etc' })).not.toBeInTheDocument();
+  });
+
+  test('opens the viewer for a file', async () => {
+    const user = userEvent.setup();
+    getLayerFilePreview.mockResolvedValue({ bytes: new TextEncoder().encode('127.0.0.1 localhost\n'), size: 20 });
+    render(<FileTreeExplorer layers={layers} imageName="app:1" />);
+
+    await user.click(screen.getByRole('button', { name: 'Expand /etc' }));
+    await user.click(screen.getByRole('button', { name: 'View /etc/hosts' }));
+
+    expect(await screen.findByTestId('file-preview-content')).toHaveTextContent('127.0.0.1 localhost');
+    expect(getLayerFilePreview).toHaveBeenCalledWith('app:1', 0, '/etc/hosts', expect.objectContaining({ digest: undefined }));
+
+    await user.click(screen.getByRole('button', { name: 'Close preview' }));
+    expect(screen.queryByTestId('file-preview-content')).not.toBeInTheDocument();
+  });
+
+  test('only renders the rows inside the scroll window', () => {
+    const manyFiles = Array.from({ length: 2000 }, (_, i) =>
+      file(`/f${String(i).padStart(4, '0')}`)
+    );
+    render(<FileTreeExplorer layers={[{ id: 'big', command: 'COPY . .', files: manyFiles }]} />);
+
+    const rendered = screen.getAllByRole('treeitem');
+    expect(rendered.length).toBeGreaterThan(0);
+    expect(rendered.length).toBeLessThan(100);
+  });
+});
@@ -0,0 +1,51 @@
+import { render, screen } from '@testing-library/react';
+import ImageMetadataPanel from '../components/ImageMetadataPanel';
+
+const metadata = {
+  imageId: 'sha256:' + 'c'.repeat(64),
+  repoDigests: ['app@sha256:' + 'd'.repeat(64)],
+  created: '2024-05-01T00:00:00Z',
+  author: 'ops@example.com',
+  platform: 'linux/amd64',
+  config: {
+    user: 'node',
+    workingDir: '/app',
+    entrypoint: ['docker-entrypoint.sh'],
+    cmd: ['node', 'server.js'],
+    env: ['NODE_ENV=production', 'PORT=8080'],
+    exposedPorts: ['443/tcp', '8080/tcp'],
+    labels: { maintainer: 'ops' },
+    healthcheck: { test: ['CMD-SHELL', 'curl -f http://localhost'], interval: 30, timeout: 5, startPeriod: null, retries: 3 }
+  },
+  rootfs: { type: 'layers', layers: ['sha256:l1', 'sha256:l2'] }
+};
+
+describe('ImageMetadataPanel Component', () => {
+  test('shows the image config from docker inspect', () => {
+    render(<ImageMetadataPanel metadata={metadata} />);
+
+    expect(screen.getByText(metadata.imageId)).toBeInTheDocument();
+    expect(screen.getByText('ops@example.com')).toBeInTheDocument();
+    expect(screen.getByText('["node","server.js"]')).toBeInTheDocument();
+    expect(screen.getByText('443/tcp, 8080/tcp')).toBeInTheDocument();
+    expect(screen.getByText('curl -f http://localhost (every 30s, timeout 5s, 3 retries)')).toBeInTheDocument();
+    expect(screen.getByText('Environment (2)')).toBeInTheDocument();
+    expect(screen.getByText('PORT=8080')).toBeInTheDocument();
+    expect(screen.getByText('maintainer=ops')).toBeInTheDocument();
+    expect(screen.getByText('Layer digests (2)')).toBeInTheDocument();
+  });
+
+  test('leaves out fields the image does not set', () => {
+    render(<ImageMetadataPanel metadata={{ imageId: metadata.imageId, config: { env: [] } }} />);
+
+    expect(screen.getByText('Image ID')).toBeInTheDocument();
+    expect(screen.queryByText('Author')).not.toBeInTheDocument();
+    expect(screen.queryByText(/Environment/)).not.toBeInTheDocument();
+  });
+
+  test('renders nothing for analyses without an image ID', () => {
+    const { container } = render(<ImageMetadataPanel metadata={{ imageId: null }} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
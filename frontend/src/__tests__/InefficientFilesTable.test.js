@@ -0,0 +1,86 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import InefficientFilesTable from '../components/InefficientFilesTable';
+
+const files = [
+  {
+    path: '/var/lib/apt/lists/main',
+    count: 2,
+    totalBytes: 5000,
+    wastedBytes: 5000,
+    layers: [
+      { index: 0, status: 'added' },
+      { index: 2, status: 'removed' }
+    ]
+  },
+  {
+    path: '/app/bundle.js',
+    count: 3,
+    totalBytes: 1200,
+    wastedBytes: 700,
+    layers: [
+      { index: 0, status: 'added' },
+      { index: 1, status: 'modified' },
+      { index: 2, status: 'modified' }
+    ]
+  }
+];
+
+const paths = () =>
+  screen.getAllByRole('row').slice(1).map((row) => within(row).getAllByRole('cell')[2].textContent);
+
+describe('InefficientFilesTable Component', () => {
+  test('lists files by wasted bytes, largest first', () => {
+    render(<InefficientFilesTable files={files} />);
+
+    expect(paths()).toEqual(['/var/lib/apt/lists/main', '/app/bundle.js']);
+    expect(screen.getByText('4.88 KB')).toBeInTheDocument();
+  });
+
+  test('sorts by a column and toggles direction', async () => {
+    const user = userEvent.setup();
+    render(<InefficientFilesTable files={files} />);
+
+    await user.click(screen.getByRole('button', { name: /layers/i }));
+    expect(paths()).toEqual(['/app/bundle.js', '/var/lib/apt/lists/main']);
+
+    await user.click(screen.getByRole('button', { name: /layers/i }));
+    expect(paths()).toEqual(['/var/lib/apt/lists/main', '/app/bundle.js']);
+
+    await user.click(screen.getByRole('button', { name: /path/i }));
+    expect(paths()).toEqual(['/app/bundle.js', '/var/lib/apt/lists/main']);
+  });
+
+  test('layer chips link back to the layers involved', async () => {
+    const user = userEvent.setup();
+    const onSelectLayer = jest.fn();
+    render(<InefficientFilesTable files={files} onSelectLayer={onSelectLayer} />);
+
+    const firstRow = screen.getAllByRole('row')[1];
+    await user.click(within(firstRow).getByRole('button', { name: '#3' }));
+
+    expect(onSelectLayer).toHaveBeenCalledWith(2);
+    expect(within(firstRow).getByRole('button', { name: '#3' })).toHaveClass('file-status-removed');
+  });
+
+  test('shows the top rows first and can expand to all files', async () => {
+    const user = userEvent.setup();
+    const many = Array.from({ length: 30 }, (_, i) => ({
+      path: `/file-${i}`,
+      count: 2,
+      totalBytes: 100 + i,
+      wastedBytes: 100 + i,
+      layers: []
+    }));
+    render(<InefficientFilesTable files={many} />);
+
+    expect(screen.getAllByRole('row')).toHaveLength(26);
+    await user.click(screen.getByRole('button', { name: 'Show all 30 files' }));
+    expect(screen.getAllByRole('row')).toHaveLength(31);
+  });
+
+  test('renders an empty state when nothing is inefficient', () => {
+    render(<InefficientFilesTable files={[]} />);
+    expect(screen.getByText(/no duplicated or overwritten files/i)).toBeInTheDocument();
+  });
+});
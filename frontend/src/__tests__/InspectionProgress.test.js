@@ -0,0 +1,85 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import InspectionProgress from '../components/InspectionProgress';
+
+describe('InspectionProgress Component', () => {
+  test('shows the phase, percentage and message of a live progress message', () => {
+    render(
+      <InspectionProgress
+        status={{ type: 'progress', phase: 'pulling', progress: 42.4, message: 'Downloading layers...' }}
+      />
+    );
+
+    expect(screen.getByText('Pulling image')).toBeInTheDocument();
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '42');
+    expect(screen.getByText('42%')).toBeInTheDocument();
+    expect(screen.getByText('Downloading layers...')).toBeInTheDocument();
+  });
+
+  test('names the phases of an inspection read from the registry', () => {
+    render(<InspectionProgress status={{ phase: 'downloading', progress: 55, message: 'Reading layer 2 of 4 from the registry...' }} />);
+
+    expect(screen.getByText('Reading layers from registry')).toBeInTheDocument();
+    expect(screen.getByText('Reading layer 2 of 4 from the registry...')).toBeInTheDocument();
+  });
+
+  test('shows the queue position of a polled job', () => {
+    render(<InspectionProgress status={{ state: 'queued', progress: 0, queuePosition: 3 }} />);
+
+    expect(screen.getByText('Queued for analysis (position 3)')).toBeInTheDocument();
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '0');
+  });
+
+  test('starts empty before any progress arrives', () => {
+    render(<InspectionProgress status={null} />);
+
+    expect(screen.getByText('Starting')).toBeInTheDocument();
+    expect(screen.getByText('0%')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Cancel' })).not.toBeInTheDocument();
+  });
+
+  test('offers cancel once there is a job to cancel', async () => {
+    const onCancel = jest.fn();
+    render(<InspectionProgress status={{ phase: 'analyzing', progress: 60 }} onCancel={onCancel} />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  test('lists per-layer pull state with byte counts while pulling', () => {
+    render(
+      <InspectionProgress
+        status={{
+          phase: 'pulling',
+          progress: 40,
+          message: 'Pulling layers: 1/3 complete, 1 downloading',
+          pull: {
+            totalBytes: 3 * 1024 * 1024,
+            downloadedBytes: 1.5 * 1024 * 1024,
+            layers: [
+              { id: 'a2abf6c4d29d0123', state: 'done', current: 1048576, total: 1048576 },
+              { id: 'a9edb18cadd1', state: 'downloading', current: 524288, total: 2097152 },
+              { id: '589b7251471a', state: 'waiting', current: 0, total: null }
+            ]
+          }
+        }}
+      />
+    );
+
+    expect(screen.getByText('Downloaded 1.5 MB of 3 MB')).toBeInTheDocument();
+    expect(screen.getByText('a2abf6c4d29d')).toBeInTheDocument();
+    expect(screen.getByText('512 KB / 2 MB')).toBeInTheDocument();
+    expect(screen.getByText('Waiting')).toBeInTheDocument();
+    expect(screen.getAllByRole('listitem')).toHaveLength(3);
+  });
+
+  test('hides the layer list outside the pull phase', () => {
+    render(
+      <InspectionProgress
+        status={{ phase: 'analyzing', progress: 60, pull: { layers: [{ id: 'a2abf6c4d29d', state: 'done' }] } }}
+      />
+    );
+
+    expect(screen.queryByRole('list')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,62 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import OptimizationAdvice from '../components/OptimizationAdvice';
+
+const advice = {
+  totalSavings: 9437184,
+  findings: [
+    {
+      rule: 'package-cache',
+      title: 'apt cache left in the image',
+      layerIndex: 1,
+      layerId: 'sha256:1',
+      command: 'RUN apt-get update && apt-get install -y curl',
+      estimatedSavings: 9437184,
+      savings: 'image',
+      fileCount: 7,
+      paths: ['/var/lib/apt/lists/a', '/var/lib/apt/lists/b'],
+      fix: 'End the RUN that calls apt-get install with `&& rm -rf /var/lib/apt/lists/*`'
+    },
+    {
+      rule: 'copy-before-install',
+      title: 'Whole build context copied before installing dependencies',
+      layerIndex: 2,
+      command: 'COPY . .',
+      estimatedSavings: 1048576,
+      savings: 'rebuild',
+      paths: [],
+      install: { layerIndex: 3, command: 'RUN npm ci' },
+      fix: 'Copy only the dependency manifests'
+    }
+  ]
+};
+
+describe('OptimizationAdvice Component', () => {
+  test('lists each finding with its savings, layer and fix', () => {
+    render(<OptimizationAdvice advice={advice} />);
+
+    expect(screen.getByText('Fixing these could make the image about 9 MB smaller.')).toBeInTheDocument();
+    expect(screen.getByText('apt cache left in the image')).toBeInTheDocument();
+    expect(screen.getByText('~9 MB smaller')).toBeInTheDocument();
+    expect(screen.getByText('1 MB rebuilt on every change')).toBeInTheDocument();
+    expect(screen.getByText('Copy only the dependency manifests')).toBeInTheDocument();
+    expect(screen.getByText('/var/lib/apt/lists/a')).toBeInTheDocument();
+    expect(screen.getByText('and 5 more files')).toBeInTheDocument();
+  });
+
+  test('layer chips select the offending layer', async () => {
+    const onSelectLayer = jest.fn();
+    render(<OptimizationAdvice advice={advice} onSelectLayer={onSelectLayer} />);
+
+    await userEvent.click(screen.getByRole('button', { name: '#2' }));
+    await userEvent.click(screen.getByRole('button', { name: '#4' }));
+
+    expect(onSelectLayer.mock.calls).toEqual([[1], [3]]);
+  });
+
+  test('says so when there is nothing to fix', () => {
+    render(<OptimizationAdvice advice={{ findings: [], totalSavings: 0 }} />);
+
+    expect(screen.getByText(/No package caches/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,59 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PackageList from '../components/PackageList';
+
+const sbom = {
+  distro: { id: 'debian', versionId: '12', prettyName: 'Debian GNU/Linux 12 (bookworm)' },
+  packageCount: 3,
+  totalSize: 3145728,
+  skippedLayers: [],
+  packages: [
+    { name: 'libc6', version: '2.36-9', type: 'deb', purl: 'pkg:deb/debian/libc6@2.36-9', source: '/var/lib/dpkg/status', layerIndex: 0, size: 2097152 },
+    { name: 'express', version: '4.18.2', type: 'npm', purl: 'pkg:npm/express@4.18.2', source: '/app/package-lock.json', layerIndex: 2, size: 1048576 },
+    { name: 'flask', version: '3.0.0', type: 'pypi', purl: 'pkg:pypi/flask@3.0.0', source: '/app/requirements.txt', layerIndex: 2, size: null }
+  ]
+};
+
+describe('PackageList Component', () => {
+  test('lists packages with their version, type, layer and size', () => {
+    render(<PackageList sbom={sbom} imageName="app:1.0" />);
+
+    expect(screen.getByText('3 packages taking up 3 MB on Debian GNU/Linux 12 (bookworm)')).toBeInTheDocument();
+    expect(screen.getByText('libc6').closest('tr')).toHaveTextContent('2.36-9dpkg#12 MB');
+    expect(screen.getByText('flask').closest('tr')).toHaveTextContent('—');
+  });
+
+  test('links CycloneDX and SPDX downloads for the image and platform', () => {
+    render(<PackageList sbom={sbom} imageName="app:1.0" platform="linux/arm64" />);
+
+    expect(screen.getByText('⬇️ CycloneDX').closest('a')).toHaveAttribute(
+      'href',
+      'http://localhost:3000/api/inspect/app%3A1.0/sbom?format=cyclonedx&platform=linux%2Farm64'
+    );
+    expect(screen.getByText('⬇️ SPDX').closest('a')).toHaveAttribute('href', expect.stringContaining('format=spdx'));
+  });
+
+  test('filters by package type', async () => {
+    render(<PackageList sbom={sbom} imageName="app:1.0" />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'npm' }));
+
+    expect(screen.getByText('express')).toBeInTheDocument();
+    expect(screen.queryByText('libc6')).not.toBeInTheDocument();
+  });
+
+  test('layer chips focus the layer that installed the package', async () => {
+    const onSelectLayer = jest.fn();
+    render(<PackageList sbom={sbom} imageName="app:1.0" onSelectLayer={onSelectLayer} />);
+
+    await userEvent.click(screen.getByTitle('Installed by layer #3 (/app/package-lock.json)'));
+
+    expect(onSelectLayer).toHaveBeenCalledWith(2);
+  });
+
+  test('says when the image has no package databases', () => {
+    render(<PackageList sbom={{ ...sbom, distro: null, packageCount: 0, totalSize: 0, packages: [] }} imageName="scratch-app" />);
+
+    expect(screen.getByText('No package databases or lockfiles found.')).toBeInTheDocument();
+  });
+});
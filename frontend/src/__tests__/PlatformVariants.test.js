@@ -0,0 +1,33 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PlatformVariants from '../components/PlatformVariants';
+
+describe('PlatformVariants Component', () => {
+  test('lists the variants and marks the analyzed one', () => {
+    render(
+      <PlatformVariants
+        platforms={['linux/amd64', 'linux/arm64/v8']}
+        activePlatform="linux/arm64"
+        onSelect={jest.fn()}
+      />
+    );
+
+    expect(screen.getByRole('button', { name: 'linux/amd64' })).toHaveAttribute('aria-pressed', 'false');
+    expect(screen.getByRole('button', { name: 'linux/arm64/v8' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('selecting a variant reports its platform', async () => {
+    const onSelect = jest.fn();
+    render(<PlatformVariants platforms={['linux/amd64', 'linux/arm/v7']} onSelect={onSelect} />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'linux/arm/v7' }));
+
+    expect(onSelect).toHaveBeenCalledWith('linux/arm/v7');
+  });
+
+  test('renders nothing for a single-platform image', () => {
+    const { container } = render(<PlatformVariants platforms={['linux/amd64']} onSelect={jest.fn()} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
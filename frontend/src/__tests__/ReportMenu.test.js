@@ -0,0 +1,22 @@
+import { render, screen } from '@testing-library/react';
+import ReportMenu from '../components/ReportMenu';
+
+describe('ReportMenu', () => {
+  test('links every report format for the image and platform as downloads', () => {
+    render(<ReportMenu imageName="library/nginx:latest" platform="linux/arm64" />);
+
+    expect(screen.getByText('📄 Download report')).toBeInTheDocument();
+    const html = screen.getByRole('link', { name: 'HTML page' });
+    expect(html).toHaveAttribute('href', 'http://localhost:3000/api/inspect/library%2Fnginx%3Alatest/report?format=html&platform=linux%2Farm64');
+    expect(html).toHaveAttribute('download');
+    expect(screen.getByRole('link', { name: 'Markdown' }).getAttribute('href')).toContain('format=md');
+    expect(screen.getByRole('link', { name: 'CSV' }).getAttribute('href')).toContain('format=csv');
+    expect(screen.getByRole('link', { name: 'JSON' }).getAttribute('href')).toContain('format=json');
+  });
+
+  test('leaves the platform out when the default variant was inspected', () => {
+    render(<ReportMenu imageName="nginx:latest" />);
+
+    expect(screen.getByRole('link', { name: 'JSON' })).toHaveAttribute('href', 'http://localhost:3000/api/inspect/nginx%3Alatest/report?format=json');
+  });
+});
@@ -111,6 +111,13 @@ describe('TerminalView', () => {
     expect(ws.binaryType).toBe('arraybuffer');
   });
 
+  test('passes a platform variant to the terminal session', () => {
+    renderTerminal({ platform: 'linux/arm64' });
+
+    expect(lastSocket().url).toContain('platform=linux%2Farm64');
+    expect(screen.getByText(/dive — myapp:1.0 \(linux\/arm64\)/)).toBeInTheDocument();
+  });
+
   test('ready message flips status to connected', () => {
     renderTerminal();
     const ws = lastSocket();
@@ -0,0 +1,106 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import VulnerabilityList from '../components/VulnerabilityList';
+import { getVulnerabilities } from '../services/api';
+
+jest.mock('../services/api', () => ({
+  getVulnerabilities: jest.fn(),
+}));
+
+const finding = (id, severity, name, overrides = {}) => ({
+  id,
+  aliases: [],
+  summary: `${name} issue`,
+  severity,
+  score: null,
+  fixedVersion: null,
+  references: [],
+  package: { name, version: '1.0.0', type: 'npm', purl: `pkg:npm/${name}@1.0.0`, layerIndex: 2 },
+  ...overrides
+});
+
+const matches = {
+  database: { importedAt: '2026-01-02T03:04:05.000Z', advisoryCount: 1200 },
+  scannedPackages: 42,
+  summary: { critical: 1, high: 0, medium: 1, low: 0, unknown: 0 },
+  findings: [
+    finding('DSA-0001-1', 'critical', 'libc6', {
+      aliases: ['CVE-2026-0001'],
+      score: 9.8,
+      fixedVersion: '2.36-9+deb12u4',
+      references: ['https://osv.dev/vulnerability/DSA-0001-1'],
+      package: { name: 'libc6', version: '2.36-9+deb12u3', type: 'deb', purl: 'pkg:deb/debian/libc6@2.36-9+deb12u3', layerIndex: 0 }
+    }),
+    finding('GHSA-aaaa-bbbb-cccc', 'medium', 'express')
+  ]
+};
+
+describe('VulnerabilityList Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('lists findings with the advisory, package, installed and fixed versions', async () => {
+    getVulnerabilities.mockResolvedValue(matches);
+
+    render(<VulnerabilityList imageName="app:1.0" platform="linux/arm64" />);
+
+    const row = (await screen.findByText('DSA-0001-1')).closest('tr');
+    expect(getVulnerabilities).toHaveBeenCalledWith('app:1.0', { platform: 'linux/arm64' });
+    expect(row).toHaveTextContent('critical9.8');
+    expect(row).toHaveTextContent('CVE-2026-0001');
+    expect(row).toHaveTextContent('2.36-9+deb12u3');
+    expect(row).toHaveTextContent('2.36-9+deb12u4');
+    expect(screen.getByText('DSA-0001-1')).toHaveAttribute('href', 'https://osv.dev/vulnerability/DSA-0001-1');
+    expect(screen.getByText('express').closest('tr')).toHaveTextContent('—');
+    expect(screen.getByText(/2 known vulnerabilities in 42 packages, 1200 advisories imported/)).toBeInTheDocument();
+  });
+
+  test('severity filters hide and show findings', async () => {
+    getVulnerabilities.mockResolvedValue(matches);
+    render(<VulnerabilityList imageName="app:1.0" />);
+    await screen.findByText('DSA-0001-1');
+
+    const critical = screen.getByRole('button', { name: 'critical 1' });
+    await userEvent.click(critical);
+
+    expect(critical).toHaveAttribute('aria-pressed', 'false');
+    expect(screen.queryByText('DSA-0001-1')).not.toBeInTheDocument();
+    expect(screen.getByText('GHSA-aaaa-bbbb-cccc')).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'medium 1' }));
+    expect(screen.getByText('No vulnerabilities at the selected severities.')).toBeInTheDocument();
+
+    await userEvent.click(critical);
+    expect(screen.getByText('DSA-0001-1')).toBeInTheDocument();
+  });
+
+  test('layer chips focus the layer that installed the package', async () => {
+    getVulnerabilities.mockResolvedValue(matches);
+    const onSelectLayer = jest.fn();
+    render(<VulnerabilityList imageName="app:1.0" onSelectLayer={onSelectLayer} />);
+
+    await userEvent.click(await screen.findByTitle('Installed by layer #3'));
+
+    expect(onSelectLayer).toHaveBeenCalledWith(2);
+  });
+
+  test('explains how to import advisories when the database is empty', async () => {
+    getVulnerabilities.mockResolvedValue({ ...matches, database: null, findings: [] });
+
+    render(<VulnerabilityList imageName="app:1.0" />);
+
+    expect(await screen.findByText(/No advisory database has been imported/)).toBeInTheDocument();
+    expect(screen.getByText('npm run advisories:import -- <file-or-directory>')).toBeInTheDocument();
+  });
+
+  test('shows the server message when matching fails', async () => {
+    getVulnerabilities.mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { data: { message: 'Docker save failed' } }
+    }));
+
+    render(<VulnerabilityList imageName="app:1.0" />);
+
+    expect(await screen.findByText('Failed to match vulnerabilities: Docker save failed')).toBeInTheDocument();
+  });
+});
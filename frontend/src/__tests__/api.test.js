@@ -3,7 +3,7 @@ jest.mock('axios');
 
 const axios = require('axios').default || require('axios');
 const { mockAxiosInstance } = require('../__mocks__/axios');
-const { searchImages, inspectImage, removeImage, uploadImage } = require('../services/api');
+const { searchImages, inspectImage, getImagePlatforms, getSbomUrl, getReportUrl, getVulnerabilities, getLayerFileUrl, getLayerTarUrl, getLayerFilePreview, cancelInspection, removeImage, uploadImage, InspectionWebSocket } = require('../services/api');
 
 describe('API Service', () => {
   beforeEach(() => {
@@ -95,6 +95,161 @@ describe('API Service', () => {
       await inspectImage('library/nginx:latest');
       
       expect(mockAxiosInstance.post).toHaveBeenCalledWith('/inspect/library%2Fnginx%3Alatest');
+    });
+
+    test('polls a queued job until it completes and returns its result', async () => {
+      jest.useFakeTimers();
+      const result = { success: true, imageName: 'nginx:latest', analysis: { layers: [] } };
+      const onProgress = jest.fn();
+      mockAxiosInstance.post.mockResolvedValue({ data: { jobId: 'job-1', state: 'queued' } });
+      mockAxiosInstance.get
+        .mockResolvedValueOnce({ data: { id: 'job-1', state: 'running', progress: 40 } })
+        .mockResolvedValueOnce({ data: { id: 'job-1', state: 'completed', progress: 100, result } });
+
+      try {
+        const pending = inspectImage('nginx:latest', { onProgress });
+        await jest.advanceTimersByTimeAsync(1000);
+
+        await expect(pending).resolves.toEqual(result);
+        expect(mockAxiosInstance.get).toHaveBeenCalledWith('/inspect/jobs/job-1');
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ state: 'running', progress: 40 }));
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('rejects with the job error when the inspection fails', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ data: { jobId: 'job-2' } });
+      mockAxiosInstance.get.mockResolvedValueOnce({
+        data: { id: 'job-2', state: 'failed', error: { status: 404, message: 'manifest unknown' } }
+      });
+
+      await expect(inspectImage('missing:1')).rejects.toThrow('404: manifest unknown');
+    });
+
+    test('rejects as cancelled when the job is cancelled', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ data: { jobId: 'job-3' } });
+      mockAxiosInstance.get.mockResolvedValueOnce({
+        data: { id: 'job-3', state: 'cancelled', error: { status: 409, message: 'Inspection cancelled' } }
+      });
+
+      await expect(inspectImage('nginx:latest')).rejects.toThrow('409: Inspection cancelled');
+    });
+
+    test('cancels a job by id', async () => {
+      mockAxiosInstance.delete.mockResolvedValue({ data: { success: true, state: 'running' } });
+
+      await cancelInspection('job-4');
+
+      expect(mockAxiosInstance.delete).toHaveBeenCalledWith('/inspect/jobs/job-4');
+    });
+
+    test('asks for a fresh analysis when refresh is set', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ data: { analysis: {} } });
+
+      await inspectImage('nginx:latest', { refresh: true });
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+        '/inspect/nginx%3Alatest',
+        null,
+        { params: { refresh: true } }
+      );
+    });
+
+    test('asks for a platform variant when platform is set', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ data: { analysis: {} } });
+
+      await inspectImage('nginx:latest', { platform: 'linux/arm64' });
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+        '/inspect/nginx%3Alatest',
+        null,
+        { params: { platform: 'linux/arm64' } }
+      );
+    });
+
+    test('asks for the secret scan when secrets is set', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ data: { analysis: {} } });
+
+      await inspectImage('nginx:latest', { secrets: true });
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+        '/inspect/nginx%3Alatest',
+        null,
+        { params: { secrets: true } }
+      );
+    });
+
+    test('asks for the package catalog when sbom is set', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ data: { analysis: {} } });
+
+      await inspectImage('nginx:latest', { secrets: true, sbom: true });
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+        '/inspect/nginx%3Alatest',
+        null,
+        { params: { secrets: true, sbom: true } }
+      );
+    });
+  });
+
+  describe('getSbomUrl', () => {
+    test('links the SBOM download in the requested format and platform', () => {
+      expect(getSbomUrl('library/nginx:latest')).toBe('http://localhost:3000/api/inspect/library%2Fnginx%3Alatest/sbom?format=cyclonedx');
+      expect(getSbomUrl('nginx:latest', { format: 'spdx', platform: 'linux/arm64' }))
+        .toBe('http://localhost:3000/api/inspect/nginx%3Alatest/sbom?format=spdx&platform=linux%2Farm64');
+    });
+  });
+
+  describe('getReportUrl', () => {
+    test('links the report download in the requested format and platform', () => {
+      expect(getReportUrl('library/nginx:latest')).toBe('http://localhost:3000/api/inspect/library%2Fnginx%3Alatest/report?format=json');
+      expect(getReportUrl('nginx:latest', { format: 'html', platform: 'linux/arm64' }))
+        .toBe('http://localhost:3000/api/inspect/nginx%3Alatest/report?format=html&platform=linux%2Farm64');
+    });
+  });
+
+  describe('getVulnerabilities', () => {
+    test('requests the vulnerability matches for the image and platform', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: { database: null, findings: [] } });
+
+      await expect(getVulnerabilities('nginx:latest', { platform: 'linux/arm64' })).resolves.toEqual({ database: null, findings: [] });
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/inspect/nginx%3Alatest/vulnerabilities', { params: { platform: 'linux/arm64' } });
+    });
+  });
+
+  describe('layer downloads', () => {
+    test('links files and layer tarballs of an image', () => {
+      expect(getLayerFileUrl('myorg/app:1', 2, '/etc/os-release'))
+        .toBe('http://localhost:3000/api/images/myorg%2Fapp%3A1/layers/2/file?path=%2Fetc%2Fos-release');
+      expect(getLayerTarUrl('myorg/app:1', 0)).toBe('http://localhost:3000/api/images/myorg%2Fapp%3A1/layers/0/tar');
+      expect(getLayerTarUrl('app:1', 0, { digest: 'sha256:abc' })).toBe('http://localhost:3000/api/images/app%3A1/layers/0/tar?digest=sha256%3Aabc');
+    });
+
+    test('fetches the first bytes of a file and reads the full size from Content-Range', async () => {
+      mockAxiosInstance.get.mockResolvedValue({
+        data: new Uint8Array([0x23, 0x21]).buffer,
+        headers: { 'content-range': 'bytes 0-1/5000' }
+      });
+
+      const preview = await getLayerFilePreview('app:1', 1, '/entrypoint.sh', { bytes: 2 });
+
+      expect(Array.from(preview.bytes)).toEqual([0x23, 0x21]);
+      expect(preview.size).toBe(5000);
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/images/app%3A1/layers/1/file', {
+        params: { path: '/entrypoint.sh' },
+        headers: { Range: 'bytes=0-1' },
+        responseType: 'arraybuffer'
+      });
+    });
+  });
+
+  describe('getImagePlatforms', () => {
+    test('lists the platforms of an image', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: { platforms: ['linux/amd64', 'linux/arm64/v8'] } });
+
+      await expect(getImagePlatforms('myorg/app:1')).resolves.toEqual(['linux/amd64', 'linux/arm64/v8']);
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/inspect/myorg%2Fapp%3A1/platforms');
     });
   });
 
@@ -205,4 +360,106 @@ describe('API Service', () => {
       await expect(uploadImage(makeFile())).rejects.toThrow(errorMessage);
     });
   });
+
+  describe('InspectionWebSocket', () => {
+    const OriginalWebSocket = global.WebSocket;
+    let sockets;
+
+    beforeEach(() => {
+      sockets = [];
+      global.WebSocket = jest.fn(function MockWebSocket(url) {
+        this.url = url;
+        this.send = jest.fn();
+        this.close = jest.fn();
+        sockets.push(this);
+      });
+    });
+
+    afterEach(() => {
+      global.WebSocket = OriginalWebSocket;
+    });
+
+    const open = (handlers = {}, platform, scans) => {
+      const onUpdate = handlers.onUpdate || jest.fn();
+      const onError = handlers.onError || jest.fn();
+      const onComplete = handlers.onComplete || jest.fn();
+      const socket = new InspectionWebSocket('nginx:latest', onUpdate, onError, onComplete, platform, scans);
+      socket.connect();
+      const ws = sockets[0];
+      ws.onopen();
+      const deliver = (message) => ws.onmessage({ data: JSON.stringify(message) });
+      return { socket, ws, deliver, onUpdate, onError, onComplete };
+    };
+
+    test('subscribes to the image on /ws/inspect', () => {
+      const { ws } = open();
+
+      expect(ws.url).toBe('ws://localhost:3000/ws/inspect');
+      expect(JSON.parse(ws.send.mock.calls[0][0])).toEqual({ type: 'subscribe', imageName: 'nginx:latest' });
+    });
+
+    test('routes replayed progress, live progress and completion to the callbacks', () => {
+      const { deliver, onUpdate, onComplete } = open();
+
+      deliver({ type: 'subscribed', imageName: 'nginx:latest', current: { type: 'progress', phase: 'pulling', progress: 30 } });
+      deliver({ type: 'progress', imageName: 'nginx:latest', phase: 'analyzing', progress: 60 });
+      deliver({ type: 'progress', imageName: 'redis:7', phase: 'analyzing', progress: 99 });
+      deliver({ type: 'complete', imageName: 'nginx:latest', analysisId: 'a1', cached: false });
+
+      expect(onUpdate.mock.calls.map(([message]) => message.progress)).toEqual([30, 60]);
+      expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ analysisId: 'a1' }));
+    });
+
+    test('reports failed and cancelled inspections as errors', () => {
+      const { deliver, onError } = open();
+
+      deliver({ type: 'error', imageName: 'nginx:latest', message: 'dive exploded', status: 502 });
+      deliver({ type: 'cancelled', imageName: 'nginx:latest', message: 'Inspection cancelled by user' });
+
+      expect(onError.mock.calls[0][0]).toMatchObject({ message: 'dive exploded', type: 'error', status: 502 });
+      expect(onError.mock.calls[1][0]).toMatchObject({ message: 'Inspection cancelled by user', type: 'cancelled' });
+    });
+
+    test('ignores messages about other platform variants of the image', () => {
+      const { deliver, onUpdate, onComplete } = open({}, 'linux/arm64');
+
+      deliver({ type: 'subscribed', imageName: 'nginx:latest', current: { type: 'progress', platform: 'linux/amd64', progress: 30 } });
+      deliver({ type: 'progress', imageName: 'nginx:latest', platform: null, progress: 40 });
+      deliver({ type: 'progress', imageName: 'nginx:latest', platform: 'linux/arm64', progress: 50 });
+      deliver({ type: 'complete', imageName: 'nginx:latest', platform: 'linux/amd64', analysisId: 'other' });
+
+      expect(onUpdate.mock.calls.map(([message]) => message.progress)).toEqual([50]);
+      expect(onComplete).not.toHaveBeenCalled();
+    });
+
+    test('keeps a secret scan apart from a plain inspection of the image', () => {
+      const { deliver, onUpdate } = open({}, null, { secrets: true });
+
+      deliver({ type: 'subscribed', imageName: 'nginx:latest', current: { type: 'progress', platform: null, secrets: false, progress: 30 } });
+      deliver({ type: 'progress', imageName: 'nginx:latest', platform: null, secrets: false, progress: 40 });
+      deliver({ type: 'progress', imageName: 'nginx:latest', platform: null, secrets: true, phase: 'scanning', progress: 80 });
+
+      expect(onUpdate.mock.calls.map(([message]) => message.progress)).toEqual([80]);
+    });
+
+    test('keeps a package catalog apart from a secret scan of the image', () => {
+      const { deliver, onUpdate } = open({}, null, { secrets: true, sbom: true });
+
+      deliver({ type: 'subscribed', imageName: 'nginx:latest', current: { type: 'progress', platform: null, secrets: true, progress: 30 } });
+      deliver({ type: 'progress', imageName: 'nginx:latest', platform: null, secrets: true, sbom: false, progress: 60 });
+      deliver({ type: 'progress', imageName: 'nginx:latest', platform: null, secrets: true, sbom: true, phase: 'cataloging', progress: 90 });
+
+      expect(onUpdate.mock.calls.map(([message]) => message.progress)).toEqual([90]);
+    });
+
+    test('disconnect closes the socket and stops callbacks', () => {
+      const { socket, ws, onUpdate } = open();
+
+      socket.disconnect();
+
+      expect(ws.close).toHaveBeenCalled();
+      expect(ws.onmessage).toBeNull();
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,284 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { compareImages } from '../services/api';
+
+const formatSize = (bytes) => {
+  if (!bytes || bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${Math.round((bytes / Math.pow(1024, i)) * 100) / 100} ${units[i]}`;
+};
+
+const formatDelta = (bytes) => {
+  if (!bytes) return '±0 B';
+  return `${bytes > 0 ? '+' : '−'}${formatSize(Math.abs(bytes))}`;
+};
+
+const deltaClass = (value) => {
+  if (value > 0) return 'delta-worse';
+  if (value < 0) return 'delta-better';
+  return 'delta-neutral';
+};
+
+const STATUS_LABELS = {
+  changed: 'Changed',
+  added: 'Only in target',
+  removed: 'Only in base'
+};
+
+// Consecutive shared layers collapse into one group row
+const groupRows = (layers) => layers.reduce((groups, row, position) => {
+  const last = groups[groups.length - 1];
+  if (row.status === 'shared' && last && last.shared) {
+    last.rows.push(row);
+  } else {
+    groups.push({ key: position, shared: row.status === 'shared', rows: [row] });
+  }
+  return groups;
+}, []);
+
+const FileDeltaList = ({ files }) => {
+  if (!files || files.entries.length === 0) {
+    return <p className="compare-empty">No file changes.</p>;
+  }
+
+  return (
+    <div className="compare-files">
+      <p className="compare-file-counts">
+        {`${files.added} added · ${files.modified} modified · ${files.removed} removed`}
+        {files.truncated && ` (showing the ${files.entries.length} largest)`}
+      </p>
+      <table className="inefficient-table">
+        <thead>
+          <tr>
+            <th>Change</th>
+            <th className="numeric">Delta</th>
+            <th>Path</th>
+          </tr>
+        </thead>
+        <tbody>
+          {files.entries.map((entry) => (
+            <tr key={`${entry.change}-${entry.path}`}>
+              <td className={`file-status-${entry.change}`}>{entry.change}</td>
+              <td className={`numeric ${deltaClass(entry.sizeDelta)}`}>{formatDelta(entry.sizeDelta)}</td>
+              <td className="inefficient-path">{entry.path}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+FileDeltaList.propTypes = {
+  files: PropTypes.shape({
+    added: PropTypes.number,
+    removed: PropTypes.number,
+    modified: PropTypes.number,
+    truncated: PropTypes.bool,
+    entries: PropTypes.arrayOf(PropTypes.object)
+  })
+};
+
+const LayerRow = ({ row, expanded, onToggle }) => {
+  const layer = row.target || row.base;
+  return (
+    <div className={`compare-layer compare-layer-${row.status}`}>
+      <div className="compare-layer-header">
+        <span className="compare-layer-status">{STATUS_LABELS[row.status] || 'Shared'}</span>
+        <span className="compare-layer-index">
+          {row.base ? `#${row.base.index + 1}` : '—'}
+          {' → '}
+          {row.target ? `#${row.target.index + 1}` : '—'}
+        </span>
+        <code className="compare-layer-command" title={layer.command}>{layer.command}</code>
+        <span className={`compare-layer-delta ${deltaClass(row.sizeDelta)}`}>{formatDelta(row.sizeDelta)}</span>
+        {row.files && (
+          <button type="button" className="expand-toggle-btn" onClick={onToggle}>
+            {expanded ? 'Hide files' : 'Show files'}
+          </button>
+        )}
+      </div>
+      {expanded && <FileDeltaList files={row.files} />}
+    </div>
+  );
+};
+
+LayerRow.propTypes = {
+  row: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    base: PropTypes.object,
+    target: PropTypes.object,
+    sizeDelta: PropTypes.number,
+    files: PropTypes.object
+  }).isRequired,
+  expanded: PropTypes.bool,
+  onToggle: PropTypes.func
+};
+
+const CompareView = ({ initialBase, initialTarget }) => {
+  const [base, setBase] = useState(initialBase || '');
+  const [target, setTarget] = useState(initialTarget || '');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [expandedRows, setExpandedRows] = useState(new Set());
+  const [expandedGroups, setExpandedGroups] = useState(new Set());
+
+  const toggle = (setter, key) => {
+    setter((current) => {
+      const next = new Set(current);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const handleCompare = async (e) => {
+    e.preventDefault();
+    if (!base.trim() || !target.trim() || loading) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setResult(null);
+      setExpandedRows(new Set());
+      setExpandedGroups(new Set());
+      const data = await compareImages(base.trim(), target.trim());
+      setResult(data.comparison);
+    } catch (err) {
+      console.error('Comparison failed:', err);
+      setError(`Comparison failed: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = result?.summary;
+
+  return (
+    <div className="compare-view">
+      <form className="compare-form" onSubmit={handleCompare}>
+        <label className="compare-field">
+          Base image
+          <input
+            className="search-input"
+            value={base}
+            onChange={(e) => setBase(e.target.value)}
+            placeholder="myapp:1.0"
+          />
+        </label>
+        <label className="compare-field">
+          Target image
+          <input
+            className="search-input"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            placeholder="myapp:1.1"
+          />
+        </label>
+        <button
+          type="submit"
+          className="search-button"
+          disabled={loading || !base.trim() || !target.trim()}
+        >
+          {loading ? 'Comparing...' : 'Compare'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading && (
+        <div className="loading-screen">
+          <div className="spinner"></div>
+          <p>Analyzing both images...</p>
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div className="metrics-grid">
+            <div className="metric-card">
+              <div className={`metric-value ${deltaClass(summary.sizeDelta)}`}>{formatDelta(summary.sizeDelta)}</div>
+              <div className="metric-label">
+                Size ({formatSize(result.base.totalSize)} → {formatSize(result.target.totalSize)})
+              </div>
+            </div>
+            <div className="metric-card">
+              <div className={`metric-value ${deltaClass(summary.wastedDelta)}`}>{formatDelta(summary.wastedDelta)}</div>
+              <div className="metric-label">Wasted Space</div>
+            </div>
+            <div className="metric-card">
+              <div className={`metric-value ${deltaClass(-summary.efficiencyDelta)}`}>
+                {`${summary.efficiencyDelta > 0 ? '+' : ''}${summary.efficiencyDelta}%`}
+              </div>
+              <div className="metric-label">Efficiency</div>
+            </div>
+            <div className="metric-card">
+              <div className="metric-value">{summary.sharedLayers}</div>
+              <div className="metric-label">
+                Shared Layers ({summary.changedLayers} changed, {summary.addedLayers} added, {summary.removedLayers} removed)
+              </div>
+            </div>
+          </div>
+
+          <div className="analysis-section">
+            <h2>🧱 Layer Diff</h2>
+            <div className="compare-layers">
+              {groupRows(result.layers).map((group) => {
+                if (group.shared) {
+                  const open = expandedGroups.has(group.key);
+                  return (
+                    <div key={group.key} className="compare-shared-group">
+                      <button
+                        type="button"
+                        className="compare-shared-toggle"
+                        aria-expanded={open}
+                        onClick={() => toggle(setExpandedGroups, group.key)}
+                      >
+                        {`${open ? '▾' : '▸'} ${group.rows.length} shared layer${group.rows.length === 1 ? '' : 's'} (${formatSize(group.rows.reduce((total, row) => total + row.target.size, 0))})`}
+                      </button>
+                      {open && group.rows.map((row) => (
+                        <LayerRow key={`${row.base.index}-${row.target.index}`} row={row} />
+                      ))}
+                    </div>
+                  );
+                }
+                const [row] = group.rows;
+                return (
+                  <LayerRow
+                    key={group.key}
+                    row={row}
+                    expanded={expandedRows.has(group.key)}
+                    onToggle={() => toggle(setExpandedRows, group.key)}
+                  />
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="analysis-section">
+            <h2>📄 File Changes</h2>
+            <FileDeltaList files={result.files} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+CompareView.propTypes = {
+  initialBase: PropTypes.string,
+  initialTarget: PropTypes.string
+};
+
+export default CompareView;
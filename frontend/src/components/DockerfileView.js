@@ -0,0 +1,106 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getImageDockerfile } from '../services/api';
+
+const formatSize = (bytes) => {
+  if (!bytes || bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${Math.round((bytes / Math.pow(1024, i)) * 100) / 100} ${units[i]}`;
+};
+
+// Approximate Dockerfile rebuilt from the image history, one row per instruction
+const DockerfileView = ({ imageName }) => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+    setResult(null);
+
+    getImageDockerfile(imageName)
+      .then((data) => {
+        if (active) setResult(data);
+      })
+      .catch((err) => {
+        if (active) setError(`Failed to reconstruct the Dockerfile: ${err.response?.data?.message || err.message}`);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [imageName]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(result.dockerfile);
+      setCopied(true);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-screen">
+        <div className="spinner"></div>
+        <p>Reading image history...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="error-message">
+        <p>{error}</p>
+      </div>
+    );
+  }
+
+  const totalSize = result.instructions.reduce((sum, instruction) => sum + instruction.size, 0);
+
+  return (
+    <div className="analysis-section dockerfile-view">
+      <div className="layers-header">
+        <h2>📜 Reconstructed Dockerfile</h2>
+        {navigator.clipboard && (
+          <button type="button" className="expand-toggle-btn" onClick={handleCopy}>
+            {copied ? '✅ Copied' : '📋 Copy'}
+          </button>
+        )}
+      </div>
+      <p className="dockerfile-note">
+        {`${result.instructionCount} instructions, ${formatSize(totalSize)} of layers. `}
+        Base image instructions are included; build context files and multi-stage sources are not recoverable.
+      </p>
+      <ol className="dockerfile-instructions">
+        {result.instructions.map((instruction, position) => (
+          <li
+            key={`${position}-${instruction.instruction}`}
+            className={`dockerfile-instruction ${instruction.source === 'config' ? 'from-config' : ''}`}
+          >
+            <span className="dockerfile-size">
+              {instruction.source === 'config' ? 'config' : instruction.size > 0 && formatSize(instruction.size)}
+            </span>
+            <pre className="dockerfile-text">{instruction.text}</pre>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+DockerfileView.propTypes = {
+  imageName: PropTypes.string.isRequired
+};
+
+export default DockerfileView;
@@ -0,0 +1,145 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getLayerFilePreview, getLayerFileUrl } from '../services/api';
+
+// Bytes fetched for the viewer; the download link always has the whole file
+const PREVIEW_BYTES = 64 * 1024;
+const HEX_ROW_BYTES = 16;
+
+const formatSize = (bytes) => {
+  if (!bytes || bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${Math.round((bytes / Math.pow(1024, i)) * 100) / 100} ${units[i]}`;
+};
+
+// Text unless it holds NUL bytes or is not valid UTF-8 (a cut-off multibyte
+// character at the end of a truncated preview doesn't count)
+const decodeText = (bytes, truncated) => {
+  if (bytes.includes(0)) {
+    return null;
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: truncated });
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Classic hex dump: offset, 16 bytes in hex, and their printable ASCII
+ * @param {Uint8Array} bytes - Data to dump
+ * @returns {string} One line per 16 bytes
+ */
+export const hexDump = (bytes) => {
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += HEX_ROW_BYTES) {
+    const row = Array.from(bytes.subarray(offset, offset + HEX_ROW_BYTES));
+    const hex = row.map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = row.map((byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(HEX_ROW_BYTES * 3 - 1)}  ${ascii}`);
+  }
+  return lines.join('\n');
+};
+
+// Text / hex viewer for one file at a layer, fetched from the local image
+const FilePreview = ({ imageName, digest, layerIndex, path, size, onClose }) => {
+  const [loading, setLoading] = useState(size !== 0);
+  const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(size === 0 ? { bytes: new Uint8Array(0), size: 0 } : null);
+  const [mode, setMode] = useState(null);
+
+  useEffect(() => {
+    // An empty file has no byte range to ask for
+    if (size === 0) {
+      return undefined;
+    }
+    let active = true;
+    setLoading(true);
+    setError(null);
+    setPreview(null);
+    setMode(null);
+
+    getLayerFilePreview(imageName, layerIndex, path, { digest, bytes: PREVIEW_BYTES })
+      .then((data) => {
+        if (active) setPreview(data);
+      })
+      .catch((err) => {
+        if (active) setError(`Failed to read ${path}: ${err.message}`);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [imageName, digest, layerIndex, path, size]);
+
+  const truncated = preview ? preview.bytes.length < preview.size : false;
+  const text = preview ? decodeText(preview.bytes, truncated) : null;
+  const activeMode = mode || (text === null ? 'hex' : 'text');
+
+  return (
+    <div className="file-preview">
+      <div className="file-preview-header">
+        <span className="file-preview-path">{`${path} · layer #${layerIndex + 1}`}</span>
+        <div className="file-preview-actions">
+          <button
+            type="button"
+            className={`package-filter ${activeMode === 'text' ? 'active' : ''}`}
+            onClick={() => setMode('text')}
+            disabled={text === null}
+            title={text === null ? 'Binary content' : undefined}
+          >
+            Text
+          </button>
+          <button
+            type="button"
+            className={`package-filter ${activeMode === 'hex' ? 'active' : ''}`}
+            onClick={() => setMode('hex')}
+          >
+            Hex
+          </button>
+          <a className="package-filter" href={getLayerFileUrl(imageName, layerIndex, path, { digest })} download>
+            ⬇️ Download
+          </a>
+          <button type="button" className="package-filter" onClick={onClose} aria-label="Close preview">
+            ✕
+          </button>
+        </div>
+      </div>
+      {loading && <p className="file-explorer-empty">Exporting the layer...</p>}
+      {error && <p className="file-preview-error">{error}</p>}
+      {preview && (
+        <>
+          {truncated && (
+            <p className="file-preview-note">
+              {`Showing the first ${formatSize(preview.bytes.length)} of ${formatSize(preview.size)}; download the file for the rest.`}
+            </p>
+          )}
+          {preview.size === 0 ? (
+            <p className="file-explorer-empty">Empty file.</p>
+          ) : (
+            <pre className="file-preview-content" data-testid="file-preview-content">
+              {activeMode === 'text' ? text : hexDump(preview.bytes)}
+            </pre>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+FilePreview.propTypes = {
+  imageName: PropTypes.string.isRequired,
+  digest: PropTypes.string,
+  layerIndex: PropTypes.number.isRequired,
+  path: PropTypes.string.isRequired,
+  size: PropTypes.number,
+  onClose: PropTypes.func.isRequired
+};
+
+export default FilePreview;
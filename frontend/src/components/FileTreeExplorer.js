@@ -0,0 +1,402 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import FilePreview from './FilePreview';
+import { getLayerFileUrl, getLayerTarUrl } from '../services/api';
+
+const ROW_HEIGHT = 26;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 10;
+
+const formatSize = (bytes) => {
+  if (!bytes || bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${Math.round((bytes / Math.pow(1024, i)) * 100) / 100} ${units[i]}`;
+};
+
+// Globs without a slash match the file name anywhere in the tree (like
+// `*.so`); globs with one match the full path (`/usr/lib/**`).
+const globToRegExp = (glob) => {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i += 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+};
+
+const isUnder = (path, dirPath) => path.startsWith(`${dirPath}/`);
+
+// Filesystem as seen at `layerIndex`: everything from lower layers shown as
+// unmodified, overlaid with the selected layer's own changes (removed entries
+// stay visible so deletions can be spotted).
+const aggregateRecords = (layers, layerIndex) => {
+  const visible = new Map();
+
+  layers.slice(0, layerIndex).forEach((layer) => {
+    (layer.files || []).forEach((record) => {
+      if (record.status === 'removed') {
+        visible.delete(record.path);
+        Array.from(visible.keys())
+          .filter((path) => isUnder(path, record.path))
+          .forEach((path) => visible.delete(path));
+        return;
+      }
+      visible.set(record.path, { ...record, status: 'unmodified' });
+    });
+  });
+
+  (layers[layerIndex]?.files || []).forEach((record) => {
+    visible.set(record.path, record);
+    if (record.status === 'removed') {
+      Array.from(visible.keys())
+        .filter((path) => isUnder(path, record.path))
+        .forEach((path) => visible.set(path, { ...visible.get(path), status: 'removed' }));
+    }
+  });
+
+  return Array.from(visible.values());
+};
+
+const makeDirNode = (name, path) => ({
+  name,
+  path,
+  type: 'dir',
+  size: 0,
+  status: 'unmodified',
+  children: new Map()
+});
+
+const buildTree = (records) => {
+  const root = makeDirNode('', '');
+
+  records.forEach((record) => {
+    const parts = record.path.split('/').filter(Boolean);
+    let node = root;
+    parts.forEach((part, i) => {
+      let child = node.children.get(part);
+      if (!child) {
+        child = makeDirNode(part, `${node.path}/${part}`);
+        node.children.set(part, child);
+      }
+      if (i === parts.length - 1) {
+        Object.assign(child, record, { name: part, children: child.children });
+      }
+      node = child;
+    });
+  });
+
+  const sumSizes = (node) => {
+    if (node.children.size === 0) {
+      return node.type === 'dir' || node.status === 'removed' ? 0 : node.size;
+    }
+    node.size = Array.from(node.children.values()).reduce((sum, child) => sum + sumSizes(child), 0);
+    return node.status === 'removed' ? 0 : node.size;
+  };
+  sumSizes(root);
+
+  return root;
+};
+
+const sortedChildren = (node) =>
+  Array.from(node.children.values()).sort((a, b) => {
+    const aDir = a.children.size > 0 || a.type === 'dir';
+    const bDir = b.children.size > 0 || b.type === 'dir';
+    if (aDir !== bDir) return aDir ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+
+// Paths of every node that matches the filter, plus all of their ancestors
+const collectMatches = (root, matcher, minBytes) => {
+  const matches = new Set();
+  const visit = (node) => {
+    let found = false;
+    node.children.forEach((child) => {
+      if (visit(child)) found = true;
+    });
+    const isLeaf = node.children.size === 0 && node.type !== 'dir';
+    if (isLeaf && node.size >= minBytes && (!matcher || matcher(node))) {
+      found = true;
+    }
+    if (found) matches.add(node.path);
+    return found;
+  };
+  visit(root);
+  return matches;
+};
+
+const flattenRows = (root, expanded, matches) => {
+  const rows = [];
+  const walk = (node, depth) => {
+    sortedChildren(node).forEach((child) => {
+      if (matches && !matches.has(child.path)) return;
+      const isDir = child.children.size > 0 || child.type === 'dir';
+      const isOpen = isDir && (matches ? true : expanded.has(child.path));
+      rows.push({ node: child, depth, isDir, isOpen });
+      if (isOpen) walk(child, depth + 1);
+    });
+  };
+  walk(root, 0);
+  return rows;
+};
+
+// Layer holding the copy of a file a row stands for: a removed row's file
+// is still in the layer below the one that deleted it
+const sourceLayerOf = (node, layerIndex) => (node.status === 'removed' ? layerIndex - 1 : layerIndex);
+
+// Downloads and previews need the image name; without it the tree is read-only
+const FileTreeExplorer = ({ layers, imageName, digest }) => {
+  const [layerIndex, setLayerIndex] = useState(0);
+  const [aggregated, setAggregated] = useState(false);
+  const [expanded, setExpanded] = useState(new Set());
+  const [pathGlob, setPathGlob] = useState('');
+  const [minSizeMb, setMinSizeMb] = useState('');
+  const [scrollTop, setScrollTop] = useState(0);
+  const [preview, setPreview] = useState(null);
+
+  const safeIndex = Math.min(layerIndex, Math.max(layers.length - 1, 0));
+
+  const tree = useMemo(() => {
+    const records = aggregated
+      ? aggregateRecords(layers, safeIndex)
+      : layers[safeIndex]?.files || [];
+    return buildTree(records);
+  }, [layers, safeIndex, aggregated]);
+
+  const rows = useMemo(() => {
+    const glob = pathGlob.trim();
+    const minBytes = Math.max(parseFloat(minSizeMb) || 0, 0) * 1024 * 1024;
+    if (!glob && minBytes === 0) {
+      return flattenRows(tree, expanded, null);
+    }
+
+    let matcher = null;
+    if (glob) {
+      const regex = globToRegExp(glob);
+      matcher = glob.includes('/')
+        ? (node) => regex.test(node.path)
+        : (node) => regex.test(node.name);
+    }
+    return flattenRows(tree, expanded, collectMatches(tree, matcher, minBytes));
+  }, [tree, expanded, pathGlob, minSizeMb]);
+
+  const toggleDir = (path) => {
+    const next = new Set(expanded);
+    if (next.has(path)) {
+      next.delete(path);
+    } else {
+      next.add(path);
+    }
+    setExpanded(next);
+  };
+
+  const firstRow = Math.max(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN, 0);
+  const lastRow = Math.min(
+    Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN,
+    rows.length
+  );
+  const visibleRows = rows.slice(firstRow, lastRow);
+
+  if (layers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="file-explorer">
+      <div className="file-explorer-controls">
+        <label className="file-explorer-field">
+          Layer
+          <select
+            value={safeIndex}
+            onChange={(e) => {
+              setLayerIndex(Number(e.target.value));
+              setScrollTop(0);
+            }}
+          >
+            {layers.map((layer, index) => (
+              <option key={layer.id || index} value={index}>
+                {`#${index + 1} ${(layer.command || '').slice(0, 60)}`}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="file-explorer-field file-explorer-checkbox">
+          <input
+            type="checkbox"
+            checked={aggregated}
+            onChange={(e) => setAggregated(e.target.checked)}
+          />
+          Show aggregated filesystem
+        </label>
+
+        {imageName && (
+          <a
+            className="expand-toggle-btn file-layer-download"
+            href={getLayerTarUrl(imageName, safeIndex, { digest })}
+            download
+            title="The layer's own changes as an uncompressed tar, whiteouts included"
+          >
+            ⬇️ Layer tarball
+          </a>
+        )}
+
+        <label className="file-explorer-field">
+          Path filter
+          <input
+            type="text"
+            placeholder="e.g. *.so or /usr/lib/**"
+            value={pathGlob}
+            onChange={(e) => setPathGlob(e.target.value)}
+          />
+        </label>
+
+        <label className="file-explorer-field">
+          Min size (MB)
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={minSizeMb}
+            onChange={(e) => setMinSizeMb(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="file-explorer-legend">
+        <span className="file-status-added">added</span>
+        <span className="file-status-modified">modified</span>
+        <span className="file-status-removed">removed</span>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="file-explorer-empty">No files match the current view.</p>
+      ) : (
+        <div
+          className="file-explorer-viewport"
+          style={{ height: Math.min(rows.length * ROW_HEIGHT, VIEWPORT_HEIGHT) }}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          role="tree"
+          aria-label="Layer file tree"
+        >
+          <div style={{ height: rows.length * ROW_HEIGHT, position: 'relative' }}>
+            {visibleRows.map(({ node, depth, isDir, isOpen }, i) => (
+              <div
+                key={node.path}
+                className={`file-row file-status-${node.status}`}
+                role="treeitem"
+                aria-level={depth + 1}
+                aria-expanded={isDir ? isOpen : undefined}
+                aria-selected={false}
+                style={{
+                  position: 'absolute',
+                  top: (firstRow + i) * ROW_HEIGHT,
+                  height: ROW_HEIGHT,
+                  left: 0,
+                  right: 0
+                }}
+              >
+                <span className="file-mode">{node.mode || 'd---------'}</span>
+                <span className="file-owner">{`${node.uid || 0}:${node.gid || 0}`}</span>
+                <span className="file-size">{formatSize(node.size)}</span>
+                <span className="file-name" style={{ paddingLeft: depth * 16 }}>
+                  {isDir ? (
+                    <button
+                      type="button"
+                      className="file-dir-toggle"
+                      onClick={() => toggleDir(node.path)}
+                      aria-label={`${isOpen ? 'Collapse' : 'Expand'} ${node.path}`}
+                    >
+                      <span className={`arrow ${isOpen ? 'expanded' : ''}`}>▶</span>
+                      {node.name}/
+                    </button>
+                  ) : (
+                    <>
+                      {node.name}
+                      {node.linkName && <span className="file-link">{` → ${node.linkName}`}</span>}
+                    </>
+                  )}
+                </span>
+                {imageName && !isDir && !node.linkName && sourceLayerOf(node, safeIndex) >= 0 && (
+                  <span className="file-actions">
+                    <button
+                      type="button"
+                      className="file-action"
+                      onClick={() => setPreview({
+                        path: node.path,
+                        layerIndex: sourceLayerOf(node, safeIndex),
+                        // A removed row is the whiteout, not the deleted file
+                        size: node.status === 'removed' ? undefined : node.size
+                      })}
+                      aria-label={`View ${node.path}`}
+                      title={node.status === 'removed' ? 'View the copy this layer deleted' : 'View as text or hex'}
+                    >
+                      👁️
+                    </button>
+                    <a
+                      className="file-action"
+                      href={getLayerFileUrl(imageName, sourceLayerOf(node, safeIndex), node.path, { digest })}
+                      download
+                      aria-label={`Download ${node.path}`}
+                      title={node.status === 'removed' ? 'Download the copy this layer deleted' : 'Download'}
+                    >
+                      ⬇️
+                    </a>
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {preview && imageName && (
+        <FilePreview
+          key={`${preview.layerIndex}:${preview.path}`}
+          imageName={imageName}
+          digest={digest}
+          layerIndex={preview.layerIndex}
+          path={preview.path}
+          size={preview.size}
+          onClose={() => setPreview(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+FileTreeExplorer.propTypes = {
+  layers: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      command: PropTypes.string,
+      files: PropTypes.arrayOf(
+        PropTypes.shape({
+          path: PropTypes.string.isRequired,
+          type: PropTypes.string,
+          size: PropTypes.number,
+          mode: PropTypes.string,
+          uid: PropTypes.number,
+          gid: PropTypes.number,
+          linkName: PropTypes.string,
+          status: PropTypes.string
+        })
+      )
+    })
+  ).isRequired,
+  imageName: PropTypes.string,
+  digest: PropTypes.string
+};
+
+export default FileTreeExplorer;
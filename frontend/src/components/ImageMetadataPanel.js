@@ -0,0 +1,108 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Exec-form arrays read the way a Dockerfile writes them
+const formatCommand = (command) => (Array.isArray(command) ? JSON.stringify(command) : command);
+
+const formatHealthcheck = ({ test, interval, timeout, startPeriod, retries }) => {
+  if (test[0] === 'NONE') {
+    return 'disabled';
+  }
+  const options = [
+    interval && `every ${interval}s`,
+    timeout && `timeout ${timeout}s`,
+    startPeriod && `start period ${startPeriod}s`,
+    retries && `${retries} retries`
+  ].filter(Boolean);
+  const command = test[0] === 'CMD-SHELL' ? test.slice(1).join(' ') : formatCommand(test.slice(1));
+  return options.length > 0 ? `${command} (${options.join(', ')})` : command;
+};
+
+const MetadataList = ({ title, items }) => (
+  <details className="metadata-list">
+    <summary>{`${title} (${items.length})`}</summary>
+    <ul>
+      {items.map((item) => (
+        <li key={item}><code>{item}</code></li>
+      ))}
+    </ul>
+  </details>
+);
+
+MetadataList.propTypes = {
+  title: PropTypes.string.isRequired,
+  items: PropTypes.arrayOf(PropTypes.string).isRequired
+};
+
+// Image config from docker inspect (analysis.metadata); older stored analyses
+// without an image ID have nothing worth showing
+const ImageMetadataPanel = ({ metadata }) => {
+  if (!metadata?.imageId) {
+    return null;
+  }
+
+  const config = metadata.config || {};
+  const labels = Object.entries(config.labels || {}).map(([key, value]) => `${key}=${value}`);
+  const rows = [
+    ['Image ID', metadata.imageId],
+    ['Created', metadata.created && new Date(metadata.created).toLocaleString()],
+    ['Author', metadata.author],
+    ['Platform', metadata.platform],
+    ['User', config.user],
+    ['Working directory', config.workingDir],
+    ['Entrypoint', config.entrypoint && formatCommand(config.entrypoint)],
+    ['Command', config.cmd && formatCommand(config.cmd)],
+    ['Exposed ports', config.exposedPorts?.length > 0 && config.exposedPorts.join(', ')],
+    ['Healthcheck', config.healthcheck && formatHealthcheck(config.healthcheck)]
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="image-metadata">
+      <dl className="metadata-grid">
+        {rows.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt>{label}</dt>
+            <dd><code>{value}</code></dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      {metadata.repoDigests?.length > 0 && <MetadataList title="Repo digests" items={metadata.repoDigests} />}
+      {config.env?.length > 0 && <MetadataList title="Environment" items={config.env} />}
+      {labels.length > 0 && <MetadataList title="Labels" items={labels} />}
+      {metadata.rootfs?.layers?.length > 0 && <MetadataList title="Layer digests" items={metadata.rootfs.layers} />}
+    </div>
+  );
+};
+
+ImageMetadataPanel.propTypes = {
+  metadata: PropTypes.shape({
+    imageId: PropTypes.string,
+    repoDigests: PropTypes.arrayOf(PropTypes.string),
+    created: PropTypes.string,
+    author: PropTypes.string,
+    platform: PropTypes.string,
+    config: PropTypes.shape({
+      user: PropTypes.string,
+      workingDir: PropTypes.string,
+      entrypoint: PropTypes.arrayOf(PropTypes.string),
+      cmd: PropTypes.arrayOf(PropTypes.string),
+      env: PropTypes.arrayOf(PropTypes.string),
+      exposedPorts: PropTypes.arrayOf(PropTypes.string),
+      labels: PropTypes.objectOf(PropTypes.string),
+      healthcheck: PropTypes.shape({
+        test: PropTypes.arrayOf(PropTypes.string).isRequired,
+        interval: PropTypes.number,
+        timeout: PropTypes.number,
+        startPeriod: PropTypes.number,
+        retries: PropTypes.number
+      })
+    }),
+    rootfs: PropTypes.shape({
+      layers: PropTypes.arrayOf(PropTypes.string)
+    })
+  })
+};
+
+export default ImageMetadataPanel;
@@ -0,0 +1,120 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+
+const DEFAULT_VISIBLE_ROWS = 25;
+
+const formatSize = (bytes) => {
+  if (!bytes || bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${Math.round((bytes / Math.pow(1024, i)) * 100) / 100} ${units[i]}`;
+};
+
+const COLUMNS = [
+  { key: 'wastedBytes', label: 'Wasted', numeric: true },
+  { key: 'count', label: 'Layers', numeric: true },
+  { key: 'path', label: 'Path', numeric: false }
+];
+
+const InefficientFilesTable = ({ files, onSelectLayer }) => {
+  const [sort, setSort] = useState({ key: 'wastedBytes', descending: true });
+  const [showAll, setShowAll] = useState(false);
+
+  const sortedFiles = useMemo(() => {
+    const direction = sort.descending ? -1 : 1;
+    return [...files].sort((a, b) => {
+      if (a[sort.key] < b[sort.key]) return -direction;
+      if (a[sort.key] > b[sort.key]) return direction;
+      return 0;
+    });
+  }, [files, sort]);
+
+  const handleSort = (key) => {
+    setSort((current) => ({
+      key,
+      descending: current.key === key ? !current.descending : key !== 'path'
+    }));
+  };
+
+  if (files.length === 0) {
+    return <p className="inefficient-empty">No duplicated or overwritten files found. 🎉</p>;
+  }
+
+  const visibleFiles = showAll ? sortedFiles : sortedFiles.slice(0, DEFAULT_VISIBLE_ROWS);
+
+  return (
+    <div className="inefficient-files">
+      <table className="inefficient-table">
+        <thead>
+          <tr>
+            {COLUMNS.map((column) => (
+              <th
+                key={column.key}
+                className={column.numeric ? 'numeric' : ''}
+                aria-sort={
+                  sort.key === column.key ? (sort.descending ? 'descending' : 'ascending') : 'none'
+                }
+              >
+                <button type="button" className="sort-button" onClick={() => handleSort(column.key)}>
+                  {column.label}
+                  {sort.key === column.key && (sort.descending ? ' ▼' : ' ▲')}
+                </button>
+              </th>
+            ))}
+            <th>Touched in</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visibleFiles.map((file) => (
+            <tr key={file.path}>
+              <td className="numeric">{formatSize(file.wastedBytes)}</td>
+              <td className="numeric">{file.count}</td>
+              <td className="inefficient-path">{file.path}</td>
+              <td>
+                {(file.layers || []).map((layer) => (
+                  <button
+                    key={`${file.path}-${layer.index}`}
+                    type="button"
+                    className={`layer-chip file-status-${layer.status}`}
+                    onClick={() => onSelectLayer && onSelectLayer(layer.index)}
+                    title={`Layer ${layer.index + 1}: ${layer.status}`}
+                  >
+                    {`#${layer.index + 1}`}
+                  </button>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {sortedFiles.length > DEFAULT_VISIBLE_ROWS && (
+        <button type="button" className="expand-toggle-btn" onClick={() => setShowAll(!showAll)}>
+          {showAll ? 'Show top files only' : `Show all ${sortedFiles.length} files`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+InefficientFilesTable.propTypes = {
+  files: PropTypes.arrayOf(
+    PropTypes.shape({
+      path: PropTypes.string.isRequired,
+      count: PropTypes.number,
+      totalBytes: PropTypes.number,
+      wastedBytes: PropTypes.number,
+      layers: PropTypes.arrayOf(
+        PropTypes.shape({
+          index: PropTypes.number.isRequired,
+          status: PropTypes.string
+        })
+      )
+    })
+  ).isRequired,
+  onSelectLayer: PropTypes.func
+};
+
+export default InefficientFilesTable;
@@ -0,0 +1,123 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const formatSize = (bytes) => {
+  if (!bytes || bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${Math.round((bytes / Math.pow(1024, i)) * 100) / 100} ${units[i]}`;
+};
+
+const LAYER_STATE_LABELS = {
+  waiting: 'Waiting',
+  downloading: 'Downloading',
+  downloaded: 'Verifying',
+  extracting: 'Extracting',
+  done: 'Done'
+};
+
+const layerDetail = (layer) => {
+  if ((layer.state === 'downloading' || layer.state === 'extracting') && layer.total) {
+    return `${formatSize(layer.current)} / ${formatSize(layer.total)}`;
+  }
+  return layer.total ? formatSize(layer.total) : '';
+};
+
+const PullLayers = ({ pull }) => (
+  <div className="pull-progress">
+    {pull.totalBytes > 0 && (
+      <p className="loading-detail">
+        {`Downloaded ${formatSize(pull.downloadedBytes)} of ${formatSize(pull.totalBytes)}`}
+      </p>
+    )}
+    <ul className="pull-layers">
+      {pull.layers.map((layer) => (
+        <li key={layer.id} className={`pull-layer pull-layer-${layer.state}`}>
+          <code className="pull-layer-id">{layer.id.slice(0, 12)}</code>
+          <span className="pull-layer-state">{LAYER_STATE_LABELS[layer.state] || layer.state}</span>
+          <span className="pull-layer-bytes">{layerDetail(layer)}</span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+PullLayers.propTypes = {
+  pull: PropTypes.shape({
+    totalBytes: PropTypes.number,
+    downloadedBytes: PropTypes.number,
+    layers: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      state: PropTypes.string.isRequired,
+      current: PropTypes.number,
+      total: PropTypes.number
+    })).isRequired
+  }).isRequired
+};
+
+const PHASE_LABELS = {
+  queued: 'Queued',
+  running: 'Starting',
+  starting: 'Starting',
+  checking: 'Checking local images',
+  pulling: 'Pulling image',
+  resolving: 'Resolving registry manifest',
+  downloading: 'Reading layers from registry',
+  analyzing: 'Analyzing layers',
+  scanning: 'Scanning for secrets',
+  cataloging: 'Cataloging packages',
+  complete: 'Complete',
+  completed: 'Complete'
+};
+
+// Accepts either a /ws/inspect progress message or a polled job; both carry
+// progress and message, the job names its phase `state` before it starts
+const InspectionProgress = ({ status, onCancel }) => {
+  const phase = status?.phase || status?.state || 'starting';
+  const progress = Math.max(0, Math.min(100, Math.round(status?.progress || 0)));
+  const label = phase === 'queued' && status?.queuePosition
+    ? `Queued for analysis (position ${status.queuePosition})`
+    : PHASE_LABELS[phase] || 'Analyzing image layers';
+
+  return (
+    <div className="loading-screen inspection-progress">
+      <p className="inspection-progress-phase">{label}</p>
+      <div className="upload-progress">
+        <div
+          className="upload-progress-track"
+          role="progressbar"
+          aria-valuenow={progress}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-label="Inspection progress"
+        >
+          <div className="upload-progress-bar" style={{ width: `${progress}%` }} />
+        </div>
+        <span className="upload-progress-label">{`${progress}%`}</span>
+      </div>
+      {status?.message && <p className="loading-detail">{status.message}</p>}
+      {phase === 'pulling' && status?.pull?.layers?.length > 0 && <PullLayers pull={status.pull} />}
+      {onCancel && (
+        <button type="button" className="cleanup-button" onClick={onCancel}>
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+};
+
+InspectionProgress.propTypes = {
+  status: PropTypes.shape({
+    phase: PropTypes.string,
+    state: PropTypes.string,
+    progress: PropTypes.number,
+    message: PropTypes.string,
+    queuePosition: PropTypes.number,
+    pull: PropTypes.object
+  }),
+  onCancel: PropTypes.func
+};
+
+export default InspectionProgress;
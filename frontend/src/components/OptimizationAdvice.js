@@ -0,0 +1,101 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const formatSize = (bytes) => {
+  if (!bytes || bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${Math.round((bytes / Math.pow(1024, i)) * 100) / 100} ${units[i]}`;
+};
+
+// 'rebuild' savings are work redone on every source change, not image bytes
+const savingsLabel = (finding) => (finding.savings === 'rebuild'
+  ? `${formatSize(finding.estimatedSavings)} rebuilt on every change`
+  : `~${formatSize(finding.estimatedSavings)} smaller`);
+
+const LayerChip = ({ layer, onSelectLayer }) => (
+  <button
+    type="button"
+    className="layer-chip"
+    onClick={() => onSelectLayer && onSelectLayer(layer.layerIndex)}
+    title={layer.command}
+  >
+    {`#${layer.layerIndex + 1}`}
+  </button>
+);
+
+LayerChip.propTypes = {
+  layer: PropTypes.shape({
+    layerIndex: PropTypes.number.isRequired,
+    command: PropTypes.string
+  }).isRequired,
+  onSelectLayer: PropTypes.func
+};
+
+// Advisor findings (analysis.advice), largest saving first
+const OptimizationAdvice = ({ advice, onSelectLayer }) => {
+  if (advice.findings.length === 0) {
+    return <p className="inefficient-empty">No package caches, deleted files, misplaced COPY or leftover toolchains found. 🎉</p>;
+  }
+
+  return (
+    <div className="advice">
+      {advice.totalSavings > 0 && (
+        <p className="advice-total">{`Fixing these could make the image about ${formatSize(advice.totalSavings)} smaller.`}</p>
+      )}
+      <ul className="advice-findings">
+        {advice.findings.map((finding) => (
+          <li key={`${finding.rule}-${finding.layerIndex}-${finding.title}`} className={`advice-finding advice-${finding.rule}`}>
+            <div className="advice-header">
+              <span className="advice-title">{finding.title}</span>
+              <span className="advice-savings">{savingsLabel(finding)}</span>
+            </div>
+            <p className="advice-layer">
+              Layer <LayerChip layer={finding} onSelectLayer={onSelectLayer} />
+              {finding.removedBy && <>, deleted in <LayerChip layer={finding.removedBy} onSelectLayer={onSelectLayer} /></>}
+              {finding.install && <>, before the install in <LayerChip layer={finding.install} onSelectLayer={onSelectLayer} /></>}
+            </p>
+            <p className="advice-fix">{finding.fix}</p>
+            {finding.paths?.length > 0 && (
+              <ul className="advice-paths">
+                {finding.paths.map((path) => <li key={path}><code>{path}</code></li>)}
+                {finding.fileCount > finding.paths.length && (
+                  <li className="advice-more">{`and ${finding.fileCount - finding.paths.length} more files`}</li>
+                )}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const layerShape = PropTypes.shape({
+  layerIndex: PropTypes.number.isRequired,
+  command: PropTypes.string
+});
+
+OptimizationAdvice.propTypes = {
+  advice: PropTypes.shape({
+    totalSavings: PropTypes.number,
+    findings: PropTypes.arrayOf(PropTypes.shape({
+      rule: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      layerIndex: PropTypes.number.isRequired,
+      command: PropTypes.string,
+      estimatedSavings: PropTypes.number,
+      savings: PropTypes.oneOf(['image', 'rebuild']),
+      fileCount: PropTypes.number,
+      paths: PropTypes.arrayOf(PropTypes.string),
+      removedBy: layerShape,
+      install: layerShape,
+      fix: PropTypes.string.isRequired
+    })).isRequired
+  }).isRequired,
+  onSelectLayer: PropTypes.func
+};
+
+export default OptimizationAdvice;
@@ -0,0 +1,146 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getSbomUrl } from '../services/api';
+
+const TYPE_LABELS = {
+  deb: 'dpkg',
+  apk: 'apk',
+  rpm: 'rpm',
+  npm: 'npm',
+  pypi: 'Python',
+  golang: 'Go'
+};
+
+// Rows shown before "Show all"; OS images list hundreds of packages
+const INITIAL_ROWS = 50;
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '—';
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+// Software bill of materials (analysis.sbom): packages by the space they take
+// up, the layer that installed them, and CycloneDX / SPDX downloads
+const PackageList = ({ sbom, imageName, platform, onSelectLayer }) => {
+  const [type, setType] = useState('all');
+  const [showAll, setShowAll] = useState(false);
+
+  const types = Array.from(new Set(sbom.packages.map((pkg) => pkg.type)));
+  const packages = sbom.packages.filter((pkg) => type === 'all' || pkg.type === type);
+  const visible = showAll ? packages : packages.slice(0, INITIAL_ROWS);
+  const summary = `${sbom.packageCount} packages taking up ${formatSize(sbom.totalSize)}`
+    + (sbom.distro ? ` on ${sbom.distro.prettyName || [sbom.distro.id, sbom.distro.versionId].filter(Boolean).join(' ')}` : '');
+
+  return (
+    <div className="package-list">
+      <div className="package-toolbar">
+        <p className="package-summary">{summary}</p>
+        <div className="package-downloads">
+          <a className="cleanup-button" href={getSbomUrl(imageName, { format: 'cyclonedx', platform })} download>
+            ⬇️ CycloneDX
+          </a>
+          <a className="cleanup-button" href={getSbomUrl(imageName, { format: 'spdx', platform })} download>
+            ⬇️ SPDX
+          </a>
+        </div>
+      </div>
+      {sbom.skippedLayers?.length > 0 && (
+        <p className="package-skipped">
+          {sbom.skippedLayers.map((skipped) => `Layer #${skipped.layerIndex + 1}: ${skipped.reason}`).join('; ')}
+        </p>
+      )}
+      {types.length > 1 && (
+        <div className="package-filters">
+          {['all', ...types].map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={`package-filter ${option === type ? 'active' : ''}`}
+              onClick={() => setType(option)}
+            >
+              {option === 'all' ? 'All' : TYPE_LABELS[option] || option}
+            </button>
+          ))}
+        </div>
+      )}
+      {packages.length === 0 ? (
+        <p className="inefficient-empty">No package databases or lockfiles found.</p>
+      ) : (
+        <table className="inefficient-table">
+          <thead>
+            <tr>
+              <th>Package</th>
+              <th>Version</th>
+              <th>Type</th>
+              <th>Layer</th>
+              <th className="numeric">Size</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((pkg, index) => (
+              <tr key={`${pkg.purl}-${pkg.source}-${index}`}>
+                <td className="inefficient-path" title={pkg.purl}>{pkg.name}</td>
+                <td>{pkg.version}</td>
+                <td><span className="package-type">{TYPE_LABELS[pkg.type] || pkg.type}</span></td>
+                <td>
+                  {pkg.layerIndex !== null && pkg.layerIndex !== undefined && (
+                    <button
+                      type="button"
+                      className="layer-chip"
+                      onClick={() => onSelectLayer && onSelectLayer(pkg.layerIndex)}
+                      title={`Installed by layer #${pkg.layerIndex + 1} (${pkg.source})`}
+                    >
+                      {`#${pkg.layerIndex + 1}`}
+                    </button>
+                  )}
+                </td>
+                <td className="numeric">{formatSize(pkg.size)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {packages.length > visible.length && (
+        <button type="button" className="expand-toggle-btn" onClick={() => setShowAll(true)}>
+          Show all {packages.length} packages
+        </button>
+      )}
+    </div>
+  );
+};
+
+PackageList.propTypes = {
+  sbom: PropTypes.shape({
+    distro: PropTypes.shape({
+      id: PropTypes.string,
+      versionId: PropTypes.string,
+      prettyName: PropTypes.string
+    }),
+    packageCount: PropTypes.number,
+    totalSize: PropTypes.number,
+    packages: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      version: PropTypes.string.isRequired,
+      type: PropTypes.string.isRequired,
+      purl: PropTypes.string.isRequired,
+      source: PropTypes.string,
+      layerIndex: PropTypes.number,
+      size: PropTypes.number
+    })).isRequired,
+    skippedLayers: PropTypes.arrayOf(PropTypes.shape({
+      layerIndex: PropTypes.number.isRequired,
+      reason: PropTypes.string
+    }))
+  }).isRequired,
+  imageName: PropTypes.string.isRequired,
+  platform: PropTypes.string,
+  onSelectLayer: PropTypes.func
+};
+
+export default PackageList;
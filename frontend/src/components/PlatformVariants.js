@@ -0,0 +1,45 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// linux/arm64 and linux/arm64/v8 name the same variant
+const samePlatform = (a, b) =>
+  Boolean(a && b) && (a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`));
+
+// Variants of a multi-arch image; picking one analyzes that platform
+const PlatformVariants = ({ platforms, activePlatform, onSelect, disabled }) => {
+  if (!platforms || platforms.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="platform-variants" role="group" aria-label="Platform variants">
+      <span className="platform-variants-label">Platforms:</span>
+      {platforms.map((platform) => {
+        const active = samePlatform(platform, activePlatform);
+        return (
+          <button
+            key={platform}
+            type="button"
+            className={`platform-variant ${active ? 'active' : ''}`}
+            aria-pressed={active}
+            disabled={disabled}
+            onClick={() => onSelect(platform)}
+          >
+            {platform}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+PlatformVariants.propTypes = {
+  platforms: PropTypes.arrayOf(PropTypes.string),
+  activePlatform: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default PlatformVariants;
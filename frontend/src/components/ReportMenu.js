@@ -0,0 +1,36 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getReportUrl } from '../services/api';
+
+const REPORT_FORMATS = [
+  { format: 'html', label: 'HTML page', title: 'Standalone page with the metrics, layers and inefficient files; opens offline' },
+  { format: 'md', label: 'Markdown', title: 'Summary for pull requests and wikis' },
+  { format: 'csv', label: 'CSV', title: 'Layer table for spreadsheets' },
+  { format: 'json', label: 'JSON', title: 'The full analysis as the API returns it' }
+];
+
+// "Download report" menu of the inspect page; the backend renders the
+// report from the stored analysis
+const ReportMenu = ({ imageName, platform }) => (
+  <details className="report-menu">
+    <summary className="terminal-toggle-button glass">📄 Download report</summary>
+    <ul className="report-menu-items">
+      {REPORT_FORMATS.map(({ format, label, title }) => (
+        <li key={format}>
+          <a href={getReportUrl(imageName, { format, platform })} title={title} download>
+            {label}
+          </a>
+        </li>
+      ))}
+    </ul>
+  </details>
+);
+
+ReportMenu.propTypes = {
+  imageName: PropTypes.string.isRequired,
+  platform: PropTypes.string
+};
+
+export default ReportMenu;
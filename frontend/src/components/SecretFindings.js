@@ -0,0 +1,104 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const LayerChip = ({ layerIndex, onSelectLayer, title }) => (
+  <button
+    type="button"
+    className="layer-chip"
+    onClick={() => onSelectLayer && onSelectLayer(layerIndex)}
+    title={title}
+  >
+    {`#${layerIndex + 1}`}
+  </button>
+);
+
+LayerChip.propTypes = {
+  layerIndex: PropTypes.number.isRequired,
+  onSelectLayer: PropTypes.func,
+  title: PropTypes.string
+};
+
+// Secret scan results (analysis.secrets), most severe first
+const SecretFindings = ({ secrets, onSelectLayer }) => {
+  const summary = `Scanned ${secrets.scannedFiles} files in ${secrets.scannedLayers} layers, deleted files included.`;
+
+  return (
+    <div className="secret-findings">
+      <p className="secret-summary">{summary}</p>
+      {secrets.skippedLayers?.length > 0 && (
+        <p className="secret-skipped">
+          {secrets.skippedLayers.map((skipped) => `Layer #${skipped.layerIndex + 1}: ${skipped.reason}`).join('; ')}
+        </p>
+      )}
+      {secrets.findings.length === 0 ? (
+        <p className="inefficient-empty">No likely secrets found. 🎉</p>
+      ) : (
+        <table className="inefficient-table">
+          <thead>
+            <tr>
+              <th>Severity</th>
+              <th>Finding</th>
+              <th>Layer</th>
+              <th>Path</th>
+              <th>Preview</th>
+            </tr>
+          </thead>
+          <tbody>
+            {secrets.findings.map((finding) => (
+              <tr key={`${finding.layerIndex}-${finding.path}-${finding.rule}-${finding.line}`}>
+                <td><span className={`secret-severity severity-${finding.severity}`}>{finding.severity}</span></td>
+                <td>{finding.title}</td>
+                <td>
+                  <LayerChip layerIndex={finding.layerIndex} onSelectLayer={onSelectLayer} title="Layer that added the file" />
+                  {finding.deleted && (
+                    <span className="secret-deleted">
+                      deleted in <LayerChip layerIndex={finding.deletedInLayer} onSelectLayer={onSelectLayer} title="Layer that deleted the file" />
+                    </span>
+                  )}
+                </td>
+                <td className="inefficient-path">
+                  {finding.path}
+                  {finding.line && `:${finding.line}`}
+                </td>
+                <td>{finding.preview && <code className="secret-preview">{finding.preview}</code>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {secrets.findings.some((finding) => finding.deleted) && (
+        <p className="advice-fix">
+          Deleted files still ship in the layer that added them and can be extracted from the image.
+          Rotate those secrets and keep them out of the build with build secrets (`RUN --mount=type=secret`) or a .dockerignore.
+        </p>
+      )}
+    </div>
+  );
+};
+
+SecretFindings.propTypes = {
+  secrets: PropTypes.shape({
+    scannedLayers: PropTypes.number,
+    scannedFiles: PropTypes.number,
+    findings: PropTypes.arrayOf(PropTypes.shape({
+      rule: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      severity: PropTypes.oneOf(['critical', 'high', 'medium', 'low']).isRequired,
+      layerIndex: PropTypes.number.isRequired,
+      path: PropTypes.string.isRequired,
+      line: PropTypes.number,
+      preview: PropTypes.string,
+      deleted: PropTypes.bool,
+      deletedInLayer: PropTypes.number
+    })).isRequired,
+    skippedLayers: PropTypes.arrayOf(PropTypes.shape({
+      layerIndex: PropTypes.number.isRequired,
+      reason: PropTypes.string
+    }))
+  }).isRequired,
+  onSelectLayer: PropTypes.func
+};
+
+export default SecretFindings;
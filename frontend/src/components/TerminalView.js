@@ -27,7 +27,7 @@ const wsBaseUrl = () => {
   return 'ws://localhost:3000/ws/terminal';
 };
 
-const TerminalView = ({ image, onExit }) => {
+const TerminalView = ({ image, platform, onExit }) => {
   const frameRef = useRef(null);
   const containerRef = useRef(null);
   const termRef = useRef(null);
@@ -80,8 +80,9 @@ const TerminalView = ({ image, onExit }) => {
     const rows = term.rows || 30;
     lastSizeRef.current = { cols, rows };
 
+    const platformParam = platform ? `&platform=${encodeURIComponent(platform)}` : '';
     const ws = new WebSocket(
-      `${wsBaseUrl()}?image=${encodeURIComponent(image)}&cols=${cols}&rows=${rows}`
+      `${wsBaseUrl()}?image=${encodeURIComponent(image)}${platformParam}&cols=${cols}&rows=${rows}`
     );
     ws.binaryType = 'arraybuffer';
     wsRef.current = ws;
@@ -153,7 +154,7 @@ const TerminalView = ({ image, onExit }) => {
       setStatusDetail(`reconnecting (${attempt + 1}/${MAX_RECONNECT_ATTEMPTS})`);
       reconnectTimerRef.current = setTimeout(connect, RECONNECT_DELAYS_MS[attempt]);
     };
-  }, [image]);
+  }, [image, platform]);
 
   useEffect(() => {
     const term = new Terminal({
@@ -251,7 +252,7 @@ const TerminalView = ({ image, onExit }) => {
       termRef.current = null;
       fitRef.current = null;
     };
-  }, [image, connect, sendResizeIfChanged]);
+  }, [image, platform, connect, sendResizeIfChanged]);
 
   const sendKey = (key) => {
     const ws = wsRef.current;
@@ -322,7 +323,7 @@ const TerminalView = ({ image, onExit }) => {
       <div className="terminal-header">
         <div>
           <span className={`terminal-status-dot status-${status}`} aria-hidden="true" />
-          <span className="terminal-title">dive — {image}</span>
+          <span className="terminal-title">dive — {image}{platform ? ` (${platform})` : ''}</span>
         </div>
         <div className="terminal-actions">
           <button type="button" className="terminal-action-btn" onClick={handleCopy}>
@@ -389,6 +390,7 @@ const TerminalView = ({ image, onExit }) => {
 
 TerminalView.propTypes = {
   image: PropTypes.string.isRequired,
+  platform: PropTypes.string,
   onExit: PropTypes.func.isRequired
 };
 
@@ -0,0 +1,157 @@
+// The production babel config (.babelrc) uses the classic JSX runtime, which
+// requires React in scope; only the test env uses the automatic runtime.
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getVulnerabilities } from '../services/api';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// Known vulnerabilities in the image's packages (see PackageList), matched on
+// the server against its locally imported advisory database
+const VulnerabilityList = ({ imageName, platform, onSelectLayer }) => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [hidden, setHidden] = useState(new Set());
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+    setResult(null);
+
+    getVulnerabilities(imageName, { platform })
+      .then((data) => {
+        if (active) setResult(data);
+      })
+      .catch((err) => {
+        if (active) setError(`Failed to match vulnerabilities: ${err.response?.data?.message || err.message}`);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [imageName, platform]);
+
+  const toggleSeverity = (severity) => {
+    setHidden((previous) => {
+      const next = new Set(previous);
+      if (next.has(severity)) {
+        next.delete(severity);
+      } else {
+        next.add(severity);
+      }
+      return next;
+    });
+  };
+
+  if (loading) {
+    return <p className="package-summary">Matching packages against the advisory database...</p>;
+  }
+
+  if (error) {
+    return (
+      <div className="error-message">
+        <p>{error}</p>
+      </div>
+    );
+  }
+
+  if (!result.database) {
+    return (
+      <p className="inefficient-empty">
+        No advisory database has been imported. Import an OSV dump with
+        {' '}<code>npm run advisories:import -- &lt;file-or-directory&gt;</code> in the backend,
+        or upload one to <code>POST /api/advisories/import</code> with the admin token.
+      </p>
+    );
+  }
+
+  const findings = result.findings.filter((finding) => !hidden.has(finding.severity));
+
+  return (
+    <div className="vulnerability-list">
+      <div className="package-toolbar">
+        <p className="package-summary">
+          {`${result.findings.length} known vulnerabilities in ${result.scannedPackages} packages, `}
+          {`${result.database.advisoryCount} advisories imported ${new Date(result.database.importedAt).toLocaleString()}`}
+        </p>
+      </div>
+      <div className="package-filters">
+        {SEVERITIES.map((severity) => (
+          <button
+            key={severity}
+            type="button"
+            className={`package-filter ${hidden.has(severity) ? '' : 'active'}`}
+            onClick={() => toggleSeverity(severity)}
+            aria-pressed={!hidden.has(severity)}
+          >
+            <span className={`secret-severity severity-${severity}`}>{severity}</span>
+            {` ${result.summary[severity]}`}
+          </button>
+        ))}
+      </div>
+      {result.findings.length === 0 ? (
+        <p className="inefficient-empty">No known vulnerabilities. 🎉</p>
+      ) : findings.length === 0 ? (
+        <p className="inefficient-empty">No vulnerabilities at the selected severities.</p>
+      ) : (
+        <table className="inefficient-table">
+          <thead>
+            <tr>
+              <th>Severity</th>
+              <th>Advisory</th>
+              <th>Package</th>
+              <th>Installed</th>
+              <th>Fixed in</th>
+              <th>Summary</th>
+            </tr>
+          </thead>
+          <tbody>
+            {findings.map((finding, index) => (
+              <tr key={`${finding.id}-${finding.package.purl}-${index}`}>
+                <td>
+                  <span className={`secret-severity severity-${finding.severity}`}>{finding.severity}</span>
+                  {finding.score !== null && finding.score !== undefined && <span className="vulnerability-score">{finding.score.toFixed(1)}</span>}
+                </td>
+                <td>
+                  {finding.references?.length > 0 ? (
+                    <a href={finding.references[0]} target="_blank" rel="noopener noreferrer">{finding.id}</a>
+                  ) : finding.id}
+                  {finding.aliases?.length > 0 && <div className="vulnerability-aliases">{finding.aliases.join(', ')}</div>}
+                </td>
+                <td className="inefficient-path" title={finding.package.purl}>
+                  {finding.package.name}
+                  {finding.package.layerIndex !== null && finding.package.layerIndex !== undefined && (
+                    <button
+                      type="button"
+                      className="layer-chip"
+                      onClick={() => onSelectLayer && onSelectLayer(finding.package.layerIndex)}
+                      title={`Installed by layer #${finding.package.layerIndex + 1}`}
+                    >
+                      {`#${finding.package.layerIndex + 1}`}
+                    </button>
+                  )}
+                </td>
+                <td>{finding.package.version}</td>
+                <td>{finding.fixedVersion || '—'}</td>
+                <td>{finding.summary}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+VulnerabilityList.propTypes = {
+  imageName: PropTypes.string.isRequired,
+  platform: PropTypes.string,
+  onSelectLayer: PropTypes.func
+};
+
+export default VulnerabilityList;
@@ -1,8 +1,10 @@
 import axios from 'axios';
 
+const API_BASE_URL = process.env.NODE_ENV === 'production' ? '/api' : 'http://localhost:3000/api';
+
 // Create axios instance with base configuration
 const api = axios.create({
-  baseURL: process.env.NODE_ENV === 'production' ? '/api' : 'http://localhost:3000/api',
+  baseURL: API_BASE_URL,
   timeout: 300000, // 5 minutes for image analysis
 });
 
@@ -73,22 +75,263 @@ export const getPopularImages = async () => {
   }
 };
 
+const JOB_POLL_INTERVAL_MS = 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Get the state of a queued inspection job
+ * @param {string} jobId - Job id returned when the inspection was queued
+ * @returns {Promise<Object>} Job state, progress and (once completed) result
+ */
+export const getInspectionJob = async (jobId) => {
+  try {
+    const response = await api.get(`/inspect/jobs/${encodeURIComponent(jobId)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Get inspection job error:', error);
+    throw error;
+  }
+};
+
 /**
- * Inspect a Docker image using dive
+ * Inspect a Docker image using dive. The backend queues the analysis as a job;
+ * this polls the job until it finishes and resolves with its result.
  * @param {string} imageName - Name of the image to inspect
+ * @param {Object} options - refresh reruns dive instead of using a stored analysis;
+ *   platform (os/arch[/variant]) analyzes that variant of a multi-arch image;
+ *   secrets also scans every layer for secrets (result analysis.secrets);
+ *   sbom also catalogs the installed packages (result analysis.sbom);
+ *   onProgress receives each polled job state
  * @returns {Promise<Object>} Inspection results with layers and metrics
  */
-export const inspectImage = async (imageName) => {
+export const inspectImage = async (imageName, { refresh = false, platform, secrets = false, sbom = false, onProgress } = {}) => {
   try {
-    console.log(`Starting inspection for image: ${imageName}`);
-    const response = await api.post(`/inspect/${encodeURIComponent(imageName)}`);
-    return response.data;
+    console.log(`Starting inspection for image: ${imageName}${platform ? ` (${platform})` : ''}`);
+    const url = `/inspect/${encodeURIComponent(imageName)}`;
+    const params = {
+      ...(refresh && { refresh: true }),
+      ...(platform && { platform }),
+      ...(secrets && { secrets: true }),
+      ...(sbom && { sbom: true })
+    };
+    const response = Object.keys(params).length > 0
+      ? await api.post(url, null, { params })
+      : await api.post(url);
+
+    const { jobId } = response.data || {};
+    if (!jobId) {
+      return response.data;
+    }
+
+    for (;;) {
+      const job = await getInspectionJob(jobId);
+      if (onProgress) {
+        onProgress(job);
+      }
+      if (job.state === 'completed') {
+        return job.result;
+      }
+      if (job.state === 'failed' || job.state === 'cancelled') {
+        throw new Error(`${job.error?.status || 500}: ${job.error?.message || 'Inspection failed'}`);
+      }
+      await delay(JOB_POLL_INTERVAL_MS);
+    }
   } catch (error) {
     console.error('Inspect image error:', error);
     throw error;
   }
 };
 
+/**
+ * Platform variants an image is published for
+ * @param {string} imageName - Name of the image
+ * @returns {Promise<Array<string>>} Platforms such as linux/amd64 and linux/arm64/v8
+ */
+export const getImagePlatforms = async (imageName) => {
+  try {
+    const response = await api.get(`/inspect/${encodeURIComponent(imageName)}/platforms`);
+    return response.data.platforms || [];
+  } catch (error) {
+    console.error('Get image platforms error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download link for an analysis report. The backend inspects the image first
+ * if there is no stored analysis.
+ * @param {string} imageName - Name of the image
+ * @param {Object} options - format (json, csv, md or html) and optional platform
+ * @returns {string} URL of GET /api/inspect/:imageName/report
+ */
+export const getReportUrl = (imageName, { format = 'json', platform } = {}) => {
+  const params = new URLSearchParams({ format, ...(platform && { platform }) });
+  return `${API_BASE_URL}/inspect/${encodeURIComponent(imageName)}/report?${params}`;
+};
+
+/**
+ * Download link for an image's software bill of materials. The backend
+ * catalogs the image first if no stored analysis has the packages yet.
+ * @param {string} imageName - Name of the image
+ * @param {Object} options - format (cyclonedx or spdx) and optional platform
+ * @returns {string} URL of GET /api/inspect/:imageName/sbom
+ */
+export const getSbomUrl = (imageName, { format = 'cyclonedx', platform } = {}) => {
+  const params = new URLSearchParams({ format, ...(platform && { platform }) });
+  return `${API_BASE_URL}/inspect/${encodeURIComponent(imageName)}/sbom?${params}`;
+};
+
+const layerPath = (imageName, layerIndex) => `/images/${encodeURIComponent(imageName)}/layers/${layerIndex}`;
+
+/**
+ * Download link for one file as the image filesystem shows it at a layer
+ * @param {string} imageName - Name of the image
+ * @param {number} layerIndex - Layer position, 0 at the base
+ * @param {string} filePath - Absolute path in the image
+ * @param {Object} options - Optional digest (image ID of the analysis) the local image must still have
+ * @returns {string} URL of GET /api/images/:imageName/layers/:layerIndex/file
+ */
+export const getLayerFileUrl = (imageName, layerIndex, filePath, { digest } = {}) => {
+  const params = new URLSearchParams({ path: filePath, ...(digest && { digest }) });
+  return `${API_BASE_URL}${layerPath(imageName, layerIndex)}/file?${params}`;
+};
+
+/**
+ * Download link for one layer as an uncompressed tarball
+ * @param {string} imageName - Name of the image
+ * @param {number} layerIndex - Layer position, 0 at the base
+ * @param {Object} options - Optional digest (image ID of the analysis) the local image must still have
+ * @returns {string} URL of GET /api/images/:imageName/layers/:layerIndex/tar
+ */
+export const getLayerTarUrl = (imageName, layerIndex, { digest } = {}) => {
+  const query = digest ? `?${new URLSearchParams({ digest })}` : '';
+  return `${API_BASE_URL}${layerPath(imageName, layerIndex)}/tar${query}`;
+};
+
+/**
+ * First bytes of a file at a layer, for the text / hex viewer
+ * @param {string} imageName - Name of the image
+ * @param {number} layerIndex - Layer position, 0 at the base
+ * @param {string} filePath - Absolute path in the image
+ * @param {Object} options - Optional digest, and bytes (how much to fetch)
+ * @returns {Promise<Object>} bytes (Uint8Array) and size (of the whole file)
+ */
+export const getLayerFilePreview = async (imageName, layerIndex, filePath, { digest, bytes = 64 * 1024 } = {}) => {
+  try {
+    const response = await api.get(`${layerPath(imageName, layerIndex)}/file`, {
+      params: { path: filePath, ...(digest && { digest }) },
+      headers: { Range: `bytes=0-${bytes - 1}` },
+      responseType: 'arraybuffer'
+    });
+    const data = new Uint8Array(response.data);
+    // A 206 names the full size in Content-Range; a 200 (empty file or old server) is the whole file
+    const total = /\/(\d+)$/.exec(response.headers?.['content-range'] || '');
+    return { bytes: data, size: total ? Number(total[1]) : data.length };
+  } catch (error) {
+    console.error('Get layer file preview error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Known vulnerabilities in an image's packages, matched against the advisory
+ * database imported on the server. Catalogs the image first if needed.
+ * @param {string} imageName - Name of the image
+ * @param {Object} options - Optional platform
+ * @returns {Promise<Object>} database (null before any import), summary per severity and findings
+ */
+export const getVulnerabilities = async (imageName, { platform } = {}) => {
+  try {
+    const response = await api.get(`/inspect/${encodeURIComponent(imageName)}/vulnerabilities`, {
+      params: platform ? { platform } : {}
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Get vulnerabilities error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Approximate Dockerfile reconstructed from a local image's history and config
+ * @param {string} imageName - Name of the image
+ * @returns {Promise<Object>} instructions (oldest first, with layer sizes) and the dockerfile text
+ */
+export const getImageDockerfile = async (imageName) => {
+  try {
+    const response = await api.get(`/images/${encodeURIComponent(imageName)}/dockerfile`);
+    return response.data;
+  } catch (error) {
+    console.error('Get image Dockerfile error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a queued or running inspection job; the backend kills its docker pull or dive
+ * @param {string} jobId - Job id returned when the inspection was queued
+ * @returns {Promise<Object>} Cancellation result
+ */
+export const cancelInspection = async (jobId) => {
+  try {
+    const response = await api.delete(`/inspect/jobs/${encodeURIComponent(jobId)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Cancel inspection error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Compare two images (or two tags of one image) layer by layer
+ * @param {string} base - Reference image
+ * @param {string} target - Image compared against the reference
+ * @returns {Promise<Object>} Comparison with summary, aligned layers and file deltas
+ */
+export const compareImages = async (base, target) => {
+  try {
+    const response = await api.post('/inspect/compare', { base, target });
+    return response.data;
+  } catch (error) {
+    console.error('Compare images error:', error);
+    throw error;
+  }
+};
+
+/**
+ * List stored analyses, newest first
+ * @param {Object} filters - Optional imageName / digest filters
+ * @returns {Promise<Object>} Object with count and analyses summaries
+ */
+export const listAnalyses = async (filters = {}) => {
+  try {
+    const response = await api.get('/analyses', { params: filters });
+    return response.data;
+  } catch (error) {
+    console.error('List analyses error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a stored analysis
+ * @param {string} id - Analysis id
+ * @param {string} adminToken - The backend's ADMIN_TOKEN
+ * @returns {Promise<Object>} Deletion result
+ */
+export const deleteAnalysis = async (id, adminToken) => {
+  try {
+    const response = await api.delete(`/analyses/${encodeURIComponent(id)}`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Delete analysis error:', error);
+    throw error;
+  }
+};
+
 /**
  * Get the status of an ongoing inspection
  * @param {string} imageName - Name of the image being inspected
@@ -191,64 +434,104 @@ export const healthCheck = async () => {
   }
 };
 
-// WebSocket connection for real-time updates
+const inspectionSocketUrl = () => {
+  if (process.env.NODE_ENV === 'production') {
+    const proto = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    return `${proto}://${window.location.host}/ws/inspect`;
+  }
+  return 'ws://localhost:3000/ws/inspect';
+};
+
+/**
+ * Live progress for one image over /ws/inspect. Any number of clients may
+ * watch the same image; on subscribe the server replays the latest progress
+ * of an inspection already under way.
+ * @param {string} imageName - Image to watch
+ * @param {Function} onUpdate - Called with each progress message
+ *   ({ phase, progress, message, queuePosition?, pull? })
+ * @param {Function} onError - Called with an Error for failed or cancelled
+ *   inspections and for connection errors
+ * @param {Function} onComplete - Called with the completion message
+ *   ({ analysisId, cached, digest })
+ * @param {string} platform - Platform variant being inspected; messages about
+ *   other variants of the image are ignored
+ * @param {Object} scans - secrets and sbom flags of the inspection; layer scans
+ *   run as a separate job from a plain inspection of the same image
+ */
 export class InspectionWebSocket {
-  constructor(imageName, onUpdate, onError, onComplete) {
+  constructor(imageName, onUpdate, onError, onComplete, platform = null, scans = {}) {
     this.imageName = imageName;
+    this.platform = platform;
+    this.secrets = Boolean(scans.secrets);
+    this.sbom = Boolean(scans.sbom);
     this.onUpdate = onUpdate;
     this.onError = onError;
     this.onComplete = onComplete;
     this.ws = null;
   }
 
+  // Messages carry the scan flags of their job; in replayed progress (strict)
+  // a missing flag means a job without that scan
+  matchesScans(data, strict = false) {
+    return ['secrets', 'sbom'].every((scan) => (data[scan] === undefined && !strict)
+      || Boolean(data[scan]) === this[scan]);
+  }
+
   connect() {
     try {
-      const wsUrl = process.env.NODE_ENV === 'production' 
-        ? `wss://${window.location.host}/ws/inspect`
-        : 'ws://localhost:3000/ws/inspect';
-      
-      this.ws = new WebSocket(wsUrl);
-      
-      this.ws.onopen = () => {
-        console.log('WebSocket connected for inspection updates');
-        this.ws.send(JSON.stringify({ 
-          type: 'subscribe', 
-          imageName: this.imageName 
+      const ws = new WebSocket(inspectionSocketUrl());
+      this.ws = ws;
+
+      ws.onopen = () => {
+        ws.send(JSON.stringify({
+          type: 'subscribe',
+          imageName: this.imageName
         }));
       };
 
-      this.ws.onmessage = (event) => {
+      ws.onmessage = (event) => {
+        let data;
         try {
-          const data = JSON.parse(event.data);
-          
-          switch (data.type) {
-            case 'progress':
-              this.onUpdate(data);
-              break;
-            case 'complete':
-              this.onComplete(data);
-              break;
-            case 'error':
-              this.onError(new Error(data.message));
-              break;
-            default:
-              console.log('Unknown WebSocket message type:', data.type);
-          }
+          data = JSON.parse(event.data);
         } catch (error) {
           console.error('WebSocket message parsing error:', error);
-          this.onError(error);
+          return;
+        }
+        if (data.imageName !== undefined && data.imageName !== this.imageName) {
+          return;
+        }
+        if (data.platform !== undefined && (data.platform || null) !== this.platform) {
+          return;
+        }
+        if (!this.matchesScans(data)) {
+          return;
         }
-      };
 
-      this.ws.onerror = (error) => {
-        console.error('WebSocket error:', error);
-        this.onError(new Error('WebSocket connection error'));
+        switch (data.type) {
+          case 'subscribed':
+            if (data.current && (data.current.platform || null) === this.platform
+              && this.matchesScans(data.current, true)) {
+              this.onUpdate(data.current);
+            }
+            break;
+          case 'progress':
+            this.onUpdate(data);
+            break;
+          case 'complete':
+            this.onComplete(data);
+            break;
+          case 'error':
+          case 'cancelled':
+            this.onError(Object.assign(new Error(data.message), { type: data.type, status: data.status }));
+            break;
+          default:
+            break;
+        }
       };
 
-      this.ws.onclose = () => {
-        console.log('WebSocket connection closed');
+      ws.onerror = () => {
+        this.onError(new Error('WebSocket connection error'));
       };
-
     } catch (error) {
       console.error('WebSocket connection error:', error);
       this.onError(error);
@@ -257,6 +540,8 @@ export class InspectionWebSocket {
 
   disconnect() {
     if (this.ws) {
+      this.ws.onmessage = null;
+      this.ws.onerror = null;
       this.ws.close();
       this.ws = null;
     }
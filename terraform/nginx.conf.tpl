@@ -105,6 +105,19 @@ server {
         application/atom+xml
         image/svg+xml;
 
+    # Image badges end in .svg; ^~ keeps the static file rule from taking
+    # them, and they keep the backend's Cache-Control instead of no-store
+    location ^~ /api/badges/ {
+        limit_req zone=api burst=20 nodelay;
+
+        proxy_pass http://backend;
+        proxy_http_version 1.1;
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+    }
+
     # API routes with rate limiting
     location /api/ {
         limit_req zone=api burst=20 nodelay;